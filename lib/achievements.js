@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+
+// Achievements engine. Achievements are defined in config/achievements.json as conditions over a
+// user's certificates; see the file's description for the condition format. When a condition is met
+// the achievement is recorded on the user (user.achievements: [{ id, earnedAt, recordedAt }]) and
+// stays earned, even if the certificates behind it are later edited or removed.
+
+const ACHIEVEMENTS_FILE = process.env.ACHIEVEMENTS_FILE || path.join(__dirname, '..', 'config', 'achievements.json');
+
+const METRICS = ['certificates', 'hours', 'credits', 'platforms', 'categories', 'skills'];
+const WHERE_FIELDS = ['skill', 'category', 'platform', 'verified'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const checkCondition = (condition, where, canonicalName) => {
+    if (!condition || typeof condition !== 'object') throw new Error(`${where}: condition must be an object`);
+
+    const group = condition.all ? 'all' : condition.any ? 'any' : null;
+    if (group) {
+        if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+            throw new Error(`${where}: "${group}" must be a non-empty array of conditions`);
+        }
+        return { [group]: condition[group].map((child, index) => checkCondition(child, `${where}.${group}[${index}]`, canonicalName)) };
+    }
+
+    if (!METRICS.includes(condition.metric)) throw new Error(`${where}: metric must be one of ${METRICS.join(', ')}`);
+    if (!(Number(condition.min) > 0)) throw new Error(`${where}: min must be a positive number`);
+    if (condition.withinDays !== undefined && !(Number.isInteger(condition.withinDays) && condition.withinDays > 0)) {
+        throw new Error(`${where}: withinDays must be a positive integer`);
+    }
+    const filters = condition.where || {};
+    const unknown = Object.keys(filters).filter(key => !WHERE_FIELDS.includes(key));
+    if (unknown.length > 0) throw new Error(`${where}: unknown "where" fields ${unknown.join(', ')}`);
+
+    return {
+        metric: condition.metric,
+        min: Number(condition.min),
+        where: {
+            ...filters,
+            ...(filters.skill ? { skill: canonicalName(filters.skill) } : {})
+        },
+        withinDays: condition.withinDays || null
+    };
+};
+
+// Read and check the definitions; a broken file should fail at startup, not per request.
+// canonicalName maps skills in conditions onto the skill registry's spelling.
+const loadAchievements = (file = ACHIEVEMENTS_FILE, { canonicalName = (name) => name } = {}) => {
+    const { achievements } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(achievements)) throw new Error(`${file}: "achievements" must be an array`);
+
+    const ids = new Set();
+    return achievements.map(achievement => {
+        if (!achievement.id || !achievement.title) throw new Error(`${file}: every achievement needs an id and a title`);
+        if (ids.has(achievement.id)) throw new Error(`${file}: duplicate achievement id "${achievement.id}"`);
+        ids.add(achievement.id);
+        return {
+            id: achievement.id,
+            title: achievement.title,
+            description: achievement.description || '',
+            icon: achievement.icon || '🏅',
+            condition: checkCondition(achievement.condition, `${file}: ${achievement.id}`, canonicalName)
+        };
+    });
+};
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const matchesWhere = (cert, where, matchesSkill) => {
+    if (where.skill && !matchesSkill(cert.skills, where.skill)) return false;
+    if (where.category && !sameText(cert.category, where.category)) return false;
+    if (where.platform && !sameText(cert.platform, where.platform)) return false;
+    if (where.verified !== undefined && (cert.verificationStatus === 'Verified') !== Boolean(where.verified)) return false;
+    return true;
+};
+
+const measure = (metric, certificates, normalizeSkills) => {
+    switch (metric) {
+        case 'certificates': return certificates.length;
+        case 'hours': return certificates.reduce((sum, cert) => sum + (cert.hours || 0), 0);
+        case 'credits': return certificates.reduce((sum, cert) => sum + (cert.creditsEarned || 0), 0);
+        case 'platforms': return new Set(certificates.map(cert => cert.platform).filter(Boolean)).size;
+        case 'categories': return new Set(certificates.map(cert => cert.category).filter(Boolean)).size;
+        case 'skills': return normalizeSkills(certificates.flatMap(cert => cert.skills || [])).length;
+        default: return 0;
+    }
+};
+
+const completedOn = (cert) => String(cert.completionDate || '').slice(0, 10);
+
+// Percent is floored so an achievement only shows 100 once it is earned
+const percentOf = (current, target) => Math.min(100, Math.floor(current / target * 100));
+
+// A single { metric, min } condition. The certificates are replayed in completion order to find the
+// date the condition was first met; with withinDays only the certificates in the window ending on
+// each completion date count, and progress is measured over the window ending today.
+const evaluateMetric = (condition, certificates, { matchesSkill, normalizeSkills, now }) => {
+    const eligible = certificates
+        .filter(cert => completedOn(cert) && matchesWhere(cert, condition.where, matchesSkill))
+        .sort((a, b) => completedOn(a).localeCompare(completedOn(b)));
+    const windowEndingOn = (end) => eligible.filter(cert => {
+        const completed = new Date(completedOn(cert)).getTime();
+        return completed <= end && completed > end - condition.withinDays * DAY_MS;
+    });
+
+    let earnedAt = null;
+    for (let index = 0; index < eligible.length && !earnedAt; index++) {
+        const counted = condition.withinDays
+            ? windowEndingOn(new Date(completedOn(eligible[index])).getTime())
+            : eligible.slice(0, index + 1);
+        if (measure(condition.metric, counted, normalizeSkills) >= condition.min) earnedAt = completedOn(eligible[index]);
+    }
+
+    const current = earnedAt
+        ? condition.min
+        : measure(condition.metric, condition.withinDays ? windowEndingOn(now.getTime()) : eligible, normalizeSkills);
+    return {
+        earned: Boolean(earnedAt),
+        earnedAt,
+        current: Math.round(current * 10) / 10,
+        target: condition.min,
+        percent: percentOf(current, condition.min)
+    };
+};
+
+// "all" is as far along as its children on average and earned when the last one is; "any" follows
+// its most advanced child and is earned with the first
+const evaluateCondition = (condition, certificates, options) => {
+    if (!condition.all && !condition.any) return evaluateMetric(condition, certificates, options);
+
+    const results = (condition.all || condition.any).map(child => evaluateCondition(child, certificates, options));
+    const earnedDates = results.filter(result => result.earned).map(result => result.earnedAt).sort();
+    if (condition.all) {
+        const earned = earnedDates.length === results.length;
+        return {
+            earned,
+            earnedAt: earned ? earnedDates[earnedDates.length - 1] : null,
+            current: earnedDates.length,
+            target: results.length,
+            percent: earned ? 100 : Math.min(99, Math.floor(results.reduce((sum, result) => sum + result.percent, 0) / results.length))
+        };
+    }
+    return {
+        earned: earnedDates.length > 0,
+        earnedAt: earnedDates[0] || null,
+        current: earnedDates.length > 0 ? 1 : 0,
+        target: 1,
+        percent: Math.max(...results.map(result => result.percent))
+    };
+};
+
+// Achievements the user now meets but has not had recorded yet
+const newlyEarned = (definitions, user, { matchesSkill, normalizeSkills, now = new Date() }) => {
+    const recorded = new Set((user.achievements || []).map(entry => entry.id));
+    return definitions
+        .filter(definition => !recorded.has(definition.id))
+        .map(definition => ({ definition, result: evaluateCondition(definition.condition, user.certificates || [], { matchesSkill, normalizeSkills, now }) }))
+        .filter(({ result }) => result.earned)
+        .map(({ definition, result }) => ({ id: definition.id, earnedAt: result.earnedAt, recordedAt: now.toISOString() }));
+};
+
+// Earned (recorded) achievements, then progress towards the rest from `certificates`: in progress
+// when partly met, locked when nothing counts towards it yet
+const describeAchievements = (definitions, user, certificates, { matchesSkill, normalizeSkills, now = new Date() }) => {
+    const recorded = new Map((user.achievements || []).map(entry => [entry.id, entry]));
+    const summary = (definition) => ({
+        id: definition.id,
+        title: definition.title,
+        description: definition.description,
+        icon: definition.icon
+    });
+
+    const earned = [];
+    const inProgress = [];
+    const locked = [];
+    definitions.forEach(definition => {
+        const entry = recorded.get(definition.id);
+        if (entry) {
+            earned.push({ ...summary(definition), earnedAt: entry.earnedAt, recordedAt: entry.recordedAt });
+            return;
+        }
+        const { current, target, percent } = evaluateCondition(definition.condition, certificates, { matchesSkill, normalizeSkills, now });
+        const item = { ...summary(definition), progress: { current, target, percent } };
+        (percent > 0 ? inProgress : locked).push(item);
+    });
+
+    return {
+        earned: earned.sort((a, b) => String(b.earnedAt).localeCompare(String(a.earnedAt))),
+        inProgress: inProgress.sort((a, b) => b.progress.percent - a.progress.percent),
+        locked
+    };
+};
+
+module.exports = {
+    METRICS,
+    loadAchievements,
+    evaluateCondition,
+    newlyEarned,
+    describeAchievements
+};
@@ -0,0 +1,214 @@
+const { isCalendarDate } = require('./schema');
+
+// Learning analytics derived from certificate completion dates. All functions are pure and take
+// formatted certificates plus a resolved range, so every metric is scoped to the same timeframe.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVERAGE_MONTH_DAYS = 30.44;
+
+const TIMEFRAMES = {
+    '3m': 3,
+    '6m': 6,
+    '1y': 12,
+    all: null
+};
+
+// Trend thresholds: the recent window must differ from the one before it by at least this much
+const TREND_CHANGE_RATIO = 0.2;
+
+const monthKey = (date) => new Date(date).toISOString().slice(0, 7);
+
+// Every month key from one month to another, inclusive
+const monthsBetween = (fromKey, toKey) => {
+    const months = [];
+    let [year, month] = fromKey.split('-').map(Number);
+    const [endYear, endMonth] = toKey.split('-').map(Number);
+    while (year < endYear || (year === endYear && month <= endMonth)) {
+        months.push(`${year}-${String(month).padStart(2, '0')}`);
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    return months;
+};
+
+const shiftMonths = (date, months) => {
+    const shifted = new Date(date);
+    shifted.setUTCMonth(shifted.getUTCMonth() + months);
+    return shifted;
+};
+
+// Resolve ?timeframe=3m|6m|1y|all or ?from=YYYY-MM-DD&to=YYYY-MM-DD into a { from, to } range.
+// "all" starts at the earliest completion. Returns { errors, range }.
+const resolveTimeframe = ({ timeframe = '1y', from, to }, { certificates = [], now = new Date() } = {}) => {
+    const errors = [];
+    if (from !== undefined && !isCalendarDate(from)) errors.push({ field: 'from', message: 'from must be a date (YYYY-MM-DD)' });
+    if (to !== undefined && !isCalendarDate(to)) errors.push({ field: 'to', message: 'to must be a date (YYYY-MM-DD)' });
+    if (from === undefined && to === undefined && !(timeframe in TIMEFRAMES)) {
+        errors.push({ field: 'timeframe', message: `timeframe must be one of: ${Object.keys(TIMEFRAMES).join(', ')}` });
+    }
+    if (errors.length > 0) return { errors };
+
+    const earliest = certificates
+        .map(cert => new Date(cert.completionDate))
+        .reduce((min, date) => (date < min ? date : min), now);
+
+    let range;
+    if (from !== undefined || to !== undefined) {
+        range = {
+            timeframe: 'custom',
+            from: from !== undefined ? new Date(from) : earliest,
+            // An explicit end date includes that whole day
+            to: to !== undefined ? new Date(new Date(to).getTime() + DAY_MS - 1) : now
+        };
+        if (range.from > range.to) {
+            return { errors: [{ field: 'from', message: 'from must not be after to' }] };
+        }
+    } else {
+        const months = TIMEFRAMES[timeframe];
+        range = { timeframe, from: months ? shiftMonths(now, -months) : earliest, to: now };
+    }
+    return { errors: [], range };
+};
+
+const inRange = (cert, range) => {
+    const completed = new Date(cert.completionDate);
+    return completed >= range.from && completed <= range.to;
+};
+
+// Certificates and hours per calendar month across the whole range, empty months included
+const monthlySeries = (certificates, range) => {
+    const series = monthsBetween(monthKey(range.from), monthKey(range.to))
+        .map(month => ({ month, certificates: 0, hours: 0 }));
+    const byMonth = Object.fromEntries(series.map(entry => [entry.month, entry]));
+    certificates.forEach(cert => {
+        const entry = byMonth[monthKey(cert.completionDate)];
+        if (entry) {
+            entry.certificates += 1;
+            entry.hours += cert.hours || 0;
+        }
+    });
+    return series;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Average rate over the range, a rolling average per month and the trend of the latest window
+// against the one before it
+const learningVelocity = (certificates, range, series) => {
+    const months = Math.max(1, (range.to - range.from) / DAY_MS / AVERAGE_MONTH_DAYS);
+    const windowSize = Math.max(1, Math.min(3, Math.floor(series.length / 2)));
+
+    const rolling = series.map((entry, index) => {
+        const slice = series.slice(Math.max(0, index - windowSize + 1), index + 1);
+        return {
+            month: entry.month,
+            certificatesPerMonth: round(sum(slice.map(item => item.certificates)) / slice.length),
+            hoursPerMonth: round(sum(slice.map(item => item.hours)) / slice.length)
+        };
+    });
+
+    const recent = series.slice(-windowSize);
+    const previous = series.slice(-2 * windowSize, -windowSize);
+    const recentRate = sum(recent.map(item => item.certificates)) / windowSize;
+    const previousRate = previous.length > 0 ? sum(previous.map(item => item.certificates)) / previous.length : null;
+
+    let trend = 'flat';
+    let changePercent = null;
+    if (previousRate !== null) {
+        if (previousRate === 0) {
+            trend = recentRate > 0 ? 'increasing' : 'flat';
+        } else {
+            const change = (recentRate - previousRate) / previousRate;
+            changePercent = round(change * 100, 1);
+            if (change >= TREND_CHANGE_RATIO) trend = 'increasing';
+            else if (change <= -TREND_CHANGE_RATIO) trend = 'decreasing';
+        }
+    }
+
+    return {
+        certificatesPerMonth: round(certificates.length / months),
+        hoursPerMonth: round(sum(certificates.map(cert => cert.hours || 0)) / months),
+        trend,
+        windowMonths: windowSize,
+        recentRate: round(recentRate),
+        previousRate: previousRate === null ? null : round(previousRate),
+        changePercent,
+        rolling
+    };
+};
+
+// Runs of consecutive months with at least one completion. The current streak may end in the
+// previous month, since the month in progress can still produce a certificate.
+const monthlyStreaks = (series) => {
+    const runs = [];
+    let run = null;
+    series.forEach(entry => {
+        if (entry.certificates > 0) {
+            run = run ? { ...run, end: entry.month, months: run.months + 1 } : { start: entry.month, end: entry.month, months: 1 };
+        } else if (run) {
+            runs.push(run);
+            run = null;
+        }
+    });
+    if (run) runs.push(run);
+
+    const empty = { months: 0, start: null, end: null };
+    const longest = runs.reduce((best, candidate) => (candidate.months > best.months ? candidate : best), empty);
+
+    const last = runs[runs.length - 1];
+    const lastMonth = series[series.length - 1]?.month;
+    const previousMonth = series[series.length - 2]?.month;
+    const current = last && (last.end === lastMonth || last.end === previousMonth) ? last : empty;
+
+    return { current, longest };
+};
+
+// Time between consecutive completions and months without any
+const gapAnalysis = (certificates, range, series) => {
+    const dates = certificates
+        .map(cert => new Date(cert.completionDate))
+        .sort((a, b) => a - b);
+
+    const gaps = dates.slice(1).map((date, index) => ({
+        from: dates[index].toISOString().slice(0, 10),
+        to: date.toISOString().slice(0, 10),
+        days: Math.round((date - dates[index]) / DAY_MS)
+    }));
+    const sortedDays = gaps.map(gap => gap.days).sort((a, b) => a - b);
+    const median = sortedDays.length === 0
+        ? null
+        : sortedDays.length % 2
+            ? sortedDays[(sortedDays.length - 1) / 2]
+            : (sortedDays[sortedDays.length / 2 - 1] + sortedDays[sortedDays.length / 2]) / 2;
+
+    return {
+        longestGap: gaps.reduce((best, gap) => (!best || gap.days > best.days ? gap : best), null),
+        averageGapDays: gaps.length ? round(sum(sortedDays) / gaps.length, 1) : null,
+        medianGapDays: median,
+        daysSinceLastCompletion: dates.length
+            ? Math.floor((range.to - dates[dates.length - 1]) / DAY_MS)
+            : null,
+        inactiveMonths: series.filter(entry => entry.certificates === 0).map(entry => entry.month)
+    };
+};
+
+// Share of months in the range with at least one completion, 0-100
+const consistencyScore = (series) => (series.length
+    ? Math.round(series.filter(entry => entry.certificates > 0).length / series.length * 100)
+    : 0);
+
+module.exports = {
+    TIMEFRAMES,
+    resolveTimeframe,
+    inRange,
+    monthlySeries,
+    learningVelocity,
+    monthlyStreaks,
+    gapAnalysis,
+    consistencyScore
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Append-only audit log of every change to the repositories' data, one JSON object per line in a
+// local file (AUDIT_FILE, default .audit/log.jsonl):
+//   { id, timestamp, actor, action, store, entity, entityId, userId, operation, changes, before, after }
+// operation is created, updated or deleted and changes lists { field, from, to }. Certificates are
+// tracked one by one with their full before/after state, which is what restoring a revision uses;
+// for the rest of a record only the changed top-level fields are kept. Entries are never rewritten.
+//
+// The actor and action are those of the request that made the change (captureRequest). Changes made
+// outside a request, such as scheduled expiry reminders, are recorded as by 'system'.
+
+const AUDIT_FILE = process.env.AUDIT_FILE || path.join(__dirname, '..', '.audit', 'log.jsonl');
+
+// Password hashes and token versions are noted as changed without their values
+const REDACTED_FIELDS = ['account'];
+const REDACTED = '[redacted]';
+
+const SYSTEM_CONTEXT = { actor: 'system', action: null };
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const redact = (field, value) => (REDACTED_FIELDS.includes(field) && value !== undefined ? REDACTED : value);
+
+// Changed top-level fields of two versions of a record; absent values are reported as null
+const diffFields = (before = {}, after = {}, { exclude = [] } = {}) => [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !exclude.includes(field) && !isEqual(before[field], after[field]))
+    .map(field => ({ field, from: redact(field, before[field]) ?? null, to: redact(field, after[field]) ?? null }));
+
+const operationOf = (before, after) => (!before ? 'created' : !after ? 'deleted' : 'updated');
+
+// Only the fields that changed, for records whose full state is not kept
+const changedFields = (record, changes) => (record
+    ? Object.fromEntries(changes.map(change => [change.field, redact(change.field, record[change.field]) ?? null]))
+    : null);
+
+// Entries for one user record: one per changed certificate, and one for the other fields
+const userEntries = (userId, before, after) => {
+    const entries = [];
+    const certificatesBefore = new Map((before?.certificates || []).map(cert => [cert.id, cert]));
+    const certificatesAfter = new Map((after?.certificates || []).map(cert => [cert.id, cert]));
+    new Set([...certificatesBefore.keys(), ...certificatesAfter.keys()]).forEach(certId => {
+        const previous = certificatesBefore.get(certId) || null;
+        const next = certificatesAfter.get(certId) || null;
+        if (isEqual(previous, next)) return;
+        entries.push({
+            entity: 'certificate',
+            entityId: certId,
+            userId,
+            operation: operationOf(previous, next),
+            changes: diffFields(previous || {}, next || {}),
+            before: previous,
+            after: next
+        });
+    });
+
+    const changes = diffFields(before || {}, after || {}, { exclude: ['certificates'] });
+    if (changes.length > 0 || !before || !after) {
+        entries.push({
+            entity: 'user',
+            entityId: userId,
+            userId,
+            operation: operationOf(before, after),
+            changes,
+            before: changedFields(before, changes),
+            after: changedFields(after, changes)
+        });
+    }
+    return entries;
+};
+
+// Entries for any other record, e.g. an organization
+const recordEntries = (entity) => (id, before, after) => {
+    const changes = diffFields(before || {}, after || {});
+    return [{
+        entity,
+        entityId: id,
+        operation: operationOf(before, after),
+        changes,
+        before: changedFields(before, changes),
+        after: changedFields(after, changes)
+    }];
+};
+
+const createAuditLog = ({ file = AUDIT_FILE } = {}) => {
+    const requestContext = new AsyncLocalStorage();
+    let writeQueue = Promise.resolve();
+
+    // Middleware (after authentication): remembers who is making the request for any changes it causes
+    const captureRequest = (req, res, next) => {
+        requestContext.run({
+            actor: req.auth ? req.auth.userId : 'anonymous',
+            action: `${req.method} ${req.originalUrl.split('?')[0]}`
+        }, next);
+    };
+
+    // Extra fields for the entries of the current request, e.g. { restoredRevision: 3 }
+    const describe = (details) => {
+        const context = requestContext.getStore();
+        if (context) context.details = { ...context.details, ...details };
+    };
+
+    const append = (entries) => {
+        const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+        writeQueue = writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.appendFile(file, lines, { encoding: 'utf8', flag: 'a' });
+            })
+            .catch(error => console.error('Error writing audit log:', error));
+        return writeQueue;
+    };
+
+    // Record every persisted change of `repository`. store names the dataset in the entries; users
+    // are split into certificates and profile fields, other stores are recorded per `entity`.
+    const track = (repository, { store, entity = 'record' }) => {
+        const entriesFor = store === 'users' ? userEntries : recordEntries(entity);
+        repository.onChange((next, { changed, removed, previous }) => {
+            const { actor, action, details } = requestContext.getStore() || SYSTEM_CONTEXT;
+            const timestamp = new Date().toISOString();
+            const entries = [...changed, ...removed]
+                .flatMap(id => entriesFor(id, previous[id] || null, next[id] || null))
+                .map(entry => ({
+                    id: crypto.randomUUID(),
+                    timestamp,
+                    actor,
+                    action,
+                    store,
+                    ...entry,
+                    ...(details ? { details } : {})
+                }));
+            if (entries.length > 0) append(entries);
+        });
+    };
+
+    // All entries in the order they were written, once pending writes are done
+    const readEntries = async () => {
+        await writeQueue;
+        let text;
+        try {
+            text = await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return text.split('\n').filter(line => line.trim()).flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch (error) {
+                console.warn(`Skipping unreadable audit log line in ${file}`);
+                return [];
+            }
+        });
+    };
+
+    // Revisions of one certificate, oldest first; revision n is the state after the n-th change
+    const certificateHistory = async (userId, certId) => (await readEntries())
+        .filter(entry => entry.store === 'users' && entry.entity === 'certificate' &&
+            entry.userId === userId && entry.entityId === certId)
+        .map((entry, index) => ({ revision: index + 1, ...entry }));
+
+    return {
+        file,
+        captureRequest,
+        describe,
+        track,
+        readEntries,
+        certificateHistory
+    };
+};
+
+module.exports = {
+    diffFields,
+    createAuditLog
+};
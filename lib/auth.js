@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SCRYPT_KEYLEN = 64;
+
+// Hash a password as scrypt$<salt>$<hash> (hex encoded)
+const hashPassword = (password) => new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, derived) => {
+        if (error) return reject(error);
+        resolve(`scrypt$${salt}$${derived.toString('hex')}`);
+    });
+});
+
+const verifyPassword = (password, stored) => new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, derived) => {
+        if (error) return reject(error);
+        const expected = Buffer.from(hash, 'hex');
+        resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+    });
+});
+
+// Load the token secret from JWT_SECRET or a local file, generating one on first run
+const loadOrCreateSecret = (secretFile) => {
+    if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+    if (fs.existsSync(secretFile)) return fs.readFileSync(secretFile, 'utf8').trim();
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(secretFile), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+    return secret;
+};
+
+const base64url = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+// Stateless HS256 JWTs. Each account carries a tokenVersion; bumping it (logout, password change)
+// invalidates every token issued before.
+const createAuth = ({
+    repository,
+    secretFile = process.env.JWT_SECRET_FILE || path.join(__dirname, '..', '.keys', 'jwt-secret'),
+    tokenTtlSeconds = parseInt(process.env.TOKEN_TTL_SECONDS) || 12 * 60 * 60
+}) => {
+    const secret = loadOrCreateSecret(secretFile);
+
+    const hmac = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+    const issueToken = (user) => {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64url({ alg: 'HS256', typ: 'JWT' });
+        const payload = base64url({
+            sub: user.id,
+            ver: user.account?.tokenVersion || 0,
+            iat: now,
+            exp: now + tokenTtlSeconds
+        });
+        return {
+            token: `${header}.${payload}.${hmac(`${header}.${payload}`)}`,
+            expiresAt: new Date((now + tokenTtlSeconds) * 1000).toISOString()
+        };
+    };
+
+    // Resolve a token to its user ID, or null if it is malformed, expired or revoked
+    const verifyToken = async (token) => {
+        const [header, payload, signature] = String(token).split('.');
+        if (!header || !payload || !signature) return null;
+
+        const expected = Buffer.from(hmac(`${header}.${payload}`));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+        if (!claims.sub || !claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+
+        const user = await repository.getUser(claims.sub);
+        if (!user || !user.account || (user.account.tokenVersion || 0) !== claims.ver) return null;
+        return user.id;
+    };
+
+    // Middleware: attach req.auth = { userId } for a valid bearer token. Requests without a token
+    // continue anonymously; a bad token is rejected so clients notice expired sessions.
+    const authenticate = async (req, res, next) => {
+        const header = req.headers.authorization || '';
+        if (!header.startsWith('Bearer ')) {
+            req.auth = null;
+            return next();
+        }
+
+        try {
+            const userId = await verifyToken(header.slice('Bearer '.length).trim());
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Unauthorized',
+                    message: 'Invalid or expired token',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            req.auth = { userId };
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    // Middleware: any signed-in user may continue
+    const requireAuth = (req, res, next) => {
+        if (!req.auth) {
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'Authentication required',
+                timestamp: new Date().toISOString()
+            });
+        }
+        next();
+    };
+
+    // Middleware: only the owner of the :userid in the route may continue
+    const requireOwner = (param = 'userid') => {
+        const middleware = (req, res, next) => requireAuth(req, res, () => {
+            if (req.auth.userId !== String(req.params[param]).toLowerCase()) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Forbidden',
+                    message: 'You can only modify your own data',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            next();
+        });
+        middleware.access = 'owner';
+        return middleware;
+    };
+
+    // Read by the API description (lib/openapi.js) to mark routes that need a token
+    requireAuth.access = 'user';
+
+    return { issueToken, verifyToken, authenticate, requireAuth, requireOwner };
+};
+
+module.exports = { hashPassword, verifyPassword, createAuth };
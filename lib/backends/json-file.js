@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON file backend: the whole dataset lives in a single file keyed by user ID (the data.json shape)
+const createJsonFileBackend = ({ file }) => {
+    let watcher = null;
+
+    return {
+        name: 'json',
+
+        async load() {
+            const rawData = await fs.promises.readFile(file, 'utf8');
+            return JSON.parse(rawData);
+        },
+
+        // Write to a temp file first, then rename over the original so readers never see a partial file
+        async persist(userData) {
+            const tempFile = `${file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempFile, JSON.stringify(userData, null, 2) + '\n', 'utf8');
+            await fs.promises.rename(tempFile, file);
+        },
+
+        async modifiedAt() {
+            return (await fs.promises.stat(file)).mtime;
+        },
+
+        // Watch the containing directory, since an atomic rename replaces the file being watched
+        watch(onChange) {
+            if (watcher) return;
+            try {
+                watcher = fs.watch(path.dirname(file), { persistent: false }, (eventType, filename) => {
+                    if (filename === path.basename(file)) onChange();
+                });
+                watcher.on('error', () => {
+                    watcher = null;
+                });
+            } catch (error) {
+                console.warn(`File watching unavailable for ${file}: ${error.message}`);
+            }
+        },
+
+        close() {
+            if (watcher) watcher.close();
+            watcher = null;
+        }
+    };
+};
+
+module.exports = { createJsonFileBackend };
@@ -0,0 +1,94 @@
+const fs = require('fs');
+
+// Open a database with better-sqlite3 when installed, otherwise Node's built-in node:sqlite (Node 22.5+)
+const openDatabase = (file) => {
+    try {
+        const Database = require('better-sqlite3');
+        return new Database(file);
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    }
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return new DatabaseSync(file);
+    } catch (error) {
+        if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE' && error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error(`STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3) or Node.js 22.5 or later for node:sqlite; this is Node.js ${process.versions.node}`);
+    }
+};
+
+// SQLite backend: one row per user holding the user document (certificates included) as JSON
+const createSqliteBackend = ({ file, seedFile }) => {
+    const db = openDatabase(file);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            id TEXT PRIMARY KEY,
+            position INTEGER NOT NULL,
+            data TEXT NOT NULL
+        )
+    `);
+
+    const selectAll = db.prepare('SELECT id, data FROM users ORDER BY position, id');
+    const countUsers = db.prepare('SELECT COUNT(*) AS count FROM users');
+    const upsertUser = db.prepare(`
+        INSERT INTO users (id, position, data) VALUES (?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET position = excluded.position, data = excluded.data
+    `);
+    const deleteUser = db.prepare('DELETE FROM users WHERE id = ?');
+
+    const inTransaction = (work) => {
+        db.exec('BEGIN');
+        try {
+            work();
+            db.exec('COMMIT');
+        } catch (error) {
+            db.exec('ROLLBACK');
+            throw error;
+        }
+    };
+
+    // First run: import the existing JSON dataset so both backends start from the same data
+    if (countUsers.get().count === 0 && seedFile && fs.existsSync(seedFile)) {
+        const seed = JSON.parse(fs.readFileSync(seedFile, 'utf8'));
+        inTransaction(() => {
+            Object.entries(seed).forEach(([id, user], position) => {
+                upsertUser.run(id, position, JSON.stringify(user));
+            });
+        });
+        console.log(`Seeded SQLite store ${file} from ${seedFile}`);
+    }
+
+    return {
+        name: 'sqlite',
+
+        async load() {
+            return selectAll.all().reduce((acc, row) => {
+                acc[row.id] = JSON.parse(row.data);
+                return acc;
+            }, {});
+        },
+
+        // Only rows for users that changed are rewritten
+        async persist(userData, { changed, removed }) {
+            const ids = Object.keys(userData);
+            inTransaction(() => {
+                changed.forEach(id => upsertUser.run(id, ids.indexOf(id), JSON.stringify(userData[id])));
+                removed.forEach(id => deleteUser.run(id));
+            });
+        },
+
+        async modifiedAt() {
+            return (await fs.promises.stat(file)).mtime;
+        },
+
+        // This process is the only writer, so there is nothing external to watch
+        watch() {},
+
+        close() {
+            db.close();
+        }
+    };
+};
+
+module.exports = { createSqliteBackend };
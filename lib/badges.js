@@ -0,0 +1,95 @@
+const { escapeXml, wrapText, platformColor } = require('./svg');
+
+// SVG badges for READMEs and personal sites. "flat" badges follow the familiar two-part
+// label/message layout; the "card" style is a larger image with the certificate details.
+
+const STATUS_COLORS = {
+    verified: '#16a34a',
+    pending: '#ca8a04',
+    expired: '#9ca3af',
+    missing: '#9ca3af'
+};
+
+// Approximate rendered width of 11px Verdana, close enough to size badge segments
+const textWidth = (text) => [...String(text)].reduce((width, char) => {
+    if (/[iljI.,:;'|!]/.test(char)) return width + 3.5;
+    if (/[mwMW@]/.test(char)) return width + 10;
+    if (/[A-Z]/.test(char)) return width + 7.5;
+    return width + 6.5;
+}, 0);
+
+const truncate = (text, maxChars) => (String(text).length > maxChars ? `${String(text).slice(0, maxChars - 1)}…` : String(text));
+
+// Two-part badge: grey label on the left, coloured message on the right
+const flatBadge = ({ label, message, color }) => {
+    const labelWidth = Math.round(textWidth(label) + 12);
+    const messageWidth = Math.round(textWidth(message) + 12);
+    const width = labelWidth + messageWidth;
+    const title = `${label}: ${message}`;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${escapeXml(title)}">
+  <title>${escapeXml(title)}</title>
+  <linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="#555"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana, Geneva, DejaVu Sans, sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(label)}</text>
+    <text x="${labelWidth / 2}" y="14">${escapeXml(label)}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(message)}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="14">${escapeXml(message)}</text>
+  </g>
+</svg>
+`;
+};
+
+const certificateStatus = (cert) => {
+    if (cert.expiryDate && new Date(cert.expiryDate) < new Date()) return 'expired';
+    return cert.verificationStatus === 'Verified' ? 'verified' : 'pending';
+};
+
+const cardBadge = (cert) => {
+    const status = certificateStatus(cert);
+    const title = wrapText(cert.courseName, 34, 2);
+    const details = [cert.institution, cert.completionDate].filter(Boolean).join(' • ');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="360" height="110" viewBox="0 0 360 110" role="img" aria-label="${escapeXml(`${cert.courseName} (${status})`)}">
+  <title>${escapeXml(`${cert.courseName} — ${cert.platform} (${status})`)}</title>
+  <rect width="360" height="110" rx="10" fill="#ffffff" stroke="#e5e7eb"/>
+  <rect width="8" height="110" rx="4" fill="${platformColor(cert.platform)}"/>
+  <text x="22" y="26" fill="#6b7280" font-family="Helvetica, Arial, sans-serif" font-size="11" letter-spacing="1">${escapeXml(String(cert.platform).toUpperCase())}</text>
+  ${title.map((line, index) => `<text x="22" y="${50 + index * 19}" fill="#111827" font-family="Helvetica, Arial, sans-serif" font-size="15" font-weight="bold">${escapeXml(line)}</text>`).join('\n  ')}
+  <text x="22" y="96" fill="#6b7280" font-family="Helvetica, Arial, sans-serif" font-size="11">${escapeXml(details)}</text>
+  <rect x="270" y="12" width="78" height="20" rx="10" fill="${STATUS_COLORS[status]}"/>
+  <text x="309" y="26" fill="#ffffff" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="11" font-weight="bold">${status === 'verified' ? '✓ verified' : status}</text>
+</svg>
+`;
+};
+
+const renderCertificateBadge = (cert, { style = 'flat' } = {}) => {
+    if (style === 'card') return cardBadge(cert);
+    const status = certificateStatus(cert);
+    return flatBadge({
+        label: truncate(cert.platform || 'certificate', 24),
+        message: `${truncate(cert.courseName, 48)}${status === 'verified' ? ' ✓' : status === 'expired' ? ' (expired)' : ''}`,
+        color: status === 'verified' ? platformColor(cert.platform) : STATUS_COLORS[status]
+    });
+};
+
+// Totals for a profile, e.g. "certificates | 6 · 485 hours"
+const renderSummaryBadge = ({ totalCertificates, totalHours, verified }, { label = 'certificates' } = {}) => flatBadge({
+    label,
+    message: `${totalCertificates}${verified ? ` (${verified} verified)` : ''} · ${totalHours.toLocaleString('en-US')} hours`,
+    color: '#2563eb'
+});
+
+// Shown in place of an image that cannot be rendered, so embeds degrade visibly rather than break
+const renderMissingBadge = (message = 'not found') => flatBadge({ label: 'certificate', message, color: STATUS_COLORS.missing });
+
+module.exports = {
+    BADGE_STYLES: ['flat', 'card'],
+    renderCertificateBadge,
+    renderSummaryBadge,
+    renderMissingBadge
+};
@@ -0,0 +1,37 @@
+const { metaContent, pageText, titleText } = require('./html');
+
+// Coursera: accomplishment verification pages and CSV exports of completed courses
+module.exports = {
+    id: 'coursera',
+    name: 'Coursera',
+    platform: 'Coursera',
+    verifyUrlPattern: /^https:\/\/(www\.)?coursera\.org\/(account\/accomplishments\/(verify|specialization|professional-cert)|verify)\/[\w-]+/i,
+    exportColumns: {
+        courseName: ['Course Name', 'Course', 'Course Title', 'Specialization'],
+        institution: ['Institution', 'University', 'Partner', 'Offered By'],
+        completionDate: ['Completion Date', 'Date Completed', 'Completed', 'Issued On'],
+        certificateUrl: ['Certificate URL', 'Verify URL', 'Verification URL', 'URL'],
+        externalId: ['Certificate ID', 'Verification Code', 'Credential ID'],
+        grade: ['Grade', 'Final Grade', 'Grade Achieved'],
+        hours: ['Hours', 'Estimated Hours']
+    },
+
+    // "Completed by <name> <Month D, YYYY>" ... "<name> has successfully completed <course> an online
+    //  non-credit course authorized by <institution> and offered through Coursera" ... "Grade Achieved: 98%"
+    parseVerifyPage(html, url) {
+        const text = pageText(html);
+        const title = metaContent(html, 'og:title') || titleText(html) || '';
+
+        return {
+            holderName: text.match(/Completed by (.+?) [A-Z][a-z]{2,8} \d{1,2}, \d{4}/)?.[1],
+            courseName: text.match(/has successfully completed (.+?) an online (?:non-credit )?(?:course|specialization|program)/i)?.[1]
+                || title.replace(/^(Completion|Course|Specialization) Certificate for /i, '').replace(/\s*\|\s*Coursera\s*$/i, ''),
+            institution: text.match(/authorized by (.+?) and offered through Coursera/i)?.[1],
+            completionDate: text.match(/\b([A-Z][a-z]{2,8} \d{1,2}, \d{4})\b/)?.[1],
+            grade: text.match(/Grade Achieved:?\s*([\d.]+%)/i)?.[1],
+            hours: text.match(/(?:approximately|approx\.?)\s*(\d+(?:\.\d+)?) hours?/i)?.[1],
+            certificateUrl: url,
+            externalId: url && url.replace(/\/+$/, '').split('/').pop()
+        };
+    }
+};
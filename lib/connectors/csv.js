@@ -0,0 +1,70 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and newlines inside quotes.
+// Returns an array of rows, each an array of strings.
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV with a header row into objects keyed by the (trimmed) header names
+const parseCsv = (text) => {
+    const [header = [], ...rows] = parseCsvRows(text);
+    const columns = header.map(name => name.trim());
+    return {
+        columns,
+        records: rows.map(cells => columns.reduce((acc, column, index) => {
+            acc[column] = (cells[index] || '').trim();
+            return acc;
+        }, {}))
+    };
+};
+
+// Quote a value for CSV output
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+module.exports = { parseCsvRows, parseCsv, escapeCsv };
@@ -0,0 +1,36 @@
+const { metaContent, pageText, titleText } = require('./html');
+
+// edX: certificate pages on courses.edx.org / credentials.edx.org and learner record CSV downloads
+module.exports = {
+    id: 'edx',
+    name: 'edX',
+    platform: 'edX',
+    verifyUrlPattern: /^https:\/\/(courses|credentials)\.edx\.org\/(certificates|credentials|records)\/[\w-]+/i,
+    exportColumns: {
+        courseName: ['name', 'Course Name', 'Course Title', 'Course'],
+        institution: ['school', 'School', 'Institution', 'Organization'],
+        completionDate: ['issue_date', 'Issue Date', 'Date Earned', 'Completion Date'],
+        certificateUrl: ['certificate_url', 'Certificate URL', 'URL'],
+        externalId: ['course_id', 'Course ID', 'Certificate ID'],
+        grade: ['letter_grade', 'percent_grade', 'Grade', 'Highest Grade Earned'],
+        hours: ['Hours']
+    },
+
+    // "This is to certify that <name> successfully completed and received a passing grade in
+    //  <COURSE-ID>: <course> a course of study offered by <institution>, an online learning initiative of ..."
+    parseVerifyPage(html, url) {
+        const text = pageText(html);
+        const title = metaContent(html, 'og:title') || titleText(html) || '';
+        const passing = text.match(/passing grade in (?:([\w.+-]+x?):\s*)?(.+?) a course of study offered by (.+?)(?:,| through| an online)/i);
+
+        return {
+            holderName: text.match(/certify that (.+?) successfully completed/i)?.[1],
+            courseName: passing?.[2] || title.replace(/\s*\|\s*edX\s*$/i, '').replace(/^Verified Certificate(?: for)?\s*/i, ''),
+            institution: passing?.[3],
+            completionDate: text.match(/Issued\s+([A-Z][a-z]{2,8} \d{1,2}, \d{4})/i)?.[1]
+                || text.match(/\b([A-Z][a-z]{2,8} \d{1,2}, \d{4})\b/)?.[1],
+            certificateUrl: url,
+            externalId: passing?.[1] || (url && url.replace(/\/+$/, '').split('/').pop())
+        };
+    }
+};
@@ -0,0 +1,54 @@
+// Lightweight helpers for reading public certificate verification pages without a DOM
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+const decodeEntities = (text) => String(text)
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&([a-z0-9#]+);/gi, (match, name) => ENTITIES[name.toLowerCase()] ?? match);
+
+// Visible text of a page: scripts/styles removed, tags stripped, whitespace collapsed
+const pageText = (html) => decodeEntities(String(html)
+    .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// <meta property="og:title" content="..."> / <meta name="description" content="...">
+const metaContent = (html, key) => {
+    const tags = String(html).match(/<meta\b[^>]*>/gi) || [];
+    for (const tag of tags) {
+        const name = tag.match(/\b(?:property|name|itemprop)\s*=\s*["']([^"']+)["']/i);
+        const content = tag.match(/\bcontent\s*=\s*("([^"]*)"|'([^']*)')/i);
+        if (name && content && name[1].toLowerCase() === key.toLowerCase()) {
+            return decodeEntities(content[2] ?? content[3]).trim();
+        }
+    }
+    return undefined;
+};
+
+const titleText = (html) => {
+    const match = String(html).match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    return match ? decodeEntities(match[1]).replace(/\s+/g, ' ').trim() : undefined;
+};
+
+// All parseable <script type="application/ld+json"> blocks, flattened (including @graph entries)
+const jsonLdBlocks = (html) => {
+    const blocks = [];
+    const pattern = /<script[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+    let match;
+    while ((match = pattern.exec(String(html))) !== null) {
+        try {
+            const parsed = JSON.parse(match[1]);
+            [].concat(parsed).forEach(block => {
+                blocks.push(block);
+                if (Array.isArray(block['@graph'])) blocks.push(...block['@graph']);
+            });
+        } catch (error) {
+            // Ignore malformed blocks; pages often embed templated JSON
+        }
+    }
+    return blocks;
+};
+
+module.exports = { decodeEntities, pageText, metaContent, titleText, jsonLdBlocks };
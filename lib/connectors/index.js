@@ -0,0 +1,197 @@
+const { parseCsv } = require('./csv');
+const { isCalendarDate } = require('../schema');
+
+// Platform adapters. Each one knows how to read that platform's certificate export (CSV column
+// aliases in exportColumns) and its public verification page (parseVerifyPage, which also reports
+// the holderName printed on it). Parsing is pure, so adapters can be exercised against saved
+// exports/pages without network access (test/fixtures/connectors).
+const ADAPTERS = [
+    require('./coursera'),
+    require('./edx'),
+    require('./udemy'),
+    require('./linkedin-learning')
+];
+
+const getAdapter = (id) => ADAPTERS.find(adapter => adapter.id === String(id).toLowerCase()) || null;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Date text in any of the formats toIsoDate accepts, as YYYY-MM-DD
+const readDate = (value) => {
+    if (!value) return undefined;
+    const text = String(value).trim();
+
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+    const pad = (num) => String(num).padStart(2, '0');
+    const monthFirst = text.match(/^([A-Za-z]{3,9})\.? (\d{1,2}),? (\d{4})/);
+    const dayFirst = text.match(/^(\d{1,2}) ([A-Za-z]{3,9}),? (\d{4})/);
+    const slashed = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+
+    if (monthFirst || dayFirst) {
+        const [monthName, day, year] = monthFirst
+            ? [monthFirst[1], monthFirst[2], monthFirst[3]]
+            : [dayFirst[2], dayFirst[1], dayFirst[3]];
+        const month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+        if (month !== -1) return `${year}-${pad(month + 1)}-${pad(day)}`;
+    }
+    if (slashed) return `${slashed[3]}-${pad(slashed[1])}-${pad(slashed[2])}`;
+    return undefined;
+};
+
+// Accepts YYYY-MM-DD[...], "Jan 15, 2024", "15 January 2024" and MM/DD/YYYY; returns YYYY-MM-DD,
+// or undefined when the text is not a date or names one that does not exist (Feb 30, 2024)
+const toIsoDate = (value) => {
+    const date = readDate(value);
+    return isCalendarDate(date) ? date : undefined;
+};
+
+const toNumber = (value) => {
+    const num = parseFloat(String(value ?? '').replace(/[^\d.]/g, ''));
+    return isNaN(num) ? undefined : num;
+};
+
+// Map raw adapter output onto the certificate schema
+const normalizeRecord = (adapter, raw, { verified = false } = {}) => {
+    const completionDate = toIsoDate(raw.completionDate);
+    const record = {
+        courseName: raw.courseName && raw.courseName.trim(),
+        platform: adapter.platform,
+        institution: (raw.institution && raw.institution.trim()) || adapter.defaultInstitution || adapter.platform,
+        category: raw.category || 'General',
+        completionDate,
+        issueDate: completionDate,
+        expiryDate: null,
+        certificateUrl: raw.certificateUrl || undefined,
+        verificationStatus: verified ? 'Verified' : 'Pending',
+        hours: toNumber(raw.hours) ?? 0,
+        grade: raw.grade || undefined,
+        instructor: raw.instructor || undefined,
+        description: raw.description || '',
+        skills: []
+    };
+    Object.keys(record).forEach(key => record[key] === undefined && delete record[key]);
+
+    return {
+        record,
+        source: {
+            format: 'connector',
+            connector: adapter.id,
+            externalId: raw.externalId || raw.certificateUrl || `${record.courseName}|${completionDate}`,
+            // The name the page was matched against, so a later change of name can be checked
+            ...(verified ? { holderName: raw.holderName } : {})
+        }
+    };
+};
+
+// Rows of an export file, mapped through the adapter's column aliases
+const parseExport = (adapter, csvText) => {
+    const { records } = parseCsv(csvText);
+    return records
+        .filter(row => (adapter.includeRow ? adapter.includeRow(row) : true))
+        .map(row => Object.entries(adapter.exportColumns).reduce((acc, [field, aliases]) => {
+            const column = aliases.find(alias => row[alias] !== undefined && row[alias] !== '');
+            if (column) acc[field] = row[column];
+            return acc;
+        }, {}))
+        .filter(raw => raw.courseName && raw.completionDate);
+};
+
+const MAX_REDIRECTS = 3;
+
+// Fetch a verification page; only URLs on the adapter's own domain are ever requested. Redirects are
+// followed by hand so that every hop is held to the same rule.
+const fetchVerifyPage = async (adapter, url) => {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+        if (!adapter.verifyUrlPattern.test(current)) {
+            throw new Error(current === url ? `Not a ${adapter.name} certificate URL` : `${adapter.name} redirected to ${current}, which is not a certificate URL`);
+        }
+        const response = await fetch(current, {
+            redirect: 'manual',
+            signal: AbortSignal.timeout(10000),
+            headers: { 'user-agent': 'Micro-Credentials-Aggregator/1.0 (+certificate verification)' }
+        });
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+            if (redirects === MAX_REDIRECTS) throw new Error(`${adapter.name} redirected too many times`);
+            current = new URL(location, current).href;
+            continue;
+        }
+        if (!response.ok) {
+            throw new Error(`${adapter.name} returned HTTP ${response.status}`);
+        }
+        return response.text();
+    }
+};
+
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Gather normalized records from any mix of inputs:
+//   csv         - contents of the platform's export file
+//   html + url  - a saved verification page
+//   verifyUrls  - verification pages to fetch
+// Problems with individual inputs are collected in errors rather than aborting the sync. holderName
+// is the name of the user syncing: a fetched page only verifies a certificate made out to them.
+const collectRecords = async (adapter, { csv, html, url, verifyUrls = [] }, { fetchPage = fetchVerifyPage, holderName } = {}) => {
+    const results = [];
+    const errors = [];
+
+    if (csv) {
+        try {
+            parseExport(adapter, csv).forEach(raw => results.push(normalizeRecord(adapter, raw)));
+        } catch (error) {
+            errors.push({ source: 'csv', message: error.message });
+        }
+    }
+
+    const pages = html ? [{ url, html, fetched: false }] : [];
+    for (const pageUrl of verifyUrls) {
+        try {
+            pages.push({ url: pageUrl, html: await fetchPage(adapter, pageUrl), fetched: true });
+        } catch (error) {
+            errors.push({ source: pageUrl, message: error.message });
+        }
+    }
+
+    pages.forEach(page => {
+        const raw = adapter.parseVerifyPage(page.html, page.url);
+        if (!raw.courseName || !raw.completionDate) {
+            errors.push({ source: page.url || 'html', message: 'Could not find course name and completion date on page' });
+            return;
+        }
+        // A page fetched from the platform itself confirms the certificate, provided it names the
+        // holder; uploaded HTML does not
+        const holderMatches = Boolean(raw.holderName) && normalizeName(raw.holderName) === normalizeName(holderName);
+        results.push(normalizeRecord(adapter, raw, { verified: page.fetched && holderMatches }));
+    });
+
+    return { results, errors };
+};
+
+// True when `cert` was verified by a platform page made out to a name other than `name`: a user who
+// changes their name no longer matches the pages that verified their certificates
+const verifiedForOtherName = (cert, name) => [cert.source, ...(cert.sources || [])].some(source =>
+    source?.format === 'connector' && source.holderName && normalizeName(source.holderName) !== normalizeName(name));
+
+// Is this record already in the user's list? Matches the connector's external ID (including those of
+// records merged into a certificate), the certificate URL, or the same course on the same platform
+// completed on the same day.
+const findExisting = (certificates, { record, source }) => certificates.find(cert =>
+    [cert.source, ...(cert.sources || [])].some(known => known?.connector === source.connector && known?.externalId === source.externalId) ||
+    (record.certificateUrl && cert.certificateUrl === record.certificateUrl) ||
+    (cert.platform === record.platform &&
+        normalizeName(cert.courseName) === normalizeName(record.courseName) &&
+        cert.completionDate === record.completionDate)
+);
+
+module.exports = {
+    ADAPTERS,
+    getAdapter,
+    toIsoDate,
+    parseExport,
+    collectRecords,
+    findExisting,
+    verifiedForOtherName
+};
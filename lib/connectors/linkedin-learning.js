@@ -0,0 +1,45 @@
+const { metaContent, pageText, titleText } = require('./html');
+
+// LinkedIn Learning: certificate pages and the Learning.csv file from LinkedIn's data export
+module.exports = {
+    id: 'linkedin-learning',
+    name: 'LinkedIn Learning',
+    platform: 'LinkedIn Learning',
+    defaultInstitution: 'LinkedIn',
+    verifyUrlPattern: /^https:\/\/(www\.)?linkedin\.com\/learning\/certificates\/[\w-]+/i,
+    exportColumns: {
+        courseName: ['Content Title', 'Course Title', 'Course Name'],
+        description: ['Content Description'],
+        completionDate: ['Content Completed At (if completed)', 'Completed At', 'Completion Date'],
+        certificateUrl: ['Certificate URL', 'URL'],
+        externalId: ['Certificate ID'],
+        hours: ['Hours']
+    },
+
+    // Learning.csv lists every video and course touched; only completed courses are certificates
+    includeRow(row) {
+        const type = row['Content Type'];
+        return !type || /course/i.test(type);
+    },
+
+    // "Certificate of Completion" ... "Congratulations, <name>!" ... "<course>" ... "Course completed on
+    // <Month D, YYYY>" ... "<H>h <M>m"
+    parseVerifyPage(html, url) {
+        const text = pageText(html);
+        const title = metaContent(html, 'og:title') || titleText(html) || '';
+        const duration = text.match(/(?:(\d+)\s*h(?:ours?)?\s*)?(\d+)\s*m(?:in(?:utes?)?)?\b/i);
+
+        return {
+            holderName: text.match(/Congratulations,? (.+?)!/i)?.[1],
+            courseName: title
+                .replace(/^Certificate of Completion\s*[-|:]\s*/i, '')
+                .replace(/\s*[-|]\s*LinkedIn Learning.*$/i, '')
+                .replace(/\s*\|\s*LinkedIn\s*$/i, ''),
+            completionDate: text.match(/completed on\s+([A-Z][a-z]{2,8} \d{1,2}, \d{4})/i)?.[1]
+                || text.match(/\b([A-Z][a-z]{2,8} \d{1,2}, \d{4})\b/)?.[1],
+            hours: duration ? (parseInt(duration[1] || '0', 10) + parseInt(duration[2], 10) / 60).toFixed(1) : undefined,
+            certificateUrl: url,
+            externalId: url && url.replace(/\/+$/, '').split('/').pop()
+        };
+    }
+};
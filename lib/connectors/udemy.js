@@ -0,0 +1,37 @@
+const { metaContent, pageText, titleText } = require('./html');
+
+// Udemy: certificate of completion pages (udemy.com/certificate/UC-...) and course completion CSV exports
+module.exports = {
+    id: 'udemy',
+    name: 'Udemy',
+    platform: 'Udemy',
+    defaultInstitution: 'Udemy',
+    verifyUrlPattern: /^https:\/\/(www\.udemy\.com\/certificate|ude\.my)\/UC-[\w-]+/i,
+    exportColumns: {
+        courseName: ['Course Title', 'Course Name', 'Course'],
+        institution: ['Institution'],
+        completionDate: ['Course Completion Date', 'Completion Date', 'Completed Date', 'Date'],
+        certificateUrl: ['Certificate URL', 'Certificate Link', 'URL'],
+        externalId: ['Certificate ID', 'Certificate Number'],
+        hours: ['Course Duration (hours)', 'Total Hours', 'Hours', 'Length'],
+        instructor: ['Instructor', 'Instructors', 'Course Instructor']
+    },
+
+    // "Certificate of Completion <course> Instructors <names> <learner> Date <Month D, YYYY> Length <N> total hours"
+    // ... "This certificate above verifies that <learner> successfully completed the course ..."
+    parseVerifyPage(html, url) {
+        const text = pageText(html);
+        const title = metaContent(html, 'og:title') || titleText(html) || '';
+
+        return {
+            holderName: text.match(/verifies that (.+?) successfully completed/i)?.[1],
+            courseName: text.match(/Certificate of Completion (.+?) Instructors? /i)?.[1]
+                || title.replace(/^Certificate of Completion\s*[|:-]?\s*/i, '').replace(/\s*\|\s*Udemy\s*$/i, ''),
+            instructor: text.match(/Instructors? (.+?) (?:\S+ \S+ )?Date /i)?.[1],
+            completionDate: text.match(/Date\s+([A-Z][a-z]{2,8}\.? \d{1,2}, \d{4})/i)?.[1],
+            hours: text.match(/Length\s+(\d+(?:\.\d+)?) total hours?/i)?.[1],
+            certificateUrl: url,
+            externalId: url && url.match(/UC-[\w-]+/i)?.[0]
+        };
+    }
+};
@@ -0,0 +1,166 @@
+// Duplicate certificates: the same course claimed from two sources, e.g. once from Coursera and
+// again through a LinkedIn import. Pairs are compared on credential ID, certificate URL, normalized
+// course name, institution and completion date; suspected pairs are grouped so three copies of one
+// course show up as one group. Merging keeps one record and folds the others' evidence into it.
+
+const SUSPECT_SCORE = 0.75;
+const DATE_TOLERANCE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words that differ between platforms' spellings of the same course
+const NOISE_WORDS = new Set(['the', 'a', 'an', 'of', 'and', 'for', 'in', 'to', 'with', 'certificate', 'certification', 'course', 'program', 'professional']);
+
+const normalizeText = (value) => String(value || '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, ' ').trim();
+
+const nameTokens = (name) => new Set(normalizeText(name).split(' ').filter(word => word && !NOISE_WORDS.has(word)));
+
+// Share of words the two names have in common (Jaccard)
+const nameSimilarity = (a, b) => {
+    const left = nameTokens(a);
+    const right = nameTokens(b);
+    if (left.size === 0 || right.size === 0) return 0;
+    const shared = [...left].filter(word => right.has(word)).length;
+    return shared / (left.size + right.size - shared);
+};
+
+const credentialIds = (cert) => [cert.credentialId, cert.source?.credentialId, ...(cert.sources || []).map(source => source.credentialId)]
+    .filter(Boolean);
+
+const evidenceUrls = (cert) => [cert.certificateUrl, ...(cert.evidenceUrls || [])].filter(Boolean);
+
+// Score a pair from 0 to 1 with the reasons behind it. A shared credential ID or certificate URL is
+// conclusive; otherwise the names must be close and institution and date add confidence.
+const comparePair = (a, b) => {
+    const sharedCredential = credentialIds(a).some(id => credentialIds(b).includes(id));
+    const sharedUrl = evidenceUrls(a).some(url => evidenceUrls(b).includes(url));
+    if (sharedCredential || sharedUrl) {
+        return { score: 1, reasons: [...(sharedCredential ? ['credentialId'] : []), ...(sharedUrl ? ['certificateUrl'] : [])] };
+    }
+
+    const similarity = nameSimilarity(a.courseName, b.courseName);
+    if (similarity < 0.6) return { score: 0, reasons: [] };
+
+    const sameInstitution = Boolean(a.institution) && normalizeText(a.institution) === normalizeText(b.institution);
+    const daysApart = Math.abs(new Date(a.completionDate) - new Date(b.completionDate)) / DAY_MS;
+    const dateCloseness = isNaN(daysApart) ? 0 : Math.max(0, 1 - daysApart / DATE_TOLERANCE_DAYS);
+
+    const reasons = ['courseName'];
+    if (sameInstitution) reasons.push('institution');
+    if (dateCloseness > 0) reasons.push('completionDate');
+
+    return {
+        score: Math.round((similarity * 0.5 + (sameInstitution ? 0.2 : 0) + dateCloseness * 0.3) * 100) / 100,
+        reasons
+    };
+};
+
+const pairKey = (idA, idB) => [idA, idB].sort().join('|');
+
+// Suspected duplicate groups among a user's certificates. Pairs listed in `dismissed` (pair keys
+// the owner marked as distinct) are ignored.
+const findDuplicates = (certificates, { dismissed = [] } = {}) => {
+    const ignored = new Set(dismissed);
+    const pairs = [];
+    certificates.forEach((a, i) => certificates.slice(i + 1).forEach(b => {
+        if (ignored.has(pairKey(a.id, b.id))) return;
+        const { score, reasons } = comparePair(a, b);
+        if (score >= SUSPECT_SCORE) pairs.push({ a: a.id, b: b.id, score, reasons });
+    }));
+
+    // Union the pairs into groups
+    const parent = new Map();
+    const find = (id) => {
+        while (parent.get(id) !== id) id = parent.get(id);
+        return id;
+    };
+    pairs.forEach(({ a, b }) => {
+        [a, b].forEach(id => parent.has(id) || parent.set(id, id));
+        parent.set(find(a), find(b));
+    });
+
+    const groups = new Map();
+    pairs.forEach(pair => {
+        const root = find(pair.a);
+        if (!groups.has(root)) groups.set(root, { ids: new Set(), pairs: [] });
+        const group = groups.get(root);
+        group.ids.add(pair.a);
+        group.ids.add(pair.b);
+        group.pairs.push(pair);
+    });
+
+    return [...groups.values()]
+        .map(group => {
+            const members = certificates.filter(cert => group.ids.has(cert.id));
+            return {
+                certificateIds: members.map(cert => cert.id),
+                score: Math.max(...group.pairs.map(pair => pair.score)),
+                confidence: group.pairs.some(pair => pair.score >= 0.9) ? 'high' : 'medium',
+                reasons: [...new Set(group.pairs.flatMap(pair => pair.reasons))],
+                suggestedPrimaryId: choosePrimary(members).id,
+                pairs: group.pairs
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+};
+
+// The record to keep: one with an uploaded file, then a verified one, then the most complete
+const choosePrimary = (certificates) => certificates.slice().sort((a, b) =>
+    Number(Boolean(b.file)) - Number(Boolean(a.file)) ||
+    Number(b.verificationStatus === 'Verified') - Number(a.verificationStatus === 'Verified') ||
+    Object.keys(b).length - Object.keys(a).length)[0];
+
+const unique = (values) => [...new Set(values.filter(value => value !== undefined && value !== null && value !== ''))];
+
+const sourceOf = (cert) => ({
+    certificateId: cert.id,
+    platform: cert.platform,
+    ...(cert.certificateUrl ? { certificateUrl: cert.certificateUrl } : {}),
+    ...(cert.credentialId ? { credentialId: cert.credentialId } : {}),
+    ...(cert.source || {})
+});
+
+// Fold `others` into `primary`. The primary's values win; empty fields are filled from the others,
+// list fields are combined, and every record's URL and source is kept. `claims` are the fields a
+// verification attests to: the result is Verified only if a verified record makes the same claims.
+// Returns the merged record.
+const mergeCertificates = (primary, others, { normalizeSkills, claims = [], now = new Date() }) => {
+    const all = [primary, ...others];
+    const merged = { ...primary };
+
+    others.forEach(other => Object.entries(other).forEach(([field, value]) => {
+        if (merged[field] === undefined || merged[field] === null || merged[field] === '') merged[field] = value;
+    }));
+
+    merged.skills = normalizeSkills(all.flatMap(cert => cert.skills || []));
+    ['learningOutcomes', 'projects'].forEach(field => {
+        const values = unique(all.flatMap(cert => cert[field] || []));
+        if (values.length > 0) merged[field] = values;
+    });
+    const attests = (cert) => cert.verificationStatus === 'Verified' && claims.every(field => (cert[field] ?? null) === (merged[field] ?? null));
+    if (all.some(attests)) merged.verificationStatus = 'Verified';
+    else if (merged.verificationStatus === 'Verified') merged.verificationStatus = 'Pending';
+
+    merged.evidenceUrls = unique(all.flatMap(evidenceUrls));
+    merged.sources = [
+        ...(primary.sources || [sourceOf(primary)]),
+        ...others.flatMap(other => other.sources || [sourceOf(other)])
+    ];
+    merged.mergedFrom = unique([...(primary.mergedFrom || []), ...others.flatMap(other => [other.id, ...(other.mergedFrom || [])])]);
+    merged.mergedAt = now.toISOString();
+
+    // Keep the primary's own identity and file
+    merged.id = primary.id;
+    merged.file = primary.file;
+    if (merged.file === undefined) delete merged.file;
+
+    return merged;
+};
+
+module.exports = {
+    SUSPECT_SCORE,
+    pairKey,
+    comparePair,
+    findDuplicates,
+    choosePrimary,
+    mergeCertificates
+};
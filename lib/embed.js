@@ -0,0 +1,84 @@
+const { escapeHtml, safeUrl, formatDate } = require('./portfolio');
+const { platformColor } = require('./svg');
+
+// Embeddable widgets: a compact certificate grid for iframes (the profile page's grid without the
+// surrounding page) and oEmbed responses that point consumers at it.
+
+const EMBED_THEMES = {
+    light: { background: '#ffffff', card: '#ffffff', border: '#e5e7eb', text: '#111827', muted: '#6b7280', tag: '#eff6ff', tagText: '#1e40af' },
+    dark: { background: '#111827', card: '#1f2937', border: '#374151', text: '#f9fafb', muted: '#9ca3af', tag: '#1e3a8a', tagText: '#dbeafe' }
+};
+
+const DEFAULT_EMBED_SIZE = { width: 640, height: 480 };
+
+const renderEmbedHtml = ({ user, certificates, profileUrl, theme = 'light', totals }) => {
+    const colors = EMBED_THEMES[theme] || EMBED_THEMES.light;
+    const cards = certificates.map(cert => `
+        <a class="card" href="${escapeHtml(safeUrl(cert.verifyUrl) || '#')}" target="_blank" rel="noopener">
+            <div class="platform" style="border-color: ${platformColor(cert.platform)}">${escapeHtml(cert.platform)}</div>
+            <div class="title">${escapeHtml(cert.courseName)}</div>
+            <div class="meta">${escapeHtml(cert.institution || cert.platform)} · ${escapeHtml(formatDate(cert.completionDate, { year: 'numeric', month: 'short' }))}</div>
+            <div class="status ${cert.verificationStatus === 'Verified' ? 'verified' : ''}">${cert.verificationStatus === 'Verified' ? '✓ Verified' : escapeHtml(cert.verificationStatus)}</div>
+            ${(cert.skills || []).length ? `<div class="skills">${cert.skills.slice(0, 3).map(skill => `<span>${escapeHtml(skill)}</span>`).join('')}</div>` : ''}
+        </a>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(user.name)} — Certificates</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<base target="_blank">
+<style>
+    * { box-sizing: border-box; }
+    body { margin: 0; padding: 12px; font-family: Helvetica, Arial, sans-serif; background: ${colors.background}; color: ${colors.text}; }
+    header { display: flex; justify-content: space-between; align-items: baseline; margin-bottom: 10px; }
+    header a { color: ${colors.text}; font-weight: bold; text-decoration: none; }
+    header span { color: ${colors.muted}; font-size: 12px; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 10px; }
+    .card { display: block; padding: 10px; border: 1px solid ${colors.border}; border-radius: 8px; background: ${colors.card}; color: inherit; text-decoration: none; }
+    .card:hover { border-color: ${colors.muted}; }
+    .platform { font-size: 10px; text-transform: uppercase; letter-spacing: 0.05em; color: ${colors.muted}; border-left: 3px solid; padding-left: 6px; }
+    .title { font-weight: bold; font-size: 14px; margin: 6px 0 4px; line-height: 1.3; }
+    .meta, .status { font-size: 12px; color: ${colors.muted}; }
+    .status.verified { color: #16a34a; }
+    .skills { margin-top: 6px; display: flex; flex-wrap: wrap; gap: 4px; }
+    .skills span { font-size: 11px; background: ${colors.tag}; color: ${colors.tagText}; border-radius: 999px; padding: 1px 7px; }
+    footer { margin-top: 10px; font-size: 11px; color: ${colors.muted}; }
+    footer a { color: inherit; }
+</style>
+</head>
+<body>
+    <header>
+        <a href="${escapeHtml(profileUrl)}">${escapeHtml(user.name)}</a>
+        <span>${totals.certificates} certificates · ${totals.hours.toLocaleString('en-US')} hours</span>
+    </header>
+    <div class="grid">${cards || `<p class="meta">No certificates to show.</p>`}
+    </div>
+    <footer>Verified with <a href="${escapeHtml(profileUrl)}">Micro-Credentials Aggregator</a></footer>
+</body>
+</html>
+`;
+};
+
+// oEmbed 1.0 "rich" response wrapping the iframe embed. maxwidth/maxheight shrink the frame.
+const oembedResponse = ({ user, embedUrl, profileUrl, thumbnailUrl, baseUrl, maxWidth, maxHeight }) => {
+    const width = Math.min(DEFAULT_EMBED_SIZE.width, maxWidth || Infinity);
+    const height = Math.min(DEFAULT_EMBED_SIZE.height, maxHeight || Infinity);
+    return {
+        version: '1.0',
+        type: 'rich',
+        title: `${user.name} — Certificate Portfolio`,
+        author_name: user.name,
+        author_url: profileUrl,
+        provider_name: 'Micro-Credentials Aggregator',
+        provider_url: baseUrl,
+        cache_age: 3600,
+        thumbnail_url: thumbnailUrl,
+        html: `<iframe src="${escapeHtml(embedUrl)}" width="${width}" height="${height}" style="border:0" loading="lazy" title="${escapeHtml(`${user.name} certificates`)}"></iframe>`,
+        width,
+        height
+    };
+};
+
+module.exports = { EMBED_THEMES, renderEmbedHtml, oembedResponse };
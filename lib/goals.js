@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { isCalendarDate } = require('./schema');
+
+// Learning goals set by a user, stored as user.goals[]. Progress is never stored: it is worked out
+// from the user's certificates whenever a goal is read.
+//   certificates - earn `target` certificates, e.g. 3 with skill "Cloud Computing" by 2026-06-30
+//   hours        - complete `target` learning hours, e.g. 200 between 2026-01-01 and 2026-12-31
+//   credits      - earn `target` credits
+//   path         - complete an ordered list of courses; each step names a course (and optionally
+//                  its platform) or an existing certificate
+// `filters` ({ skill, category, platform }) narrow the certificates that count; `startDate` and
+// `deadline` limit them to a completion window.
+
+const GOAL_TYPES = ['certificates', 'hours', 'credits', 'path'];
+const GOAL_VISIBILITY = ['public', 'private'];
+const FILTER_FIELDS = ['skill', 'category', 'platform'];
+const MAX_GOALS_PER_USER = 50;
+const MAX_PATH_STEPS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const validateStep = (step, index, user, errors) => {
+    const field = `steps[${index}]`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        errors.push({ field, message: `${field} must be an object with a courseName or certificateId` });
+        return null;
+    }
+    if (step.certificateId != null && !(user.certificates || []).some(cert => cert.id === step.certificateId)) {
+        errors.push({ field: `${field}.certificateId`, message: `Unknown certificate ID: ${step.certificateId}` });
+        return null;
+    }
+    if (step.certificateId == null && (typeof step.courseName !== 'string' || step.courseName.trim() === '')) {
+        errors.push({ field: `${field}.courseName`, message: 'Each step needs a courseName or a certificateId' });
+        return null;
+    }
+    if (step.platform != null && typeof step.platform !== 'string') {
+        errors.push({ field: `${field}.platform`, message: 'platform must be a string' });
+        return null;
+    }
+    const cert = (user.certificates || []).find(item => item.id === step.certificateId);
+    return {
+        title: typeof step.title === 'string' && step.title.trim() ? step.title.trim() : (cert ? cert.courseName : step.courseName.trim()),
+        courseName: cert ? cert.courseName : step.courseName.trim(),
+        platform: step.platform ? step.platform.trim() : (cert ? cert.platform : null),
+        certificateId: step.certificateId || null
+    };
+};
+
+// Check a create/update body. Updates are validated as the goal they would produce, so a PATCH may
+// change the type together with the fields that type needs. Returns { errors, goal }.
+const validateGoal = (body = {}, user, { existing = null } = {}) => {
+    const errors = [];
+    const candidate = { ...(existing || {}), ...body };
+    const goal = {};
+
+    if (typeof candidate.title !== 'string' || candidate.title.trim() === '' || candidate.title.length > 120) {
+        errors.push({ field: 'title', message: 'title must be a non-empty string of at most 120 characters' });
+    } else {
+        goal.title = candidate.title.trim();
+    }
+
+    if (!GOAL_TYPES.includes(candidate.type)) {
+        errors.push({ field: 'type', message: `type must be one of: ${GOAL_TYPES.join(', ')}` });
+    } else {
+        goal.type = candidate.type;
+    }
+
+    if (goal.type === 'path') {
+        if (!Array.isArray(candidate.steps) || candidate.steps.length === 0 || candidate.steps.length > MAX_PATH_STEPS) {
+            errors.push({ field: 'steps', message: `steps must be an array of 1 to ${MAX_PATH_STEPS} courses` });
+        } else {
+            goal.steps = candidate.steps.map((step, index) => validateStep(step, index, user, errors));
+        }
+        goal.target = null;
+    } else if (goal.type) {
+        if (typeof candidate.target !== 'number' || !Number.isFinite(candidate.target) || candidate.target <= 0 ||
+            (goal.type === 'certificates' && !Number.isInteger(candidate.target))) {
+            errors.push({ field: 'target', message: goal.type === 'certificates' ? 'target must be a positive integer' : 'target must be a positive number' });
+        } else {
+            goal.target = candidate.target;
+        }
+        goal.steps = null;
+    }
+
+    const filters = candidate.filters === undefined ? null : candidate.filters;
+    if (filters !== null && (typeof filters !== 'object' || Array.isArray(filters))) {
+        errors.push({ field: 'filters', message: `filters must be an object with any of: ${FILTER_FIELDS.join(', ')}` });
+    } else if (filters !== null) {
+        const unknown = Object.keys(filters).filter(key => !FILTER_FIELDS.includes(key));
+        if (unknown.length > 0) errors.push({ field: 'filters', message: `Unknown filters: ${unknown.join(', ')}` });
+        FILTER_FIELDS.forEach(key => {
+            if (filters[key] !== undefined && filters[key] !== null && (typeof filters[key] !== 'string' || filters[key].trim() === '')) {
+                errors.push({ field: `filters.${key}`, message: `filters.${key} must be a non-empty string` });
+            }
+        });
+        const kept = Object.fromEntries(FILTER_FIELDS.filter(key => filters[key]).map(key => [key, String(filters[key]).trim()]));
+        goal.filters = Object.keys(kept).length > 0 ? kept : null;
+    } else {
+        goal.filters = null;
+    }
+
+    ['startDate', 'deadline'].forEach(field => {
+        const value = candidate[field] === undefined ? null : candidate[field];
+        if (value !== null && !isCalendarDate(value)) errors.push({ field, message: `${field} must be a date (YYYY-MM-DD) or null` });
+        else goal[field] = value;
+    });
+    if (goal.startDate && goal.deadline && goal.startDate > goal.deadline) {
+        errors.push({ field: 'deadline', message: 'deadline must not be before startDate' });
+    }
+
+    const goalVisibility = candidate.visibility === undefined ? 'public' : candidate.visibility;
+    if (!GOAL_VISIBILITY.includes(goalVisibility)) {
+        errors.push({ field: 'visibility', message: `visibility must be one of: ${GOAL_VISIBILITY.join(', ')}` });
+    } else {
+        goal.visibility = goalVisibility;
+    }
+
+    return { errors, goal };
+};
+
+const newGoal = (fields, now = new Date()) => ({
+    id: `goal_${crypto.randomUUID()}`,
+    ...fields,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+});
+
+const inWindow = (goal, cert) => {
+    const completed = String(cert.completionDate || '').slice(0, 10);
+    if (!completed) return false;
+    if (goal.startDate && completed < goal.startDate) return false;
+    if (goal.deadline && completed > goal.deadline) return false;
+    return true;
+};
+
+const matchesFilters = (goal, cert, matchesSkill) => {
+    const filters = goal.filters || {};
+    if (filters.skill && !matchesSkill(cert.skills, filters.skill)) return false;
+    if (filters.category && !sameText(cert.category, filters.category)) return false;
+    if (filters.platform && !sameText(cert.platform, filters.platform)) return false;
+    return true;
+};
+
+const stepCertificate = (step, certificates) => certificates.find(cert => (step.certificateId
+    ? cert.id === step.certificateId
+    : sameText(cert.courseName, step.courseName) && (!step.platform || sameText(cert.platform, step.platform))));
+
+const AMOUNT = {
+    certificates: () => 1,
+    hours: (cert) => cert.hours || 0,
+    credits: (cert) => cert.creditsEarned || 0
+};
+
+const byCompletion = (a, b) => String(a.completionDate).localeCompare(String(b.completionDate));
+
+// Progress of one goal from the certificates the reader may see. Returns the goal with `progress`.
+const goalProgress = (goal, certificates, { matchesSkill, now = new Date() }) => {
+    const eligible = certificates.filter(cert => inWindow(goal, cert) && matchesFilters(goal, cert, matchesSkill)).sort(byCompletion);
+
+    let current;
+    let target;
+    let completedAt = null;
+    let steps = null;
+    let contributing;
+
+    if (goal.type === 'path') {
+        steps = goal.steps.map(step => {
+            const cert = stepCertificate(step, eligible);
+            return { ...step, completed: Boolean(cert), certificateId: cert ? cert.id : step.certificateId, completedAt: cert ? cert.completionDate : null };
+        });
+        const done = steps.filter(step => step.completed);
+        current = done.length;
+        target = steps.length;
+        contributing = done.map(step => step.certificateId);
+        if (current === target) completedAt = done.map(step => step.completedAt).sort().pop();
+    } else {
+        const amount = AMOUNT[goal.type];
+        target = goal.target;
+        current = 0;
+        eligible.forEach(cert => {
+            current += amount(cert);
+            if (!completedAt && current >= target) completedAt = cert.completionDate;
+        });
+        contributing = eligible.map(cert => cert.id);
+    }
+
+    const percent = Math.min(100, Math.round(current / target * 100));
+    const today = now.toISOString().slice(0, 10);
+    const status = completedAt ? 'completed' : (goal.deadline && goal.deadline < today ? 'missed' : 'in-progress');
+
+    // With a deadline, compare progress with the share of the time window already used
+    let pace = null;
+    if (goal.deadline && status === 'in-progress') {
+        const start = new Date(goal.startDate || goal.createdAt).getTime();
+        const end = new Date(goal.deadline).getTime() + DAY_MS;
+        const elapsed = Math.min(1, Math.max(0, (now.getTime() - start) / Math.max(DAY_MS, end - start)));
+        pace = {
+            daysLeft: Math.max(0, Math.ceil((end - now.getTime()) / DAY_MS)),
+            expectedPercent: Math.round(elapsed * 100),
+            onTrack: percent >= Math.round(elapsed * 100)
+        };
+    }
+
+    return {
+        ...goal,
+        ...(steps ? { steps } : {}),
+        progress: {
+            current: Math.round(current * 10) / 10,
+            target,
+            remaining: Math.max(0, Math.round((target - current) * 10) / 10),
+            percent,
+            status,
+            completedAt,
+            nextStep: steps ? steps.find(step => !step.completed) || null : null,
+            pace,
+            certificateIds: contributing
+        }
+    };
+};
+
+module.exports = {
+    GOAL_TYPES,
+    GOAL_VISIBILITY,
+    MAX_GOALS_PER_USER,
+    validateGoal,
+    newGoal,
+    goalProgress
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+// Conditional GET for responses computed from the stored dataset. Validators are derived from the
+// repository's data version rather than the response, so a matching request is answered with
+// 304 Not Modified before any work is done:
+//   ETag           strong tag over the data version, the UTC day (expiry status and "days until"
+//                  fields change daily), the API version, the signed-in user (who decides what is
+//                  visible) and the request URL
+//   Last-Modified  when the data last changed, or the start of the UTC day if that is later
+// Responses must always be revalidated (Cache-Control: private, no-cache unless the route passes its
+// own cacheControl), and the envelope's timestamp becomes Last-Modified so that equal ETags always
+// mean equal bodies.
+
+const tagOf = (parts) => `"${crypto.createHash('sha256').update(parts.join('\n')).digest('base64url').slice(0, 27)}"`;
+
+// HTTP dates have one-second resolution
+const toHttpSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+// RFC 9110 13.1.2 and 13.1.3: If-None-Match uses weak comparison and, when present, If-Modified-Since
+// is ignored
+const isNotModified = (req, etag, lastModified) => {
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch) {
+        return ifNoneMatch.trim() === '*' ||
+            ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+    }
+    const ifModifiedSince = Date.parse(req.get('If-Modified-Since') || '');
+    return !isNaN(ifModifiedSince) && toHttpSeconds(lastModified) <= ifModifiedSince / 1000;
+};
+
+// Middleware for routes whose responses depend only on the data `getVersion()` describes
+// ({ id, modifiedAt }) and the request. Handlers find the version in res.locals.dataVersion and
+// should use its lastModified wherever they would otherwise stamp the current time.
+const createConditionalGet = ({ getVersion, now = () => new Date(), cacheControl = 'private, no-cache' }) => async (req, res, next) => {
+    try {
+        const version = await getVersion();
+        const day = now().toISOString().slice(0, 10);
+        const lastModified = new Date(Math.max(version.modifiedAt.getTime(), Date.parse(day)));
+        const etag = tagOf([version.id, day, req.apiVersion || '', req.auth ? req.auth.userId : '', req.url]);
+
+        res.locals.dataVersion = { id: version.id, modifiedAt: version.modifiedAt, lastModified };
+        res.vary('Authorization');
+        res.set({
+            ETag: etag,
+            'Last-Modified': lastModified.toUTCString(),
+            'Cache-Control': cacheControl
+        });
+        if (isNotModified(req, etag, lastModified)) return res.status(304).end();
+
+        // Validators describe successful responses only
+        const send = res.send.bind(res);
+        res.send = (body) => {
+            if (res.statusCode >= 300) {
+                res.removeHeader('ETag');
+                res.removeHeader('Last-Modified');
+                res.set('Cache-Control', 'no-store');
+            }
+            return send(body);
+        };
+        const json = res.json.bind(res);
+        res.json = (body) => json(res.statusCode < 300 && body && typeof body === 'object' && 'timestamp' in body
+            ? { ...body, timestamp: lastModified.toISOString() }
+            : body);
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    isNotModified,
+    createConditionalGet
+};
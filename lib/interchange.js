@@ -0,0 +1,241 @@
+const { parseCsv, escapeCsv } = require('./connectors/csv');
+const { toIsoDate } = require('./connectors');
+const { escapeXml } = require('./svg');
+
+// Bulk import and export of certificate lists in formats other systems understand:
+//   csv        - spreadsheet rows; imports map columns onto certificate fields (guessed from the
+//                header names unless a mapping is given)
+//   jsonresume - the `certificates` section of a JSON Resume (https://jsonresume.org/schema)
+//   europass   - Europass CV XML (SkillsPassport), certificates as education entries
+// Parsing only maps values onto certificate fields; validation is left to the caller.
+
+// Header names recognised for each certificate field, compared without case or punctuation
+const COLUMN_ALIASES = {
+    courseName: ['course name', 'course', 'name', 'title', 'certificate', 'certificate name', 'certification'],
+    platform: ['platform', 'provider', 'source', 'learning platform'],
+    institution: ['institution', 'issuer', 'organization', 'organisation', 'school', 'university', 'partner'],
+    category: ['category', 'subject', 'area'],
+    completionDate: ['completion date', 'completed', 'completed on', 'date', 'date completed', 'awarded'],
+    issueDate: ['issue date', 'issued', 'issued on'],
+    expiryDate: ['expiry date', 'expiration date', 'expires', 'expires on', 'valid until'],
+    certificateUrl: ['certificate url', 'url', 'credential url', 'verification url', 'link'],
+    credentialId: ['credential id', 'certificate id', 'license number', 'credential'],
+    verificationStatus: ['verification status', 'status'],
+    duration: ['duration'],
+    hours: ['hours', 'learning hours', 'duration hours'],
+    grade: ['grade', 'score'],
+    creditsEarned: ['credits', 'credits earned', 'ce credits'],
+    rating: ['rating'],
+    instructor: ['instructor', 'teacher'],
+    skills: ['skills', 'skill', 'competencies', 'tags'],
+    description: ['description', 'summary', 'notes'],
+    difficulty: ['difficulty', 'level']
+};
+
+const ARRAY_FIELDS = ['skills', 'learningOutcomes', 'projects'];
+const DATE_FIELDS = ['completionDate', 'issueDate', 'expiryDate'];
+
+const headerKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Guess { field: column } from the header row; each column is used for at most one field
+const suggestMapping = (columns, fields) => {
+    const used = new Set();
+    return fields.reduce((mapping, field) => {
+        const candidates = [headerKey(field.replace(/([A-Z])/g, ' $1')), ...(COLUMN_ALIASES[field] || [])];
+        const column = candidates
+            .map(candidate => columns.find(name => !used.has(name) && headerKey(name) === candidate))
+            .find(Boolean);
+        if (column) {
+            mapping[field] = column;
+            used.add(column);
+        }
+        return mapping;
+    }, {});
+};
+
+// Check a client-supplied mapping against the CSV header. Returns a list of { field, message }.
+const validateMapping = (mapping, columns, fields) => {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return [{ field: 'mapping', message: 'mapping must be an object of { certificateField: columnName }' }];
+    }
+    return Object.entries(mapping).flatMap(([field, column]) => {
+        if (!fields.includes(field)) return [{ field: `mapping.${field}`, message: `Unknown certificate field: ${field}` }];
+        if (column !== null && !columns.includes(column)) return [{ field: `mapping.${field}`, message: `No column named "${column}"` }];
+        return [];
+    });
+};
+
+// "SQL; Tableau" or "SQL, Tableau" -> ['SQL', 'Tableau']
+const splitList = (value) => String(value).split(String(value).includes(';') ? /[;\n]/ : /[,\n]/)
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// JSON Resume dates may be YYYY, YYYY-MM or YYYY-MM-DD
+const partialIsoDate = (value) => {
+    const text = String(value || '').trim();
+    if (/^\d{4}$/.test(text)) return `${text}-01-01`;
+    if (/^\d{4}-\d{2}$/.test(text)) return `${text}-01`;
+    return text;
+};
+
+// Map a CSV row onto certificate fields as strings and lists; dates are normalized where recognised
+const mapRow = (row, mapping) => Object.entries(mapping).reduce((record, [field, column]) => {
+    const value = column === null ? '' : String(row[column] ?? '').trim();
+    if (value === '') return record;
+    if (ARRAY_FIELDS.includes(field)) record[field] = splitList(value);
+    else if (DATE_FIELDS.includes(field)) record[field] = toIsoDate(value) || value;
+    else record[field] = value;
+    return record;
+}, {});
+
+// Parse a CSV import: the header, the mapping in use and one mapped record per data row.
+// Rows are numbered as in the file, so the header is row 1.
+const readCsvImport = (text, { mapping, fields }) => {
+    const { columns, records } = parseCsv(text);
+    const used = mapping || suggestMapping(columns, fields);
+    return {
+        columns,
+        mapping: used,
+        unmappedColumns: columns.filter(column => !Object.values(used).includes(column)),
+        rows: records.map((row, index) => ({ row: index + 2, record: mapRow(row, used) }))
+    };
+};
+
+// Certificates from a JSON Resume document or its `certificates` array:
+// { name, date, issuer, url } -> { courseName, completionDate, institution, platform, certificateUrl }
+const readJsonResume = (input) => {
+    const entries = Array.isArray(input) ? input : input?.certificates;
+    if (!Array.isArray(entries)) throw new Error('Expected a JSON Resume document with a "certificates" array');
+
+    return entries.map((entry, index) => {
+        const record = {};
+        if (entry && typeof entry === 'object') {
+            if (entry.name) record.courseName = String(entry.name).trim();
+            if (entry.issuer) {
+                record.institution = String(entry.issuer).trim();
+                record.platform = String(entry.issuer).trim();
+            }
+            if (entry.date) record.completionDate = partialIsoDate(entry.date);
+            if (entry.url) record.certificateUrl = String(entry.url).trim();
+        }
+        return { row: index, record };
+    });
+};
+
+// Columns written by the CSV export; they read back in through the default mapping
+const EXPORT_COLUMNS = [
+    ['id', 'ID'],
+    ['courseName', 'Course Name'],
+    ['platform', 'Platform'],
+    ['institution', 'Institution'],
+    ['category', 'Category'],
+    ['completionDate', 'Completion Date'],
+    ['issueDate', 'Issue Date'],
+    ['expiryDate', 'Expiry Date'],
+    ['verificationStatus', 'Verification Status'],
+    ['hours', 'Hours'],
+    ['creditsEarned', 'Credits Earned'],
+    ['grade', 'Grade'],
+    ['credentialId', 'Credential ID'],
+    ['certificateUrl', 'Certificate URL'],
+    ['skills', 'Skills']
+];
+
+const toCsv = (certificates) => [
+    EXPORT_COLUMNS.map(([, header]) => header).join(','),
+    ...certificates.map(cert => EXPORT_COLUMNS.map(([field]) => escapeCsv(cert[field])).join(','))
+].join('\r\n') + '\r\n';
+
+const toJsonResume = (user, certificates, { profileUrl, lastModified = new Date() }) => ({
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics: {
+        name: user.name,
+        url: profileUrl,
+        ...(user.bio ? { summary: user.bio } : {}),
+        ...(user.location ? { location: { city: user.location } } : {}),
+        profiles: [
+            ...(user.linkedin ? [{ network: 'LinkedIn', url: user.linkedin }] : []),
+            ...(user.github ? [{ network: 'GitHub', url: user.github }] : [])
+        ]
+    },
+    certificates: certificates.map(cert => ({
+        name: cert.courseName,
+        date: cert.completionDate,
+        issuer: cert.institution || cert.platform,
+        ...(cert.certificateUrl ? { url: cert.certificateUrl } : {})
+    })),
+    skills: [...new Set(certificates.flatMap(cert => cert.skills || []))].map(name => ({ name })),
+    meta: {
+        canonical: profileUrl,
+        lastModified: lastModified.toISOString()
+    }
+});
+
+// Europass dates are split into xs:gYear, xs:gMonth and xs:gDay attributes
+const europassDate = (tag, date) => {
+    const [year, month, day] = String(date).slice(0, 10).split('-');
+    return `<${tag} year="${year}" month="--${month}" day="---${day}"/>`;
+};
+
+const toEuropassXml = (user, certificates, { now = new Date() } = {}) => {
+    const [firstName, ...rest] = String(user.name || '').trim().split(/\s+/);
+    const entries = certificates.map(cert => {
+        const details = [
+            `${cert.platform}${cert.hours ? `, ${cert.hours} hours` : ''}${cert.creditsEarned ? `, ${cert.creditsEarned} credits` : ''}`,
+            (cert.skills || []).length ? `Skills: ${cert.skills.join(', ')}` : null,
+            cert.credentialId ? `Credential ID: ${cert.credentialId}` : null,
+            cert.certificateUrl ? `Verify: ${cert.certificateUrl}` : null
+        ].filter(Boolean).join('\n');
+        return `      <Education>
+        <Period>
+          ${europassDate('From', cert.issueDate || cert.completionDate)}
+          ${cert.expiryDate ? europassDate('To', cert.expiryDate) : '<Current>true</Current>'}
+        </Period>
+        <Title>${escapeXml(cert.courseName)}</Title>
+        <Skills>${escapeXml(details)}</Skills>
+        <Organisation>
+          <Name>${escapeXml(cert.institution || cert.platform)}</Name>
+        </Organisation>
+      </Education>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<SkillsPassport xmlns="http://europass.cedefop.europa.eu/Europass" locale="en">
+  <DocumentInfo>
+    <DocumentType>ECV</DocumentType>
+    <CreationDate>${now.toISOString()}</CreationDate>
+    <LastUpdateDate>${now.toISOString()}</LastUpdateDate>
+    <XSDVersion>V3.4</XSDVersion>
+    <Generator>Micro-Credentials Aggregator</Generator>
+  </DocumentInfo>
+  <LearnerInfo>
+    <Identification>
+      <PersonName>
+        <FirstName>${escapeXml(firstName || '')}</FirstName>
+        <Surname>${escapeXml(rest.join(' '))}</Surname>
+      </PersonName>
+    </Identification>
+    <EducationList>
+${entries}
+    </EducationList>
+  </LearnerInfo>
+</SkillsPassport>
+`;
+};
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonresume: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    europass: { contentType: 'application/xml; charset=utf-8', extension: 'xml' }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    suggestMapping,
+    validateMapping,
+    readCsvImport,
+    readJsonResume,
+    toCsv,
+    toJsonResume,
+    toEuropassXml
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing email. MAIL_TRANSPORT picks the transport:
+//   none - (default) nothing is sent
+//   smtp - deliver through SMTP_HOST:SMTP_PORT, e.g. a local MailHog/smtp4dev while testing
+//   file - write each message as an .eml file under MAIL_DIR
+// nodemailer is only loaded when a transport is configured.
+const createMailer = ({
+    transport = process.env.MAIL_TRANSPORT || 'none',
+    from = process.env.MAIL_FROM || 'Micro-Credentials Aggregator <no-reply@localhost>',
+    smtpHost = process.env.SMTP_HOST || 'localhost',
+    smtpPort = parseInt(process.env.SMTP_PORT) || 1025,
+    smtpSecure = process.env.SMTP_SECURE === 'true',
+    smtpUser = process.env.SMTP_USER,
+    smtpPassword = process.env.SMTP_PASSWORD,
+    mailDir = process.env.MAIL_DIR || path.join(__dirname, '..', '.mail')
+} = {}) => {
+    switch (transport) {
+        case 'none':
+            return null;
+        case 'smtp': {
+            const nodemailer = require('nodemailer');
+            const smtp = nodemailer.createTransport({
+                host: smtpHost,
+                port: smtpPort,
+                secure: smtpSecure,
+                auth: smtpUser ? { user: smtpUser, pass: smtpPassword } : undefined
+            });
+            return {
+                transport,
+                send: async ({ to, subject, text }) => {
+                    const info = await smtp.sendMail({ from, to, subject, text });
+                    return { messageId: info.messageId };
+                }
+            };
+        }
+        case 'file': {
+            const nodemailer = require('nodemailer');
+            const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+            return {
+                transport,
+                send: async ({ to, subject, text }) => {
+                    const info = await stream.sendMail({ from, to, subject, text });
+                    await fs.promises.mkdir(mailDir, { recursive: true });
+                    const file = path.join(mailDir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+                    await fs.promises.writeFile(file, info.message);
+                    return { messageId: info.messageId, file };
+                }
+            };
+        }
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT '${transport}' (expected 'none', 'smtp' or 'file')`);
+    }
+};
+
+module.exports = { createMailer };
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { canonicalize } = require('./signing');
+
+// Open Badges 3.0 (W3C Verifiable Credentials 2.0) mapping for certificate records
+
+const VC_CONTEXT = [
+    'https://www.w3.org/ns/credentials/v2',
+    'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json'
+];
+
+const CRYPTOSUITE = 'eddsa-jcs-2022';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Base58btc encoding used by multibase proof values ('z' prefix)
+const base58Encode = (bytes) => {
+    let num = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+    let encoded = '';
+    while (num > 0n) {
+        encoded = BASE58_ALPHABET[Number(num % 58n)] + encoded;
+        num /= 58n;
+    }
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        encoded = '1' + encoded;
+    }
+    return encoded;
+};
+
+const base58Decode = (text) => {
+    let num = 0n;
+    for (const char of text) {
+        const index = BASE58_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base58 character '${char}'`);
+        num = num * 58n + BigInt(index);
+    }
+    let hex = num === 0n ? '' : num.toString(16);
+    if (hex.length % 2) hex = '0' + hex;
+    const leadingZeros = text.match(/^1*/)[0].length;
+    return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(canonicalize(value)).digest();
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Dates in the store are YYYY-MM-DD; VCs use full date-time strings
+const toDateTime = (date) => (date ? new Date(date).toISOString() : undefined);
+const toDate = (dateTime) => (dateTime && !isNaN(new Date(dateTime)) ? new Date(dateTime).toISOString().slice(0, 10) : undefined);
+
+// Build an OpenBadgeCredential for one certificate. The credential is issued by this aggregator;
+// the institution that awarded the course is recorded as the achievement's creator.
+const toOpenBadgeCredential = (user, cert, { baseUrl }) => {
+    const credentialUrl = `${baseUrl}/api/openbadges/${user.id}/${cert.id}`;
+
+    return {
+        '@context': VC_CONTEXT,
+        id: credentialUrl,
+        type: ['VerifiableCredential', 'OpenBadgeCredential'],
+        issuer: {
+            id: baseUrl,
+            type: ['Profile'],
+            name: 'Micro-Credentials Aggregator',
+            url: baseUrl
+        },
+        name: cert.courseName,
+        validFrom: toDateTime(cert.issueDate || cert.completionDate),
+        validUntil: toDateTime(cert.expiryDate),
+        credentialSubject: {
+            id: `${baseUrl}/profile.html?user=${encodeURIComponent(user.id)}`,
+            type: ['AchievementSubject'],
+            activityEndDate: toDateTime(cert.completionDate),
+            creditsEarned: cert.creditsEarned,
+            source: {
+                id: `urn:mca:platform:${slugify(cert.platform)}`,
+                type: ['Profile'],
+                name: cert.platform
+            },
+            result: cert.grade ? [{ type: ['Result'], value: cert.grade }] : undefined,
+            achievement: {
+                id: `${credentialUrl}#achievement`,
+                type: ['Achievement'],
+                achievementType: 'Certificate',
+                name: cert.courseName,
+                description: cert.description || cert.courseName,
+                criteria: {
+                    narrative: cert.duration
+                        ? `Completed ${cert.duration} (${cert.hours || 0} hours) on ${cert.platform}`
+                        : `Completed on ${cert.platform}`
+                },
+                creator: {
+                    id: `urn:mca:institution:${slugify(cert.institution)}`,
+                    type: ['Profile'],
+                    name: cert.institution
+                },
+                fieldOfStudy: cert.category,
+                image: cert.thumbnail ? { id: cert.thumbnail, type: 'Image' } : undefined,
+                tag: [cert.category, cert.platform, cert.difficulty].filter(Boolean),
+                alignment: (cert.skills || []).map(skill => ({
+                    type: ['Alignment'],
+                    targetName: skill,
+                    targetType: 'Skill',
+                    targetUrl: `${baseUrl}/api/search?q=${encodeURIComponent(skill)}`
+                }))
+            }
+        },
+        evidence: cert.certificateUrl
+            ? [{ id: cert.certificateUrl, type: ['Evidence'], name: `${cert.platform} certificate` }]
+            : undefined
+    };
+};
+
+// eddsa-jcs-2022: sign sha256(JCS(proof options)) || sha256(JCS(credential without proof))
+const proofSigningInput = (credential, proofOptions) => {
+    const { proof, ...unsecured } = credential;
+    return Buffer.concat([
+        sha256({ ...proofOptions, '@context': credential['@context'] }),
+        sha256(unsecured)
+    ]);
+};
+
+// Attach a Data Integrity proof made with the server key
+const signCredential = (credential, signer, { baseUrl }) => {
+    const proofOptions = {
+        type: 'DataIntegrityProof',
+        cryptosuite: CRYPTOSUITE,
+        created: new Date().toISOString(),
+        verificationMethod: `${baseUrl}/.well-known/jwks.json#${signer.keyId}`,
+        proofPurpose: 'assertionMethod'
+    };
+    const signature = signer.signBytes(proofSigningInput(credential, proofOptions));
+    return { ...credential, proof: { ...proofOptions, proofValue: `z${base58Encode(signature)}` } };
+};
+
+// True when the credential carries a valid proof made with this server's key
+const verifyCredentialProof = (credential, signer) => {
+    const proof = Array.isArray(credential.proof) ? credential.proof[0] : credential.proof;
+    if (!proof || proof.cryptosuite !== CRYPTOSUITE || typeof proof.proofValue !== 'string') return false;
+    if (!String(proof.verificationMethod || '').endsWith(`#${signer.keyId}`)) return false;
+
+    try {
+        const { proofValue, ...proofOptions } = proof;
+        const signature = base58Decode(proofValue.replace(/^z/, ''));
+        return signer.verifyBytes(proofSigningInput(credential, proofOptions), signature);
+    } catch (error) {
+        return false;
+    }
+};
+
+// The user id a credential from toOpenBadgeCredential was made out to (its subject's profile URL),
+// or null when the subject is not one of this server's profiles
+const credentialHolder = (credential) => {
+    const subject = [].concat(credential.credentialSubject || [])[0] || {};
+    try {
+        const url = new URL(subject.id);
+        return url.pathname.endsWith('/profile.html') ? url.searchParams.get('user') : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// The certificate a credential from toOpenBadgeCredential was exported from, read from its id
+// (.../api/openbadges/:userid/:certid), or null for credentials minted elsewhere
+const credentialCertificateId = (credential) => {
+    try {
+        const match = new URL(credential.id).pathname.match(/\/api\/openbadges\/[^/]+\/([^/]+)$/);
+        return match ? decodeURIComponent(match[1]) : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Map an Open Badges 3.0 / VC document onto the certificate schema. Returns a partial record that
+// still has to pass validateCertificate; `overrides` fills fields the credential has no place for.
+const fromOpenBadgeCredential = (credential, overrides = {}) => {
+    if (!credential || typeof credential !== 'object') {
+        throw new Error('Credential must be a JSON object');
+    }
+    const types = [].concat(credential.type || []);
+    if (!types.includes('VerifiableCredential') && !types.includes('OpenBadgeCredential')) {
+        throw new Error('Document is not a Verifiable Credential (missing type)');
+    }
+
+    const subject = [].concat(credential.credentialSubject || [])[0] || {};
+    const achievement = subject.achievement || {};
+    const issuer = typeof credential.issuer === 'string' ? { id: credential.issuer } : (credential.issuer || {});
+    const creator = achievement.creator || {};
+    const evidence = [].concat(credential.evidence || []);
+    const result = [].concat(subject.result || [])[0];
+    const tags = [].concat(achievement.tag || []);
+
+    const record = {
+        courseName: achievement.name || credential.name,
+        institution: creator.name || issuer.name,
+        platform: subject.source?.name || issuer.name,
+        category: achievement.fieldOfStudy || tags[0] || 'General',
+        completionDate: toDate(subject.activityEndDate || credential.validFrom || credential.issuanceDate),
+        issueDate: toDate(credential.validFrom || credential.issuanceDate),
+        expiryDate: toDate(credential.validUntil || credential.expirationDate) || null,
+        certificateUrl: [...evidence.map(item => item && item.id), credential.id].find(id => typeof id === 'string' && /^https?:\/\//i.test(id)),
+        description: achievement.description || '',
+        skills: [].concat(achievement.alignment || [])
+            .map(alignment => alignment && alignment.targetName)
+            .filter(name => typeof name === 'string' && name.trim() !== ''),
+        grade: result && result.value !== undefined ? String(result.value) : undefined,
+        creditsEarned: typeof subject.creditsEarned === 'number'
+            ? subject.creditsEarned
+            : (typeof achievement.creditsAvailable === 'number' ? achievement.creditsAvailable : undefined),
+        thumbnail: typeof achievement.image === 'string' ? achievement.image : achievement.image?.id,
+        ...overrides
+    };
+
+    Object.keys(record).forEach(key => record[key] === undefined && delete record[key]);
+    return record;
+};
+
+module.exports = {
+    toOpenBadgeCredential,
+    fromOpenBadgeCredential,
+    signCredential,
+    verifyCredentialProof,
+    credentialHolder,
+    credentialCertificateId
+};
@@ -0,0 +1,301 @@
+// OpenAPI 3 description of the API, generated from the Express router so it cannot drift from the
+// routes: paths and methods come from the registered routes, parameters, request bodies and summaries
+// from their validate() declarations (lib/schema.js), and security from the auth middleware on each
+// route.
+
+const MEDIA_TYPES = {
+    '.svg': 'image/svg+xml',
+    '.csv': 'text/csv',
+    '.pdf': 'application/pdf',
+    '.html': 'text/html',
+    '.pem': 'application/x-pem-file'
+};
+
+// A parameter pattern of literal alternatives, e.g. :format(pdf|html) or :format(.csv)?
+const LITERAL_ALTERNATIVES = /^(?:\\?\.)?\w+(?:\|(?:\\?\.)?\w+)*$/;
+const PARAM_TOKEN = /:(\w+)(?:\(([^)]*)\))?(\?)?/g;
+
+// One Express path becomes one or more concrete paths: parameters restricted to literal values are
+// expanded (/api/portfolio/:userid.:format(pdf|html) -> .../:userid.pdf and .../:userid.html)
+const expandPath = (expressPath) => {
+    let variants = [''];
+    let last = 0;
+    for (const match of expressPath.matchAll(PARAM_TOKEN)) {
+        const [token, name, pattern, optional] = match;
+        const before = expressPath.slice(last, match.index);
+        last = match.index + token.length;
+
+        let choices;
+        if (pattern && LITERAL_ALTERNATIVES.test(pattern)) {
+            choices = pattern.split('|').map(choice => choice.replace(/\\/g, ''));
+            if (optional) choices.unshift('');
+        } else {
+            choices = [`:${name}`];
+        }
+        variants = variants.flatMap(variant => choices.map(choice => `${variant}${before}${choice}`));
+    }
+    return variants.map(variant => variant + expressPath.slice(last));
+};
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const isDocumented = (path) => !path.includes('*') &&
+    (path.startsWith('/api/') || path.startsWith('/.well-known/') || path.startsWith('/embed/'));
+
+// Every documented route as { method, path, schemas, docs, access } in registration order. Reads the
+// router's layer stack, which Express 4 exposes as app._router.
+const listRoutes = (app) => {
+    const seen = new Set();
+    return app._router.stack
+        .filter(layer => layer.route && typeof layer.route.path === 'string')
+        .flatMap(layer => {
+            const handlers = layer.route.stack.map(item => item.handle);
+            const schemas = handlers.map(handler => handler.schemas).find(Boolean) || null;
+            const docs = handlers.map(handler => handler.docs).find(Boolean) || {};
+            const access = handlers.map(handler => handler.access).find(Boolean) || null;
+            return Object.keys(layer.route.methods)
+                .filter(method => method !== '_all')
+                .flatMap(method => expandPath(layer.route.path).map(path => ({ method: method.toUpperCase(), path, schemas, docs, access })));
+        })
+        .filter(route => isDocumented(route.path))
+        .filter(route => {
+            const key = `${route.method} ${route.path}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+};
+
+// lib/schema.js rules -> JSON Schema (the OpenAPI 3.0 dialect)
+const toJsonSchema = (rules = {}) => {
+    const schema = {};
+    switch (rules.type) {
+        case undefined:
+            break;
+        case 'date':
+            schema.type = 'string';
+            schema.format = 'date';
+            break;
+        case 'array':
+            schema.type = 'array';
+            schema.items = toJsonSchema(rules.items || { type: 'string' });
+            break;
+        case 'object':
+            Object.assign(schema, rules.fields ? objectSchema(rules.fields, { partial: true }) : { type: 'object' });
+            break;
+        default:
+            schema.type = rules.type;
+    }
+    if (rules.enum) schema.enum = rules.enum;
+    if (rules.min !== undefined) schema.minimum = rules.min;
+    if (rules.max !== undefined) schema.maximum = rules.max;
+    if (rules.minLength !== undefined) schema.minLength = rules.minLength;
+    if (rules.maxLength !== undefined) schema.maxLength = rules.maxLength;
+    if (rules.pattern) schema.pattern = rules.pattern.source;
+    if (rules.minItems !== undefined) schema.minItems = rules.minItems;
+    if (rules.maxItems !== undefined) schema.maxItems = rules.maxItems;
+    if (rules.nullable) schema.nullable = true;
+    if (rules.default !== undefined) schema.default = rules.default;
+    if (rules.description) schema.description = rules.description;
+    return schema;
+};
+
+const objectSchema = (fields, { partial = false } = {}) => {
+    const required = partial ? [] : Object.keys(fields).filter(field => fields[field].required && fields[field].default === undefined);
+    return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(fields).map(([field, rules]) => [field, toJsonSchema(rules)])),
+        ...(required.length > 0 ? { required } : {})
+    };
+};
+
+const parameter = (name, location, rules) => {
+    const { description, ...schema } = toJsonSchema(rules);
+    return {
+        name,
+        in: location,
+        required: location === 'path' || (Boolean(rules.required) && rules.default === undefined),
+        ...(description ? { description } : {}),
+        schema,
+        // Lists are sent comma-separated: ?skills=Python,SQL
+        ...(rules.type === 'array' && location === 'query' ? { style: 'form', explode: false } : {})
+    };
+};
+
+const ENVELOPE_SCHEMAS = {
+    Success: {
+        type: 'object',
+        required: ['success', 'timestamp'],
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            data: {},
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    Error: {
+        type: 'object',
+        required: ['success', 'error', 'timestamp'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            message: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    ValidationError: {
+        type: 'object',
+        required: ['success', 'error', 'details', 'timestamp'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string', enum: ['Validation failed'] },
+            details: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['field', 'message'],
+                    properties: {
+                        field: { type: 'string', nullable: true, description: 'Parameter or body field; null for the body as a whole' },
+                        message: { type: 'string' }
+                    }
+                }
+            },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    }
+};
+
+const errorResponse = (description, schema = 'Error') => ({
+    description,
+    content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+// The media type of a route's success response
+const successMediaType = (route, info) => {
+    if (info.contentType) return info.contentType;
+    const extension = Object.keys(MEDIA_TYPES).find(ext => route.path.endsWith(ext));
+    if (extension) return MEDIA_TYPES[extension];
+    if (route.path.startsWith('/embed/')) return 'text/html';
+    return 'application/json';
+};
+
+// Turn the route list into an OpenAPI document. Each route's docs are the documentation options of
+// its validate() (summary, created, envelope, contentType, multipart, bodyDescription).
+//   pathParams  rules for path parameters by name (PATH_PARAMS in server.js)
+//   schemas     named field maps published under components; request bodies using one of them
+//               refer to it
+//   apiPrefix   published prefix for /api/ paths, e.g. /api/v1 for the versioned API
+const buildSpec = (routes, { info, serverUrl, pathParams = {}, schemas = {}, apiPrefix = '/api' }) => {
+    const paths = {};
+    const named = new Map(Object.entries(schemas).map(([name, fields]) => [fields, name]));
+
+    routes.forEach(route => {
+        const key = `${route.method} ${route.path}`;
+        const details = route.docs || {};
+        const routeSchemas = route.schemas || {};
+        const segments = route.path.split('/').filter(Boolean);
+        const tag = segments[0] === 'api' ? segments[1].replace(/[.:].*$/, '') : segments[0].replace(/^\./, '');
+
+        const parameters = [
+            ...[...route.path.matchAll(/:(\w+)/g)].map(([, name]) => parameter(name, 'path', pathParams[name] || { type: 'string' })),
+            ...Object.entries(routeSchemas.query || {}).map(([name, rules]) => parameter(name, 'query', rules))
+        ];
+
+        let requestBody;
+        if (routeSchemas.body) {
+            const ref = !routeSchemas.partial && named.get(routeSchemas.body);
+            requestBody = {
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: ref ? { $ref: `#/components/schemas/${ref}` } : objectSchema(routeSchemas.body, { partial: routeSchemas.partial })
+                    }
+                }
+            };
+        } else if (details.multipart) {
+            requestBody = {
+                required: true,
+                content: {
+                    'multipart/form-data': {
+                        schema: {
+                            type: 'object',
+                            required: ['file'],
+                            properties: { file: { type: 'string', format: 'binary' } },
+                            additionalProperties: true,
+                            ...(details.bodyDescription ? { description: details.bodyDescription } : {})
+                        }
+                    }
+                }
+            };
+        } else if (details.bodyDescription) {
+            requestBody = { required: true, description: details.bodyDescription, content: { 'application/json': { schema: {} } } };
+        }
+
+        const mediaType = successMediaType(route, details);
+        const successSchema = mediaType === 'application/json'
+            ? (details.envelope === false ? { type: 'object' } : { $ref: '#/components/schemas/Success' })
+            : { type: 'string', ...(mediaType.startsWith('text/') || mediaType === 'image/svg+xml' ? {} : { format: 'binary' }) };
+
+        const responses = {
+            [details.created ? '201' : '200']: {
+                description: 'Success',
+                content: { [mediaType]: { schema: successSchema } }
+            }
+        };
+        if (parameters.length > 0 || requestBody) responses['400'] = errorResponse('Invalid parameters or body', 'ValidationError');
+        if (route.access) responses['401'] = errorResponse('Missing, invalid or expired bearer token');
+        if (route.access === 'owner') responses['403'] = errorResponse('Signed in as someone other than :userid');
+        if (parameters.some(param => param.in === 'path')) responses['404'] = errorResponse('Not found');
+        responses['500'] = errorResponse('Internal server error');
+
+        const openApiPath = toOpenApiPath(route.path.startsWith('/api/') ? apiPrefix + route.path.slice(4) : route.path);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][route.method.toLowerCase()] = {
+            tags: [tag],
+            summary: details.summary || key,
+            operationId: route.method.toLowerCase() + segments.filter(segment => segment !== 'api')
+                .map(segment => segment.replace(/^:/, 'by-'))
+                .join('-')
+                .split(/[^A-Za-z0-9]+/)
+                .filter(Boolean)
+                .map(word => word[0].toUpperCase() + word.slice(1))
+                .join(''),
+            ...(parameters.length > 0 ? { parameters } : {}),
+            ...(requestBody ? { requestBody } : {}),
+            ...(route.access ? { security: [{ bearerAuth: [] }] } : {}),
+            responses
+        };
+    });
+
+    return {
+        openapi: '3.0.3',
+        info,
+        servers: [{ url: serverUrl }],
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token from POST /api/auth/login' }
+            },
+            schemas: {
+                ...ENVELOPE_SCHEMAS,
+                ...Object.fromEntries(Object.entries(schemas).map(([name, fields]) => [name, objectSchema(fields)]))
+            }
+        }
+    };
+};
+
+// A short text for one parameter in /api/docs, e.g. "Sort order (one of newest, oldest; default newest)"
+const describeRules = (rules) => {
+    const notes = [
+        rules.enum ? `one of ${rules.enum.join(', ')}` : rules.type,
+        rules.required ? 'required' : null,
+        rules.default !== undefined ? `default ${JSON.stringify(rules.default)}` : null
+    ].filter(Boolean);
+    return `${rules.description || ''}${notes.length > 0 ? `${rules.description ? ' ' : ''}(${notes.join('; ')})` : ''}`;
+};
+
+module.exports = {
+    expandPath,
+    listRoutes,
+    buildSpec,
+    describeRules
+};
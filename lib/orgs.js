@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { escapeCsv } = require('./connectors/csv');
+
+// Organizations group users into teams. Each org document lives in its own store (orgs.json or
+// orgs.sqlite) and looks like:
+//   { id, name, createdAt, teams: [{ id, name }], members: [{ userId, role, teamId, joinedAt }] }
+// Owners and admins manage members and see the org analytics; members can see who is in the org.
+
+const ROLES = ['owner', 'admin', 'member'];
+const MANAGER_ROLES = ['owner', 'admin'];
+
+const membership = (org, userId) => (org.members || []).find(member => member.userId === userId) || null;
+
+const canManage = (org, userId) => MANAGER_ROLES.includes(membership(org, userId)?.role);
+
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(4).toString('hex')}`;
+
+const newOrganization = ({ name, teams = [] }, ownerId, now = new Date()) => ({
+    id: generateId('org'),
+    name,
+    createdAt: now.toISOString(),
+    teams: teams.map(teamName => ({ id: generateId('team'), name: teamName })),
+    members: [{ userId: ownerId, role: 'owner', teamId: null, joinedAt: now.toISOString() }]
+});
+
+const validateName = (value, field, errors) => {
+    if (typeof value !== 'string' || value.trim() === '' || value.length > 100) {
+        errors.push({ field, message: `${field} must be a non-empty string of at most 100 characters` });
+        return false;
+    }
+    return true;
+};
+
+// Check a member create/update body against the org. Returns { errors, changes }.
+const validateMember = (body = {}, org, { partial = false } = {}) => {
+    const errors = [];
+    const changes = {};
+
+    if (body.role !== undefined || !partial) {
+        const role = body.role === undefined ? 'member' : body.role;
+        if (!ROLES.includes(role)) errors.push({ field: 'role', message: `role must be one of: ${ROLES.join(', ')}` });
+        else changes.role = role;
+    }
+
+    if (body.teamId !== undefined) {
+        if (body.teamId !== null && !(org.teams || []).some(team => team.id === body.teamId)) {
+            errors.push({ field: 'teamId', message: 'teamId must be the id of one of the org teams, or null' });
+        } else {
+            changes.teamId = body.teamId;
+        }
+    } else if (!partial) {
+        changes.teamId = null;
+    }
+
+    return { errors, changes };
+};
+
+// An org must always keep an owner
+const wouldLoseLastOwner = (org, userId, nextRole) => {
+    const owners = org.members.filter(member => member.role === 'owner');
+    return owners.length === 1 && owners[0].userId === userId && nextRole !== 'owner';
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const countBy = (items, key) => items.reduce((acc, item) => {
+    const value = key(item);
+    if (value) acc[value] = (acc[value] || 0) + 1;
+    return acc;
+}, {});
+
+const sortedCounts = (counts, label = 'name') => Object.entries(counts)
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .map(([name, count]) => ({ [label]: name, count }));
+
+// Roll up per-member statistics. `entries` are { member, user, certificates, statistics } where
+// certificates are formatted records and statistics come from the per-user certificate statistics.
+const summarizeMembers = (entries, { normalizeSkills, skillRoots = [], expiringWithinDays = 90 }) => {
+    const certificates = entries.flatMap(entry => entry.certificates);
+    const memberSkills = entries.map(entry => new Set(normalizeSkills(entry.certificates.flatMap(cert => cert.skills || []))));
+
+    // How many members hold each skill; "coverage" is the share of members holding it
+    const skillHolders = {};
+    memberSkills.forEach(skills => skills.forEach(skill => {
+        skillHolders[skill] = (skillHolders[skill] || 0) + 1;
+    }));
+    const coverage = (holders) => (entries.length ? Math.round(holders / entries.length * 1000) / 10 : 0);
+
+    const expiring = entries.flatMap(({ user, certificates: certs }) => certs
+        .filter(cert => cert.expiryDate && cert.daysUntilExpiry <= expiringWithinDays)
+        .map(cert => ({
+            userId: user.id,
+            name: user.name,
+            certificateId: cert.id,
+            courseName: cert.courseName,
+            platform: cert.platform,
+            expiryDate: cert.expiryDate,
+            daysUntilExpiry: cert.daysUntilExpiry,
+            isExpired: cert.isExpired
+        })))
+        .sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+
+    return {
+        members: entries.length,
+        activeMembers: entries.filter(entry => entry.certificates.length > 0).length,
+        totalCertificates: certificates.length,
+        totalHours: sum(entries.map(entry => entry.statistics.totalHours)),
+        totalCredits: sum(entries.map(entry => entry.statistics.totalCredits)),
+        averageHoursPerMember: entries.length ? Math.round(sum(entries.map(entry => entry.statistics.totalHours)) / entries.length * 10) / 10 : 0,
+        verificationStatus: {
+            verified: sum(entries.map(entry => entry.statistics.verificationStatus.verified)),
+            pending: sum(entries.map(entry => entry.statistics.verificationStatus.pending)),
+            expired: sum(entries.map(entry => entry.statistics.verificationStatus.expired))
+        },
+        platformDistribution: sortedCounts(countBy(certificates, cert => cert.platform), 'platform'),
+        categoryDistribution: sortedCounts(countBy(certificates, cert => cert.category), 'category'),
+        skills: {
+            distinctSkills: Object.keys(skillHolders).length,
+            topSkills: Object.entries(skillHolders)
+                .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+                .slice(0, 15)
+                .map(([skill, holders]) => ({ skill, members: holders, coverage: coverage(holders) })),
+            // Share of members with at least one skill in each top-level area of the taxonomy
+            areas: skillRoots.map(({ name, includes }) => {
+                const holders = memberSkills.filter(skills => [...skills].some(skill => includes(skill))).length;
+                return { area: name, members: holders, coverage: coverage(holders) };
+            })
+        },
+        expiring: {
+            withinDays: expiringWithinDays,
+            expired: expiring.filter(item => item.isExpired).length,
+            expiringSoon: expiring.filter(item => !item.isExpired).length,
+            certificates: expiring
+        }
+    };
+};
+
+// One row per member, for the CSV export
+const CSV_COLUMNS = [
+    ['userId', 'User ID'],
+    ['name', 'Name'],
+    ['role', 'Role'],
+    ['team', 'Team'],
+    ['certificates', 'Certificates'],
+    ['verified', 'Verified'],
+    ['hours', 'Hours'],
+    ['credits', 'Credits'],
+    ['skills', 'Skills'],
+    ['platforms', 'Platforms'],
+    ['expiringSoon', 'Expiring soon'],
+    ['expired', 'Expired'],
+    ['lastCompletion', 'Last completion']
+];
+
+const memberRow = ({ member, user, certificates, statistics, team }, { expiringWithinDays }) => ({
+    userId: user.id,
+    name: user.name,
+    role: member.role,
+    team: team ? team.name : '',
+    certificates: certificates.length,
+    verified: statistics.verificationStatus.verified,
+    hours: statistics.totalHours,
+    credits: statistics.totalCredits,
+    skills: statistics.skillsCount,
+    platforms: statistics.platforms,
+    expiringSoon: certificates.filter(cert => cert.expiryDate && !cert.isExpired && cert.daysUntilExpiry <= expiringWithinDays).length,
+    expired: certificates.filter(cert => cert.isExpired).length,
+    lastCompletion: certificates.map(cert => cert.completionDate).sort().pop() || ''
+});
+
+const toCsv = (rows) => [
+    CSV_COLUMNS.map(([, header]) => header).join(','),
+    ...rows.map(row => CSV_COLUMNS.map(([key]) => escapeCsv(row[key])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+    ROLES,
+    membership,
+    canManage,
+    generateId,
+    newOrganization,
+    validateName,
+    validateMember,
+    wouldLoseLastOwner,
+    summarizeMembers,
+    memberRow,
+    toCsv
+};
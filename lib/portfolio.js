@@ -0,0 +1,232 @@
+const PDFDocument = require('pdfkit');
+
+// Printable portfolio (résumé-style) documents. Both renderers take the same data:
+//   { user, statistics, skills: [{ name, count }], certificates, filters, baseUrl, generatedAt }
+// where certificates are formatted records that also carry a verifyUrl.
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Only http(s) addresses become links; anything else (javascript:, data:, ...) yields null
+const safeUrl = (value) => (typeof value === 'string' && /^https?:\/\/\S+$/i.test(value.trim()) ? value.trim() : null);
+
+// Stored dates are YYYY-MM-DD; format them in UTC so they never shift a day
+const formatDate = (date, options = { year: 'numeric', month: 'short', day: 'numeric' }) =>
+    (date ? new Date(date).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' }) : '');
+
+const formatMonth = (date) => formatDate(date, { year: 'numeric', month: 'short' });
+
+const contactLine = (user) => [user.location, user.email, user.website, user.linkedin, user.github]
+    .filter(Boolean);
+
+const headlineStats = (statistics) => [
+    ['Certificates', statistics.totalCertificates],
+    ['Learning hours', statistics.totalHours.toLocaleString('en-US')],
+    ['Credits', statistics.totalCredits],
+    ['Platforms', statistics.platforms.length],
+    ['Verified', statistics.verificationStatus.verified]
+];
+
+const certificateFacts = (cert) => [
+    cert.institution !== cert.platform ? `${cert.institution} · ${cert.platform}` : cert.platform,
+    `Completed ${formatMonth(cert.completionDate)}`,
+    cert.hours ? `${cert.hours} hours` : null,
+    cert.grade ? `Grade: ${cert.grade}` : null,
+    cert.expiryDate ? `${cert.isExpired ? 'Expired' : 'Valid until'} ${formatMonth(cert.expiryDate)}` : null
+].filter(Boolean);
+
+const filterSummary = (filters) => [
+    filters.platform && `platform: ${filters.platform}`,
+    filters.category && `category: ${filters.category}`,
+    filters.skills && `skills: ${filters.skills.join(', ')}`,
+    filters.includeExpired === false && 'current certificates only'
+].filter(Boolean).join(', ');
+
+const renderPortfolioHtml = ({ user, statistics, skills, certificates, filters, baseUrl, generatedAt }) => {
+    const summary = filterSummary(filters);
+    const certificateItems = certificates.map(cert => {
+        const issuerUrl = safeUrl(cert.certificateUrl);
+        return `
+        <li class="cert">
+            <div class="cert-head">
+                <strong>${escapeHtml(cert.courseName)}</strong>
+                <span class="status ${cert.verificationStatus === 'Verified' ? 'verified' : ''}">${escapeHtml(cert.verificationStatus)}</span>
+            </div>
+            <div class="facts">${certificateFacts(cert).map(escapeHtml).join(' &middot; ')}</div>
+            ${cert.skills && cert.skills.length ? `<div class="cert-skills">${cert.skills.map(escapeHtml).join(', ')}</div>` : ''}
+            <div class="links">
+                ${issuerUrl ? `<a href="${escapeHtml(issuerUrl)}">Issuer record</a>` : ''}
+                <a href="${escapeHtml(cert.verifyUrl)}">Verify signature</a>
+            </div>
+        </li>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(user.name)} — Certificate Portfolio</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; max-width: 800px; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.45; }
+    h1 { margin: 0; font-size: 2rem; }
+    h2 { font-size: 1.1rem; text-transform: uppercase; letter-spacing: 0.05em; color: #2563eb; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.3rem; margin-top: 2rem; }
+    .contact, .facts, .cert-skills, .footer, .filters { color: #6b7280; font-size: 0.9rem; }
+    .bio { margin-top: 0.75rem; }
+    .stats { display: flex; gap: 1rem; flex-wrap: wrap; }
+    .stat { flex: 1; min-width: 110px; border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.6rem 0.8rem; }
+    .stat-value { font-size: 1.4rem; font-weight: bold; }
+    .stat-label { font-size: 0.8rem; color: #6b7280; }
+    .skills { display: flex; flex-wrap: wrap; gap: 0.4rem; padding: 0; list-style: none; }
+    .skills li { background: #eff6ff; color: #1e40af; border-radius: 999px; padding: 0.15rem 0.6rem; font-size: 0.85rem; }
+    .certs { list-style: none; padding: 0; }
+    .cert { padding: 0.75rem 0; border-bottom: 1px solid #f3f4f6; page-break-inside: avoid; }
+    .cert-head { display: flex; justify-content: space-between; gap: 1rem; }
+    .status { font-size: 0.8rem; color: #92400e; }
+    .status.verified { color: #047857; }
+    .links a { font-size: 0.85rem; color: #2563eb; margin-right: 1rem; }
+    .footer { margin-top: 2rem; }
+    @media print { body { margin: 0; } a { text-decoration: none; } }
+</style>
+</head>
+<body>
+    <header>
+        <h1>${escapeHtml(user.name)}</h1>
+        <div class="contact">${contactLine(user).map(escapeHtml).join(' &middot; ')}</div>
+        ${user.bio ? `<p class="bio">${escapeHtml(user.bio)}</p>` : ''}
+    </header>
+
+    <h2>Summary</h2>
+    <div class="stats">
+        ${headlineStats(statistics).map(([label, value]) => `<div class="stat"><div class="stat-value">${escapeHtml(value)}</div><div class="stat-label">${label}</div></div>`).join('\n        ')}
+    </div>
+
+    ${skills.length ? `<h2>Skills</h2>
+    <ul class="skills">${skills.map(skill => `<li>${escapeHtml(skill.name)}</li>`).join('')}</ul>` : ''}
+
+    <h2>Certificates</h2>
+    ${summary ? `<div class="filters">Showing ${escapeHtml(summary)}</div>` : ''}
+    <ul class="certs">${certificateItems || '<li class="cert">No certificates to show.</li>'}
+    </ul>
+
+    <div class="footer">Generated ${escapeHtml(formatDate(generatedAt))} by Micro-Credentials Aggregator · ${escapeHtml(baseUrl)}</div>
+</body>
+</html>
+`;
+};
+
+const COLORS = { text: '#1f2937', muted: '#6b7280', accent: '#2563eb', verified: '#047857', rule: '#e5e7eb' };
+
+// Render the portfolio to a PDF buffer
+const renderPortfolioPdf = ({ user, statistics, skills, certificates, filters, baseUrl, generatedAt }) =>
+    new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 50,
+            bufferPages: true,
+            info: { Title: `${user.name} — Certificate Portfolio`, Author: user.name, Creator: 'Micro-Credentials Aggregator' }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const left = doc.page.margins.left;
+
+        const section = (title) => {
+            doc.moveDown(1.2);
+            if (doc.y > doc.page.height - doc.page.margins.bottom - 80) doc.addPage();
+            doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.accent)
+                .text(title.toUpperCase(), left, doc.y, { characterSpacing: 1 });
+            const ruleY = doc.y + 2;
+            doc.moveTo(left, ruleY).lineTo(left + width, ruleY).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+            doc.y = ruleY + 8;
+        };
+
+        // Header
+        doc.font('Helvetica-Bold').fontSize(24).fillColor(COLORS.text).text(user.name);
+        doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(contactLine(user).join('  •  '));
+        if (user.bio) {
+            doc.moveDown(0.5).fontSize(11).fillColor(COLORS.text).text(user.bio, { width });
+        }
+
+        // Headline statistics as a row of boxes
+        section('Summary');
+        const stats = headlineStats(statistics);
+        const boxWidth = width / stats.length;
+        const boxTop = doc.y;
+        stats.forEach(([label, value], index) => {
+            const x = left + index * boxWidth;
+            doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.text)
+                .text(String(value), x, boxTop, { width: boxWidth - 8 });
+            doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+                .text(label, x, boxTop + 20, { width: boxWidth - 8 });
+        });
+        doc.x = left;
+        doc.y = boxTop + 36;
+
+        if (skills.length > 0) {
+            section('Skills');
+            doc.font('Helvetica').fontSize(10).fillColor(COLORS.text)
+                .text(skills.map(skill => skill.name).join('  •  '), { width, lineGap: 2 });
+        }
+
+        section('Certificates');
+        const summary = filterSummary(filters);
+        if (summary) {
+            doc.font('Helvetica-Oblique').fontSize(9).fillColor(COLORS.muted).text(`Showing ${summary}`).moveDown(0.5);
+        }
+        if (certificates.length === 0) {
+            doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('No certificates to show.');
+        }
+
+        certificates.forEach(cert => {
+            if (doc.y > doc.page.height - doc.page.margins.bottom - 70) doc.addPage();
+
+            const top = doc.y;
+            const statusWidth = 60;
+            doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+                .text(cert.courseName, left, top, { width: width - statusWidth });
+            const afterTitle = doc.y;
+            doc.font('Helvetica').fontSize(9)
+                .fillColor(cert.verificationStatus === 'Verified' ? COLORS.verified : COLORS.muted)
+                .text(cert.verificationStatus, left + width - statusWidth, top + 1, { width: statusWidth, align: 'right' });
+
+            doc.x = left;
+            doc.y = afterTitle;
+            doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(certificateFacts(cert).join('  •  '), { width });
+            if (cert.skills && cert.skills.length > 0) {
+                doc.text(`Skills: ${cert.skills.join(', ')}`, { width });
+            }
+
+            doc.fillColor(COLORS.accent);
+            const issuerUrl = safeUrl(cert.certificateUrl);
+            if (issuerUrl) {
+                doc.text(`Issuer record: ${issuerUrl}`, { width, link: issuerUrl, underline: false });
+            }
+            doc.text(`Verify: ${cert.verifyUrl}`, { width, link: cert.verifyUrl });
+            doc.moveDown(0.8);
+        });
+
+        // Footer with page numbers on every page
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            const bottom = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0;
+            doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).text(
+                `Generated ${formatDate(generatedAt)} by Micro-Credentials Aggregator  •  ${baseUrl}  •  Page ${i + 1} of ${range.count}`,
+                left, doc.page.height - 35, { width, align: 'center', lineBreak: false }
+            );
+            doc.page.margins.bottom = bottom;
+        }
+
+        doc.end();
+    });
+
+module.exports = { escapeHtml, safeUrl, formatDate, renderPortfolioHtml, renderPortfolioPdf };
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+
+// Career recommendations: compare a user's certificate skills with the weighted role definitions in
+// config/career-roles.json and suggest next certifications from what other users already hold.
+
+const ROLES_FILE = process.env.CAREER_ROLES_FILE || path.join(__dirname, '..', 'config', 'career-roles.json');
+
+const skillKey = (skill) => String(skill).trim().toLowerCase();
+
+// Read and check the role definitions; a broken file should fail at startup, not per request.
+// canonicalName maps role skills onto the skill registry's spelling.
+const loadRoles = (file = ROLES_FILE, { canonicalName = (name) => name } = {}) => {
+    const { roles } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(roles)) throw new Error(`${file}: "roles" must be an array`);
+
+    return roles.map(role => {
+        if (!role.id || !role.title || !Array.isArray(role.skills) || role.skills.length === 0) {
+            throw new Error(`${file}: every role needs an id, a title and at least one skill`);
+        }
+        return {
+            id: role.id,
+            title: role.title,
+            skills: role.skills.map(skill => ({
+                name: canonicalName(skill.name),
+                weight: Number(skill.weight) > 0 ? Number(skill.weight) : 1
+            }))
+        };
+    });
+};
+
+// Without a skill registry a skill is only covered by itself
+const sameSkill = (skills, wanted) => skills.some(skill => skillKey(skill) === skillKey(wanted));
+
+// How much of a role's weighted skill set the user covers. matchesSkill(userSkills, name) decides
+// whether a role skill is covered, e.g. SQL by PostgreSQL.
+const roleCoverage = (role, userSkills, matchesSkill = sameSkill) => {
+    const totalWeight = role.skills.reduce((sum, skill) => sum + skill.weight, 0);
+    const matched = role.skills.filter(skill => matchesSkill(userSkills, skill.name));
+    const matchedWeight = matched.reduce((sum, skill) => sum + skill.weight, 0);
+
+    return {
+        id: role.id,
+        title: role.title,
+        coverage: Math.round(matchedWeight / totalWeight * 1000) / 10,
+        matchedSkills: matched.map(skill => skill.name),
+        missingSkills: role.skills
+            .filter(skill => !matchesSkill(userSkills, skill.name))
+            .sort((a, b) => b.weight - a.weight)
+            .map(skill => ({ name: skill.name, weight: skill.weight }))
+    };
+};
+
+const courseKey = (cert) => `${skillKey(cert.courseName)}|${skillKey(cert.platform)}`;
+
+// Rank courses from the catalog by how much missing, weighted skill they add to the user's
+// closest roles. The catalog is a list of { holderId, certificate } entries from other users.
+const rankNextCertifications = (targetRoles, userCertificates, catalog, { limit, normalizeSkills, matchesSkill }) => {
+    const owned = new Set(userCertificates.map(courseKey));
+    const courses = new Map();
+
+    catalog.forEach(({ holderId, certificate }) => {
+        const key = courseKey(certificate);
+        if (owned.has(key)) return;
+        if (!courses.has(key)) courses.set(key, { certificate, holders: new Set() });
+        courses.get(key).holders.add(holderId);
+    });
+
+    return [...courses.values()]
+        .map(({ certificate, holders }) => {
+            const offered = normalizeSkills(certificate.skills || []);
+            const advances = targetRoles
+                .map(role => ({
+                    role,
+                    gained: role.missingSkills.filter(skill => matchesSkill(offered, skill.name))
+                }))
+                .filter(entry => entry.gained.length > 0);
+
+            // Closer roles count for more, so suggestions build on what the user already has
+            const score = advances.reduce((sum, { role, gained }) =>
+                sum + gained.reduce((total, skill) => total + skill.weight, 0) * (1 + role.coverage / 100), 0);
+
+            return {
+                courseName: certificate.courseName,
+                platform: certificate.platform,
+                institution: certificate.institution,
+                category: certificate.category,
+                hours: certificate.hours || 0,
+                heldBy: holders.size,
+                newSkills: [...new Set(advances.flatMap(entry => entry.gained.map(skill => skill.name)))],
+                advancesRoles: advances.map(entry => entry.role.title),
+                score: Math.round(score * 100) / 100
+            };
+        })
+        .filter(course => course.score > 0)
+        .sort((a, b) => b.score - a.score || b.heldBy - a.heldBy || a.hours - b.hours)
+        .slice(0, limit);
+};
+
+// Full recommendation set for one user. Pass roleId to focus on a single role; normalizeSkills
+// maps certificate skills to canonical names before matchesSkill compares them with the roles.
+const recommendCareers = ({ certificates, catalog, roles, roleId, limit = 5, normalizeSkills = (list) => list, matchesSkill = sameSkill }) => {
+    const userSkills = normalizeSkills(certificates.flatMap(cert => cert.skills || []));
+
+    const careerPaths = roles
+        .map(role => roleCoverage(role, userSkills, matchesSkill))
+        .sort((a, b) => b.coverage - a.coverage || a.title.localeCompare(b.title));
+    // Aim at the closest roles that still have gaps; fully covered roles have nothing to suggest
+    const targetRoles = roleId
+        ? careerPaths.filter(role => role.id === roleId)
+        : careerPaths.filter(role => role.missingSkills.length > 0).slice(0, 3);
+
+    // Missing skills weighted by importance and by how close the user is to the role needing them
+    const skillScores = {};
+    targetRoles.forEach(role => role.missingSkills.forEach(skill => {
+        const entry = skillScores[skill.name] || { skill: skill.name, score: 0, roles: [] };
+        entry.score += skill.weight * (1 + role.coverage / 100);
+        entry.roles.push(role.title);
+        skillScores[skill.name] = entry;
+    }));
+
+    return {
+        careerPaths: roleId ? targetRoles : careerPaths.slice(0, limit),
+        suggestedSkills: Object.values(skillScores)
+            .sort((a, b) => b.score - a.score || a.skill.localeCompare(b.skill))
+            .slice(0, limit * 2)
+            .map(entry => ({ ...entry, score: Math.round(entry.score * 100) / 100 })),
+        nextCertifications: rankNextCertifications(targetRoles, certificates, catalog, { limit, normalizeSkills, matchesSkill })
+    };
+};
+
+module.exports = { loadRoles, roleCoverage, recommendCareers };
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+
+// Expiry reminders. On every run each certificate with an expiry date is checked against the
+// configured thresholds (days before expiry, plus 'expired'). The first time a threshold is crossed a
+// notification goes to the owner's inbox and, when a mailer is configured, to their email address.
+// Sent thresholds are recorded per certificate in user.reminders, keyed by expiry date, so renewing
+// a certificate (a new expiry date) starts its reminders over. A threshold that is also emailed is
+// only recorded as sent once the email has gone out; until then it is kept as emailPending and the
+// email is tried again on the next run.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_INBOX_SIZE = 200;
+
+// "90,30,7" -> [90, 30, 7]
+const parseThresholds = (value) => [...new Set(String(value)
+    .split(',')
+    .map(days => parseInt(days, 10))
+    .filter(days => days > 0))]
+    .sort((a, b) => b - a);
+
+// The most urgent threshold a certificate has reached, or null if none yet
+const reachedThreshold = (daysLeft, thresholds) => {
+    if (daysLeft <= 0) return 'expired';
+    const reached = thresholds.filter(days => daysLeft <= days);
+    return reached.length > 0 ? String(Math.min(...reached)) : null;
+};
+
+const describeReminder = (cert, threshold, daysLeft) => {
+    if (threshold === 'expired') {
+        return {
+            title: `${cert.courseName} has expired`,
+            message: `Your ${cert.platform} certificate "${cert.courseName}" expired on ${cert.expiryDate}. Renew it to keep it current on your profile.`
+        };
+    }
+    return {
+        title: `${cert.courseName} expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+        message: `Your ${cert.platform} certificate "${cert.courseName}" expires on ${cert.expiryDate}. Plan its renewal with ${cert.institution} before then.`
+    };
+};
+
+const createReminderScheduler = ({
+    repository,
+    mailer = null,
+    thresholds = parseThresholds(process.env.REMINDER_THRESHOLDS || '90,30,7'),
+    intervalMinutes = process.env.REMINDER_INTERVAL_MINUTES !== undefined
+        ? parseFloat(process.env.REMINDER_INTERVAL_MINUTES)
+        : 60,
+    now = () => new Date()
+}) => {
+    let timer = null;
+    let running = null;
+    let lastRun = null;
+
+    // Record due reminders in one repository update, email them, then record the emails that went out
+    const check = async () => {
+        const current = now();
+
+        const { created, emails } = await repository.update((userData) => {
+            const notified = [];
+            const pending = [];
+
+            Object.values(userData).forEach(user => {
+                const certificates = user.certificates || [];
+                const log = { ...(user.reminders || {}) };
+                const emailing = Boolean(mailer && user.email);
+
+                certificates.forEach(cert => {
+                    if (!cert.expiryDate) return;
+
+                    const daysLeft = Math.ceil((new Date(cert.expiryDate) - current) / DAY_MS);
+                    const threshold = reachedThreshold(daysLeft, thresholds);
+                    if (!threshold) return;
+
+                    const entry = log[cert.id]?.expiryDate === cert.expiryDate
+                        ? log[cert.id]
+                        : { expiryDate: cert.expiryDate, sent: [] };
+                    if (entry.sent.includes(threshold)) return;
+
+                    // A reminder already in the inbox whose email failed is emailed again, not notified twice
+                    if (entry.emailPending?.threshold === threshold) {
+                        if (emailing) {
+                            pending.push({ user, certificateId: cert.id, expiryDate: cert.expiryDate, threshold, ...describeReminder(cert, threshold, daysLeft) });
+                        } else {
+                            log[cert.id] = { expiryDate: cert.expiryDate, sent: [...entry.sent, threshold] };
+                        }
+                        return;
+                    }
+
+                    // Thresholds passed while the server was down are marked too, so a late run sends one reminder, not a burst
+                    const passed = threshold === 'expired'
+                        ? thresholds.map(String)
+                        : thresholds.filter(days => days > Number(threshold)).map(String);
+
+                    const notification = {
+                        id: `ntf_${crypto.randomUUID()}`,
+                        type: 'certificate-expiry',
+                        certificateId: cert.id,
+                        threshold,
+                        ...describeReminder(cert, threshold, daysLeft),
+                        createdAt: current.toISOString(),
+                        readAt: null
+                    };
+                    user.notifications = [...(user.notifications || []), notification].slice(-MAX_INBOX_SIZE);
+                    notified.push(notification);
+
+                    // With an email to send, the threshold only counts as sent once the email has gone out
+                    log[cert.id] = emailing
+                        ? { expiryDate: cert.expiryDate, sent: [...new Set([...entry.sent, ...passed])], emailPending: { threshold } }
+                        : { expiryDate: cert.expiryDate, sent: [...new Set([...entry.sent, ...passed, threshold])] };
+                    if (emailing) {
+                        pending.push({ user, certificateId: cert.id, expiryDate: cert.expiryDate, threshold, title: notification.title, message: notification.message });
+                    }
+                });
+
+                // Forget certificates that no longer exist
+                Object.keys(log).forEach(certId => {
+                    if (!certificates.some(cert => cert.id === certId)) delete log[certId];
+                });
+                if (user.reminders || Object.keys(log).length > 0) {
+                    user.reminders = log;
+                }
+            });
+
+            return {
+                created: notified.length,
+                emails: pending.map(({ user, ...email }) => ({ userId: user.id, name: user.name, email: user.email, ...email }))
+            };
+        });
+
+        const delivered = [];
+        const errors = [];
+        for (const reminder of emails) {
+            try {
+                await mailer.send({
+                    to: { name: reminder.name || '', address: reminder.email },
+                    subject: reminder.title,
+                    text: `Hi ${reminder.name || 'there'},\n\n${reminder.message}\n\n— Micro-Credentials Aggregator\n`
+                });
+                delivered.push(reminder);
+            } catch (error) {
+                errors.push({ userId: reminder.userId, certificateId: reminder.certificateId, message: error.message });
+            }
+        }
+
+        if (delivered.length > 0) {
+            await repository.update((userData) => {
+                delivered.forEach(({ userId, certificateId, expiryDate, threshold }) => {
+                    const log = userData[userId]?.reminders || {};
+                    const entry = log[certificateId];
+                    // The certificate may have been renewed or removed while the email was being sent
+                    if (entry?.expiryDate !== expiryDate || entry.emailPending?.threshold !== threshold) return;
+                    log[certificateId] = { expiryDate, sent: [...new Set([...entry.sent, threshold])] };
+                });
+            });
+        }
+        const emailed = delivered.length;
+
+        lastRun = { at: current.toISOString(), created, emailed, errors };
+        return lastRun;
+    };
+
+    // Runs never overlap; a call made during a run waits for that run's result
+    const runOnce = () => {
+        if (!running) {
+            running = check().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    };
+
+    const runAndLog = () => runOnce()
+        .then(result => {
+            if (result.created > 0 || result.errors.length > 0) {
+                console.log(`[${result.at}] Expiry reminders - ${result.created} created, ${result.emailed} emailed, ${result.errors.length} failed`);
+            }
+            result.errors.forEach(error => console.error(`Reminder email to ${error.userId} failed: ${error.message}`));
+        })
+        .catch(error => console.error('Error running expiry reminders:', error));
+
+    const start = () => {
+        if (timer || !(intervalMinutes > 0)) return false;
+        runAndLog();
+        timer = setInterval(runAndLog, intervalMinutes * 60 * 1000);
+        timer.unref();
+        return true;
+    };
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    const status = () => ({
+        enabled: Boolean(timer),
+        intervalMinutes,
+        thresholds: [...thresholds, 'expired'],
+        email: mailer ? mailer.transport : 'none',
+        lastRun
+    });
+
+    return { runOnce, start, stop, status };
+};
+
+module.exports = { parseThresholds, reachedThreshold, createReminderScheduler };
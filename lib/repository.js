@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createJsonFileBackend } = require('./backends/json-file');
+const { createSqliteBackend } = require('./backends/sqlite');
+
+// Repository over the user/certificate dataset with an in-memory cache in front of the storage backend.
+// Data returned by getUsers()/getUser() is shared with the cache and must be treated as read-only;
+// all changes go through update(), which works on a copy and persists it.
+// getVersion() describes the stored data as { id, modifiedAt }: id is a hash of its contents and
+// modifiedAt the time the backend last wrote it, so both survive restarts and external edits.
+const createRepository = ({
+    backend = process.env.STORAGE_BACKEND || 'json',
+    dataFile = process.env.DATA_FILE || path.join(__dirname, '..', 'data.json'),
+    sqliteFile = process.env.SQLITE_FILE || path.join(__dirname, '..', 'data.sqlite')
+} = {}) => {
+    let store;
+    switch (backend) {
+        case 'json':
+            store = createJsonFileBackend({ file: dataFile });
+            break;
+        case 'sqlite':
+            store = createSqliteBackend({ file: sqliteFile, seedFile: dataFile });
+            break;
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND '${backend}' (expected 'json' or 'sqlite')`);
+    }
+
+    let cache = null;
+    let version = null;
+    let loading = null;
+    let writeQueue = Promise.resolve();
+    const listeners = [];
+
+    const invalidate = () => {
+        cache = null;
+        version = null;
+    };
+
+    const versionOf = async (userData) => ({
+        id: crypto.createHash('sha256').update(JSON.stringify(userData)).digest('hex').slice(0, 16),
+        modifiedAt: await store.modifiedAt()
+    });
+
+    store.watch(invalidate);
+
+    const getUsers = async () => {
+        if (cache) return cache;
+        if (!loading) {
+            loading = store.load()
+                .then(async userData => {
+                    version = await versionOf(userData);
+                    cache = userData;
+                    return userData;
+                })
+                .finally(() => {
+                    loading = null;
+                });
+        }
+        return loading;
+    };
+
+    const getUser = async (userId) => {
+        const userData = await getUsers();
+        return userData[String(userId).toLowerCase()] || null;
+    };
+
+    // Apply a mutation to a copy of the dataset and persist it. Writes are serialized so concurrent
+    // requests cannot overwrite each other. The mutator's return value is passed through.
+    const update = (mutator) => {
+        const run = writeQueue.then(async () => {
+            const current = await getUsers();
+            const next = structuredClone(current);
+            const result = await mutator(next);
+
+            const changed = Object.keys(next)
+                .filter(id => JSON.stringify(next[id]) !== JSON.stringify(current[id]));
+            const removed = Object.keys(current).filter(id => !(id in next));
+
+            if (changed.length > 0 || removed.length > 0) {
+                await store.persist(next, { changed, removed });
+                version = await versionOf(next);
+                cache = next;
+                listeners.forEach(listener => listener(next, { changed, removed, previous: current }));
+            }
+            return result;
+        });
+        writeQueue = run.catch(() => {});
+        return run;
+    };
+
+    const getVersion = async () => {
+        while (!version || !cache) await getUsers();
+        return version;
+    };
+
+    // Called after every persisted write with the new dataset and the one it replaced, e.g. to keep an
+    // index current
+    const onChange = (listener) => {
+        listeners.push(listener);
+    };
+
+    return {
+        backend: store.name,
+        getUsers,
+        getUser,
+        getVersion,
+        update,
+        onChange,
+        invalidate,
+        close: () => store.close()
+    };
+};
+
+module.exports = { createRepository };
@@ -0,0 +1,198 @@
+// Declared request schemas and the middleware that enforces them. A schema maps field names to rules
+// in the shape CERTIFICATE_FIELDS has always used:
+//   { type, required, nullable, default, enum, min, max, minLength, maxLength, pattern, items, description }
+// where type is string, date, number, integer, boolean, array (of strings unless `items` says
+// otherwise) or object. Query strings and path parameters arrive as text and are coerced first
+// ("false" -> false, "20" -> 20, "a,b" -> ['a', 'b']); JSON bodies must already carry the right types.
+// Every failure is reported in one envelope:
+//   400 { success: false, error: 'Validation failed', details: [{ field, message }], timestamp }
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TRUE_VALUES = ['true', '1', 'yes'];
+const FALSE_VALUES = ['false', '0', 'no'];
+
+// A YYYY-MM-DD date that exists: Date rolls 2024-02-30 over to March, so the round trip must match
+const isCalendarDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value) &&
+    !isNaN(new Date(value)) && new Date(value).toISOString().slice(0, 10) === value;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const sendValidationError = (res, details, extra = {}) => res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details,
+    ...extra,
+    timestamp: new Date().toISOString()
+});
+
+// Turn query/path text into the declared type. Values that cannot be converted are returned as they
+// are so the type check reports them.
+const coerce = (value, rules) => {
+    if (Array.isArray(value) && rules.type !== 'array') value = value[value.length - 1];
+    if (typeof value !== 'string') return value;
+
+    const text = value.trim();
+    switch (rules.type) {
+        case 'number':
+            return text !== '' && isFinite(Number(text)) ? Number(text) : value;
+        case 'integer':
+            return /^-?\d+$/.test(text) ? Number(text) : value;
+        case 'boolean':
+            if (TRUE_VALUES.includes(text.toLowerCase())) return true;
+            if (FALSE_VALUES.includes(text.toLowerCase())) return false;
+            return value;
+        case 'array':
+            return text.split(',').map(item => item.trim()).filter(Boolean);
+        case 'string':
+            // Enumerations are matched without regard to case: sortBy=Newest is sortBy=newest
+            return rules.enum ? rules.enum.find(option => option.toLowerCase() === text.toLowerCase()) ?? text : text;
+        default:
+            return text;
+    }
+};
+
+const rangeMessage = (field, rules) => {
+    if (rules.max === undefined) return `${field} must be at least ${rules.min}`;
+    if (rules.min === undefined) return `${field} must be at most ${rules.max}`;
+    return `${field} must be between ${rules.min} and ${rules.max}`;
+};
+
+// The problem with one present, non-null value, or null when it is valid
+const checkValue = (field, value, rules) => {
+    switch (rules.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${field} must be a ${rules.required ? 'non-empty ' : ''}string`;
+            if (rules.required && value.trim() === '') return `${field} must be a non-empty string`;
+            if (rules.enum && !rules.enum.includes(value)) return `${field} must be one of: ${rules.enum.join(', ')}`;
+            if (rules.minLength !== undefined && value.length < rules.minLength) return `${field} must be at least ${rules.minLength} characters`;
+            if (rules.maxLength !== undefined && value.length > rules.maxLength) return `${field} must be at most ${rules.maxLength} characters`;
+            if (rules.pattern && !rules.pattern.test(value)) return rules.patternMessage ? `${field} ${rules.patternMessage}` : `${field} has an invalid format`;
+            return null;
+        case 'date':
+            return isCalendarDate(value) ? null : `${field} must be a date in YYYY-MM-DD format`;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !isFinite(value)) return `${field} must be ${rules.type === 'integer' ? 'an integer' : 'a number'}`;
+            if (rules.type === 'integer' && !Number.isInteger(value)) return `${field} must be an integer`;
+            if ((rules.min !== undefined && value < rules.min) || (rules.max !== undefined && value > rules.max)) return rangeMessage(field, rules);
+            return null;
+        case 'boolean':
+            return typeof value !== 'boolean' ? `${field} must be true or false` : null;
+        case 'array': {
+            const items = rules.items || { type: 'string' };
+            if (!Array.isArray(value)) return `${field} must be an array of ${items.type}s`;
+            if (items.type === 'string' && value.some(item => typeof item !== 'string')) return `${field} must be an array of strings`;
+            if (rules.minItems !== undefined && value.length < rules.minItems) return `${field} must have at least ${rules.minItems} item${rules.minItems === 1 ? '' : 's'}`;
+            if (rules.maxItems !== undefined && value.length > rules.maxItems) return `${field} must have at most ${rules.maxItems} items`;
+            if (items.type !== 'string') {
+                const problem = value.map((item, index) => item === null || item === undefined
+                    ? `${field}[${index}] is required`
+                    : checkValue(`${field}[${index}]`, item, items)).find(Boolean);
+                if (problem) return problem;
+            }
+            return null;
+        }
+        case 'object':
+            return isObject(value) ? null : `${field} must be an object`;
+        default:
+            return null;
+    }
+};
+
+// Check `input` against `fields`. With partial=true missing required fields are allowed (PATCH);
+// with coerceText=true string values are converted first; with strict=true undeclared fields are
+// rejected. Returns { errors, value } where value has coerced values and defaults applied.
+const validateFields = (fields, input, { partial = false, coerceText = false, strict = false, prefix = '' } = {}) => {
+    if (!isObject(input)) {
+        return { errors: [{ field: null, message: 'Request body must be a JSON object' }], value: input };
+    }
+
+    const errors = [];
+    const value = { ...input };
+
+    if (strict) {
+        Object.keys(input)
+            .filter(field => !(field in fields))
+            .forEach(field => errors.push({ field: `${prefix}${field}`, message: `${field} cannot be changed here` }));
+    }
+
+    Object.entries(fields).forEach(([field, rules]) => {
+        const name = `${prefix}${field}`;
+        const raw = coerceText ? coerce(input[field], rules) : input[field];
+
+        // An empty value counts as missing; a partial update may leave fields out but not blank them
+        if (raw === undefined || raw === '') {
+            if (partial && raw === undefined) return;
+            if (rules.default !== undefined) value[field] = rules.default;
+            else if (rules.required) errors.push({ field: name, message: `${field} is required` });
+            else if (coerceText) delete value[field];
+            return;
+        }
+        if (raw === null) {
+            if (!rules.nullable) errors.push({ field: name, message: `${field} cannot be null` });
+            return;
+        }
+
+        const problem = checkValue(field, raw, rules);
+        if (problem) {
+            errors.push({ field: name, message: problem });
+        } else if (rules.type === 'object' && rules.fields) {
+            const nested = validateFields(rules.fields, raw, { partial: true, prefix: `${name}.` });
+            errors.push(...nested.errors);
+            value[field] = nested.value;
+        } else {
+            value[field] = raw;
+        }
+    });
+
+    return { errors, value };
+};
+
+// Middleware validating req.params, req.query and req.body against declared schemas. The validated
+// values replace the originals, so handlers see numbers, booleans and defaults rather than text.
+// onInvalid(req, res, details) replaces the JSON 400 for routes that answer with images or pages.
+// The remaining options document the route (lib/openapi.js) and have no effect on requests:
+//   summary          one line for /api/docs and the OpenAPI operation
+//   created          success is 201 rather than 200
+//   envelope         false for JSON that is not wrapped in { success, data, timestamp }
+//   contentType      media type of the success response when it is not JSON or implied by the path
+//   multipart        the body is a multipart/form-data file upload
+//   bodyDescription  what the body holds when it has no schema (uploads)
+// Routes without schemas declare their documentation with validate({}, { summary, ... }).
+const validate = (schemas, { partial = false, strict = false, onInvalid, ...docs } = {}) => {
+    const middleware = (req, res, next) => {
+        const details = [];
+        const check = (source, fields, options) => {
+            const { errors, value } = validateFields(fields, req[source] === undefined ? {} : req[source], options);
+            details.push(...errors);
+            if (errors.length === 0) req[source] = value;
+        };
+
+        if (schemas.params) check('params', schemas.params, { coerceText: true });
+        if (schemas.query) check('query', schemas.query, { coerceText: true });
+        if (schemas.body) check('body', schemas.body, { partial, strict });
+
+        if (details.length === 0) return next();
+        if (onInvalid) return onInvalid(req, res, details);
+        sendValidationError(res, details);
+    };
+    // Kept on the middleware so route documentation can be generated from it
+    middleware.schemas = { ...schemas, partial, strict };
+    middleware.docs = docs;
+    return middleware;
+};
+
+// app.param() handler checking one path parameter wherever it appears
+const validateParam = (name, rules) => (req, res, next, value) => {
+    const problem = checkValue(name, value, rules);
+    if (problem) return sendValidationError(res, [{ field: name, message: problem }]);
+    next();
+};
+
+module.exports = {
+    isCalendarDate,
+    sendValidationError,
+    validateFields,
+    validate,
+    validateParam
+};
@@ -0,0 +1,282 @@
+// In-process full-text index over user profiles and certificates. Documents are tokenized per field
+// and scored with BM25, weighting fields so a match in a course name counts for more than one in a
+// description. Query terms tolerate typos (edit distance 1-2 depending on length) and the last term
+// also matches as a prefix, so partial input works for autocomplete.
+//
+// The index is rebuilt per user: sync(userData) compares each user with what was indexed and only
+// re-tokenizes users whose data changed.
+
+const K1 = 1.2;
+const B = 0.75;
+
+const FIELDS = {
+    user: { name: 3, bio: 1, email: 1 },
+    certificate: { courseName: 3, skills: 2, skillTree: 0.5, institution: 1.5, platform: 1, category: 1, description: 1 }
+};
+
+// How much an expanded term counts compared with the term the user typed
+const PREFIX_FACTOR = 0.7;
+const FUZZY_FACTOR = 0.6;
+const MAX_EXPANSIONS = 20;
+const MIN_PREFIX_LENGTH = 2;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Lowercase words; + and # are kept so "C++" and "C#" stay searchable
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[a-z0-9][a-z0-9+#]*/g) || [])
+    .filter(token => !STOP_WORDS.has(token));
+
+// Allowed typos for a term of this length
+const maxEdits = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// Optimal string alignment distance (adjacent swaps count as one edit), giving up beyond `limit`
+const editDistance = (a, b, limit) => {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            next.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > limit) return limit + 1;
+        previousRow = row;
+        row = next;
+    }
+    return row[b.length];
+};
+
+const createSearchIndex = ({ normalizeSkills = (list) => list || [], ancestors = () => [] } = {}) => {
+    const documents = new Map();   // key -> { key, type, userId, certId, lengths: { field: tokens }, terms }
+    const postings = new Map();    // term -> Map(key -> { field: termFrequency })
+    const fieldTotals = new Map(); // 'type.field' -> total tokens, for average field lengths
+    const typeCounts = { user: 0, certificate: 0 };
+    const indexedUsers = new Map(); // userId -> { fingerprint, keys }
+    let sortedTerms = null;
+    let lastSynced = null;
+
+    const documentFields = {
+        user: (user) => ({ name: user.name, bio: user.bio, email: user.email }),
+        certificate: (cert) => {
+            const skills = normalizeSkills(cert.skills);
+            const parents = [...new Set(skills.flatMap(skill => ancestors(skill)))];
+            return {
+                courseName: cert.courseName,
+                skills: skills.join(' '),
+                skillTree: parents.join(' '),
+                institution: cert.institution,
+                platform: cert.platform,
+                category: cert.category,
+                description: cert.description
+            };
+        }
+    };
+
+    const addDocument = (doc, fields) => {
+        doc.lengths = {};
+        doc.terms = new Set();
+        Object.entries(fields).forEach(([field, text]) => {
+            const tokens = tokenize(text);
+            doc.lengths[field] = tokens.length;
+            const totalKey = `${doc.type}.${field}`;
+            fieldTotals.set(totalKey, (fieldTotals.get(totalKey) || 0) + tokens.length);
+            tokens.forEach(term => {
+                doc.terms.add(term);
+                if (!postings.has(term)) postings.set(term, new Map());
+                const entry = postings.get(term).get(doc.key) || {};
+                entry[field] = (entry[field] || 0) + 1;
+                postings.get(term).set(doc.key, entry);
+            });
+        });
+        documents.set(doc.key, doc);
+        typeCounts[doc.type] += 1;
+    };
+
+    const removeDocument = (key) => {
+        const doc = documents.get(key);
+        if (!doc) return;
+        Object.entries(doc.lengths).forEach(([field, length]) => {
+            const totalKey = `${doc.type}.${field}`;
+            fieldTotals.set(totalKey, fieldTotals.get(totalKey) - length);
+        });
+        doc.terms.forEach(term => {
+            const entries = postings.get(term);
+            entries.delete(key);
+            if (entries.size === 0) postings.delete(term);
+        });
+        documents.delete(key);
+        typeCounts[doc.type] -= 1;
+    };
+
+    const indexUser = (user) => {
+        const keys = [`user:${user.id}`];
+        addDocument({ key: keys[0], type: 'user', userId: user.id }, documentFields.user(user));
+        (user.certificates || []).forEach(cert => {
+            const key = `certificate:${user.id}:${cert.id}`;
+            keys.push(key);
+            addDocument({ key, type: 'certificate', userId: user.id, certId: cert.id }, documentFields.certificate(cert));
+        });
+        return keys;
+    };
+
+    // Bring the index in line with the dataset; unchanged users are skipped
+    const sync = (userData) => {
+        if (userData === lastSynced) return;
+        const seen = new Set();
+        Object.values(userData).forEach(user => {
+            seen.add(user.id);
+            const fingerprint = JSON.stringify(user);
+            const indexed = indexedUsers.get(user.id);
+            if (indexed && indexed.fingerprint === fingerprint) return;
+            if (indexed) indexed.keys.forEach(removeDocument);
+            indexedUsers.set(user.id, { fingerprint, keys: indexUser(user) });
+            sortedTerms = null;
+        });
+        indexedUsers.forEach((indexed, userId) => {
+            if (seen.has(userId)) return;
+            indexed.keys.forEach(removeDocument);
+            indexedUsers.delete(userId);
+            sortedTerms = null;
+        });
+        lastSynced = userData;
+    };
+
+    const vocabulary = () => {
+        if (!sortedTerms) sortedTerms = [...postings.keys()].sort();
+        return sortedTerms;
+    };
+
+    // The indexed terms a query term stands for, each with how much a match counts and whether it
+    // is a typo correction
+    const expandTerm = (term, { prefix }) => {
+        const expansions = new Map();
+        if (postings.has(term)) expansions.set(term, { factor: 1, fuzzy: false });
+
+        if (prefix && term.length >= MIN_PREFIX_LENGTH) {
+            const terms = vocabulary();
+            let low = 0;
+            let high = terms.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (terms[mid] < term) low = mid + 1;
+                else high = mid;
+            }
+            for (let i = low; i < terms.length && terms[i].startsWith(term) && expansions.size < MAX_EXPANSIONS; i++) {
+                if (!expansions.has(terms[i])) expansions.set(terms[i], { factor: PREFIX_FACTOR, fuzzy: false });
+            }
+        }
+
+        // Typo tolerance only kicks in when the term itself is unknown
+        const edits = maxEdits(term);
+        if (!postings.has(term) && edits > 0) {
+            vocabulary()
+                .map(candidate => ({ candidate, distance: editDistance(term, candidate, edits) }))
+                .filter(({ distance }) => distance <= edits)
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, MAX_EXPANSIONS)
+                .forEach(({ candidate, distance }) => {
+                    if (!expansions.has(candidate)) expansions.set(candidate, { factor: FUZZY_FACTOR / distance, fuzzy: true });
+                });
+        }
+        return expansions;
+    };
+
+    const idf = (term) => {
+        const df = postings.get(term).size;
+        return Math.log(1 + (documents.size - df + 0.5) / (df + 0.5));
+    };
+
+    // BM25 for one term in one document, summed over the document's fields with field weights
+    const termScore = (doc, term, hiddenFields) => {
+        const entry = postings.get(term).get(doc.key);
+        if (!entry) return { score: 0, fields: [] };
+        let score = 0;
+        const fields = [];
+        Object.entries(entry).forEach(([field, tf]) => {
+            if (hiddenFields.includes(field)) return;
+            const averageLength = Math.max(1, fieldTotals.get(`${doc.type}.${field}`) / Math.max(1, typeCounts[doc.type]));
+            const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.lengths[field] / averageLength));
+            score += FIELDS[doc.type][field] * norm;
+            fields.push(field);
+        });
+        return { score: score * idf(term), fields };
+    };
+
+    // Score one list of query terms. Every term contributes its best expansion per document, and
+    // documents matching only some of the terms are scaled down by the share they match.
+    const scoreTerms = (terms, { accept, hiddenFields }) => {
+        const scores = new Map();
+        terms.forEach((term, index) => {
+            const expansions = expandTerm(term, { prefix: index === terms.length - 1 });
+            const best = new Map();
+            expansions.forEach(({ factor, fuzzy }, expanded) => {
+                postings.get(expanded).forEach((entry, key) => {
+                    const doc = documents.get(key);
+                    if (!accept(doc)) return;
+                    const { score, fields } = termScore(doc, expanded, hiddenFields(doc));
+                    const weighted = score * factor;
+                    if (weighted > 0 && weighted > (best.get(key)?.score || 0)) {
+                        best.set(key, { score: weighted, fields, fuzzy });
+                    }
+                });
+            });
+            best.forEach((match, key) => {
+                const current = scores.get(key) || { score: 0, matched: 0, fields: new Set(), fuzzy: false };
+                current.score += match.score;
+                current.matched += 1;
+                match.fields.forEach(field => current.fields.add(field));
+                current.fuzzy = current.fuzzy || match.fuzzy;
+                scores.set(key, current);
+            });
+        });
+        scores.forEach(entry => {
+            entry.score *= entry.matched / terms.length;
+        });
+        return scores;
+    };
+
+    // Ranked matches for a query. `alternatives` are other phrasings of the whole query (such as the
+    // canonical name of a skill alias); a document keeps its best score across them.
+    // `accept(doc)` filters documents (e.g. by visibility) and `hiddenFields(doc)` lists fields that
+    // must not match for this viewer.
+    const search = (query, { alternatives = [], accept = () => true, hiddenFields = () => [] } = {}) => {
+        const combined = new Map();
+        [query, ...alternatives]
+            .map(tokenize)
+            .filter(terms => terms.length > 0)
+            .forEach(terms => {
+                scoreTerms(terms, { accept, hiddenFields }).forEach((entry, key) => {
+                    if (!combined.has(key) || combined.get(key).score < entry.score) combined.set(key, entry);
+                });
+            });
+
+        return [...combined.entries()]
+            .map(([key, entry]) => ({
+                key,
+                type: documents.get(key).type,
+                userId: documents.get(key).userId,
+                certId: documents.get(key).certId,
+                score: entry.score,
+                matchedFields: [...entry.fields],
+                fuzzy: entry.fuzzy
+            }))
+            .sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+    };
+
+    const stats = () => ({
+        documents: documents.size,
+        terms: postings.size,
+        users: indexedUsers.size
+    });
+
+    return { sync, search, stats };
+};
+
+module.exports = { createSearchIndex, tokenize, editDistance };
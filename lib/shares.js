@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Shareable portfolio links. A link is stored on its owner as user.shareLinks[] and is addressed by
+// a slug that is hard to guess (/p/<slug>). Links with an expiry also need a token: an Ed25519
+// signature over the slug and expiry, so the expiry in the URL cannot be altered. Owners choose the
+// certificates a link shows, can revoke it, and see how often it was viewed.
+//
+// View counts are kept apart from the links, in their own file (SHARE_VIEWS_FILE, default
+// .shares/views.json) keyed by link id: a visit must not rewrite the user dataset, which would bump
+// its data version and add an audit entry on every hit of a public URL.
+
+const SHARE_VIEWS_FILE = process.env.SHARE_VIEWS_FILE || path.join(__dirname, '..', '.shares', 'views.json');
+
+const MAX_LINKS_PER_USER = 50;
+const MAX_EXPIRY_DAYS = 365;
+const VIEW_HISTORY_DAYS = 90;
+const VIEWS_WRITE_DELAY_MS = 5000;
+const SLUG_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+
+const randomSuffix = (length = 10) => Array.from(crypto.randomBytes(length), byte => SLUG_ALPHABET[byte % SLUG_ALPHABET.length]).join('');
+
+// "Sarah Johnson" -> "sarah-johnson-<random>"; the name part is only there to make links readable
+const generateSlug = (user) => {
+    const name = String(user.name || user.id)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+    return `${name ? `${name}-` : ''}${randomSuffix()}`;
+};
+
+const findShareLink = (userData, slug) => {
+    for (const user of Object.values(userData)) {
+        const link = (user.shareLinks || []).find(item => item.slug === slug);
+        if (link) return { user, link };
+    }
+    return null;
+};
+
+const createShareLinks = ({ signer }) => {
+    const tokenPayload = (link) => ({ share: link.slug, exp: link.expiresAt });
+
+    const tokenFor = (link) => (link.expiresAt ? signer.sign(tokenPayload(link)) : null);
+
+    const shareUrl = (baseUrl, link) => {
+        const token = tokenFor(link);
+        return `${baseUrl}/p/${link.slug}${token ? `?token=${token}` : ''}`;
+    };
+
+    // Why a link cannot be opened right now, or null when it can
+    const accessProblem = (link, token, now = new Date()) => {
+        if (link.revokedAt) return 'revoked';
+        if (link.expiresAt && new Date(link.expiresAt) <= now) return 'expired';
+        if (link.expiresAt && !signer.verify(tokenPayload(link), token)) return 'invalid-token';
+        return null;
+    };
+
+    return { tokenFor, shareUrl, accessProblem };
+};
+
+// Check a create/update body. `certificateIds` must belong to the owner; null means "all certificates
+// that are not private". Returns { errors, changes }.
+const validateShareLink = (body = {}, user, { partial = false, now = new Date() } = {}) => {
+    const errors = [];
+    const changes = {};
+
+    if (body.label !== undefined) {
+        if (typeof body.label !== 'string' || body.label.length > 100) {
+            errors.push({ field: 'label', message: 'label must be a string of at most 100 characters' });
+        } else {
+            changes.label = body.label.trim();
+        }
+    }
+
+    if (body.certificateIds !== undefined) {
+        if (body.certificateIds === null) {
+            changes.certificateIds = null;
+        } else if (!Array.isArray(body.certificateIds) || body.certificateIds.length === 0) {
+            errors.push({ field: 'certificateIds', message: 'certificateIds must be a non-empty array of certificate IDs, or null for all' });
+        } else {
+            const owned = new Set((user.certificates || []).map(cert => cert.id));
+            const unknown = body.certificateIds.filter(id => !owned.has(id));
+            if (unknown.length > 0) {
+                errors.push({ field: 'certificateIds', message: `Unknown certificate IDs: ${unknown.join(', ')}` });
+            } else {
+                changes.certificateIds = [...new Set(body.certificateIds)];
+            }
+        }
+    }
+
+    if (body.expiresInDays !== undefined) {
+        if (body.expiresInDays === null) {
+            changes.expiresAt = null;
+        } else if (!Number.isInteger(body.expiresInDays) || body.expiresInDays < 1 || body.expiresInDays > MAX_EXPIRY_DAYS) {
+            errors.push({ field: 'expiresInDays', message: `expiresInDays must be an integer from 1 to ${MAX_EXPIRY_DAYS}, or null for no expiry` });
+        } else {
+            changes.expiresAt = new Date(now.getTime() + body.expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+        }
+    }
+
+    if (!partial) {
+        changes.label = changes.label || '';
+        if (changes.certificateIds === undefined) changes.certificateIds = null;
+        if (changes.expiresAt === undefined) changes.expiresAt = null;
+    }
+
+    return { errors, changes };
+};
+
+const newShareLink = (slug, settings, now = new Date()) => ({
+    id: `shr_${crypto.randomUUID()}`,
+    slug,
+    ...settings,
+    createdAt: now.toISOString(),
+    revokedAt: null
+});
+
+// Certificates a link shows. Explicitly chosen certificates are shown whatever their visibility;
+// a link for "all" leaves private ones out.
+const sharedCertificates = (user, link) => (user.certificates || []).filter(cert => (link.certificateIds
+    ? link.certificateIds.includes(cert.id)
+    : (cert.visibility || 'public') !== 'private'));
+
+const noViews = () => ({ views: 0, firstViewedAt: null, lastViewedAt: null, viewsByDay: {} });
+
+// A link's view counters after one more view
+const recordView = (counters = noViews(), now = new Date()) => {
+    const day = now.toISOString().slice(0, 10);
+    const viewsByDay = { ...counters.viewsByDay, [day]: (counters.viewsByDay[day] || 0) + 1 };
+    const oldest = new Date(now.getTime() - VIEW_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    Object.keys(viewsByDay).forEach(date => {
+        if (date < oldest) delete viewsByDay[date];
+    });
+
+    return {
+        views: counters.views + 1,
+        firstViewedAt: counters.firstViewedAt || now.toISOString(),
+        lastViewedAt: now.toISOString(),
+        viewsByDay
+    };
+};
+
+// View counters of every link, held in memory and written to `file` a few seconds after a view
+const createViewCounter = ({ file = SHARE_VIEWS_FILE, writeDelayMs = VIEWS_WRITE_DELAY_MS } = {}) => {
+    let counters = null;
+    let timer = null;
+    let writeQueue = Promise.resolve();
+
+    const load = () => {
+        if (counters) return counters;
+        try {
+            counters = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn(`Starting with empty share view counts: ${error.message}`);
+            counters = {};
+        }
+        return counters;
+    };
+
+    // Same temp-file-and-rename write as the JSON backend, so a crash never leaves half a file
+    const flush = () => {
+        clearTimeout(timer);
+        timer = null;
+        if (!counters) return writeQueue;
+        const text = JSON.stringify(counters, null, 2) + '\n';
+        writeQueue = writeQueue
+            .then(async () => {
+                const tempFile = `${file}.${process.pid}.tmp`;
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.writeFile(tempFile, text, 'utf8');
+                await fs.promises.rename(tempFile, file);
+            })
+            .catch(error => console.error('Error writing share view counts:', error));
+        return writeQueue;
+    };
+
+    const scheduleFlush = () => {
+        if (timer) return;
+        timer = setTimeout(flush, writeDelayMs);
+        timer.unref();
+    };
+
+    const record = (linkId, now = new Date()) => {
+        load()[linkId] = recordView(load()[linkId], now);
+        scheduleFlush();
+    };
+
+    const countsFor = (linkId) => load()[linkId] || noViews();
+
+    const remove = (linkId) => {
+        if (!(linkId in load())) return;
+        delete counters[linkId];
+        scheduleFlush();
+    };
+
+    return { file, record, countsFor, remove, flush };
+};
+
+module.exports = {
+    MAX_LINKS_PER_USER,
+    MAX_EXPIRY_DAYS,
+    generateSlug,
+    findShareLink,
+    createShareLinks,
+    validateShareLink,
+    newShareLink,
+    sharedCertificates,
+    recordView,
+    createViewCounter
+};
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Stable JSON serialization: object keys sorted recursively, so the same content always signs the same bytes
+const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+// Load the Ed25519 private key from disk, generating and storing one on first run
+const loadOrCreatePrivateKey = (keyFile) => {
+    if (fs.existsSync(keyFile)) {
+        return crypto.createPrivateKey(fs.readFileSync(keyFile, 'utf8'));
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    console.log(`Generated new Ed25519 signing key at ${keyFile}`);
+    return privateKey;
+};
+
+// Signer holding the server's Ed25519 key. The key file defaults to .keys/ in the project root,
+// which express.static is configured not to serve (dotfiles: 'ignore').
+const createSigner = ({
+    keyFile = process.env.SIGNING_KEY_FILE || path.join(__dirname, '..', '.keys', 'signing-key.pem')
+} = {}) => {
+    const privateKey = loadOrCreatePrivateKey(keyFile);
+    const publicKey = crypto.createPublicKey(privateKey);
+    const jwk = publicKey.export({ format: 'jwk' });
+    const keyId = crypto.createHash('sha256').update(jwk.x).digest('hex').slice(0, 16);
+
+    const hash = (payload) => crypto.createHash('sha256').update(canonicalize(payload)).digest('hex');
+
+    const sign = (payload) => crypto.sign(null, Buffer.from(canonicalize(payload)), privateKey).toString('base64url');
+
+    // Raw-byte variants for callers that build their own signing input (e.g. Data Integrity proofs)
+    const signBytes = (bytes) => crypto.sign(null, bytes, privateKey);
+
+    const verifyBytes = (bytes, signature) => {
+        try {
+            return crypto.verify(null, bytes, publicKey, signature);
+        } catch (error) {
+            return false;
+        }
+    };
+
+    const verify = (payload, signature) => {
+        if (typeof signature !== 'string' || signature === '') return false;
+        try {
+            return crypto.verify(null, Buffer.from(canonicalize(payload)), publicKey, Buffer.from(signature, 'base64url'));
+        } catch (error) {
+            return false;
+        }
+    };
+
+    return {
+        algorithm: 'Ed25519',
+        keyId,
+        publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+        publicJwk: { ...jwk, kid: keyId, alg: 'EdDSA', use: 'sig' },
+        hash,
+        sign,
+        verify,
+        signBytes,
+        verifyBytes
+    };
+};
+
+module.exports = { canonicalize, createSigner };
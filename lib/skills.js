@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+
+// Canonical skill registry loaded from config/skills.json. Each skill has a canonical name, optional
+// aliases (other spellings that map to it) and an optional parent, forming a hierarchy such as
+// Programming > Python > Pandas. Skills that are not in the registry pass through unchanged.
+
+const SKILLS_FILE = process.env.SKILLS_FILE || path.join(__dirname, '..', 'config', 'skills.json');
+
+// Lookup key: case, surrounding whitespace and repeated spaces do not matter
+const skillKey = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const createSkillRegistry = ({ file = SKILLS_FILE } = {}) => {
+    const { skills } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(skills)) throw new Error(`${file}: "skills" must be an array`);
+
+    const nodes = new Map();
+    const lookup = new Map();
+
+    skills.forEach(skill => {
+        if (!skill.name) throw new Error(`${file}: every skill needs a name`);
+        nodes.set(skill.name, { name: skill.name, parent: skill.parent || null, aliases: skill.aliases || [], children: [] });
+    });
+
+    nodes.forEach(node => {
+        [node.name, ...node.aliases].forEach(name => {
+            const key = skillKey(name);
+            if (lookup.has(key) && lookup.get(key) !== node.name) {
+                throw new Error(`${file}: "${name}" is used by both ${lookup.get(key)} and ${node.name}`);
+            }
+            lookup.set(key, node.name);
+        });
+        if (node.parent) {
+            if (!nodes.has(node.parent)) throw new Error(`${file}: unknown parent "${node.parent}" for ${node.name}`);
+            nodes.get(node.parent).children.push(node.name);
+        }
+    });
+
+    const isKnown = (name) => lookup.has(skillKey(name));
+
+    // Canonical spelling of a skill; unknown skills are only trimmed
+    const canonicalName = (name) => lookup.get(skillKey(name)) || String(name).trim().replace(/\s+/g, ' ');
+
+    // Canonical names, without duplicates or blanks, in their original order
+    const normalizeSkills = (list) => [...new Set((list || [])
+        .filter(skill => typeof skill === 'string' && skill.trim() !== '')
+        .map(canonicalName))];
+
+    // The skill and everything below it in the hierarchy
+    const descendants = (name) => {
+        const root = canonicalName(name);
+        const found = new Set([root]);
+        const queue = [root];
+        while (queue.length > 0) {
+            (nodes.get(queue.shift())?.children || []).forEach(child => {
+                if (!found.has(child)) {
+                    found.add(child);
+                    queue.push(child);
+                }
+            });
+        }
+        return found;
+    };
+
+    // Top-level skills (Programming, Data Science, ...)
+    const roots = () => [...nodes.values()].filter(node => !node.parent).map(node => node.name);
+
+    const ancestors = (name) => {
+        const chain = [];
+        let parent = nodes.get(canonicalName(name))?.parent;
+        while (parent && !chain.includes(parent)) {
+            chain.push(parent);
+            parent = nodes.get(parent).parent;
+        }
+        return chain;
+    };
+
+    // Does a certificate's skill list cover the wanted skill (directly or through a child skill)?
+    const matchesSkill = (certSkills, wanted) => {
+        const accepted = descendants(wanted);
+        return (certSkills || []).some(skill => accepted.has(canonicalName(skill)));
+    };
+
+    // Certificate counts per skill: `certificates` counts those listing the skill itself, `total`
+    // also counts certificates that list any skill below it (each certificate once)
+    const countCertificates = (certificates) => {
+        const direct = new Map();
+        const total = new Map();
+        certificates.forEach(cert => {
+            const own = new Set(normalizeSkills(cert.skills));
+            own.forEach(skill => direct.set(skill, (direct.get(skill) || 0) + 1));
+            const withAncestors = new Set([...own].flatMap(skill => [skill, ...ancestors(skill)]));
+            withAncestors.forEach(skill => total.set(skill, (total.get(skill) || 0) + 1));
+        });
+        return { direct, total };
+    };
+
+    const describe = (name, counts) => {
+        const node = nodes.get(name);
+        return {
+            name,
+            aliases: node ? node.aliases : [],
+            parent: node ? node.parent : null,
+            certificates: counts.direct.get(name) || 0,
+            totalCertificates: counts.total.get(name) || 0
+        };
+    };
+
+    // Nested taxonomy with counts. Skills found on certificates but missing from the registry are
+    // listed separately so they can be added to config/skills.json.
+    const tree = (certificates) => {
+        const counts = countCertificates(certificates);
+        const build = (name) => ({
+            ...describe(name, counts),
+            children: nodes.get(name).children.map(build)
+        });
+
+        return {
+            skills: roots().map(build),
+            unmapped: [...counts.direct.keys()]
+                .filter(name => !nodes.has(name))
+                .sort()
+                .map(name => ({ name, certificates: counts.direct.get(name) }))
+        };
+    };
+
+    // One skill with its position in the hierarchy; null when the name is unknown
+    const lookupSkill = (name, certificates) => {
+        if (!isKnown(name)) return null;
+        const canonical = canonicalName(name);
+        const counts = countCertificates(certificates);
+        return {
+            ...describe(canonical, counts),
+            ancestors: ancestors(canonical),
+            children: nodes.get(canonical).children.map(child => describe(child, counts))
+        };
+    };
+
+    return {
+        isKnown,
+        canonicalName,
+        normalizeSkills,
+        descendants,
+        roots,
+        ancestors,
+        matchesSkill,
+        tree,
+        lookupSkill
+    };
+};
+
+module.exports = { createSkillRegistry, skillKey };
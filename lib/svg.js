@@ -0,0 +1,48 @@
+// Small helpers for server-rendered SVG images
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Greedy word wrap into at most maxLines lines of roughly maxChars characters
+const wrapText = (text, maxChars, maxLines) => {
+    const lines = [];
+    let current = '';
+    String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+        if (current && (current + ' ' + word).length > maxChars) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = current ? `${current} ${word}` : word;
+        }
+    });
+    if (current) lines.push(current);
+
+    if (lines.length > maxLines) {
+        const kept = lines.slice(0, maxLines);
+        kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1)}…`;
+        return kept;
+    }
+    return lines;
+};
+
+// Brand colours used for generated certificate artwork
+const PLATFORM_COLORS = {
+    coursera: '#0056d3',
+    edx: '#02262b',
+    udemy: '#a435f0',
+    'linkedin learning': '#0077b5',
+    google: '#4285f4',
+    aws: '#ff9900',
+    hubspot: '#ff7a59',
+    pmi: '#05bfe0',
+    udacity: '#02b3e4',
+    '(isc)²': '#006747'
+};
+
+const platformColor = (platform) => PLATFORM_COLORS[String(platform || '').toLowerCase()] || '#2563eb';
+
+module.exports = { escapeXml, wrapText, platformColor };
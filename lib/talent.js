@@ -0,0 +1,271 @@
+const { isCalendarDate } = require('./schema');
+
+// Talent discovery: find users whose certificates satisfy a boolean skill expression and credential
+// criteria, e.g. skills "SQL AND Tableau" from verified, unexpired certificates earned in the last
+// two years. Each hit carries the certificates that justified it.
+//
+// Skill expressions use AND, OR and NOT (or &&, || and !) with parentheses; AND binds tighter than
+// OR. Skill names may contain spaces ("Data Visualization") or be quoted when they contain an
+// operator word ("Research AND Development" in quotes).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVERAGE_MONTH_DAYS = 30.44;
+
+const OPERATORS = { AND: 'and', '&&': 'and', OR: 'or', '||': 'or', NOT: 'not', '!': 'not' };
+
+const tokenizeExpression = (text) => {
+    const tokens = [];
+    const pattern = /\s*(?:"([^"]*)"|(\(|\)|&&|\|\||!)|([^\s()"!&|]+))/y;
+    let match;
+    let position = 0;
+    while (position < text.length && (match = pattern.exec(text))) {
+        position = pattern.lastIndex;
+        if (match[1] !== undefined) tokens.push({ type: 'word', value: match[1], quoted: true });
+        else if (match[2] === '(' || match[2] === ')') tokens.push({ type: match[2] });
+        else if (match[2]) tokens.push({ type: 'operator', value: OPERATORS[match[2]] });
+        else if (OPERATORS[match[3]]) tokens.push({ type: 'operator', value: OPERATORS[match[3]] });
+        else tokens.push({ type: 'word', value: match[3] });
+    }
+    if (text.slice(position).trim() !== '') {
+        throw new Error(`Unexpected character at position ${position + 1}`);
+    }
+    return tokens;
+};
+
+// Parse an expression into { skill } / { not } / { and: [] } / { or: [] } nodes; throws on a syntax error
+const parseSkillExpression = (text) => {
+    const tokens = tokenizeExpression(String(text));
+    let index = 0;
+    const peek = () => tokens[index];
+
+    const parseOr = () => {
+        const terms = [parseAnd()];
+        while (peek()?.type === 'operator' && peek().value === 'or') {
+            index++;
+            terms.push(parseAnd());
+        }
+        return terms.length === 1 ? terms[0] : { or: terms };
+    };
+
+    const parseAnd = () => {
+        const terms = [parseUnary()];
+        while (peek()?.type === 'operator' && peek().value === 'and') {
+            index++;
+            terms.push(parseUnary());
+        }
+        return terms.length === 1 ? terms[0] : { and: terms };
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (!token) throw new Error('Expression ends too early');
+        if (token.type === 'operator' && token.value === 'not') {
+            index++;
+            return { not: parseUnary() };
+        }
+        if (token.type === '(') {
+            index++;
+            const inner = parseOr();
+            if (peek()?.type !== ')') throw new Error('Missing closing parenthesis');
+            index++;
+            return inner;
+        }
+        if (token.type === 'word') {
+            // Consecutive unquoted words form one skill name
+            const words = [];
+            while (peek()?.type === 'word' && (words.length === 0 || !peek().quoted)) {
+                words.push(tokens[index++].value);
+                if (tokens[index - 1].quoted) break;
+            }
+            const skill = words.join(' ').trim();
+            if (!skill) throw new Error('Empty skill name');
+            return { skill };
+        }
+        throw new Error(`Unexpected ${token.type === 'operator' ? token.value.toUpperCase() : `'${token.type}'`}`);
+    };
+
+    if (tokens.length === 0) throw new Error('Expression is empty');
+    const tree = parseOr();
+    if (index < tokens.length) {
+        throw new Error(`Unexpected '${tokens[index].value || tokens[index].type}'`);
+    }
+    return tree;
+};
+
+// Every skill named in an expression, negated ones included
+const expressionSkills = (node) => {
+    if (node.skill) return [node.skill];
+    if (node.not) return expressionSkills(node.not);
+    return (node.and || node.or).flatMap(expressionSkills);
+};
+
+// Evaluate an expression against a user's certificates. Returns whether it holds, the certificates
+// that back the positive terms and the skills that matched.
+const evaluate = (node, certificates, matchesSkill) => {
+    if (node.skill) {
+        const evidence = certificates.filter(cert => matchesSkill(cert.skills, node.skill));
+        return { ok: evidence.length > 0, evidence, skills: evidence.length > 0 ? [node.skill] : [] };
+    }
+    if (node.not) {
+        const inner = evaluate(node.not, certificates, matchesSkill);
+        return { ok: !inner.ok, evidence: [], skills: [] };
+    }
+    const results = (node.and || node.or).map(child => evaluate(child, certificates, matchesSkill));
+    const held = results.filter(result => result.ok);
+    const ok = node.and ? held.length === results.length : held.length > 0;
+    return {
+        ok,
+        evidence: ok ? [...new Set(held.flatMap(result => result.evidence))] : [],
+        skills: ok ? [...new Set(held.flatMap(result => result.skills))] : []
+    };
+};
+
+// Credential criteria applied to each certificate before skills are considered
+const certificateQualifies = (cert, criteria, now) => {
+    if (criteria.verified && cert.verificationStatus !== 'Verified') return false;
+    if (!criteria.includeExpired && cert.expiryDate && new Date(cert.expiryDate) < now) return false;
+    if (criteria.completedAfter && new Date(cert.completionDate) < criteria.completedAfter) return false;
+    if (criteria.platforms.length > 0 && !criteria.platforms.includes(String(cert.platform).toLowerCase())) return false;
+    if (criteria.institutions.length > 0 && !criteria.institutions.includes(String(cert.institution).toLowerCase())) return false;
+    return true;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Rank users for a query. `users` is a list of { user, certificates } already limited to what the
+// viewer may see; `criteria` comes from validateTalentQuery.
+const findTalent = ({ users, criteria, matchesSkill, now = new Date() }) => users
+    .map(({ user, certificates }) => {
+        const qualifying = certificates.filter(cert => certificateQualifies(cert, criteria, now));
+        const result = criteria.expression
+            ? evaluate(criteria.expression, qualifying, matchesSkill)
+            : { ok: qualifying.length > 0, evidence: qualifying, skills: [] };
+        if (!result.ok) return null;
+
+        // With only negative terms (e.g. NOT Java) every qualifying certificate is evidence
+        const evidence = result.evidence.length > 0 ? result.evidence : qualifying;
+        const totals = {
+            certificates: evidence.length,
+            verified: evidence.filter(cert => cert.verificationStatus === 'Verified').length,
+            hours: evidence.reduce((sum, cert) => sum + (cert.hours || 0), 0),
+            credits: evidence.reduce((sum, cert) => sum + (cert.creditsEarned || 0), 0)
+        };
+        if (totals.hours < criteria.minHours || totals.credits < criteria.minCredits) return null;
+
+        // Matched skills count most, then verified and recent evidence, then volume of study
+        const latest = Math.max(...evidence.map(cert => new Date(cert.completionDate).getTime()));
+        const ageYears = evidence.length > 0 ? (now - latest) / DAY_MS / 365 : Infinity;
+        const score = result.skills.length * 10
+            + totals.verified * 2
+            + (totals.certificates - totals.verified)
+            + Math.max(0, 3 * (1 - ageYears / 5))
+            + Math.min(5, totals.hours / 100);
+
+        return {
+            user,
+            score: round(score),
+            matchedSkills: result.skills,
+            totals,
+            certificates: evidence
+                .slice()
+                .sort((a, b) => new Date(b.completionDate) - new Date(a.completionDate))
+                .map(cert => ({
+                    certificate: cert,
+                    matchedSkills: result.skills.filter(skill => matchesSkill(cert.skills, skill))
+                }))
+        };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.user.name.localeCompare(b.user.name));
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+// Check and normalize a query body. Returns { errors, criteria }.
+const validateTalentQuery = (body = {}, { now = new Date() } = {}) => {
+    const errors = [];
+    const criteria = {
+        expression: null,
+        verified: false,
+        includeExpired: true,
+        completedAfter: null,
+        platforms: [],
+        institutions: [],
+        minHours: 0,
+        minCredits: 0,
+        limit: 20,
+        offset: 0
+    };
+
+    if (body.skills !== undefined && body.skills !== '') {
+        // An array of skills is shorthand for requiring all of them
+        const text = Array.isArray(body.skills)
+            ? body.skills.map(skill => `"${String(skill).replace(/"/g, '')}"`).join(' AND ')
+            : body.skills;
+        if (typeof text !== 'string') {
+            errors.push({ field: 'skills', message: 'skills must be an expression string or an array of skills' });
+        } else {
+            try {
+                criteria.expression = parseSkillExpression(text);
+            } catch (error) {
+                errors.push({ field: 'skills', message: `Invalid skill expression: ${error.message}` });
+            }
+        }
+    }
+
+    ['verified', 'includeExpired'].forEach(field => {
+        if (body[field] === undefined) return;
+        if (typeof body[field] !== 'boolean') errors.push({ field, message: `${field} must be a boolean` });
+        else criteria[field] = body[field];
+    });
+
+    ['minHours', 'minCredits'].forEach(field => {
+        if (body[field] === undefined) return;
+        if (typeof body[field] !== 'number' || !(body[field] >= 0)) errors.push({ field, message: `${field} must be a non-negative number` });
+        else criteria[field] = body[field];
+    });
+
+    ['platforms', 'institutions'].forEach(field => {
+        if (body[field] === undefined) return;
+        if (!Array.isArray(body[field]) && typeof body[field] !== 'string') {
+            errors.push({ field, message: `${field} must be an array or a comma-separated string` });
+        } else {
+            criteria[field] = toList(body[field]).map(item => item.toLowerCase());
+        }
+    });
+
+    if (body.completedAfter !== undefined && body.withinMonths !== undefined) {
+        errors.push({ field: 'withinMonths', message: 'Use either completedAfter or withinMonths, not both' });
+    } else if (body.completedAfter !== undefined) {
+        if (!isCalendarDate(body.completedAfter)) {
+            errors.push({ field: 'completedAfter', message: 'completedAfter must be a date (YYYY-MM-DD)' });
+        } else {
+            criteria.completedAfter = new Date(body.completedAfter);
+        }
+    } else if (body.withinMonths !== undefined) {
+        if (!Number.isInteger(body.withinMonths) || body.withinMonths < 1) {
+            errors.push({ field: 'withinMonths', message: 'withinMonths must be a positive integer' });
+        } else {
+            criteria.completedAfter = new Date(now.getTime() - body.withinMonths * AVERAGE_MONTH_DAYS * DAY_MS);
+        }
+    }
+
+    if (body.limit !== undefined) {
+        if (!Number.isInteger(body.limit) || body.limit < 1 || body.limit > 100) errors.push({ field: 'limit', message: 'limit must be an integer from 1 to 100' });
+        else criteria.limit = body.limit;
+    }
+    if (body.offset !== undefined) {
+        if (!Number.isInteger(body.offset) || body.offset < 0) errors.push({ field: 'offset', message: 'offset must be a non-negative integer' });
+        else criteria.offset = body.offset;
+    }
+
+    return { errors, criteria };
+};
+
+module.exports = {
+    parseSkillExpression,
+    expressionSkills,
+    validateTalentQuery,
+    findTalent
+};
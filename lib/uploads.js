@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { toIsoDate } = require('./connectors');
+const { escapeXml, wrapText, platformColor } = require('./svg');
+
+// Certificate file storage (PDF and images) with metadata extraction and thumbnails.
+// Files live under .uploads/<userid>/<certid>/, which express.static does not serve.
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', '.uploads');
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES) || 10 * 1024 * 1024;
+
+const FILE_TYPES = {
+    pdf: { mimeType: 'application/pdf', extension: '.pdf' },
+    png: { mimeType: 'image/png', extension: '.png' },
+    jpeg: { mimeType: 'image/jpeg', extension: '.jpg' },
+    webp: { mimeType: 'image/webp', extension: '.webp' }
+};
+
+// Identify the file from its leading bytes rather than trusting the client's Content-Type
+const detectFileType = (buffer) => {
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'webp';
+    return null;
+};
+
+const certificateDir = (userId, certId) => path.join(UPLOAD_DIR, path.basename(userId), path.basename(certId));
+
+const extractPdfText = async (buffer) => {
+    const pdfParse = require('pdf-parse');
+    // pdf.js mishandles Node Buffers passed through its in-process worker; hand it a plain copy
+    const { text } = await pdfParse(new Uint8Array(buffer));
+    return text || '';
+};
+
+const PLATFORM_KEYWORDS = [
+    ['LinkedIn Learning', /linkedin learning/i],
+    ['Coursera', /coursera/i],
+    ['edX', /\bedx\b/i],
+    ['Udemy', /udemy/i],
+    ['Udacity', /udacity/i],
+    ['AWS', /amazon web services|\baws\b/i],
+    ['Google', /\bgoogle\b/i],
+    ['HubSpot', /hubspot/i],
+    ['PMI', /project management institute|\bpmi\b/i]
+];
+
+const DATE_PATTERN = /\b([A-Z][a-z]{2,8}\.? \d{1,2},? \d{4}|\d{1,2} [A-Z][a-z]{2,8},? \d{4}|\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{4})\b/;
+
+// Best-effort field extraction from certificate text. Only fields that were found are returned;
+// callers treat them as suggestions to pre-fill a form.
+const extractMetadata = (text) => {
+    const lines = String(text).split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const flat = lines.join(' ');
+    const extracted = {};
+
+    // The course title usually follows one of these phrases, on the same line or the next one
+    const lead = /(has successfully completed|successfully completed|for (?:successfully )?completing|completion of|certificate of completion|certifies that .+? has completed)[:\s]*/i;
+    for (let i = 0; i < lines.length && !extracted.courseName; i++) {
+        const match = lines[i].match(lead);
+        if (!match) continue;
+        const rest = lines[i].slice(match.index + match[0].length).trim();
+        // A heading such as "Certificate of Completion" followed by "... has completed": use the later line
+        if (!rest && lead.test(lines[i + 1] || '')) continue;
+        const candidate = rest || lines[i + 1] || '';
+        const name = candidate.split(/\s+(?:an online|offered by|authorized by|on [A-Z][a-z]+ \d)/i)[0].trim();
+        if (name.length >= 3) extracted.courseName = name;
+    }
+
+    const institution = flat.match(/\b(?:offered|authorized|issued|awarded|provided) by:? ([A-Z][\w&.,'() -]{2,80}?)(?= and | on |,|\.|$| through)/);
+    if (institution) extracted.institution = institution[1].trim();
+
+    const dated = flat.match(new RegExp(`(?:completed|issued|awarded|date|on)[:\\s]+${DATE_PATTERN.source}`, 'i')) || flat.match(DATE_PATTERN);
+    const completionDate = dated && toIsoDate(dated[1]);
+    if (completionDate) extracted.completionDate = completionDate;
+
+    const credentialId = flat.match(/\b(UC-[\w-]{6,})\b/) ||
+        flat.match(/(?:certificate|credential|verification|license)\s*(?:id|no\.?|number|code)\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{4,})/i);
+    if (credentialId) extracted.credentialId = credentialId[1];
+
+    const url = flat.match(/https?:\/\/[^\s)]+/);
+    if (url) extracted.certificateUrl = url[0].replace(/[.,]$/, '');
+
+    const platform = PLATFORM_KEYWORDS.find(([, pattern]) => pattern.test(flat));
+    if (platform) extracted.platform = platform[0];
+
+    return extracted;
+};
+
+// Generated thumbnail for documents: a certificate-style card with the course details
+const renderThumbnailSvg = ({ courseName, institution, platform, completionDate }) => {
+    const color = platformColor(platform);
+    const title = wrapText(courseName || 'Certificate', 26, 3);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200" viewBox="0 0 300 200" role="img" aria-label="${escapeXml(courseName)}">
+  <rect width="300" height="200" rx="12" fill="${color}"/>
+  <rect x="10" y="10" width="280" height="180" rx="8" fill="none" stroke="#ffffff" stroke-opacity="0.5"/>
+  <text x="24" y="40" fill="#ffffff" fill-opacity="0.85" font-family="Helvetica, Arial, sans-serif" font-size="12" letter-spacing="1">${escapeXml(String(platform || 'CERTIFICATE').toUpperCase())}</text>
+  ${title.map((line, index) => `<text x="24" y="${78 + index * 24}" fill="#ffffff" font-family="Helvetica, Arial, sans-serif" font-size="19" font-weight="bold">${escapeXml(line)}</text>`).join('\n  ')}
+  <text x="24" y="168" fill="#ffffff" fill-opacity="0.85" font-family="Helvetica, Arial, sans-serif" font-size="12">${escapeXml([institution, completionDate].filter(Boolean).join(' • '))}</text>
+</svg>
+`;
+};
+
+// Resize images with sharp when it is installed; otherwise the original image doubles as thumbnail
+const renderImageThumbnail = async (buffer) => {
+    try {
+        const sharp = require('sharp');
+        return { buffer: await sharp(buffer).resize(300, 200, { fit: 'cover' }).png().toBuffer(), extension: '.png' };
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        return null;
+    }
+};
+
+// Store an uploaded file for a certificate (replacing any previous one) and write its thumbnail.
+// Returns the file metadata to keep on the certificate record.
+const storeCertificateFile = async ({ userId, certId, buffer, originalName, type, details }) => {
+    const dir = certificateDir(userId, certId);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const { mimeType, extension } = FILE_TYPES[type];
+    await fs.promises.writeFile(path.join(dir, `original${extension}`), buffer);
+
+    let thumbnailExtension = '.svg';
+    if (type === 'pdf') {
+        await fs.promises.writeFile(path.join(dir, 'thumbnail.svg'), renderThumbnailSvg(details));
+    } else {
+        const resized = await renderImageThumbnail(buffer);
+        thumbnailExtension = resized ? resized.extension : extension;
+        await fs.promises.writeFile(path.join(dir, `thumbnail${thumbnailExtension}`), resized ? resized.buffer : buffer);
+    }
+
+    return {
+        originalName: path.basename(String(originalName || `certificate${extension}`)),
+        mimeType,
+        extension,
+        thumbnailExtension,
+        size: buffer.length,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        uploadedAt: new Date().toISOString()
+    };
+};
+
+const originalPath = (userId, certId, file) => path.join(certificateDir(userId, certId), `original${file.extension}`);
+
+const thumbnailPath = (userId, certId, file) => path.join(certificateDir(userId, certId), `thumbnail${file.thumbnailExtension}`);
+
+const removeCertificateFiles = (userId, certId) =>
+    fs.promises.rm(certificateDir(userId, certId), { recursive: true, force: true });
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    FILE_TYPES,
+    detectFileType,
+    extractPdfText,
+    extractMetadata,
+    renderThumbnailSvg,
+    storeCertificateFile,
+    originalPath,
+    thumbnailPath,
+    removeCertificateFiles
+};
@@ -0,0 +1,43 @@
+// Visibility levels for profiles and certificates:
+//   public  - listed in /api/users and /api/search, readable by anyone
+//   link    - readable by anyone who has the direct URL, but never listed or searchable
+//   private - owner only
+const VISIBILITY_LEVELS = ['public', 'link', 'private'];
+
+const rank = (level) => {
+    const index = VISIBILITY_LEVELS.indexOf(level || 'public');
+    return index === -1 ? 0 : index;
+};
+
+// A certificate is never more visible than the profile it belongs to
+const effectiveVisibility = (user, cert) =>
+    VISIBILITY_LEVELS[Math.max(rank(user.visibility), rank(cert && cert.visibility))];
+
+const isOwner = (viewer, user) => Boolean(viewer && user && viewer.userId === user.id);
+
+// Direct access (e.g. /api/certificates/:userid): public and link-only content is readable
+const canViewProfile = (viewer, user) => isOwner(viewer, user) || rank(user.visibility) < rank('private');
+
+const canViewCertificate = (viewer, user, cert) =>
+    isOwner(viewer, user) || rank(effectiveVisibility(user, cert)) < rank('private');
+
+// Listings and search: only public content appears
+const isListed = (viewer, user) => isOwner(viewer, user) || rank(user.visibility) === rank('public');
+
+const isCertificateListed = (viewer, user, cert) =>
+    isOwner(viewer, user) || rank(effectiveVisibility(user, cert)) === rank('public');
+
+// Certificates of `user` that `viewer` may read directly
+const visibleCertificates = (viewer, user) =>
+    (user.certificates || []).filter(cert => canViewCertificate(viewer, user, cert));
+
+module.exports = {
+    VISIBILITY_LEVELS,
+    effectiveVisibility,
+    isOwner,
+    canViewProfile,
+    canViewCertificate,
+    isListed,
+    isCertificateListed,
+    visibleCertificates
+};
@@ -0,0 +1,44 @@
+// Rewrite stored certificate skills to their canonical names from config/skills.json, e.g. after
+// adding aliases to the registry:
+//   node scripts/normalize-skills.js [--dry-run]
+// Skills the registry does not know are listed so they can be added to config/skills.json.
+const { createRepository } = require('../lib/repository');
+const { createSkillRegistry } = require('../lib/skills');
+
+const main = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    const registry = createSkillRegistry();
+    const repository = createRepository();
+
+    const changes = [];
+    const unknown = new Set();
+    const apply = (userData) => {
+        Object.values(userData).forEach(user => (user.certificates || []).forEach(cert => {
+            if (!Array.isArray(cert.skills)) return;
+            cert.skills.filter(skill => !registry.isKnown(skill)).forEach(skill => unknown.add(skill));
+            const skills = registry.normalizeSkills(cert.skills);
+            if (JSON.stringify(skills) !== JSON.stringify(cert.skills)) {
+                changes.push({ userId: user.id, certId: cert.id, from: cert.skills, to: skills });
+                cert.skills = skills;
+            }
+        }));
+    };
+
+    if (dryRun) {
+        apply(JSON.parse(JSON.stringify(await repository.getUsers())));
+    } else {
+        await repository.update(apply);
+    }
+    repository.close();
+
+    changes.forEach(change => console.log(`${change.userId}/${change.certId}: ${change.from.join(', ')} -> ${change.to.join(', ')}`));
+    console.log(`${changes.length} certificate(s) ${dryRun ? 'would be updated' : 'updated'}`);
+    if (unknown.size > 0) {
+        console.log(`Not in the registry: ${[...unknown].sort().join(', ')}`);
+    }
+};
+
+main().catch((error) => {
+    console.error('Failed to normalize skills:', error);
+    process.exit(1);
+});
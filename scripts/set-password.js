@@ -0,0 +1,38 @@
+// Set (or reset) the password for an existing user, e.g. the demo users in data.json:
+//   node scripts/set-password.js user1 'a-long-password'
+// Resetting also revokes every token issued to that user.
+const { createRepository } = require('../lib/repository');
+const { hashPassword } = require('../lib/auth');
+
+const main = async () => {
+    const [userId, password] = process.argv.slice(2);
+    if (!userId || !password || password.length < 8) {
+        console.error('Usage: node scripts/set-password.js <userid> <password (min 8 characters)>');
+        process.exit(1);
+    }
+
+    const repository = createRepository();
+    const passwordHash = await hashPassword(password);
+
+    const user = await repository.update((userData) => {
+        const target = userData[userId.toLowerCase()];
+        if (!target) return null;
+        target.account = {
+            passwordHash,
+            tokenVersion: (target.account?.tokenVersion || 0) + 1
+        };
+        return target;
+    });
+    repository.close();
+
+    if (!user) {
+        console.error(`User '${userId}' not found`);
+        process.exit(1);
+    }
+    console.log(`Password set for ${user.id} (${user.email})`);
+};
+
+main().catch((error) => {
+    console.error('Failed to set password:', error);
+    process.exit(1);
+});
@@ -1,6 +1,35 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const { createRepository } = require('./lib/repository');
+const { createSigner } = require('./lib/signing');
+const openBadges = require('./lib/open-badges');
+const { hashPassword, verifyPassword, createAuth } = require('./lib/auth');
+const visibility = require('./lib/visibility');
+const connectors = require('./lib/connectors');
+const uploads = require('./lib/uploads');
+const portfolio = require('./lib/portfolio');
+const { createMailer } = require('./lib/mailer');
+const { createReminderScheduler } = require('./lib/reminders');
+const analytics = require('./lib/analytics');
+const recommendations = require('./lib/recommendations');
+const { createSkillRegistry } = require('./lib/skills');
+const { createSearchIndex } = require('./lib/search');
+const talent = require('./lib/talent');
+const shares = require('./lib/shares');
+const badges = require('./lib/badges');
+const embed = require('./lib/embed');
+const orgs = require('./lib/orgs');
+const goals = require('./lib/goals');
+const achievements = require('./lib/achievements');
+const duplicates = require('./lib/duplicates');
+const interchange = require('./lib/interchange');
+const openapi = require('./lib/openapi');
+const httpCache = require('./lib/http-cache');
+const { createAuditLog } = require('./lib/audit');
+const { validate, validateParam, validateFields, sendValidationError } = require('./lib/schema');
+const multer = require('multer');
 
 // Initialize Express app
 const app = express();
@@ -9,13 +38,154 @@ const PORT = process.env.PORT || 3001;
 // Middleware
 app.use(cors({
     origin: ['http://localhost:3000', 'http://localhost:3001', 'http://127.0.0.1:5500', 'http://127.0.0.1:3001'],
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['ETag', 'Last-Modified', 'API-Version']
 }));
-app.use(express.json());
-app.use(express.static(path.join(__dirname)));
+// Bulk imports send whole CSV files, so bodies may be larger than the 100kb default
+app.use(express.json({ limit: '2mb' }));
 
-// Helper function to simulate database delay
+// API versions. /api/v1/... is the current API and the unversioned /api/... paths stay aliases of it
+// for existing clients. Versioned requests are routed to the same handlers with req.apiVersion set:
+// a route that changes in v2 can branch on it, and routes that differ entirely can go in a router
+// mounted at /api/v2 ahead of this middleware, falling through to v1 for the rest.
+const API_VERSIONS = ['v1'];
+const CURRENT_API_VERSION = 'v1';
+app.use((req, res, next) => {
+    const match = req.url.match(/^\/api\/(v\d+)(?=[/?]|$)(.*)$/);
+    if (match && !API_VERSIONS.includes(match[1])) {
+        return res.status(404).json({
+            success: false,
+            error: 'API version not found',
+            message: `API version ${match[1]} does not exist`,
+            supportedVersions: API_VERSIONS,
+            timestamp: new Date().toISOString()
+        });
+    }
+    req.apiVersion = match ? match[1] : CURRENT_API_VERSION;
+    if (match) req.url = `/api${match[2]}`;
+    if (req.url.startsWith('/api/')) res.set('API-Version', req.apiVersion);
+    next();
+});
+
+// Profile pages advertise their oEmbed endpoint, so pasting a profile link into a tool that supports
+// oEmbed produces a rich card
+const profilePage = fs.readFileSync(path.join(__dirname, 'profile.html'), 'utf8');
+app.get('/profile.html', (req, res, next) => {
+    if (!req.query.user) return next();
+    const pageUrl = `${getBaseUrl(req)}${req.originalUrl}`;
+    const discovery = `<link rel="alternate" type="application/json+oembed" href="${getBaseUrl(req)}/api/oembed?url=${encodeURIComponent(pageUrl)}&amp;format=json">`;
+    res.type('html').send(profilePage.replace('</head>', `    ${discovery}\n</head>`));
+});
+
+// Only front-end assets are served statically; data files, keys and server code are not
+const STATIC_EXTENSIONS = ['.html', '.css', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.ico', '.webp', '.woff', '.woff2'];
+const serveStatic = express.static(path.join(__dirname), { dotfiles: 'ignore' });
+app.use((req, res, next) => {
+    if (STATIC_EXTENSIONS.includes(path.extname(req.path).toLowerCase())) {
+        return serveStatic(req, res, next);
+    }
+    next();
+});
+
+// Data access: JSON file by default, SQLite with STORAGE_BACKEND=sqlite
+const repository = createRepository();
+
+// Organizations and their teams live in a separate store next to the user data
+const orgRepository = createRepository({
+    dataFile: process.env.ORGS_FILE || path.join(__dirname, 'orgs.json'),
+    sqliteFile: process.env.ORGS_SQLITE_FILE || path.join(__dirname, 'orgs.sqlite')
+});
+
+// Password accounts and bearer tokens; every request gets req.auth (null when anonymous)
+const auth = createAuth({ repository });
+app.use(auth.authenticate);
+
+// Append-only audit log of every change to users, certificates and organizations, attributed to the
+// signed-in user making the request
+const auditLog = createAuditLog();
+app.use(auditLog.captureRequest);
+auditLog.track(repository, { store: 'users' });
+auditLog.track(orgRepository, { store: 'orgs', entity: 'organization' });
+
+// ETag / Last-Modified and 304 Not Modified for reads that depend only on the user dataset
+const cacheable = httpCache.createConditionalGet({ getVersion: repository.getVersion });
+// Badges are embedded on other sites, so shared caches may keep them, but they are revalidated like
+// every other read so that a change of visibility shows on the next request
+const cacheableBadge = httpCache.createConditionalGet({ getVersion: repository.getVersion, cacheControl: 'public, no-cache' });
+
+// Path parameters are checked wherever a route declares them (lib/schema.js); IDs are short tokens
+const ID_PARAM = { type: 'string', maxLength: 100, pattern: /^[A-Za-z0-9_.:-]+$/, patternMessage: 'may only contain letters, digits, _, ., : and -' };
+const PATH_PARAMS = {
+    userid: ID_PARAM,
+    certid: ID_PARAM,
+    goalId: ID_PARAM,
+    shareId: ID_PARAM,
+    notificationId: ID_PARAM,
+    orgid: ID_PARAM,
+    teamId: ID_PARAM,
+    connector: ID_PARAM,
+    slug: ID_PARAM,
+    skill: { type: 'string', maxLength: 100 }
+};
+Object.entries(PATH_PARAMS).forEach(([name, rules]) => app.param(name, validateParam(name, rules)));
+
+// Ed25519 key used to sign certificate content for third-party verification
+const signer = createSigner();
+
+// Expiry reminders go to each user's inbox, and by email when MAIL_TRANSPORT is configured
+const reminders = createReminderScheduler({ repository, mailer: createMailer() });
+
+// Canonical skill names, aliases and hierarchy (config/skills.json)
+const skillRegistry = createSkillRegistry();
+
+// Share links for portfolios; tokens for expiring links are signed with the same key
+const shareLinks = shares.createShareLinks({ signer });
+const shareViews = shares.createViewCounter();
+
+// Full-text index for /api/search, built from the dataset on startup and kept current on writes
+const searchIndex = createSearchIndex({
+    normalizeSkills: skillRegistry.normalizeSkills,
+    ancestors: skillRegistry.ancestors
+});
+repository.getUsers()
+    .then(searchIndex.sync)
+    .catch(error => console.error('Error building search index:', error));
+repository.onChange(userData => searchIndex.sync(userData));
+
+// Career roles and their weighted skills, used by the recommender
+const careerRoles = recommendations.loadRoles(undefined, { canonicalName: skillRegistry.canonicalName });
+
+// Achievement definitions (config/achievements.json). Newly met achievements are recorded after every
+// write that touches a user; reading them never writes.
+const achievementRules = achievements.loadAchievements(undefined, { canonicalName: skillRegistry.canonicalName });
+const achievementOptions = { matchesSkill: skillRegistry.matchesSkill, normalizeSkills: skillRegistry.normalizeSkills };
+
+const recordAchievements = (userIds) => repository.update((userData) => {
+    userIds.forEach(userId => {
+        const user = userData[userId];
+        if (!user) return;
+        const earned = achievements.newlyEarned(achievementRules, user, achievementOptions);
+        if (earned.length > 0) user.achievements = [...(user.achievements || []), ...earned];
+    });
+});
+repository.onChange((userData, { changed }) => {
+    recordAchievements(changed).catch(error => console.error('Error recording achievements:', error));
+});
+
+// Earned, in-progress and locked achievements of a user; progress counts what `viewer` can see.
+// Achievements met but not recorded yet (seed data, or a write whose follow-up is still queued) are
+// shown as earned with recordedAt null.
+const achievementsFor = (viewer, user) => {
+    const unrecorded = achievements.newlyEarned(achievementRules, user, achievementOptions)
+        .map(entry => ({ ...entry, recordedAt: null }));
+    return achievements.describeAchievements(achievementRules, { ...user, achievements: [...(user.achievements || []), ...unrecorded] },
+        visibility.visibleCertificates(viewer, user), achievementOptions);
+};
+
+// Artificial latency for demos, off unless SIMULATE_DELAY=true
+const SIMULATE_DELAY = process.env.SIMULATE_DELAY === 'true';
 const simulateDelay = (min = 800, max = 2000) => {
+    if (!SIMULATE_DELAY) return Promise.resolve();
     const delay = Math.floor(Math.random() * (max - min + 1)) + min;
     return new Promise(resolve => setTimeout(resolve, delay));
 };
@@ -28,6 +198,8 @@ const formatCertificate = (cert) => {
     
     return {
         ...cert,
+        // Records stored before the skill registry existed may still use aliases
+        skills: skillRegistry.normalizeSkills(cert.skills),
         completionDate: cert.completionDate,
         issueDate: cert.issueDate,
         expiryDate: cert.expiryDate,
@@ -39,16 +211,170 @@ const formatCertificate = (cert) => {
     };
 };
 
+// Recompute a user's derived totals from their certificate list
+const syncUserTotals = (user) => {
+    user.totalCertificates = user.certificates.length;
+    user.totalHours = user.certificates.reduce((sum, cert) => sum + (cert.hours || 0), 0);
+    return user;
+};
+
+// Generate the next certificate ID (cert_001, cert_002, ...) unique across all users
+const generateCertificateId = (userData) => {
+    const highest = Object.values(userData)
+        .flatMap(user => user.certificates || [])
+        .map(cert => parseInt(String(cert.id).replace(/^cert_/, ''), 10))
+        .filter(num => !isNaN(num))
+        .reduce((max, num) => Math.max(max, num), 0);
+    return `cert_${String(highest + 1).padStart(3, '0')}`;
+};
+
+// Field definitions for certificate records, mirroring what formatCertificate and the routes consume.
+// verificationStatus is not among them: new records start as Pending and only a signature check, an
+// Open Badges proof or a connector's verify page may mark one Verified.
+const CERTIFICATE_FIELDS = {
+    courseName: { type: 'string', required: true },
+    platform: { type: 'string', required: true },
+    institution: { type: 'string', required: true },
+    category: { type: 'string', required: true },
+    completionDate: { type: 'date', required: true },
+    issueDate: { type: 'date' },
+    expiryDate: { type: 'date', nullable: true },
+    certificateUrl: { type: 'string', pattern: /^https?:\/\/\S+$/i, patternMessage: 'must be an http or https URL' },
+    credentialId: { type: 'string' },
+    duration: { type: 'string' },
+    hours: { type: 'number', min: 0 },
+    grade: { type: 'string' },
+    creditsEarned: { type: 'number', min: 0 },
+    rating: { type: 'number', min: 0, max: 5 },
+    instructor: { type: 'string' },
+    skills: { type: 'array' },
+    description: { type: 'string' },
+    difficulty: { type: 'string' },
+    thumbnail: { type: 'string' },
+    learningOutcomes: { type: 'array' },
+    projects: { type: 'array' },
+    visibility: { type: 'string', enum: visibility.VISIBILITY_LEVELS }
+};
+
+// What a verified certificate attests to; editing any of these makes it Pending again
+const VERIFIED_CLAIMS = ['courseName', 'platform', 'institution', 'completionDate', 'issueDate', 'expiryDate', 'credentialId', 'certificateUrl', 'grade', 'hours', 'creditsEarned'];
+
+// Checks across certificate fields that a per-field schema cannot express
+const certificateDateErrors = (input) => {
+    const completion = input.completionDate ? new Date(input.completionDate) : null;
+    const expiry = input.expiryDate ? new Date(input.expiryDate) : null;
+    return completion && expiry && !isNaN(completion) && !isNaN(expiry) && expiry < completion
+        ? [{ field: 'expiryDate', message: 'expiryDate cannot be before completionDate' }]
+        : [];
+};
+
+// Validate a certificate payload; with partial=true only the supplied fields are checked
+const validateCertificate = (input, { partial = false } = {}) => {
+    const { errors } = validateFields(CERTIFICATE_FIELDS, input, { partial });
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return errors;
+    return [...errors, ...certificateDateErrors(input)];
+};
+
+// Keep only known certificate fields from a request body
+const pickCertificateFields = (input) => Object.keys(CERTIFICATE_FIELDS)
+    .filter(field => input[field] !== undefined)
+    .reduce((acc, field) => ({ ...acc, [field]: input[field] }), {});
+
+// Store skills under their canonical names so aliases ("Data Viz", "Amazon Web Services") collapse
+const withCanonicalSkills = (record) => (Array.isArray(record.skills)
+    ? { ...record, skills: skillRegistry.normalizeSkills(record.skills) }
+    : record);
+
+// Multipart form fields arrive as strings; convert them to the types CERTIFICATE_FIELDS expects
+const coerceFormFields = (body) => Object.entries(CERTIFICATE_FIELDS).reduce((acc, [field, rules]) => {
+    const value = body[field];
+    if (value === undefined || value === '') return acc;
+    if (rules.type === 'number') {
+        acc[field] = Number(value);
+    } else if (rules.type === 'array') {
+        acc[field] = Array.isArray(value) ? value : String(value).split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+    } else if (rules.nullable && value === 'null') {
+        acc[field] = null;
+    } else {
+        acc[field] = value;
+    }
+    return acc;
+}, {});
+
+// Keep only the system-managed fields (id, source, ...) that clients cannot edit directly
+const omitCertificateFields = (cert) => Object.keys(cert)
+    .filter(field => !(field in CERTIFICATE_FIELDS))
+    .reduce((acc, field) => ({ ...acc, [field]: cert[field] }), {});
+
+// Absolute base URL for links embedded in exported documents
+const getBaseUrl = (req) => process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+// The exact content covered by a certificate signature: the holder plus the stored certificate fields
+// and verification status (computed fields such as isExpired or verificationDetails, and the
+// visibility setting, are left out)
+const signedCertificateContent = (userId, cert) => {
+    const { visibility: _visibility, ...content } = pickCertificateFields(cert);
+    return {
+        holder: userId,
+        certificate: { id: cert.id, ...content, verificationStatus: cert.verificationStatus }
+    };
+};
+
+// Profile fields the owner can edit through PATCH /api/users/:userid
+const PROFILE_FIELDS = {
+    name: { type: 'string', required: true },
+    bio: { type: 'string' },
+    location: { type: 'string' },
+    linkedin: { type: 'string' },
+    github: { type: 'string' },
+    website: { type: 'string' },
+    portfolio: { type: 'string' },
+    profileImage: { type: 'string' },
+    visibility: { type: 'string', enum: visibility.VISIBILITY_LEVELS }
+};
+
+// Public summary of a user; private fields (email, visibility) only for the owner
+const summarizeUser = (viewer, user) => {
+    const certificates = visibility.visibleCertificates(viewer, user);
+    const owner = visibility.isOwner(viewer, user);
+    return {
+        id: user.id,
+        name: user.name,
+        email: owner ? user.email : undefined,
+        visibility: owner ? (user.visibility || 'public') : undefined,
+        totalCertificates: certificates.length,
+        totalHours: certificates.reduce((sum, cert) => sum + (cert.hours || 0), 0),
+        joinDate: user.joinDate,
+        profileImage: user.profileImage || `https://via.placeholder.com/150x150/2563eb/white?text=${user.name.charAt(0)}`
+    };
+};
+
+// Respond 404 for a profile the viewer may not see, so private profiles are indistinguishable from missing ones
+const sendUserNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'User not found',
+    timestamp: new Date().toISOString()
+});
+
+// Public certificates held by everyone except one user; the pool recommendations are drawn from
+const certificateCatalog = (userData, excludeUserId) => Object.values(userData)
+    .filter(user => user.id !== excludeUserId && visibility.isListed(null, user))
+    .flatMap(user => user.certificates
+        .filter(cert => visibility.isCertificateListed(null, user, cert))
+        .map(certificate => ({ holderId: user.id, certificate })));
+
 // API Routes
 
 // Health check endpoint
-app.get('/api/health', async (req, res) => {
+app.get('/api/health', validate({}, { summary: 'System health check', envelope: false }), async (req, res) => {
     try {
         res.json({
             status: 'healthy',
             timestamp: new Date().toISOString(),
             version: '1.0.0',
             environment: process.env.NODE_ENV || 'development',
+            storage: repository.backend,
+            reminders: reminders.status(),
             uptime: process.uptime(),
             memory: process.memoryUsage()
         });
@@ -62,32 +388,15 @@ app.get('/api/health', async (req, res) => {
 });
 
 // Get all available users (for testing/demo)
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', validate({}, { summary: 'List all available users' }), cacheable, async (req, res) => {
     try {
         await simulateDelay(300, 800);
         
-        // Load user data from data.json
-        const fs = require('fs');
-        let userData;
-        
-        try {
-            const dataFile = path.join(__dirname, 'data.json');
-            const rawData = fs.readFileSync(dataFile, 'utf8');
-            userData = JSON.parse(rawData);
-        } catch (fileError) {
-            console.log('data.json not found, using embedded mock data');
-            userData = require('./data.json'); // This will work if data.json is available
-        }
+        const userData = await repository.getUsers();
         
-        const users = Object.values(userData).map(user => ({
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            totalCertificates: user.totalCertificates,
-            totalHours: user.totalHours,
-            joinDate: user.joinDate,
-            profileImage: user.profileImage || `https://via.placeholder.com/150x150/2563eb/white?text=${user.name.charAt(0)}`
-        }));
+        const users = Object.values(userData)
+            .filter(user => visibility.isListed(req.auth, user))
+            .map(user => summarizeUser(req.auth, user));
         
         res.json({
             success: true,
@@ -107,47 +416,385 @@ app.get('/api/users', async (req, res) => {
     }
 });
 
+// Create an account with a new, empty profile
+app.post('/api/auth/register', validate({
+    body: {
+        name: { type: 'string', required: true, maxLength: 100, description: 'Display name' },
+        email: { type: 'string', required: true, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, patternMessage: 'must be a valid email address' },
+        password: { type: 'string', required: true, minLength: 8 }
+    }
+}, { summary: 'Create an account', created: true }), async (req, res) => {
+    try {
+        const { name, email, password } = req.body;
+
+        const passwordHash = await hashPassword(password);
+
+        const user = await repository.update((userData) => {
+            const normalizedEmail = email.trim().toLowerCase();
+            if (Object.values(userData).some(existing => String(existing.email).toLowerCase() === normalizedEmail)) {
+                return null;
+            }
+
+            const highest = Object.keys(userData)
+                .map(id => parseInt(id.replace(/^user/, ''), 10))
+                .filter(num => !isNaN(num))
+                .reduce((max, num) => Math.max(max, num), 0);
+            const id = `user${highest + 1}`;
+
+            userData[id] = {
+                id,
+                name: name.trim(),
+                email: normalizedEmail,
+                joinDate: new Date().toISOString().slice(0, 10),
+                totalCertificates: 0,
+                totalHours: 0,
+                visibility: 'public',
+                account: { passwordHash, tokenVersion: 0 },
+                certificates: []
+            };
+            return userData[id];
+        });
+
+        if (!user) {
+            return res.status(409).json({
+                success: false,
+                error: 'Conflict',
+                message: 'An account with this email already exists',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[${new Date().toISOString()}] POST /api/auth/register - created ${user.id}`);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                user: summarizeUser({ userId: user.id }, user),
+                ...auth.issueToken(user)
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error registering account:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to create account',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Exchange email (or user ID) and password for a bearer token
+app.post('/api/auth/login', validate({
+    body: {
+        email: { type: 'string', description: 'Account email (or send userId)' },
+        userId: { type: 'string', description: 'User ID (or send email)' },
+        password: { type: 'string', required: true }
+    }
+}, { summary: 'Log in and receive a bearer token' }), async (req, res) => {
+    try {
+        const { email, userId, password } = req.body;
+
+        if (!email && !userId) {
+            return sendValidationError(res, [{ field: 'email', message: 'email (or userId) is required' }]);
+        }
+
+        const userData = await repository.getUsers();
+        const user = userId
+            ? userData[String(userId).toLowerCase()]
+            : Object.values(userData).find(candidate => String(candidate.email).toLowerCase() === String(email).trim().toLowerCase());
+
+        const valid = user && user.account && await verifyPassword(password, user.account.passwordHash);
+        if (!valid) {
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'Invalid credentials',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                user: summarizeUser({ userId: user.id }, user),
+                ...auth.issueToken(user)
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to log in',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Revoke every token issued to the signed-in user
+app.post('/api/auth/logout', auth.requireAuth, validate({}, { summary: 'Revoke all of your tokens' }), async (req, res) => {
+    try {
+        await repository.update((userData) => {
+            const account = userData[req.auth.userId].account;
+            account.tokenVersion = (account.tokenVersion || 0) + 1;
+        });
+
+        res.json({
+            success: true,
+            message: 'All sessions have been signed out',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to log out',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Change password; existing tokens are revoked and a fresh one is returned
+app.put('/api/auth/password', auth.requireAuth, validate({
+    body: {
+        currentPassword: { type: 'string', required: true },
+        newPassword: { type: 'string', required: true, minLength: 8 }
+    }
+}, { summary: 'Change your password' }), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const current = await repository.getUser(req.auth.userId);
+        if (!await verifyPassword(currentPassword, current.account.passwordHash)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'Current password is incorrect',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const passwordHash = await hashPassword(newPassword);
+        const user = await repository.update((userData) => {
+            const account = userData[req.auth.userId].account;
+            account.passwordHash = passwordHash;
+            account.tokenVersion = (account.tokenVersion || 0) + 1;
+            return userData[req.auth.userId];
+        });
+
+        res.json({
+            success: true,
+            data: auth.issueToken(user),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to change password',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Current signed-in user
+app.get('/api/auth/me', auth.requireAuth, validate({}, { summary: 'Current signed-in user' }), async (req, res) => {
+    try {
+        const user = await repository.getUser(req.auth.userId);
+
+        res.json({
+            success: true,
+            data: summarizeUser(req.auth, user),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error fetching current user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to retrieve current user',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Update the owner's profile fields, including profile visibility
+app.patch('/api/users/:userid', auth.requireOwner(), validate({ body: PROFILE_FIELDS }, { summary: 'Update your profile and its visibility (owner only)', partial: true, strict: true }), async (req, res) => {
+    try {
+        const { userid } = req.params;
+        const body = req.body;
+
+        const user = await repository.update((userData) => {
+            const target = userData[userid.toLowerCase()];
+            Object.keys(PROFILE_FIELDS).filter(field => body[field] !== undefined).forEach(field => {
+                target[field] = body[field];
+            });
+            // Certificates a platform verified for the old name need a new sync under the new one
+            if (body.name !== undefined) {
+                target.certificates.forEach(cert => {
+                    if (cert.verificationStatus === 'Verified' && connectors.verifiedForOtherName(cert, body.name)) {
+                        cert.verificationStatus = 'Pending';
+                    }
+                });
+            }
+            return target;
+        });
+
+        res.json({
+            success: true,
+            data: summarizeUser(req.auth, user),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error updating profile:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to update profile',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Query filters shared by the certificate list and the portfolio export
+const CERTIFICATE_FILTER_QUERY = {
+    platform: { type: 'string', description: 'Filter by learning platform' },
+    category: { type: 'string', description: 'Filter by certificate category' },
+    skills: { type: 'array', description: 'Comma-separated skills (names or aliases); a skill also matches the skills below it' },
+    includeExpired: { type: 'boolean', default: true, description: 'Include expired certificates' }
+};
+
+const CERTIFICATE_SORT_ORDERS = ['newest', 'oldest', 'platform', 'name', 'grade', 'hours', 'category', 'expiry'];
+
+const CERTIFICATE_LIST_QUERY = {
+    ...CERTIFICATE_FILTER_QUERY,
+    search: { type: 'string', description: 'Text search across certificate data' },
+    sortBy: { type: 'string', enum: CERTIFICATE_SORT_ORDERS, default: 'newest', description: 'Sort order' },
+    limit: { type: 'integer', min: 0, description: 'Maximum number of results to return (0 or omitted for all)' },
+    offset: { type: 'integer', min: 0, default: 0, description: 'Number of results to skip for pagination' },
+    format: { type: 'string', enum: ['json', ...Object.keys(interchange.EXPORT_FORMATS)], default: 'json', description: 'csv, jsonresume or europass to download the filtered list' }
+};
+
+// Filters shared by the certificate list and the portfolio export.
+// skills is a list; a certificate matches if it has any of them or a skill below one of them in the
+// taxonomy (skills=Python also finds Pandas).
+const filterCertificates = (certificates, { platform, category, search, skills = [], includeExpired = true }) => {
+    let filtered = certificates;
+
+    if (platform) {
+        filtered = filtered.filter(cert => 
+            cert.platform.toLowerCase() === platform.toLowerCase()
+        );
+    }
+    
+    if (category) {
+        filtered = filtered.filter(cert => 
+            cert.category.toLowerCase() === category.toLowerCase()
+        );
+    }
+    
+    if (search) {
+        const searchTerm = search.toLowerCase();
+        filtered = filtered.filter(cert =>
+            cert.courseName.toLowerCase().includes(searchTerm) ||
+            cert.institution.toLowerCase().includes(searchTerm) ||
+            cert.platform.toLowerCase().includes(searchTerm) ||
+            cert.description.toLowerCase().includes(searchTerm) ||
+            cert.skills.some(skill => skill.toLowerCase().includes(searchTerm)) ||
+            cert.category.toLowerCase().includes(searchTerm)
+        );
+    }
+    
+    if (skills.length > 0) {
+        filtered = filtered.filter(cert =>
+            skills.some(skill => skillRegistry.matchesSkill(cert.skills, skill))
+        );
+    }
+    
+    if (!includeExpired) {
+        filtered = filtered.filter(cert => !cert.isExpired);
+    }
+
+    return filtered;
+};
+
+// Statistics block for a set of formatted certificates
+const certificateStatistics = (certs) => ({
+    totalHours: certs.reduce((sum, cert) => sum + (cert.hours || 0), 0),
+    totalCredits: certs.reduce((sum, cert) => sum + (cert.creditsEarned || 0), 0),
+    platforms: [...new Set(certs.map(cert => cert.platform))],
+    categories: [...new Set(certs.map(cert => cert.category))],
+    verificationStatus: {
+        verified: certs.filter(cert => cert.verificationStatus === 'Verified').length,
+        pending: certs.filter(cert => cert.verificationStatus === 'Pending').length,
+        expired: certs.filter(cert => cert.isExpired).length
+    },
+    averageGrade: (() => {
+        const gradesWithNumbers = certs
+            .filter(cert => cert.grade && !isNaN(parseFloat(cert.grade)))
+            .map(cert => parseFloat(cert.grade));
+        
+        if (gradesWithNumbers.length === 0) return null;
+        return Math.round((gradesWithNumbers.reduce((sum, grade) => sum + grade, 0) / gradesWithNumbers.length) * 100) / 100;
+    })(),
+    recentCertificates: certs.filter(cert => cert.isRecent).length,
+    expiringCertificates: certs.filter(cert => {
+        if (!cert.expiryDate) return false;
+        const daysUntil = cert.daysUntilExpiry;
+        return daysUntil <= 30 && daysUntil > 0;
+    }).length,
+    skillsCount: skillRegistry.normalizeSkills(certs.flatMap(cert => cert.skills || [])).length,
+    learningTrend: (() => {
+        const months = {};
+        certs.forEach(cert => {
+            const date = new Date(cert.completionDate);
+            const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            months[monthKey] = (months[monthKey] || 0) + 1;
+        });
+        return months;
+    })()
+});
+
 // Main endpoint: Get certificates for a specific user
-app.get('/api/certificates/:userid', async (req, res) => {
+app.get('/api/certificates/:userid', validate({ query: CERTIFICATE_LIST_QUERY }, { summary: 'Get user certificates with filtering and pagination' }), cacheable, async (req, res) => {
     try {
         const { userid } = req.params;
         const { 
             platform, 
             category, 
-            sortBy = 'newest', 
+            sortBy, 
             search,
+            skills,
             limit,
-            offset = 0,
-            includeExpired = true
+            offset,
+            includeExpired,
+            format
         } = req.query;
         
-        // Input validation
-        if (!userid || userid.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                error: 'Bad Request',
-                message: 'User ID is required',
-                timestamp: new Date().toISOString()
-            });
-        }
-        
         // Simulate realistic network delay
         await simulateDelay();
         
         // Load user data
         let userData;
         try {
-            const fs = require('fs');
-            const dataFile = path.join(__dirname, 'data.json');
-            const rawData = fs.readFileSync(dataFile, 'utf8');
-            userData = JSON.parse(rawData);
-        } catch (fileError) {
-            console.log('Using fallback data due to file error:', fileError.message);
-            // Fallback embedded data would go here
+            userData = await repository.getUsers();
+        } catch (storageError) {
+            console.log('Data source unavailable:', storageError.message);
             return res.status(500).json({
                 success: false,
                 error: 'Data source unavailable',
-                message: 'Please ensure data.json file exists',
+                message: `Please ensure the ${repository.backend} data store is available`,
                 timestamp: new Date().toISOString()
             });
         }
@@ -155,51 +802,28 @@ app.get('/api/certificates/:userid', async (req, res) => {
         // Find user in data
         const user = userData[userid.toLowerCase()];
         
-        if (!user) {
+        if (!user || !visibility.canViewProfile(req.auth, user)) {
             return res.status(404).json({
                 success: false,
                 error: 'Not Found',
                 message: `User with ID '${userid}' not found`,
-                availableUsers: Object.keys(userData),
+                availableUsers: Object.values(userData)
+                    .filter(candidate => visibility.isListed(req.auth, candidate))
+                    .map(candidate => candidate.id),
                 timestamp: new Date().toISOString()
             });
         }
         
-        // Process and format certificates
-        let certificates = user.certificates.map(formatCertificate);
+        // Process and format the certificates this viewer may see
+        const viewableCerts = visibility.visibleCertificates(req.auth, user);
+        let certificates = viewableCerts.map(formatCertificate);
         
         // Apply filters
-        if (platform) {
-            certificates = certificates.filter(cert => 
-                cert.platform.toLowerCase() === platform.toLowerCase()
-            );
-        }
-        
-        if (category) {
-            certificates = certificates.filter(cert => 
-                cert.category.toLowerCase() === category.toLowerCase()
-            );
-        }
-        
-        if (search) {
-            const searchTerm = search.toLowerCase();
-            certificates = certificates.filter(cert =>
-                cert.courseName.toLowerCase().includes(searchTerm) ||
-                cert.institution.toLowerCase().includes(searchTerm) ||
-                cert.platform.toLowerCase().includes(searchTerm) ||
-                cert.description.toLowerCase().includes(searchTerm) ||
-                cert.skills.some(skill => skill.toLowerCase().includes(searchTerm)) ||
-                cert.category.toLowerCase().includes(searchTerm)
-            );
-        }
-        
-        if (!includeExpired) {
-            certificates = certificates.filter(cert => !cert.isExpired);
-        }
+        certificates = filterCertificates(certificates, { platform, category, search, skills, includeExpired });
         
         // Apply sorting
         certificates.sort((a, b) => {
-            switch (sortBy.toLowerCase()) {
+            switch (sortBy) {
                 case 'newest':
                     return new Date(b.completionDate) - new Date(a.completionDate);
                 case 'oldest':
@@ -208,10 +832,13 @@ app.get('/api/certificates/:userid', async (req, res) => {
                     return a.platform.localeCompare(b.platform);
                 case 'name':
                     return a.courseName.localeCompare(b.courseName);
-                case 'grade':
-                    const gradeA = a.grade && !isNaN(parseFloat(a.grade)) ? parseFloat(a.grade) : 0;
-                    const gradeB = b.grade && !isNaN(parseFloat(b.grade)) ? parseFloat(b.grade) : 0;
+                case 'grade': {
+                    // Scored grades first, highest first; outcomes such as "Pass" or "Completed" after them
+                    const gradeA = parseFloat(a.grade);
+                    const gradeB = parseFloat(b.grade);
+                    if (isNaN(gradeA) || isNaN(gradeB)) return Number(isNaN(gradeA)) - Number(isNaN(gradeB));
                     return gradeB - gradeA;
+                }
                 case 'hours':
                     return b.hours - a.hours;
                 case 'category':
@@ -229,59 +856,46 @@ app.get('/api/certificates/:userid', async (req, res) => {
         
         // Apply pagination
         const total = certificates.length;
-        const offsetNum = parseInt(offset) || 0;
-        const limitNum = parseInt(limit) || certificates.length;
+        const offsetNum = offset;
+        const limitNum = limit || certificates.length;
         
         if (limitNum > 0) {
             certificates = certificates.slice(offsetNum, offsetNum + limitNum);
         }
         
+        // Export the filtered list for other systems instead of the JSON response
+        if (format !== 'json') {
+            const { contentType, extension } = interchange.EXPORT_FORMATS[format];
+            const body = format === 'csv'
+                ? interchange.toCsv(certificates)
+                : format === 'europass'
+                    ? interchange.toEuropassXml(user, certificates, { now: res.locals.dataVersion.modifiedAt })
+                    : JSON.stringify(interchange.toJsonResume(user, certificates, {
+                        profileUrl: `${getBaseUrl(req)}/profile.html?user=${user.id}`,
+                        lastModified: res.locals.dataVersion.modifiedAt
+                    }), null, 2);
+            res.set({
+                'Content-Type': contentType,
+                'Content-Disposition': `attachment; filename="${user.id}-certificates${format === 'jsonresume' ? '.resume' : ''}.${extension}"`
+            });
+            console.log(`[${new Date().toISOString()}] GET /api/certificates/${userid} - Exported ${certificates.length} certificates as ${format}`);
+            return res.send(body);
+        }
+        
         // Calculate comprehensive statistics
-        const allCerts = user.certificates.map(formatCertificate);
+        const allCerts = viewableCerts.map(formatCertificate);
         const stats = {
             totalCertificates: allCerts.length,
             filteredCertificates: total,
             returnedCertificates: certificates.length,
-            totalHours: allCerts.reduce((sum, cert) => sum + (cert.hours || 0), 0),
-            totalCredits: allCerts.reduce((sum, cert) => sum + (cert.creditsEarned || 0), 0),
-            platforms: [...new Set(allCerts.map(cert => cert.platform))],
-            categories: [...new Set(allCerts.map(cert => cert.category))],
-            verificationStatus: {
-                verified: allCerts.filter(cert => cert.verificationStatus === 'Verified').length,
-                pending: allCerts.filter(cert => cert.verificationStatus === 'Pending').length,
-                expired: allCerts.filter(cert => cert.isExpired).length
-            },
-            averageGrade: (() => {
-                const gradesWithNumbers = allCerts
-                    .filter(cert => cert.grade && !isNaN(parseFloat(cert.grade)))
-                    .map(cert => parseFloat(cert.grade));
-                
-                if (gradesWithNumbers.length === 0) return null;
-                return Math.round((gradesWithNumbers.reduce((sum, grade) => sum + grade, 0) / gradesWithNumbers.length) * 100) / 100;
-            })(),
-            recentCertificates: allCerts.filter(cert => cert.isRecent).length,
-            expiringCertificates: allCerts.filter(cert => {
-                if (!cert.expiryDate) return false;
-                const daysUntil = cert.daysUntilExpiry;
-                return daysUntil <= 30 && daysUntil > 0;
-            }).length,
-            skillsCount: [...new Set(allCerts.flatMap(cert => cert.skills || []))].length,
-            learningTrend: (() => {
-                const months = {};
-                allCerts.forEach(cert => {
-                    const date = new Date(cert.completionDate);
-                    const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-                    months[monthKey] = (months[monthKey] || 0) + 1;
-                });
-                return months;
-            })()
+            ...certificateStatistics(allCerts)
         };
         
         // Prepare user profile with enhanced data
         const userProfile = {
             id: user.id,
             name: user.name,
-            email: user.email,
+            email: visibility.isOwner(req.auth, user) ? user.email : undefined,
             joinDate: user.joinDate,
             profileImage: user.profileImage || `https://via.placeholder.com/150x150/2563eb/white?text=${user.name.charAt(0)}`,
             bio: user.bio || `Professional with ${allCerts.length} verified certificates and ${stats.totalHours} hours of learning`,
@@ -313,14 +927,14 @@ app.get('/api/certificates/:userid', async (req, res) => {
                     platform,
                     category,
                     search,
+                    skills,
                     sortBy,
                     includeExpired
                 },
                 metadata: {
-                    lastUpdated: new Date().toISOString(),
-                    dataVersion: '1.0',
-                    apiVersion: '1.0',
-                    processingTime: new Date().toISOString()
+                    lastUpdated: res.locals.dataVersion.modifiedAt.toISOString(),
+                    dataVersion: res.locals.dataVersion.id,
+                    apiVersion: req.apiVersion
                 }
             },
             timestamp: new Date().toISOString()
@@ -341,346 +955,3383 @@ app.get('/api/certificates/:userid', async (req, res) => {
     }
 });
 
-// Get detailed information about a specific certificate
-app.get('/api/certificates/:userid/:certid', async (req, res) => {
-    try {
-        const { userid, certid } = req.params;
-        
+const MAX_IMPORT_ROWS = 500;
+
+// Work out what an import would do for `user`: each row is invalid, a duplicate of an existing (or
+// earlier imported) certificate, or a new record. Nothing is changed; records get IDs when saved.
+const planImport = (user, rows, { format, defaults }) => {
+    const accepted = [];
+    const report = rows.map(({ row, record: mapped }) => {
+        const record = { ...defaults, ...coerceFormFields(mapped) };
+        const errors = validateCertificate(record);
+        if (errors.length > 0) return { row, status: 'invalid', courseName: record.courseName, errors };
+
+        const candidate = {
+            skills: [],
+            description: '',
+            hours: 0,
+            expiryDate: null,
+            ...withCanonicalSkills(pickCertificateFields(record)),
+            // Imported claims are unverified until checked, whatever the file says
+            verificationStatus: 'Pending'
+        };
+        candidate.issueDate = candidate.issueDate || candidate.completionDate;
+
+        const duplicateOf = [...(user.certificates || []), ...accepted.map(item => item.certificate)]
+            .find(cert => duplicates.comparePair(cert, candidate).score >= duplicates.SUSPECT_SCORE);
+        if (duplicateOf) {
+            return { row, status: 'duplicate', courseName: candidate.courseName, duplicateOf: duplicateOf.id || `row ${accepted.find(item => item.certificate === duplicateOf).row}` };
+        }
+
+        const entry = { row, status: 'imported', courseName: candidate.courseName, certificate: { ...candidate, source: { format, row } } };
+        accepted.push(entry);
+        return entry;
+    });
+    return { report, accepted };
+};
+
+// Bulk import certificates from CSV or a JSON Resume:
+//   { csv, mapping?, defaults?, preview? }   mapping is { certificateField: columnName }; without it
+//                                            columns are matched by header name
+//   { resume, defaults?, preview? }          a JSON Resume document or its certificates array
+// defaults fill fields the file lacks (e.g. { "platform": "Coursera", "category": "Data Science" }).
+// Valid rows are imported and every row is reported; preview=true reports without saving.
+app.post('/api/certificates/:userid/import', auth.requireOwner(), validate({
+    body: {
+        csv: { type: 'string', description: 'CSV file contents with a header row' },
+        mapping: { type: 'object', description: 'CSV column for each certificate field; guessed from the header when omitted' },
+        resume: { description: 'A JSON Resume document or its certificates array, instead of csv' },
+        defaults: { type: 'object', default: {}, fields: CERTIFICATE_FIELDS, description: 'Certificate fields for values the file lacks' },
+        preview: { type: 'boolean', default: false, description: 'Report the mapping and each row without importing' }
+    }
+}, { summary: 'Bulk import from CSV (column mapping, per-row report, preview) or a JSON Resume', created: true }), async (req, res) => {
+    try {
+        const { userid } = req.params;
+        const { csv, resume, mapping, defaults, preview } = req.body;
+        const fields = Object.keys(CERTIFICATE_FIELDS);
+
+        const errors = [];
+        if ((csv === undefined) === (resume === undefined)) {
+            errors.push({ field: 'csv', message: 'Send either csv (the file contents) or resume (a JSON Resume document)' });
+        }
+
+        let parsed = null;
+        if (errors.length === 0) {
+            if (csv !== undefined) {
+                parsed = interchange.readCsvImport(csv, { mapping, fields });
+                if (mapping !== undefined) errors.push(...interchange.validateMapping(mapping, parsed.columns, fields));
+                Object.entries(CERTIFICATE_FIELDS)
+                    .filter(([field, rules]) => rules.required && !parsed.mapping[field] && defaults[field] === undefined)
+                    .forEach(([field]) => errors.push({ field: `mapping.${field}`, message: `No column is mapped to ${field}; map one or set defaults.${field}` }));
+            } else {
+                try {
+                    parsed = { rows: interchange.readJsonResume(resume) };
+                } catch (parseError) {
+                    errors.push({ field: 'resume', message: parseError.message });
+                }
+            }
+        }
+        if (parsed && parsed.rows && parsed.rows.length > MAX_IMPORT_ROWS) {
+            errors.push({ field: csv !== undefined ? 'csv' : 'resume', message: `At most ${MAX_IMPORT_ROWS} certificates per import` });
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, errors, parsed && parsed.columns ? { columns: parsed.columns, mapping: parsed.mapping } : {});
+        }
+
+        const format = csv !== undefined ? 'csv' : 'jsonresume';
+        const cleanDefaults = pickCertificateFields(defaults);
+
+        const outcome = preview
+            ? await repository.getUser(userid).then(user => user && planImport(user, parsed.rows, { format, defaults: cleanDefaults }))
+            : await repository.update((userData) => {
+                const user = userData[userid.toLowerCase()];
+                if (!user) return null;
+
+                const plan = planImport(user, parsed.rows, { format, defaults: cleanDefaults });
+                const importedAt = new Date().toISOString();
+                plan.accepted.forEach(entry => {
+                    entry.certificate = {
+                        id: generateCertificateId(userData),
+                        ...entry.certificate,
+                        source: { ...entry.certificate.source, importedAt }
+                    };
+                    user.certificates.push(entry.certificate);
+                });
+                syncUserTotals(user);
+                return plan;
+            });
+
+        if (!outcome) {
+            return sendUserNotFound(res);
+        }
+
+        const report = outcome.report.map(({ certificate, ...entry }) => ({
+            ...entry,
+            ...(certificate && !preview ? { certificateId: certificate.id } : {})
+        }));
+        const count = (status) => report.filter(entry => entry.status === status).length;
+        const summary = { rows: report.length, imported: count('imported'), duplicates: count('duplicate'), invalid: count('invalid') };
+
+        if (!preview) {
+            console.log(`[${new Date().toISOString()}] POST /api/certificates/${userid}/import - ${format}: ${summary.imported} imported, ${summary.duplicates} duplicates, ${summary.invalid} invalid`);
+        }
+
+        const status = preview ? 200 : summary.imported > 0 ? 201 : (summary.invalid > 0 ? 400 : 200);
+        res.status(status).json({
+            success: preview || summary.imported > 0 || summary.invalid === 0,
+            data: {
+                preview,
+                format,
+                ...(format === 'csv' ? { columns: parsed.columns, mapping: parsed.mapping, unmappedColumns: parsed.unmappedColumns } : {}),
+                summary,
+                rows: report,
+                imported: preview ? [] : outcome.accepted.map(entry => formatCertificate(entry.certificate))
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error importing certificates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to import certificates',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Suspected duplicate certificates, grouped, with the reasons and a suggested record to keep.
+// Registered before /:certid so "duplicates" is not taken for a certificate ID.
+app.get('/api/certificates/:userid/duplicates', auth.requireOwner(), validate({}, { summary: 'Suspected duplicate certificates with reasons (owner only)' }), async (req, res) => {
+    try {
+        const user = await repository.getUser(req.params.userid);
+        if (!user) {
+            return sendUserNotFound(res);
+        }
+
+        const groups = duplicates.findDuplicates(user.certificates || [], { dismissed: user.duplicateDismissals });
+        const byId = new Map((user.certificates || []).map(cert => [cert.id, cert]));
+
+        res.json({
+            success: true,
+            data: groups.map(group => ({
+                ...group,
+                certificates: group.certificateIds.map(id => formatCertificate(byId.get(id)))
+            })),
+            metadata: {
+                groups: groups.length,
+                certificates: groups.reduce((sum, group) => sum + group.certificateIds.length, 0),
+                threshold: duplicates.SUSPECT_SCORE
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error finding duplicates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to find duplicate certificates',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Check { certificateIds } for merge and dismiss: two or more distinct IDs the user owns
+const validateCertificateIdList = (body, user) => {
+    const errors = [];
+    const { certificateIds } = body || {};
+    if (!Array.isArray(certificateIds) || new Set(certificateIds).size < 2) {
+        errors.push({ field: 'certificateIds', message: 'certificateIds must be an array of at least two different certificate IDs' });
+        return errors;
+    }
+    const unknown = certificateIds.filter(id => !user.certificates.some(cert => cert.id === id));
+    if (unknown.length > 0) {
+        errors.push({ field: 'certificateIds', message: `Unknown certificate IDs: ${unknown.join(', ')}` });
+    }
+    return errors;
+};
+
+// Mark certificates as distinct so they stop showing up as duplicates of each other
+app.post('/api/certificates/:userid/duplicates/dismiss', auth.requireOwner(), validate({
+    body: { certificateIds: { type: 'array', required: true, minItems: 2, description: 'Certificates to mark as distinct from each other' } }
+}, { summary: 'Mark certificates as distinct (certificateIds)' }), async (req, res) => {
+    try {
+        const { userid } = req.params;
+
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const errors = validateCertificateIdList(req.body, user);
+            if (errors.length > 0) return { status: 400, error: 'Validation failed', details: errors };
+
+            const ids = [...new Set(req.body.certificateIds)];
+            const keys = ids.flatMap((a, i) => ids.slice(i + 1).map(b => duplicates.pairKey(a, b)));
+            user.duplicateDismissals = [...new Set([...(user.duplicateDismissals || []), ...keys])];
+            return { dismissed: keys };
+        });
+
+        if (!outcome.dismissed) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                ...(outcome.details ? { details: outcome.details } : {}),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { dismissedPairs: outcome.dismissed },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error dismissing duplicates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to dismiss duplicates',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Merge duplicates into one certificate: { certificateIds, primaryId? }. The primary record is kept
+// (by default the suggested one); the others are removed after their evidence URLs, sources, skills
+// and any fields the primary lacks are folded into it. Share links and goals follow the merge.
+app.post('/api/certificates/:userid/merge', auth.requireOwner(), validate({
+    body: {
+        certificateIds: { type: 'array', required: true, minItems: 2, description: 'Certificates to merge' },
+        primaryId: { type: 'string', description: 'The record to keep (default: the suggested one)' }
+    }
+}, { summary: 'Merge duplicates into one record (certificateIds, primaryId), keeping all evidence URLs and sources' }), async (req, res) => {
+    try {
+        const { userid } = req.params;
+        const { primaryId } = req.body;
+
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const errors = validateCertificateIdList(req.body, user);
+            if (primaryId !== undefined && !(req.body.certificateIds || []).includes(primaryId)) {
+                errors.push({ field: 'primaryId', message: 'primaryId must be one of certificateIds' });
+            }
+            if (errors.length > 0) return { status: 400, error: 'Validation failed', details: errors };
+
+            const ids = new Set(req.body.certificateIds);
+            const selected = user.certificates.filter(cert => ids.has(cert.id));
+            const primary = primaryId ? selected.find(cert => cert.id === primaryId) : duplicates.choosePrimary(selected);
+            const others = selected.filter(cert => cert.id !== primary.id);
+
+            // Uploaded files are stored per certificate, so only the kept record may have one
+            if (others.some(cert => cert.file)) {
+                return {
+                    status: 409,
+                    error: 'Uploaded file would be lost',
+                    message: 'Keep the certificate with the uploaded file as primaryId, or remove the other file first'
+                };
+            }
+
+            const merged = duplicates.mergeCertificates(primary, others, { normalizeSkills: skillRegistry.normalizeSkills, claims: VERIFIED_CLAIMS });
+            const removedIds = others.map(cert => cert.id);
+            user.certificates = user.certificates
+                .filter(cert => !removedIds.includes(cert.id))
+                .map(cert => (cert.id === primary.id ? merged : cert));
+            syncUserTotals(user);
+
+            // Point references to the removed records at the kept one
+            const redirect = (id) => (removedIds.includes(id) ? primary.id : id);
+            (user.shareLinks || []).forEach(link => {
+                if (link.certificateIds) link.certificateIds = [...new Set(link.certificateIds.map(redirect))];
+            });
+            (user.goals || []).forEach(goal => {
+                (goal.steps || []).forEach(step => {
+                    if (step.certificateId) step.certificateId = redirect(step.certificateId);
+                });
+            });
+            if (user.duplicateDismissals) {
+                user.duplicateDismissals = user.duplicateDismissals.filter(key => !key.split('|').some(id => removedIds.includes(id)));
+            }
+
+            return { merged, removedIds, totalCertificates: user.totalCertificates, totalHours: user.totalHours };
+        });
+
+        if (!outcome.merged) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                ...(outcome.message ? { message: outcome.message } : {}),
+                ...(outcome.details ? { details: outcome.details } : {}),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[${new Date().toISOString()}] POST /api/certificates/${userid}/merge - Merged ${outcome.removedIds.join(', ')} into ${outcome.merged.id}`);
+
+        res.json({
+            success: true,
+            data: {
+                certificate: formatCertificate(outcome.merged),
+                removedIds: outcome.removedIds,
+                totalCertificates: outcome.totalCertificates,
+                totalHours: outcome.totalHours
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error merging certificates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to merge certificates',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Get detailed information about a specific certificate
+app.get('/api/certificates/:userid/:certid', validate({}, { summary: 'Get detailed certificate information' }), cacheable, async (req, res) => {
+    try {
+        const { userid, certid } = req.params;
+        
         await simulateDelay(200, 600);
         
-        // Load user data
-        const fs = require('fs');
-        const dataFile = path.join(__dirname, 'data.json');
-        const rawData = fs.readFileSync(dataFile, 'utf8');
-        const userData = JSON.parse(rawData);
+        const user = await repository.getUser(userid);
+        if (!user || !visibility.canViewProfile(req.auth, user)) {
+            return sendUserNotFound(res);
+        }
         
-        const user = userData[userid.toLowerCase()];
-        if (!user) {
+        const viewableCerts = visibility.visibleCertificates(req.auth, user);
+        const certificate = viewableCerts.find(cert => cert.id === certid);
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                error: 'Certificate not found',
+                availableCertificates: viewableCerts.map(cert => ({
+                    id: cert.id,
+                    name: cert.courseName
+                })),
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // Add detailed verification information. Only Verified certificates are signed: a signature
+        // on a self-reported record would read as the platform vouching for it.
+        const detailedCertificate = {
+            ...formatCertificate(certificate),
+            verificationDetails: certificate.verificationStatus !== 'Verified' ? null : (() => {
+                const content = signedCertificateContent(user.id, certificate);
+                return {
+                    verifiedBy: certificate.platform,
+                    verificationMethod: 'Digital signature',
+                    algorithm: signer.algorithm,
+                    keyId: signer.keyId,
+                    publicKeyUrl: '/.well-known/jwks.json',
+                    verifyUrl: '/api/verify',
+                    certificateHash: signer.hash(content),
+                    signature: signer.sign(content),
+                    signedAt: res.locals.dataVersion.lastModified.toISOString()
+                };
+            })(),
+            relatedCertificates: viewableCerts
+                .filter(cert => cert.id !== certid && 
+                    (cert.platform === certificate.platform || 
+                     cert.category === certificate.category))
+                .map(cert => ({
+                    id: cert.id,
+                    name: cert.courseName,
+                    platform: cert.platform,
+                    category: cert.category
+                }))
+        };
+        
+        res.json({
+            success: true,
+            data: detailedCertificate,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Error fetching certificate details:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to retrieve certificate details',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Create a new certificate for a user
+app.post('/api/certificates/:userid', auth.requireOwner(), validate({ body: CERTIFICATE_FIELDS }, { summary: 'Create a certificate for a user', created: true }), async (req, res) => {
+    try {
+        const { userid } = req.params;
+
+        const errors = certificateDateErrors(req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const certificate = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return null;
+
+            const created = {
+                id: generateCertificateId(userData),
+                skills: [],
+                description: '',
+                verificationStatus: 'Pending',
+                hours: 0,
+                expiryDate: null,
+                ...withCanonicalSkills(pickCertificateFields(req.body))
+            };
+            created.issueDate = created.issueDate || created.completionDate;
+
+            user.certificates.push(created);
+            syncUserTotals(user);
+            return created;
+        });
+
+        if (!certificate) {
             return res.status(404).json({
                 success: false,
                 error: 'User not found',
                 timestamp: new Date().toISOString()
             });
         }
-        
-        const certificate = user.certificates.find(cert => cert.id === certid);
-        if (!certificate) {
-            return res.status(404).json({
-                success: false,
-                error: 'Certificate not found',
-                availableCertificates: user.certificates.map(cert => ({
-                    id: cert.id,
-                    name: cert.courseName
-                })),
-                timestamp: new Date().toISOString()
+
+        console.log(`[${new Date().toISOString()}] POST /api/certificates/${userid} - created ${certificate.id}`);
+
+        res.status(201).json({
+            success: true,
+            data: formatCertificate(certificate),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error creating certificate:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to create certificate',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Update a certificate: PUT replaces the record, PATCH merges the supplied fields
+const updateCertificate = (partial) => async (req, res) => {
+    try {
+        const { userid, certid } = req.params;
+
+        const errors = certificateDateErrors(req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const index = user.certificates.findIndex(cert => cert.id === certid);
+            if (index === -1) return { status: 404, error: 'Certificate not found' };
+
+            const existing = user.certificates[index];
+            const updated = partial
+                ? { ...existing, ...withCanonicalSkills(pickCertificateFields(req.body)), id: existing.id }
+                : { ...omitCertificateFields(existing), id: existing.id, skills: [], description: '', ...withCanonicalSkills(pickCertificateFields(req.body)) };
+
+            if (VERIFIED_CLAIMS.some(field => (existing[field] ?? null) !== (updated[field] ?? null))) {
+                updated.verificationStatus = 'Pending';
+            }
+
+            // A merged record can still end up inconsistent (e.g. expiry moved before completion)
+            const mergedErrors = validateCertificate(updated);
+            if (mergedErrors.length > 0) {
+                return { status: 400, error: 'Validation failed', details: mergedErrors };
+            }
+
+            user.certificates[index] = updated;
+            syncUserTotals(user);
+            return { certificate: updated };
+        });
+
+        if (!outcome.certificate) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                details: outcome.details,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[${new Date().toISOString()}] ${req.method} /api/certificates/${userid}/${certid} - updated`);
+
+        res.json({
+            success: true,
+            data: formatCertificate(outcome.certificate),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error updating certificate:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to update certificate',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+app.put('/api/certificates/:userid/:certid', auth.requireOwner(), validate({ body: CERTIFICATE_FIELDS }, { summary: 'Replace a certificate' }), updateCertificate(false));
+app.patch('/api/certificates/:userid/:certid', auth.requireOwner(), validate({ body: CERTIFICATE_FIELDS }, { summary: 'Update selected certificate fields', partial: true }), updateCertificate(true));
+
+// Delete a certificate
+app.delete('/api/certificates/:userid/:certid', auth.requireOwner(), validate({}, { summary: 'Delete a certificate' }), async (req, res) => {
+    try {
+        const { userid, certid } = req.params;
+
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const index = user.certificates.findIndex(cert => cert.id === certid);
+            if (index === -1) return { status: 404, error: 'Certificate not found' };
+
+            const [removed] = user.certificates.splice(index, 1);
+            syncUserTotals(user);
+            return {
+                removed,
+                totalCertificates: user.totalCertificates,
+                totalHours: user.totalHours
+            };
+        });
+
+        if (!outcome.removed) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (outcome.removed.file) {
+            await uploads.removeCertificateFiles(userid.toLowerCase(), certid);
+        }
+
+        console.log(`[${new Date().toISOString()}] DELETE /api/certificates/${userid}/${certid} - removed`);
+
+        res.json({
+            success: true,
+            data: {
+                id: outcome.removed.id,
+                totalCertificates: outcome.totalCertificates,
+                totalHours: outcome.totalHours
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error deleting certificate:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to delete certificate',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Who changed a certificate, when and how, newest first (owner only). Revision n is the certificate
+// after its n-th recorded change; ?field=verificationStatus lists only changes to that field and
+// ?snapshots=true includes the full certificate at each revision.
+app.get('/api/certificates/:userid/:certid/history', auth.requireOwner(), validate({
+    query: {
+        field: { type: 'string', maxLength: 100, description: 'Only revisions that changed this field' },
+        snapshots: { type: 'boolean', default: false, description: 'Include the certificate as it was after each revision' }
+    }
+}, { summary: 'Audit trail of a certificate: who changed which fields and when (?field, ?snapshots)' }), async (req, res) => {
+    try {
+        const { userid, certid } = req.params;
+        const { field, snapshots } = req.query;
+        const user = await repository.getUser(userid);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const history = await auditLog.certificateHistory(user.id, certid);
+        const exists = user.certificates.some(cert => cert.id === certid);
+        if (history.length === 0 && !exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Certificate not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const revisions = history
+            .filter(entry => !field || entry.changes.some(change => change.field === field))
+            .map(entry => ({
+                revision: entry.revision,
+                id: entry.id,
+                timestamp: entry.timestamp,
+                actor: entry.actor,
+                action: entry.action,
+                operation: entry.operation,
+                changes: entry.changes,
+                ...(entry.details ? { details: entry.details } : {}),
+                ...(snapshots ? { certificate: entry.after } : {})
+            }))
+            .reverse();
+
+        res.json({
+            success: true,
+            data: {
+                userId: user.id,
+                certificateId: certid,
+                exists,
+                currentRevision: history.length,
+                // Revision 0 is the certificate as it was before its first recorded change
+                restorableRevisions: [
+                    ...(history.length > 0 && history[0].before ? [0] : []),
+                    ...history.filter(entry => entry.after).map(entry => entry.revision)
+                ],
+                revisions
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error reading certificate history:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to read certificate history',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Restore a certificate to an earlier revision, re-creating it if it was deleted. The restore is
+// itself a new revision. Files are not versioned: an existing certificate keeps its current file and
+// a deleted one comes back without the file that was removed with it.
+app.post('/api/certificates/:userid/:certid/restore', auth.requireOwner(), validate({
+    body: {
+        revision: { type: 'integer', required: true, min: 0, description: 'Revision to restore (see /history); 0 is the certificate before its first recorded change' }
+    }
+}, { summary: 'Restore a certificate to an earlier revision (revision), re-creating it if deleted' }), async (req, res) => {
+    try {
+        const { userid, certid } = req.params;
+        const { revision } = req.body;
+
+        const history = await auditLog.certificateHistory(userid.toLowerCase(), certid);
+        if (revision > history.length || history.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found',
+                message: `Certificate ${certid} has ${history.length} recorded revision${history.length === 1 ? '' : 's'}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const snapshot = revision === 0 ? history[0].before : history[revision - 1].after;
+        if (!snapshot) {
+            return sendValidationError(res, [{
+                field: 'revision',
+                message: `revision ${revision} has no certificate to restore (the certificate was ${revision === 0 ? 'created' : 'deleted'} there)`
+            }]);
+        }
+        // Certificate IDs can be reused once deleted; a later certificate with the same ID is not this one
+        if (history.slice(revision).some(entry => entry.operation === 'created' && entry.details?.restoredRevision === undefined)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Certificate ID reused',
+                message: `${certid} was deleted after revision ${revision} and the ID now belongs to another certificate`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        auditLog.describe({ restoredRevision: revision });
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const index = user.certificates.findIndex(cert => cert.id === certid);
+            const current = index === -1 ? null : user.certificates[index];
+            const restored = { ...structuredClone(snapshot), id: certid };
+            delete restored.file;
+            if (current?.file) {
+                restored.file = current.file;
+                restored.thumbnail = current.thumbnail;
+            } else if (/\/thumbnail$/.test(restored.thumbnail || '')) {
+                delete restored.thumbnail;
+            }
+
+            if (current) user.certificates[index] = restored;
+            else user.certificates.push(restored);
+            syncUserTotals(user);
+            return { certificate: restored, recreated: !current };
+        });
+
+        if (!outcome.certificate) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[${new Date().toISOString()}] POST /api/certificates/${userid}/${certid}/restore - Restored revision ${revision}${outcome.recreated ? ' (re-created)' : ''}`);
+
+        res.json({
+            success: true,
+            data: {
+                certificate: formatCertificate(outcome.certificate),
+                restoredRevision: revision,
+                recreated: outcome.recreated
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error restoring certificate:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to restore certificate',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Certificate files (PDF or image) are held in memory while they are checked, then written to .uploads/
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: uploads.MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Multer reports oversized or malformed uploads as errors; answer them in the usual envelope
+const receiveFile = (req, res, next) => upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        error: 'Invalid upload',
+        message: error.code === 'LIMIT_FILE_SIZE'
+            ? `File exceeds the ${Math.round(uploads.MAX_UPLOAD_BYTES / 1024 / 1024)}MB limit`
+            : error.message,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Check the uploaded file and pull what we can out of it. Returns { type, extracted } or sends a 400.
+const inspectUpload = async (req, res) => {
+    if (!req.file) {
+        sendValidationError(res, [{ field: 'file', message: 'file is required (multipart/form-data)' }]);
+        return null;
+    }
+
+    const type = uploads.detectFileType(req.file.buffer);
+    if (!type) {
+        sendValidationError(res, [{ field: 'file', message: `Unsupported file type; expected one of: ${Object.keys(uploads.FILE_TYPES).join(', ')}` }]);
+        return null;
+    }
+
+    let extracted = {};
+    if (type === 'pdf') {
+        try {
+            extracted = uploads.extractMetadata(await uploads.extractPdfText(req.file.buffer));
+        } catch (error) {
+            // Scanned or damaged PDFs still upload; the user fills the fields in by hand
+            console.warn(`Could not read text from ${req.file.originalname}: ${error.message}`);
+        }
+    }
+    return { type, extracted };
+};
+
+const fileLinks = (userId, certId, file) => ({
+    file: { ...file, downloadUrl: `/api/certificates/${userId}/${certId}/file` },
+    thumbnail: `/api/certificates/${userId}/${certId}/thumbnail`
+});
+
+// Upload a certificate file and create the certificate from it.
+// Form fields use the certificate field names and take precedence over values extracted from the
+// PDF; send preview=true to get the extracted values back without saving anything.
+app.post('/api/certificates/:userid/upload', auth.requireOwner(), receiveFile, validate({}, {
+    summary: 'Create a certificate from an uploaded PDF or image (preview=true to only extract fields)',
+    created: true,
+    multipart: true,
+    bodyDescription: 'file, plus certificate fields that override the extracted ones and preview'
+}), async (req, res) => {
+    try {
+        const { userid } = req.params;
+
+        const inspected = await inspectUpload(req, res);
+        if (!inspected) return;
+        const { type, extracted } = inspected;
+
+        if (String(req.body.preview) === 'true') {
+            return res.json({
+                success: true,
+                data: { fileType: type, extracted },
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const input = { ...extracted, ...coerceFormFields(req.body) };
+        const errors = validateCertificate(input);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors, { extracted });
+        }
+
+        const certificate = await repository.update(async (userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return null;
+
+            const created = {
+                id: generateCertificateId(userData),
+                skills: [],
+                description: '',
+                verificationStatus: 'Pending',
+                hours: 0,
+                expiryDate: null,
+                ...withCanonicalSkills(pickCertificateFields(input))
+            };
+            created.issueDate = created.issueDate || created.completionDate;
+
+            const file = await uploads.storeCertificateFile({
+                userId: user.id,
+                certId: created.id,
+                buffer: req.file.buffer,
+                originalName: req.file.originalname,
+                type,
+                details: created
+            });
+            const links = fileLinks(user.id, created.id, file);
+            created.file = links.file;
+            created.thumbnail = input.thumbnail || links.thumbnail;
+
+            user.certificates.push(created);
+            syncUserTotals(user);
+            return created;
+        });
+
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[${new Date().toISOString()}] POST /api/certificates/${userid}/upload - created ${certificate.id} from ${type}`);
+
+        res.status(201).json({
+            success: true,
+            data: { ...formatCertificate(certificate), extracted },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error uploading certificate:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to upload certificate',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Attach a file to an existing certificate, replacing any earlier upload
+app.put('/api/certificates/:userid/:certid/file', auth.requireOwner(), receiveFile, validate({}, { summary: 'Attach or replace the file of a certificate', multipart: true }), async (req, res) => {
+    try {
+        const { userid, certid } = req.params;
+
+        const inspected = await inspectUpload(req, res);
+        if (!inspected) return;
+        const { type, extracted } = inspected;
+
+        const outcome = await repository.update(async (userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const certificate = user.certificates.find(cert => cert.id === certid);
+            if (!certificate) return { status: 404, error: 'Certificate not found' };
+
+            const file = await uploads.storeCertificateFile({
+                userId: user.id,
+                certId: certificate.id,
+                buffer: req.file.buffer,
+                originalName: req.file.originalname,
+                type,
+                details: certificate
+            });
+            const links = fileLinks(user.id, certificate.id, file);
+            certificate.file = links.file;
+            // Keep a thumbnail the user chose; replace missing or stock placeholder images
+            if (!certificate.thumbnail || /via\.placeholder\.com|\/thumbnail$/.test(certificate.thumbnail)) {
+                certificate.thumbnail = links.thumbnail;
+            }
+            return { certificate };
+        });
+
+        if (!outcome.certificate) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[${new Date().toISOString()}] PUT /api/certificates/${userid}/${certid}/file - stored ${type}`);
+
+        res.json({
+            success: true,
+            data: { ...formatCertificate(outcome.certificate), extracted },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error attaching certificate file:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to store certificate file',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Find a certificate with an uploaded file that the caller may see
+const findCertificateFile = async (req) => {
+    const { userid, certid } = req.params;
+    const user = await repository.getUser(userid);
+    if (!user || !visibility.canViewProfile(req.auth, user)) return null;
+
+    const certificate = visibility.visibleCertificates(req.auth, user).find(cert => cert.id === certid);
+    return certificate && certificate.file ? { user, certificate } : null;
+};
+
+const sendFileNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'File not found',
+    message: 'No uploaded file for this certificate',
+    timestamp: new Date().toISOString()
+});
+
+// Download the original uploaded file
+app.get('/api/certificates/:userid/:certid/file', validate({}, { summary: 'Download the uploaded certificate file', contentType: 'application/octet-stream' }), async (req, res) => {
+    try {
+        const found = await findCertificateFile(req);
+        if (!found) return sendFileNotFound(res);
+
+        const { user, certificate } = found;
+        res.download(uploads.originalPath(user.id, certificate.id, certificate.file), certificate.file.originalName, {
+            headers: { 'Content-Type': certificate.file.mimeType }
+        }, (error) => {
+            if (error && !res.headersSent) sendFileNotFound(res);
+        });
+
+    } catch (error) {
+        console.error('Error downloading certificate file:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to download certificate file',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Thumbnail generated from the uploaded file
+app.get('/api/certificates/:userid/:certid/thumbnail', validate({}, { summary: 'Thumbnail of the uploaded certificate file', contentType: 'image/*' }), async (req, res) => {
+    try {
+        const found = await findCertificateFile(req);
+        if (!found) return sendFileNotFound(res);
+
+        const { user, certificate } = found;
+        res.sendFile(uploads.thumbnailPath(user.id, certificate.id, certificate.file), {
+            headers: { 'Cache-Control': 'private, max-age=300' }
+        }, (error) => {
+            if (error && !res.headersSent) sendFileNotFound(res);
+        });
+
+    } catch (error) {
+        console.error('Error serving certificate thumbnail:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to load certificate thumbnail',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Verify a certificate/signature pair issued by this server
+// Body: { userId, certificate, signature } — the certificate can be the object returned by
+// GET /api/certificates/:userid/:certid, in which case the signature may be left inside verificationDetails
+app.post('/api/verify', validate({
+    body: {
+        userId: { type: 'string', required: true },
+        certificate: { type: 'object', required: true, description: 'The signed certificate, including its id' },
+        signature: { type: 'string', description: 'Defaults to certificate.verificationDetails.signature' }
+    }
+}, { summary: 'Verify a signed certificate' }), async (req, res) => {
+    try {
+        const { userId, certificate } = req.body;
+        const signature = req.body.signature || certificate.verificationDetails?.signature;
+
+        const errors = [];
+        if (!certificate.id) errors.push({ field: 'certificate.id', message: 'certificate.id is required' });
+        if (!signature) errors.push({ field: 'signature', message: 'signature is required' });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        // Signatures made before only Verified certificates were signed may cover other statuses
+        const content = signedCertificateContent(userId, certificate);
+        const valid = content.certificate.verificationStatus === 'Verified' && signer.verify(content, signature);
+
+        // A valid signature proves issuance; also report whether the record has changed since. Records
+        // the caller may not read are reported as not_found, the same as records that do not exist.
+        const user = await repository.getUser(userId);
+        const stored = user && visibility.canViewProfile(req.auth, user)
+            ? visibility.visibleCertificates(req.auth, user).find(cert => cert.id === certificate.id)
+            : null;
+        let recordStatus = 'not_found';
+        if (stored) {
+            recordStatus = signer.hash(signedCertificateContent(user.id, stored)) === signer.hash(content)
+                ? 'current'
+                : 'modified';
+        }
+
+        res.json({
+            success: true,
+            data: {
+                valid,
+                algorithm: signer.algorithm,
+                keyId: signer.keyId,
+                certificateHash: signer.hash(content),
+                recordStatus
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error verifying certificate:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to verify certificate',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Public signing key for offline verification (JWK set and PEM)
+app.get('/.well-known/jwks.json', validate({}, { summary: 'Public key used to sign certificates', envelope: false }), (req, res) => {
+    res.json({ keys: [signer.publicJwk] });
+});
+
+app.get('/.well-known/signing-key.pem', validate({}, { summary: 'The same public key in PEM format' }), (req, res) => {
+    res.type('application/x-pem-file').send(signer.publicKeyPem);
+});
+
+// Open Badges credential for one certificate. Only Verified certificates are signed: the proof is this
+// server vouching for the record, and imports treat a valid proof as verification.
+const exportCredential = (user, cert, baseUrl) => {
+    const credential = openBadges.toOpenBadgeCredential(user, cert, { baseUrl });
+    return cert.verificationStatus === 'Verified' ? openBadges.signCredential(credential, signer, { baseUrl }) : credential;
+};
+
+// Export all of a user's certificates as Open Badges 3.0 credentials, signed when verified
+app.get('/api/openbadges/:userid', validate({}, { summary: 'Export certificates as Open Badges 3.0 credentials' }), async (req, res) => {
+    try {
+        const { userid } = req.params;
+        const baseUrl = getBaseUrl(req);
+
+        const user = await repository.getUser(userid);
+        if (!user || !visibility.canViewProfile(req.auth, user)) {
+            return sendUserNotFound(res);
+        }
+
+        const credentials = visibility.visibleCertificates(req.auth, user).map(cert => exportCredential(user, cert, baseUrl));
+
+        res.json({
+            success: true,
+            data: credentials,
+            count: credentials.length,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error exporting Open Badges:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to export credentials',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Export a single certificate as an Open Badges 3.0 credential (the credential's own id URL)
+app.get('/api/openbadges/:userid/:certid', validate({}, { summary: 'Export one certificate as an Open Badges 3.0 credential' }), async (req, res) => {
+    try {
+        const { userid, certid } = req.params;
+        const baseUrl = getBaseUrl(req);
+
+        const user = await repository.getUser(userid);
+        const certificate = user && visibility.visibleCertificates(req.auth, user).find(cert => cert.id === certid);
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                error: user && visibility.canViewProfile(req.auth, user) ? 'Certificate not found' : 'User not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.type('application/ld+json');
+        res.json(exportCredential(user, certificate, baseUrl));
+
+    } catch (error) {
+        console.error('Error exporting Open Badge:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to export credential',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// A bare credential or an array of credentials is shorthand for { credentials: [...] }
+const wrapCredentials = (req, res, next) => {
+    if (Array.isArray(req.body)) {
+        req.body = { credentials: req.body };
+    } else if (req.body && typeof req.body === 'object' && !('credentials' in req.body) && !('defaults' in req.body)) {
+        req.body = { credentials: [req.body] };
+    }
+    next();
+};
+
+// Import Open Badges 3.0 / Verifiable Credential documents into a user's certificate list
+// Body: a credential, an array of credentials, or { credentials: [...], defaults: { category, hours, ... } }
+app.post('/api/openbadges/:userid', auth.requireOwner(), wrapCredentials, validate({
+    body: {
+        credentials: { type: 'array', required: true, items: { type: 'object' }, minItems: 1, maxItems: MAX_IMPORT_ROWS, description: 'Open Badges 3.0 / Verifiable Credential documents' },
+        defaults: { type: 'object', default: {}, fields: CERTIFICATE_FIELDS, description: 'Certificate fields for values the credentials lack' }
+    }
+}, { summary: 'Import Open Badges 3.0 / Verifiable Credentials', created: true }), async (req, res) => {
+    try {
+        const { userid } = req.params;
+        const { credentials } = req.body;
+        const defaults = pickCertificateFields(req.body.defaults);
+
+        const errors = [];
+        const candidates = [];
+
+        credentials.forEach((credential, index) => {
+            // Verified only when this server signed the credential (it signs Verified certificates
+            // alone) and made it out to the importer. Defaults may then fill in descriptive fields but
+            // none of the claims the proof vouches for.
+            const verified = openBadges.verifyCredentialProof(credential, signer) &&
+                String(openBadges.credentialHolder(credential)).toLowerCase() === userid.toLowerCase();
+            const fill = verified
+                ? Object.fromEntries(Object.entries(defaults).filter(([field]) => !VERIFIED_CLAIMS.includes(field)))
+                : defaults;
+
+            let record;
+            try {
+                record = { ...fill, ...openBadges.fromOpenBadgeCredential(credential) };
+            } catch (mappingError) {
+                errors.push({ index, details: [{ field: null, message: mappingError.message }] });
+                return;
+            }
+
+            const recordErrors = validateCertificate(record);
+            if (recordErrors.length > 0) {
+                errors.push({ index, credentialId: credential.id, details: recordErrors });
+                return;
+            }
+
+            candidates.push({
+                index,
+                // A credential this server issued to the importer stands for one of their certificates
+                exportedFrom: verified ? openBadges.credentialCertificateId(credential) : null,
+                record: {
+                    skills: [],
+                    description: '',
+                    hours: 0,
+                    expiryDate: null,
+                    ...withCanonicalSkills(pickCertificateFields(record)),
+                    verificationStatus: verified ? 'Verified' : 'Pending',
+                    source: {
+                        format: 'openbadges-3.0',
+                        credentialId: credential.id,
+                        issuer: typeof credential.issuer === 'string' ? credential.issuer : credential.issuer?.id
+                    }
+                }
+            });
+        });
+
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return null;
+
+            const imported = [];
+            const skipped = [];
+            candidates.forEach(({ index, exportedFrom, record }) => {
+                const credentialId = record.source.credentialId;
+                if (exportedFrom && user.certificates.some(cert => cert.id === exportedFrom)) {
+                    skipped.push({ index, credentialId, reason: `Credential was exported from ${exportedFrom}` });
+                    return;
+                }
+                if (credentialId && user.certificates.some(cert => [cert.source, ...(cert.sources || [])].some(known => known?.credentialId === credentialId))) {
+                    skipped.push({ index, credentialId, reason: 'Credential already imported' });
+                    return;
+                }
+                const certificate = { id: generateCertificateId(userData), ...record };
+                user.certificates.push(certificate);
+                imported.push(certificate);
+            });
+
+            syncUserTotals(user);
+            return { imported, skipped };
+        });
+
+        if (!outcome) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[${new Date().toISOString()}] POST /api/openbadges/${userid} - ${outcome.imported.length} imported, ${outcome.skipped.length} skipped, ${errors.length} invalid`);
+
+        const status = outcome.imported.length > 0 ? 201 : (errors.length > 0 ? 400 : 200);
+        res.status(status).json({
+            success: outcome.imported.length > 0 || errors.length === 0,
+            data: {
+                imported: outcome.imported.map(formatCertificate),
+                skipped: outcome.skipped,
+                errors
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error importing Open Badges:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to import credentials',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Public view of a stored platform connection
+const formatConnection = (connection) => ({
+    ...connection,
+    name: connectors.getAdapter(connection.connector)?.name || connection.connector
+});
+
+// Sync one connection: collect records from the supplied inputs (or the connection's saved
+// verification URLs), add the ones the user doesn't already have, and record the outcome
+const runConnectorSync = async (userId, adapter, input) => {
+    const user = await repository.getUser(userId);
+    const connection = (user.connections || []).find(item => item.connector === adapter.id);
+    const hasInput = input.csv || input.html || (input.verifyUrls && input.verifyUrls.length > 0);
+    const { results, errors } = await connectors.collectRecords(adapter, hasInput
+        ? input
+        : { verifyUrls: connection?.verifyUrls || [] }, { holderName: user.name });
+
+    return repository.update((userData) => {
+        const target = userData[userId];
+        const imported = [];
+        const upgraded = [];
+        let duplicates = 0;
+
+        results.forEach(({ record, source }) => {
+            const recordErrors = validateCertificate(record);
+            if (recordErrors.length > 0) {
+                errors.push({ source: source.externalId, message: recordErrors.map(error => error.message).join('; ') });
+                return;
+            }
+            const existing = connectors.findExisting(target.certificates, { record, source });
+            if (existing && record.verificationStatus === 'Verified' && existing.verificationStatus !== 'Verified') {
+                // The platform now confirms a record the user already has: its statements replace the
+                // claims entered by hand, and the page is kept as a source for later syncs
+                VERIFIED_CLAIMS.filter(field => record[field] !== undefined).forEach(field => {
+                    existing[field] = record[field];
+                });
+                existing.verificationStatus = 'Verified';
+                const known = [existing.source, ...(existing.sources || [])]
+                    .find(item => item?.connector === source.connector && item?.externalId === source.externalId);
+                if (known) Object.assign(known, { holderName: source.holderName, syncedAt: new Date().toISOString() });
+                else existing.sources = [...(existing.sources || []), { ...source, syncedAt: new Date().toISOString() }];
+                upgraded.push(existing);
+                return;
+            }
+            if (existing) {
+                duplicates++;
+                return;
+            }
+            const certificate = {
+                id: generateCertificateId(userData),
+                ...withCanonicalSkills(record),
+                source: { ...source, syncedAt: new Date().toISOString() }
+            };
+            target.certificates.push(certificate);
+            imported.push(certificate);
+        });
+        syncUserTotals(target);
+
+        // Keep a connection record for every platform that has been synced
+        target.connections = target.connections || [];
+        let stored = target.connections.find(item => item.connector === adapter.id);
+        if (!stored) {
+            stored = { connector: adapter.id, verifyUrls: [], createdAt: new Date().toISOString() };
+            target.connections.push(stored);
+        }
+        const failed = errors.length > 0;
+        stored.lastSyncAt = new Date().toISOString();
+        stored.lastSyncStatus = failed ? (imported.length > 0 || upgraded.length > 0 || duplicates > 0 ? 'partial' : 'error') : 'success';
+        stored.lastErrors = errors;
+        stored.lastResult = { found: results.length, imported: imported.length, verified: upgraded.length, duplicates, failed: errors.length };
+
+        return { connection: stored, imported, upgraded, duplicates, errors };
+    });
+};
+
+// List the platforms that can be connected
+app.get('/api/connectors', validate({}, { summary: 'Platforms that can be connected (Coursera, edX, Udemy, LinkedIn Learning)' }), (req, res) => {
+    res.json({
+        success: true,
+        data: connectors.ADAPTERS.map(adapter => ({
+            id: adapter.id,
+            name: adapter.name,
+            platform: adapter.platform,
+            inputs: ['csv', 'html', 'verifyUrls'],
+            exportColumns: adapter.exportColumns
+        })),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// List a user's platform connections with their last sync status
+app.get('/api/connections/:userid', auth.requireOwner(), validate({}, { summary: 'Your platform connections and last sync status' }), async (req, res) => {
+    try {
+        const user = await repository.getUser(req.params.userid);
+
+        res.json({
+            success: true,
+            data: (user.connections || []).map(formatConnection),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error fetching connections:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to retrieve connections',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Create or update a connection. Body: { verifyUrls: [...] } — certificate pages synced on each run
+app.put('/api/connections/:userid/:connector', auth.requireOwner(), validate({
+    body: { verifyUrls: { type: 'array', default: [], description: 'Certificate pages to sync on each run' } }
+}, { summary: 'Connect a platform and save its certificate URLs' }), async (req, res) => {
+    try {
+        const { userid } = req.params;
+        const adapter = connectors.getAdapter(req.params.connector);
+        if (!adapter) {
+            return res.status(404).json({
+                success: false,
+                error: 'Connector not found',
+                availableConnectors: connectors.ADAPTERS.map(item => item.id),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { verifyUrls } = req.body;
+        const invalid = verifyUrls.filter(url => !adapter.verifyUrlPattern.test(url));
+        if (invalid.length > 0) {
+            return sendValidationError(res, invalid.map(url => ({ field: 'verifyUrls', message: `Not a ${adapter.name} certificate URL: ${url}` })));
+        }
+
+        const connection = await repository.update((userData) => {
+            const target = userData[userid.toLowerCase()];
+            target.connections = target.connections || [];
+            let stored = target.connections.find(item => item.connector === adapter.id);
+            if (!stored) {
+                stored = { connector: adapter.id, createdAt: new Date().toISOString(), lastSyncAt: null };
+                target.connections.push(stored);
+            }
+            stored.verifyUrls = [...new Set(verifyUrls)];
+            return stored;
+        });
+
+        res.json({
+            success: true,
+            data: formatConnection(connection),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error saving connection:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to save connection',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Remove a connection (certificates already imported are kept)
+app.delete('/api/connections/:userid/:connector', auth.requireOwner(), validate({}, { summary: 'Disconnect a platform' }), async (req, res) => {
+    try {
+        const { userid, connector } = req.params;
+
+        const removed = await repository.update((userData) => {
+            const target = userData[userid.toLowerCase()];
+            const before = (target.connections || []).length;
+            target.connections = (target.connections || []).filter(item => item.connector !== connector);
+            return target.connections.length < before;
+        });
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                error: 'Connection not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { connector },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error removing connection:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to remove connection',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Sync one platform. Body (all optional): { csv, html, url, verifyUrls } — with no body the
+// connection's saved verification URLs are fetched again
+app.post('/api/connections/:userid/:connector/sync', auth.requireOwner(), validate({
+    body: {
+        csv: { type: 'string', description: 'Contents of the platform\'s certificate export' },
+        html: { type: 'string', description: 'A saved verification page' },
+        url: { type: 'string', description: 'Address the saved page was taken from' },
+        verifyUrls: { type: 'array', maxItems: 50, description: 'Verification pages to fetch' }
+    }
+}, { summary: 'Import certificates from an export CSV, a saved page or verification URLs' }), async (req, res) => {
+    try {
+        const userid = req.params.userid.toLowerCase();
+        const adapter = connectors.getAdapter(req.params.connector);
+        if (!adapter) {
+            return res.status(404).json({
+                success: false,
+                error: 'Connector not found',
+                availableConnectors: connectors.ADAPTERS.map(item => item.id),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { csv, html, url, verifyUrls } = req.body;
+        const outcome = await runConnectorSync(userid, adapter, { csv, html, url, verifyUrls });
+
+        console.log(`[${new Date().toISOString()}] POST /api/connections/${userid}/${adapter.id}/sync - ${outcome.imported.length} imported, ${outcome.upgraded.length} verified, ${outcome.duplicates} duplicates, ${outcome.errors.length} errors`);
+
+        res.json({
+            success: outcome.connection.lastSyncStatus !== 'error',
+            data: {
+                connection: formatConnection(outcome.connection),
+                imported: outcome.imported.map(formatCertificate),
+                verified: outcome.upgraded.map(formatCertificate),
+                duplicates: outcome.duplicates,
+                errors: outcome.errors
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error syncing connection:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to sync platform',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Re-sync every connection that has saved verification URLs
+app.post('/api/connections/:userid/sync', auth.requireOwner(), validate({}, { summary: 'Re-sync all connected platforms' }), async (req, res) => {
+    try {
+        const userid = req.params.userid.toLowerCase();
+        const user = await repository.getUser(userid);
+
+        const results = [];
+        for (const connection of user.connections || []) {
+            const adapter = connectors.getAdapter(connection.connector);
+            if (!adapter) continue;
+            // Export-file connections have nothing to re-fetch; they sync when a new file is uploaded
+            if (!connection.verifyUrls || connection.verifyUrls.length === 0) {
+                results.push({ connection: formatConnection(connection), skipped: 'No saved verification URLs' });
+                continue;
+            }
+            const outcome = await runConnectorSync(userid, adapter, {});
+            results.push({
+                connection: formatConnection(outcome.connection),
+                imported: outcome.imported.length,
+                verified: outcome.upgraded.length,
+                duplicates: outcome.duplicates,
+                errors: outcome.errors
+            });
+        }
+
+        res.json({
+            success: true,
+            data: results,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error syncing connections:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to sync platforms',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Printable portfolio for sharing with employers: GET /api/portfolio/:userid.pdf or .html
+// Accepts the platform, category and includeExpired filters of GET /api/certificates/:userid;
+// add download=true to receive the PDF as an attachment.
+app.get('/api/portfolio/:userid.:format(pdf|html)', validate({
+    query: {
+        ...CERTIFICATE_FILTER_QUERY,
+        download: { type: 'boolean', default: false, description: 'Send the PDF as an attachment' }
+    }
+}, { summary: 'Printable portfolio as PDF or HTML (platform, category, skills, includeExpired filters)' }), async (req, res) => {
+    try {
+        const { userid, format } = req.params;
+        const { platform, category, skills: skillFilter, includeExpired, download } = req.query;
+
+        const user = await repository.getUser(userid);
+        if (!user || !visibility.canViewProfile(req.auth, user)) {
+            return sendUserNotFound(res);
+        }
+
+        const baseUrl = getBaseUrl(req);
+        const filters = { platform, category, skills: skillFilter, includeExpired };
+        const certificates = filterCertificates(visibility.visibleCertificates(req.auth, user).map(formatCertificate), filters)
+            .sort((a, b) => new Date(b.completionDate) - new Date(a.completionDate))
+            .map(cert => ({ ...cert, verifyUrl: `${baseUrl}/api/certificates/${user.id}/${cert.id}` }));
+
+        // Skills ordered by how many certificates demonstrate them
+        const skillCounts = certificates.flatMap(cert => skillRegistry.normalizeSkills(cert.skills)).reduce((acc, skill) => {
+            acc[skill] = (acc[skill] || 0) + 1;
+            return acc;
+        }, {});
+        const skills = Object.entries(skillCounts)
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+        const portfolioData = {
+            user: {
+                name: user.name,
+                email: visibility.isOwner(req.auth, user) ? user.email : undefined,
+                bio: user.bio,
+                location: user.location,
+                website: user.website,
+                linkedin: user.linkedin,
+                github: user.github
+            },
+            statistics: { totalCertificates: certificates.length, ...certificateStatistics(certificates) },
+            skills,
+            certificates,
+            filters,
+            baseUrl,
+            generatedAt: new Date().toISOString()
+        };
+
+        console.log(`[${new Date().toISOString()}] GET /api/portfolio/${userid}.${format} - ${certificates.length} certificates`);
+
+        if (format === 'html') {
+            return res.type('html').send(portfolio.renderPortfolioHtml(portfolioData));
+        }
+
+        const pdf = await portfolio.renderPortfolioPdf(portfolioData);
+        const filename = `${user.id}-portfolio.pdf`;
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename="${filename}"`
+        });
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('Error rendering portfolio:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to render portfolio',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// SVG responses for <img> embeds; errors are rendered as badges too so the page shows why, and are
+// never stored (successful badges take their caching headers from cacheableBadge)
+const sendSvg = (res, svg, status = 200) => res
+    .status(status)
+    .set({ 'Content-Type': 'image/svg+xml; charset=utf-8', ...(status === 200 ? {} : { 'Cache-Control': 'no-store' }) })
+    .send(svg);
+
+// Invalid query parameters are drawn on the badge, since an <img> cannot show a JSON error
+const validateBadgeQuery = (query, docs) => validate({ query }, {
+    ...docs,
+    onInvalid: (req, res, details) => sendSvg(res, badges.renderMissingBadge(`invalid ${details[0].field}`), 400)
+});
+
+// Summary badge: total certificates and learning hours
+app.get('/api/badge/:userid.svg', validateBadgeQuery({
+    label: { type: 'string', maxLength: 30, description: 'Text on the left of the badge' }
+}, { summary: 'Summary badge with total certificates and hours (?label)' }), cacheableBadge, async (req, res) => {
+    try {
+        const user = await repository.getUser(req.params.userid);
+        if (!user || !visibility.canViewProfile(req.auth, user)) {
+            return sendSvg(res, badges.renderMissingBadge('user not found'), 404);
+        }
+
+        const certificates = visibility.visibleCertificates(req.auth, user);
+        sendSvg(res, badges.renderSummaryBadge({
+            totalCertificates: certificates.length,
+            totalHours: certificates.reduce((sum, cert) => sum + (cert.hours || 0), 0),
+            verified: certificates.filter(cert => cert.verificationStatus === 'Verified').length
+        }, { label: req.query.label }));
+
+    } catch (error) {
+        console.error('Error rendering summary badge:', error);
+        sendSvg(res, badges.renderMissingBadge('unavailable'), 500);
+    }
+});
+
+// Badge for one certificate (?style=flat|card)
+app.get('/api/badge/:userid/:certid.svg', validateBadgeQuery({
+    style: { type: 'string', enum: badges.BADGE_STYLES, default: 'flat', description: 'flat or card' }
+}, { summary: 'Certificate badge for READMEs and websites (?style=flat|card)' }), cacheableBadge, async (req, res) => {
+    try {
+        const { userid, certid } = req.params;
+        const user = await repository.getUser(userid);
+        const certificate = user && visibility.canViewProfile(req.auth, user)
+            ? visibility.visibleCertificates(req.auth, user).find(cert => cert.id === certid)
+            : null;
+
+        if (!certificate) {
+            return sendSvg(res, badges.renderMissingBadge(), 404);
+        }
+        sendSvg(res, badges.renderCertificateBadge(certificate, { style: req.query.style }));
+
+    } catch (error) {
+        console.error('Error rendering certificate badge:', error);
+        sendSvg(res, badges.renderMissingBadge('unavailable'), 500);
+    }
+});
+
+// Certificate grid for <iframe> embeds (?theme=light|dark, ?limit=1-50)
+app.get('/embed/:userid', validate({
+    query: {
+        theme: { type: 'string', enum: Object.keys(embed.EMBED_THEMES), default: 'light', description: 'Colour scheme' },
+        limit: { type: 'integer', min: 1, max: 50, default: 12, description: 'Number of certificates shown' }
+    }
+}, {
+    summary: 'Portfolio card for iframes (?theme, ?limit)',
+    onInvalid: (req, res, details) => res.status(400).type('html')
+        .send(`<!DOCTYPE html><p>Invalid embed options: ${details.map(detail => detail.field).join(', ')}.</p>`)
+}), cacheable, async (req, res) => {
+    try {
+        const user = await repository.getUser(req.params.userid);
+        if (!user || !visibility.canViewProfile(req.auth, user)) {
+            return res.status(404).type('html').send('<!DOCTYPE html><p>Portfolio not found.</p>');
+        }
+
+        const baseUrl = getBaseUrl(req);
+        const { limit } = req.query;
+        const visible = visibility.visibleCertificates(req.auth, user);
+        const certificates = visible
+            .map(formatCertificate)
+            .sort((a, b) => new Date(b.completionDate) - new Date(a.completionDate))
+            .slice(0, limit)
+            .map(cert => ({ ...cert, verifyUrl: `${baseUrl}/api/certificates/${user.id}/${cert.id}` }));
+
+        // Other sites may frame this page; everything else keeps the browser defaults
+        res.set('Content-Security-Policy', 'frame-ancestors *');
+        res.type('html').send(embed.renderEmbedHtml({
+            user,
+            certificates,
+            profileUrl: `${baseUrl}/profile.html?user=${user.id}`,
+            theme: req.query.theme,
+            totals: {
+                certificates: visible.length,
+                hours: visible.reduce((sum, cert) => sum + (cert.hours || 0), 0)
+            }
+        }));
+
+    } catch (error) {
+        console.error('Error rendering embed:', error);
+        res.status(500).type('html').send('<!DOCTYPE html><p>Portfolio unavailable.</p>');
+    }
+});
+
+// The user a profile or embed URL points at: /profile.html?user=<id> or /embed/<id>
+const userIdFromPortfolioUrl = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return null;
+    }
+    if (url.pathname === '/profile.html') return url.searchParams.get('user');
+    const embedMatch = url.pathname.match(/^\/embed\/([^/]+)$/);
+    return embedMatch ? decodeURIComponent(embedMatch[1]) : null;
+};
+
+// oEmbed provider endpoint: a rich card (the embed iframe) for a profile URL
+app.get('/api/oembed', validate({
+    query: {
+        url: { type: 'string', required: true, description: 'Profile or embed URL' },
+        format: { type: 'string', default: 'json', description: 'Only json is supported' },
+        maxwidth: { type: 'integer', min: 1, description: 'Maximum embed width in pixels' },
+        maxheight: { type: 'integer', min: 1, description: 'Maximum embed height in pixels' }
+    }
+}, { summary: 'oEmbed (JSON) for profile URLs (?url, ?maxwidth, ?maxheight); the card frames /embed/:userid', envelope: false }), async (req, res) => {
+    try {
+        const { url, format } = req.query;
+
+        if (format !== 'json') {
+            return res.status(501).json({
+                success: false,
+                error: 'Not implemented',
+                message: 'Only format=json is supported',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const userId = userIdFromPortfolioUrl(url);
+        if (!userId) {
+            return sendValidationError(res, [{ field: 'url', message: 'url must be a profile URL such as /profile.html?user=<id>' }]);
+        }
+
+        const user = await repository.getUser(userId);
+        if (!user || !visibility.canViewProfile(req.auth, user)) {
+            return sendUserNotFound(res);
+        }
+
+        const baseUrl = getBaseUrl(req);
+        res.json(embed.oembedResponse({
+            user,
+            baseUrl,
+            profileUrl: `${baseUrl}/profile.html?user=${user.id}`,
+            embedUrl: `${baseUrl}/embed/${user.id}`,
+            thumbnailUrl: `${baseUrl}/api/badge/${user.id}.svg`,
+            maxWidth: req.query.maxwidth,
+            maxHeight: req.query.maxheight
+        }));
+
+    } catch (error) {
+        console.error('Error building oEmbed response:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to build oEmbed response',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Inbox entries are returned newest first
+const formatNotifications = (user, { unreadOnly = false } = {}) => (user.notifications || [])
+    .filter(notification => !unreadOnly || !notification.readAt)
+    .slice()
+    .reverse();
+
+// List your notifications (expiry reminders); ?unread=true for unread ones only
+app.get('/api/notifications/:userid', auth.requireOwner(), validate({
+    query: { unread: { type: 'boolean', default: false, description: 'Only unread notifications' } }
+}, { summary: 'Your notification inbox, e.g. certificate expiry reminders (?unread=true)' }), async (req, res) => {
+    try {
+        const user = await repository.getUser(req.params.userid);
+        if (!user) return sendUserNotFound(res);
+
+        res.json({
+            success: true,
+            data: {
+                notifications: formatNotifications(user, { unreadOnly: req.query.unread }),
+                unreadCount: formatNotifications(user, { unreadOnly: true }).length
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to retrieve notifications',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Mark one notification read or unread. Body: { read: true|false }
+app.patch('/api/notifications/:userid/:notificationId', auth.requireOwner(), validate({
+    body: { read: { type: 'boolean', required: true } }
+}, { summary: 'Mark a notification read or unread' }), async (req, res) => {
+    try {
+        const { userid, notificationId } = req.params;
+        const { read } = req.body;
+
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const notification = (user.notifications || []).find(item => item.id === notificationId);
+            if (!notification) return { status: 404, error: 'Notification not found' };
+
+            notification.readAt = read ? (notification.readAt || new Date().toISOString()) : null;
+            return { notification };
+        });
+
+        if (!outcome.notification) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            success: true,
+            data: outcome.notification,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error updating notification:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to update notification',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Mark every notification read
+app.post('/api/notifications/:userid/read-all', auth.requireOwner(), validate({}, { summary: 'Mark all notifications read' }), async (req, res) => {
+    try {
+        const { userid } = req.params;
+
+        const marked = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return null;
+
+            const readAt = new Date().toISOString();
+            const unread = (user.notifications || []).filter(notification => !notification.readAt);
+            unread.forEach(notification => {
+                notification.readAt = readAt;
+            });
+            return unread.length;
+        });
+
+        if (marked === null) return sendUserNotFound(res);
+
+        res.json({
+            success: true,
+            data: { marked, unreadCount: 0 },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error updating notifications:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to update notifications',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Owner's view of a share link, with its URL and view statistics
+const describeShareLink = (req, link) => ({
+    ...link,
+    ...shareViews.countsFor(link.id),
+    url: shareLinks.shareUrl(getBaseUrl(req), link),
+    status: shareLinks.accessProblem(link, shareLinks.tokenFor(link)) || 'active'
+});
+
+// List your share links
+app.get('/api/shares/:userid', auth.requireOwner(), validate({}, { summary: 'Your portfolio share links with view counts' }), async (req, res) => {
+    try {
+        const user = await repository.getUser(req.params.userid);
+        if (!user) {
+            return sendUserNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: (user.shareLinks || []).map(link => describeShareLink(req, link)),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error fetching share links:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to retrieve share links',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Share link settings; which certificates exist is checked by shares.validateShareLink
+const SHARE_LINK_BODY = {
+    label: { type: 'string', maxLength: 100, description: 'Shown to the owner only' },
+    certificateIds: { type: 'array', nullable: true, minItems: 1, description: 'Certificates to share, or null for all' },
+    expiresInDays: { type: 'integer', nullable: true, min: 1, max: shares.MAX_EXPIRY_DAYS, description: 'Days until the link expires, or null for no expiry' }
+};
+
+// Create a share link for your portfolio
+app.post('/api/shares/:userid', auth.requireOwner(), validate({ body: SHARE_LINK_BODY }, { summary: 'Create a share link (label, certificateIds, expiresInDays)', created: true }), async (req, res) => {
+    try {
+        const { userid } = req.params;
+
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const { errors, changes } = shares.validateShareLink(req.body, user);
+            if (errors.length > 0) return { status: 400, error: 'Validation failed', details: errors };
+            if ((user.shareLinks || []).length >= shares.MAX_LINKS_PER_USER) {
+                return { status: 409, error: 'Too many share links', message: `Revoke or delete a link first (limit ${shares.MAX_LINKS_PER_USER})` };
+            }
+
+            let slug = shares.generateSlug(user);
+            while (shares.findShareLink(userData, slug)) slug = shares.generateSlug(user);
+
+            const link = shares.newShareLink(slug, changes);
+            user.shareLinks = [...(user.shareLinks || []), link];
+            return { link };
+        });
+
+        if (!outcome.link) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                ...(outcome.details ? { details: outcome.details } : {}),
+                ...(outcome.message ? { message: outcome.message } : {}),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[${new Date().toISOString()}] POST /api/shares/${userid} - Created share link ${outcome.link.slug}`);
+
+        res.status(201).json({
+            success: true,
+            data: describeShareLink(req, outcome.link),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to create share link',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Change a share link's label, certificates or expiry, or revoke it with { "revoked": true }
+app.patch('/api/shares/:userid/:shareId', auth.requireOwner(), validate({
+    body: { ...SHARE_LINK_BODY, revoked: { type: 'boolean', description: 'Revoke (true) or restore (false) the link' } }
+}, { summary: 'Change a share link, or revoke it with { "revoked": true }', partial: true }), async (req, res) => {
+    try {
+        const { userid, shareId } = req.params;
+        const { revoked, ...fields } = req.body;
+
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const link = (user.shareLinks || []).find(item => item.id === shareId);
+            if (!link) return { status: 404, error: 'Share link not found' };
+
+            const { errors, changes } = shares.validateShareLink(fields, user, { partial: true });
+            if (errors.length > 0) return { status: 400, error: 'Validation failed', details: errors };
+
+            Object.assign(link, changes);
+            if (revoked !== undefined) {
+                link.revokedAt = revoked ? (link.revokedAt || new Date().toISOString()) : null;
+            }
+            return { link };
+        });
+
+        if (!outcome.link) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                ...(outcome.details ? { details: outcome.details } : {}),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[${new Date().toISOString()}] PATCH /api/shares/${userid}/${shareId} - Updated share link`);
+
+        res.json({
+            success: true,
+            data: describeShareLink(req, outcome.link),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error updating share link:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to update share link',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Revoke a share link. It stays in the list, with its view statistics, until deleted with ?purge=true
+app.delete('/api/shares/:userid/:shareId', auth.requireOwner(), validate({
+    query: { purge: { type: 'boolean', default: false, description: 'Delete the link instead of revoking it' } }
+}, { summary: 'Revoke a share link (?purge=true deletes it)' }), async (req, res) => {
+    try {
+        const { userid, shareId } = req.params;
+        const { purge } = req.query;
+
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const link = (user.shareLinks || []).find(item => item.id === shareId);
+            if (!link) return { status: 404, error: 'Share link not found' };
+
+            if (purge) {
+                user.shareLinks = user.shareLinks.filter(item => item.id !== shareId);
+            } else {
+                link.revokedAt = link.revokedAt || new Date().toISOString();
+            }
+            return { link };
+        });
+
+        if (!outcome.link) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                timestamp: new Date().toISOString()
+            });
+        }
+        if (purge) shareViews.remove(outcome.link.id);
+
+        console.log(`[${new Date().toISOString()}] DELETE /api/shares/${userid}/${shareId} - ${purge ? 'Deleted' : 'Revoked'} share link`);
+
+        res.json({
+            success: true,
+            message: purge ? 'Share link deleted' : 'Share link revoked',
+            data: purge ? { id: outcome.link.id } : describeShareLink(req, outcome.link),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to revoke share link',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+const SHARE_PROBLEMS = {
+    revoked: { status: 410, error: 'Share link revoked', message: 'The owner has revoked this link' },
+    expired: { status: 410, error: 'Share link expired', message: 'This link has expired' },
+    'invalid-token': { status: 403, error: 'Invalid share token', message: 'This link needs its full URL, including the token' }
+};
+
+// Read-only portfolio behind a share link (used by /p/:slug). Profile visibility does not apply:
+// the owner chose to share these certificates. Views by the owner are not counted.
+app.get('/api/shared/:slug', validate({
+    query: { token: { type: 'string', description: 'Signed token of a link with an expiry' } }
+}, { summary: 'Read-only portfolio behind a share link (?token for expiring links); opened by /p/:slug' }), async (req, res) => {
+    try {
+        const { slug } = req.params;
+        const userData = await repository.getUsers();
+        const found = shares.findShareLink(userData, slug);
+
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                error: 'Share link not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const problem = shareLinks.accessProblem(found.link, req.query.token);
+        if (problem) {
+            const { status, ...body } = SHARE_PROBLEMS[problem];
+            return res.status(status).json({
+                success: false,
+                ...body,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!visibility.isOwner(req.auth, found.user)) {
+            shareViews.record(found.link.id);
+        }
+
+        const { user, link } = found;
+        const certificates = shares.sharedCertificates(user, link)
+            .map(formatCertificate)
+            .sort((a, b) => new Date(b.completionDate) - new Date(a.completionDate));
+
+        res.json({
+            success: true,
+            data: {
+                user: {
+                    id: user.id,
+                    name: user.name,
+                    bio: user.bio,
+                    location: user.location,
+                    joinDate: user.joinDate,
+                    profileImage: user.profileImage,
+                    website: user.website,
+                    linkedin: user.linkedin,
+                    github: user.github
+                },
+                certificates,
+                statistics: {
+                    totalCertificates: certificates.length,
+                    ...certificateStatistics(certificates)
+                },
+                share: {
+                    label: link.label,
+                    expiresAt: link.expiresAt,
+                    readOnly: true
+                }
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error opening share link:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to open share link',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Get user analytics and learning insights
+app.get('/api/analytics/:userid', validate({
+    query: {
+        timeframe: { type: 'string', enum: Object.keys(analytics.TIMEFRAMES), default: '1y', description: 'Period to analyse' },
+        from: { type: 'date', description: 'Start date; overrides timeframe' },
+        to: { type: 'date', description: 'End date; overrides timeframe' }
+    }
+}, { summary: 'Get user learning analytics and insights' }), cacheable, async (req, res) => {
+    try {
+        const { userid } = req.params;
+        const { timeframe, from, to } = req.query;
+        
+        await simulateDelay(400, 800);
+        
+        const userData = await repository.getUsers();
+        const user = userData[userid.toLowerCase()];
+        if (!user || !visibility.canViewProfile(req.auth, user)) {
+            return sendUserNotFound(res);
+        }
+        
+        const visibleCerts = visibility.visibleCertificates(req.auth, user).map(formatCertificate);
+        
+        // Every metric below is computed from the certificates completed within the timeframe
+        const { errors, range } = analytics.resolveTimeframe({ timeframe, from, to }, { certificates: visibleCerts });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const certificates = visibleCerts.filter(cert => analytics.inRange(cert, range));
+        const series = analytics.monthlySeries(certificates, range);
+        const certificateCount = Math.max(1, certificates.length);
+        
+        // Calculate comprehensive analytics
+        const insights = {
+            learningVelocity: analytics.learningVelocity(certificates, range, series),
+            skillsDevelopment: {
+                topSkills: (() => {
+                    const skillCounts = {};
+                    certificates.forEach(cert => {
+                        skillRegistry.normalizeSkills(cert.skills).forEach(skill => {
+                            skillCounts[skill] = (skillCounts[skill] || 0) + 1;
+                        });
+                    });
+                    return Object.entries(skillCounts)
+                        .sort(([,a], [,b]) => b - a)
+                        .slice(0, 10)
+                        .map(([skill, count]) => ({ skill, count, percentage: (count / certificateCount * 100).toFixed(1) }));
+                })(),
+                emergingSkills: certificates
+                    .filter(cert => cert.ageInDays <= 90)
+                    .flatMap(cert => skillRegistry.normalizeSkills(cert.skills))
+                    .filter((skill, index, arr) => arr.indexOf(skill) === index)
+                    .slice(0, 5),
+                skillCategories: (() => {
+                    const categories = {};
+                    certificates.forEach(cert => {
+                        categories[cert.category] = (categories[cert.category] || 0) + 1;
+                    });
+                    return categories;
+                })()
+            },
+            platformPreferences: {
+                distribution: (() => {
+                    const platforms = {};
+                    certificates.forEach(cert => {
+                        platforms[cert.platform] = (platforms[cert.platform] || 0) + 1;
+                    });
+                    return Object.entries(platforms)
+                        .map(([platform, count]) => ({
+                            platform,
+                            count,
+                            percentage: (count / certificateCount * 100).toFixed(1),
+                            totalHours: certificates
+                                .filter(cert => cert.platform === platform)
+                                .reduce((sum, cert) => sum + cert.hours, 0)
+                        }));
+                })(),
+                favoriteInstructors: certificates
+                    .filter(cert => cert.instructor)
+                    .reduce((acc, cert) => {
+                        acc[cert.instructor] = (acc[cert.instructor] || 0) + 1;
+                        return acc;
+                    }, {}),
+                averageRating: (() => {
+                    const ratings = certificates
+                        .filter(cert => cert.rating)
+                        .map(cert => cert.rating);
+                    return ratings.length ? (ratings.reduce((sum, r) => sum + r, 0) / ratings.length).toFixed(1) : null;
+                })()
+            },
+            learningPatterns: {
+                monthlyProgress: series.reduce((monthly, entry) => {
+                    monthly[entry.month] = { certificates: entry.certificates, hours: entry.hours };
+                    return monthly;
+                }, {}),
+                averageCompletionTime: certificates.reduce((sum, cert) => sum + (cert.hours || 0), 0) / certificateCount,
+                consistencyScore: analytics.consistencyScore(series),
+                streaks: analytics.monthlyStreaks(series),
+                gapAnalysis: analytics.gapAnalysis(certificates, range, series)
+            },
+            achievements: {
+                // Earned achievements are recorded once and kept, so they do not depend on the timeframe
+                badges: achievementsFor(req.auth, user).earned.map(achievement => achievement.title),
+                milestones: [
+                    {
+                        title: 'First Certificate',
+                        date: certificates.sort((a, b) => new Date(a.completionDate) - new Date(b.completionDate))[0]?.completionDate,
+                        achieved: certificates.length > 0
+                    },
+                    {
+                        title: '100 Learning Hours',
+                        achieved: certificates.reduce((sum, cert) => sum + cert.hours, 0) >= 100,
+                        progress: Math.min(100, certificates.reduce((sum, cert) => sum + cert.hours, 0))
+                    },
+                    {
+                        title: 'Multi-Platform Learner',
+                        achieved: new Set(certificates.map(cert => cert.platform)).size >= 3,
+                        progress: new Set(certificates.map(cert => cert.platform)).size
+                    }
+                ]
+            },
+            // Career fit looks at the whole certificate history, not just the timeframe
+            careerRecommendations: recommendations.recommendCareers({
+                certificates: visibleCerts,
+                catalog: certificateCatalog(userData, user.id),
+                roles: careerRoles,
+                limit: 3,
+                normalizeSkills: skillRegistry.normalizeSkills,
+                matchesSkill: skillRegistry.matchesSkill
+            })
+        };
+        
+        res.json({
+            success: true,
+            data: insights,
+            metadata: {
+                userId: userid,
+                analysisDate: res.locals.dataVersion.lastModified.toISOString(),
+                timeframe: range.timeframe,
+                from: range.from.toISOString().slice(0, 10),
+                to: range.to.toISOString().slice(0, 10),
+                totalCertificates: certificates.length,
+                dataPoints: series.length
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Error generating analytics:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to generate analytics',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Career recommendations for a user: role coverage, missing skills and next certifications.
+// ?role=<id> focuses on one role from config/career-roles.json; ?limit caps each list (default 5).
+app.get('/api/recommendations/:userid', validate({
+    query: {
+        role: { type: 'string', description: 'Career role ID to rank courses for' },
+        limit: { type: 'integer', min: 1, max: 20, default: 5, description: 'Number of recommendations' }
+    }
+}, { summary: 'Career role coverage, missing skills and next certifications (?role, ?limit)' }), async (req, res) => {
+    try {
+        const { userid } = req.params;
+        const { role, limit } = req.query;
+
+        const userData = await repository.getUsers();
+        const user = userData[userid.toLowerCase()];
+        if (!user || !visibility.canViewProfile(req.auth, user)) {
+            return sendUserNotFound(res);
+        }
+
+        if (role && !careerRoles.some(item => item.id === role)) {
+            return sendValidationError(res, [{ field: 'role', message: `role must be one of: ${careerRoles.map(item => item.id).join(', ')}` }]);
+        }
+
+        res.json({
+            success: true,
+            data: recommendations.recommendCareers({
+                certificates: visibility.visibleCertificates(req.auth, user),
+                catalog: certificateCatalog(userData, user.id),
+                roles: careerRoles,
+                roleId: role,
+                limit,
+                normalizeSkills: skillRegistry.normalizeSkills,
+                matchesSkill: skillRegistry.matchesSkill
+            }),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error generating recommendations:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to generate recommendations',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Achievements: earned ones with the date they were earned, then progress towards the rest
+app.get('/api/achievements/:userid', validate({}, { summary: 'Earned, in-progress and locked achievements (config/achievements.json)' }), cacheable, async (req, res) => {
+    try {
+        const user = await repository.getUser(req.params.userid);
+        if (!user || !visibility.canViewProfile(req.auth, user)) {
+            return sendUserNotFound(res);
+        }
+
+        const { earned, inProgress, locked } = achievementsFor(req.auth, user);
+
+        res.json({
+            success: true,
+            data: { earned, inProgress, locked },
+            summary: {
+                total: achievementRules.length,
+                earned: earned.length,
+                inProgress: inProgress.length,
+                locked: locked.length
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error fetching achievements:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to retrieve achievements',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Goals with their progress as `viewer` sees them: other people only see public goals, and
+// progress only counts certificates they can read
+const goalsWithProgress = (viewer, user) => {
+    const certificates = visibility.visibleCertificates(viewer, user).map(formatCertificate);
+    return (user.goals || [])
+        .filter(goal => visibility.isOwner(viewer, user) || goal.visibility === 'public')
+        .map(goal => goals.goalProgress(goal, certificates, { matchesSkill: skillRegistry.matchesSkill }));
+};
+
+// Learning goals and paths with progress (?status=in-progress|completed|missed)
+app.get('/api/goals/:userid', validate({
+    query: { status: { type: 'string', enum: ['in-progress', 'completed', 'missed'], description: 'Only goals with this status' } }
+}, { summary: 'Learning goals and paths with progress (?status)' }), cacheable, async (req, res) => {
+    try {
+        const { status } = req.query;
+        const user = await repository.getUser(req.params.userid);
+        if (!user || !visibility.canViewProfile(req.auth, user)) {
+            return sendUserNotFound(res);
+        }
+
+        const all = goalsWithProgress(req.auth, user);
+        const data = status ? all.filter(goal => goal.progress.status === status) : all;
+
+        res.json({
+            success: true,
+            data,
+            summary: {
+                total: all.length,
+                completed: all.filter(goal => goal.progress.status === 'completed').length,
+                inProgress: all.filter(goal => goal.progress.status === 'in-progress').length,
+                missed: all.filter(goal => goal.progress.status === 'missed').length
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error fetching goals:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to retrieve goals',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// One goal with its progress
+app.get('/api/goals/:userid/:goalId', validate({}, { summary: 'One goal with its progress' }), cacheable, async (req, res) => {
+    try {
+        const user = await repository.getUser(req.params.userid);
+        if (!user || !visibility.canViewProfile(req.auth, user)) {
+            return sendUserNotFound(res);
+        }
+
+        const goal = goalsWithProgress(req.auth, user).find(item => item.id === req.params.goalId);
+        if (!goal) {
+            return res.status(404).json({
+                success: false,
+                error: 'Goal not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            success: true,
+            data: goal,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error fetching goal:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to retrieve goal',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Goal fields; goals.validateGoal checks how they fit together (a target or steps, per type)
+const GOAL_BODY = {
+    title: { type: 'string', required: true, maxLength: 120 },
+    type: { type: 'string', required: true, enum: goals.GOAL_TYPES },
+    target: { type: 'number', min: 0, description: 'Number to reach (certificates, hours or credits goals)' },
+    steps: { type: 'array', items: { type: 'object' }, description: 'Ordered courses for a path: [{ courseName, platform?, title? } or { certificateId }]' },
+    filters: { type: 'object', nullable: true, description: 'Only count certificates matching { skill, category, platform }' },
+    startDate: { type: 'date', nullable: true },
+    deadline: { type: 'date', nullable: true },
+    visibility: { type: 'string', enum: goals.GOAL_VISIBILITY }
+};
+
+// Set a goal: { title, type, target | steps, filters?, startDate?, deadline?, visibility? }
+app.post('/api/goals/:userid', auth.requireOwner(), validate({ body: GOAL_BODY }, { summary: 'Set a goal: certificates, hours or credits target, or an ordered learning path', created: true }), async (req, res) => {
+    try {
+        const { userid } = req.params;
+
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const { errors, goal } = goals.validateGoal(req.body, user);
+            if (errors.length > 0) return { status: 400, error: 'Validation failed', details: errors };
+            if ((user.goals || []).length >= goals.MAX_GOALS_PER_USER) {
+                return { status: 409, error: 'Too many goals', message: `Delete a goal first (limit ${goals.MAX_GOALS_PER_USER})` };
+            }
+
+            const created = goals.newGoal(goal);
+            user.goals = [...(user.goals || []), created];
+            return { goal: created, user };
+        });
+
+        if (!outcome.goal) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                ...(outcome.details ? { details: outcome.details } : {}),
+                ...(outcome.message ? { message: outcome.message } : {}),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[${new Date().toISOString()}] POST /api/goals/${userid} - Created ${outcome.goal.type} goal ${outcome.goal.id}`);
+
+        res.status(201).json({
+            success: true,
+            data: goalsWithProgress(req.auth, outcome.user).find(goal => goal.id === outcome.goal.id),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error creating goal:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to create goal',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Change a goal; the result is validated as a whole, so the type can change with its fields
+app.patch('/api/goals/:userid/:goalId', auth.requireOwner(), validate({ body: GOAL_BODY }, { summary: 'Change a goal', partial: true }), async (req, res) => {
+    try {
+        const { userid, goalId } = req.params;
+
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const existing = (user.goals || []).find(item => item.id === goalId);
+            if (!existing) return { status: 404, error: 'Goal not found' };
+
+            const { errors, goal } = goals.validateGoal(req.body, user, { existing });
+            if (errors.length > 0) return { status: 400, error: 'Validation failed', details: errors };
+
+            Object.assign(existing, goal, { updatedAt: new Date().toISOString() });
+            return { goal: existing, user };
+        });
+
+        if (!outcome.goal) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                ...(outcome.details ? { details: outcome.details } : {}),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[${new Date().toISOString()}] PATCH /api/goals/${userid}/${goalId} - Updated goal`);
+
+        res.json({
+            success: true,
+            data: goalsWithProgress(req.auth, outcome.user).find(goal => goal.id === goalId),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error updating goal:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to update goal',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Delete a goal
+app.delete('/api/goals/:userid/:goalId', auth.requireOwner(), validate({}, { summary: 'Delete a goal' }), async (req, res) => {
+    try {
+        const { userid, goalId } = req.params;
+
+        const outcome = await repository.update((userData) => {
+            const user = userData[userid.toLowerCase()];
+            if (!user) return { status: 404, error: 'User not found' };
+
+            const goal = (user.goals || []).find(item => item.id === goalId);
+            if (!goal) return { status: 404, error: 'Goal not found' };
+
+            user.goals = user.goals.filter(item => item.id !== goalId);
+            return { goal };
+        });
+
+        if (!outcome.goal) {
+            return res.status(outcome.status).json({
+                success: false,
+                error: outcome.error,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`[${new Date().toISOString()}] DELETE /api/goals/${userid}/${goalId} - Deleted goal`);
+
+        res.json({
+            success: true,
+            message: 'Goal deleted',
+            data: { id: goalId },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error deleting goal:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to delete goal',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Org member list with names; private profiles still show up by name to fellow members
+const describeOrganization = (org, userData, viewerId) => ({
+    id: org.id,
+    name: org.name,
+    createdAt: org.createdAt,
+    role: orgs.membership(org, viewerId)?.role || null,
+    teams: org.teams.map(team => ({
+        ...team,
+        members: org.members.filter(member => member.teamId === team.id).length
+    })),
+    members: org.members.map(member => ({
+        ...member,
+        name: userData[member.userId]?.name || null
+    }))
+});
+
+const sendOrgNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Organization not found',
+    timestamp: new Date().toISOString()
+});
+
+const sendOrgForbidden = (res) => res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: 'Only organization owners and admins can do this',
+    timestamp: new Date().toISOString()
+});
+
+// Send the outcome of an org update: { status, error, details } on failure, or the data to return
+const sendOrgOutcome = (res, outcome, { status = 200, data }) => {
+    if (outcome.error) {
+        return res.status(outcome.status).json({
+            success: false,
+            error: outcome.error,
+            ...(outcome.message ? { message: outcome.message } : {}),
+            ...(outcome.details ? { details: outcome.details } : {}),
+            timestamp: new Date().toISOString()
+        });
+    }
+    res.status(status).json({
+        success: true,
+        data,
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Run a change against one org. Non-members get a 404, and managers-only changes a 403 for members.
+const updateOrganization = (req, mutator, { managersOnly = true } = {}) => orgRepository.update(async (orgData) => {
+    const org = orgData[req.params.orgid];
+    if (!org || !orgs.membership(org, req.auth.userId)) return { status: 404, error: 'Organization not found' };
+    if (managersOnly && !orgs.canManage(org, req.auth.userId)) {
+        return { status: 403, error: 'Forbidden', message: 'Only organization owners and admins can do this' };
+    }
+    return mutator(org, orgData);
+});
+
+// Organizations you belong to
+app.get('/api/orgs', auth.requireAuth, validate({}, { summary: 'Organizations you belong to' }), async (req, res) => {
+    try {
+        const [orgData, userData] = await Promise.all([orgRepository.getUsers(), repository.getUsers()]);
+        const memberOf = Object.values(orgData).filter(org => orgs.membership(org, req.auth.userId));
+
+        res.json({
+            success: true,
+            data: memberOf.map(org => describeOrganization(org, userData, req.auth.userId)),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error fetching organizations:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to retrieve organizations',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Create an organization; you become its owner
+app.post('/api/orgs', auth.requireAuth, validate({
+    body: {
+        name: { type: 'string', required: true },
+        teams: { type: 'array', default: [], description: 'Names of teams to create with the org' }
+    }
+}, { summary: 'Create an organization (name, teams); you become its owner', created: true }), async (req, res) => {
+    try {
+        const { name, teams } = req.body;
+        const errors = [];
+        orgs.validateName(name, 'name', errors);
+        teams.forEach((team, index) => orgs.validateName(team, `teams[${index}]`, errors));
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const org = await orgRepository.update((orgData) => {
+            let created = orgs.newOrganization({ name: name.trim(), teams: teams.map(team => team.trim()) }, req.auth.userId);
+            while (orgData[created.id]) created = { ...created, id: orgs.generateId('org') };
+            orgData[created.id] = created;
+            return created;
+        });
+
+        console.log(`[${new Date().toISOString()}] POST /api/orgs - Created ${org.id} for ${req.auth.userId}`);
+
+        res.status(201).json({
+            success: true,
+            data: describeOrganization(org, await repository.getUsers(), req.auth.userId),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error creating organization:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to create organization',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Organization details, teams and members (members only)
+app.get('/api/orgs/:orgid', auth.requireAuth, validate({}, { summary: 'Organization details, teams and members' }), async (req, res) => {
+    try {
+        const org = await orgRepository.getUser(req.params.orgid);
+        if (!org || !orgs.membership(org, req.auth.userId)) {
+            return sendOrgNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: describeOrganization(org, await repository.getUsers(), req.auth.userId),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error fetching organization:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to retrieve organization',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Add a team
+app.post('/api/orgs/:orgid/teams', auth.requireAuth, validate({
+    body: { name: { type: 'string', required: true } }
+}, { summary: 'Add a team (owners and admins)' }), async (req, res) => {
+    try {
+        const errors = [];
+        orgs.validateName(req.body.name, 'name', errors);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const outcome = await updateOrganization(req, (org) => {
+            const team = { id: orgs.generateId('team'), name: req.body.name.trim() };
+            org.teams.push(team);
+            return { team };
+        });
+
+        sendOrgOutcome(res, outcome, { status: 201, data: outcome.team });
+
+    } catch (error) {
+        console.error('Error creating team:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to create team',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Remove a team; its members stay in the org without a team
+app.delete('/api/orgs/:orgid/teams/:teamId', auth.requireAuth, validate({}, { summary: 'Remove a team (owners and admins)' }), async (req, res) => {
+    try {
+        const { teamId } = req.params;
+        const outcome = await updateOrganization(req, (org) => {
+            const team = org.teams.find(item => item.id === teamId);
+            if (!team) return { status: 404, error: 'Team not found' };
+            org.teams = org.teams.filter(item => item.id !== teamId);
+            org.members.forEach(member => {
+                if (member.teamId === teamId) member.teamId = null;
+            });
+            return { team };
+        });
+
+        sendOrgOutcome(res, outcome, { data: outcome.team });
+
+    } catch (error) {
+        console.error('Error deleting team:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to delete team',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Add a member: { userId, role, teamId }
+const MEMBER_BODY = {
+    role: { type: 'string', enum: orgs.ROLES, description: 'Defaults to member' },
+    teamId: { type: 'string', nullable: true, description: 'Team ID, or null for no team' }
+};
+
+app.post('/api/orgs/:orgid/members', auth.requireAuth, validate({
+    body: { userId: { type: 'string', required: true }, ...MEMBER_BODY }
+}, { summary: 'Add a member (userId, role, teamId)' }), async (req, res) => {
+    try {
+        const userId = req.body.userId.toLowerCase();
+        const userData = await repository.getUsers();
+
+        const outcome = await updateOrganization(req, (org) => {
+            const { errors, changes } = orgs.validateMember(req.body, org);
+            if (!userData[userId]) errors.unshift({ field: 'userId', message: 'userId must be an existing user' });
+            if (errors.length > 0) return { status: 400, error: 'Validation failed', details: errors };
+            if (orgs.membership(org, userId)) return { status: 409, error: 'Already a member' };
+            // Only owners can hand out ownership
+            if (changes.role === 'owner' && orgs.membership(org, req.auth.userId).role !== 'owner') {
+                return { status: 403, error: 'Forbidden', message: 'Only owners can add owners' };
+            }
+
+            const member = { userId, ...changes, joinedAt: new Date().toISOString() };
+            org.members.push(member);
+            return { member };
+        });
+
+        if (outcome.member) {
+            console.log(`[${new Date().toISOString()}] POST /api/orgs/${req.params.orgid}/members - Added ${userId} as ${outcome.member.role}`);
+        }
+        sendOrgOutcome(res, outcome, { status: 201, data: outcome.member && { ...outcome.member, name: userData[userId].name } });
+
+    } catch (error) {
+        console.error('Error adding member:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to add member',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Change a member's role or team
+app.patch('/api/orgs/:orgid/members/:userid', auth.requireAuth, validate({ body: MEMBER_BODY }, { summary: 'Change a member\'s role or team', partial: true }), async (req, res) => {
+    try {
+        const userId = req.params.userid.toLowerCase();
+        const outcome = await updateOrganization(req, (org) => {
+            const member = orgs.membership(org, userId);
+            if (!member) return { status: 404, error: 'Member not found' };
+
+            const { errors, changes } = orgs.validateMember(req.body, org, { partial: true });
+            if (errors.length > 0) return { status: 400, error: 'Validation failed', details: errors };
+            if ((changes.role === 'owner' || member.role === 'owner') && changes.role !== undefined &&
+                orgs.membership(org, req.auth.userId).role !== 'owner') {
+                return { status: 403, error: 'Forbidden', message: 'Only owners can grant or remove ownership' };
+            }
+            if (changes.role !== undefined && orgs.wouldLoseLastOwner(org, userId, changes.role)) {
+                return { status: 409, error: 'Last owner', message: 'Make someone else an owner first' };
+            }
+
+            Object.assign(member, changes);
+            return { member };
+        });
+
+        sendOrgOutcome(res, outcome, { data: outcome.member });
+
+    } catch (error) {
+        console.error('Error updating member:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to update member',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Remove a member. Members may remove themselves (leave); removing others needs owner or admin.
+app.delete('/api/orgs/:orgid/members/:userid', auth.requireAuth, validate({}, { summary: 'Remove a member, or leave the organization' }), async (req, res) => {
+    try {
+        const userId = req.params.userid.toLowerCase();
+        const leaving = userId === req.auth.userId;
+
+        const outcome = await updateOrganization(req, (org) => {
+            const member = orgs.membership(org, userId);
+            if (!member) return { status: 404, error: 'Member not found' };
+            if (member.role === 'owner' && !leaving && orgs.membership(org, req.auth.userId).role !== 'owner') {
+                return { status: 403, error: 'Forbidden', message: 'Only owners can remove an owner' };
+            }
+            if (orgs.wouldLoseLastOwner(org, userId, null)) {
+                return { status: 409, error: 'Last owner', message: 'Make someone else an owner first' };
+            }
+
+            org.members = org.members.filter(item => item.userId !== userId);
+            return { member };
+        }, { managersOnly: !leaving });
+
+        if (outcome.member) {
+            console.log(`[${new Date().toISOString()}] DELETE /api/orgs/${req.params.orgid}/members/${userId} - Removed member`);
+        }
+        sendOrgOutcome(res, outcome, { data: outcome.member });
+
+    } catch (error) {
+        console.error('Error removing member:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to remove member',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Aggregate upskilling dashboard for an org: totals, skills coverage, expiring certificates and
+// platforms across members, broken down per team. JSON by default, one row per member as .csv.
+// Member certificates count when the member could share them by link, so private ones stay private.
+app.get('/api/orgs/:orgid/analytics:format(.csv)?', auth.requireAuth, validate({
+    query: {
+        team: { type: 'string', description: 'Team ID, or "none" for members without a team' },
+        expiringWithinDays: { type: 'integer', min: 1, max: 730, default: 90, description: 'Window for expiring certificates' }
+    }
+}, { summary: 'Upskilling rollup across members with per-team breakdowns, or per-member rows as CSV (?team, ?expiringWithinDays)' }), async (req, res) => {
+    try {
+        const { team: teamFilter, expiringWithinDays } = req.query;
+
+        const org = await orgRepository.getUser(req.params.orgid);
+        if (!org || !orgs.membership(org, req.auth.userId)) {
+            return sendOrgNotFound(res);
+        }
+        if (!orgs.canManage(org, req.auth.userId)) {
+            return sendOrgForbidden(res);
+        }
+
+        if (teamFilter !== undefined && teamFilter !== 'none' && !org.teams.some(team => team.id === teamFilter)) {
+            return sendValidationError(res, [{ field: 'team', message: 'team must be the id of one of the org teams, or "none"' }]);
+        }
+
+        const userData = await repository.getUsers();
+        const entries = org.members
+            .filter(member => userData[member.userId])
+            .filter(member => teamFilter === undefined || (member.teamId || 'none') === teamFilter)
+            .map(member => {
+                const user = userData[member.userId];
+                const certificates = visibility.visibleCertificates(null, user).map(formatCertificate);
+                return {
+                    member,
+                    user,
+                    team: org.teams.find(team => team.id === member.teamId) || null,
+                    certificates,
+                    statistics: certificateStatistics(certificates)
+                };
+            });
+
+        if (req.params.format === '.csv') {
+            const csv = orgs.toCsv(entries.map(entry => orgs.memberRow(entry, { expiringWithinDays })));
+            res.set({
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${org.id}-analytics.csv"`
             });
+            return res.send(csv);
         }
-        
-        // Add detailed verification information
-        const detailedCertificate = {
-            ...formatCertificate(certificate),
-            verificationDetails: {
-                verifiedBy: certificate.platform,
-                verificationMethod: 'Digital signature',
-                blockchainHash: `0x${Math.random().toString(16).substr(2, 8)}...`, // Mock blockchain hash
-                lastVerified: new Date().toISOString(),
-                publicKey: `${certificate.id}_public_key`,
-                certificateHash: btoa(`${certificate.id}_${certificate.completionDate}_${user.id}`)
-            },
-            relatedCertificates: user.certificates
-                .filter(cert => cert.id !== certid && 
-                    (cert.platform === certificate.platform || 
-                     cert.category === certificate.category))
-                .map(cert => ({
-                    id: cert.id,
-                    name: cert.courseName,
-                    platform: cert.platform,
-                    category: cert.category
-                }))
+
+        const summaryOptions = {
+            normalizeSkills: skillRegistry.normalizeSkills,
+            skillRoots: skillRegistry.roots().map(name => {
+                const branch = skillRegistry.descendants(name);
+                return { name, includes: (skill) => branch.has(skill) };
+            }),
+            expiringWithinDays
         };
-        
+        const teamGroups = [
+            ...org.teams.map(team => ({ id: team.id, name: team.name })),
+            { id: null, name: 'No team' }
+        ];
+
         res.json({
             success: true,
-            data: detailedCertificate,
+            data: {
+                organization: { id: org.id, name: org.name },
+                summary: orgs.summarizeMembers(entries, summaryOptions),
+                teams: teamGroups
+                    .map(team => ({
+                        id: team.id,
+                        name: team.name,
+                        ...orgs.summarizeMembers(entries.filter(entry => (entry.member.teamId || null) === team.id), summaryOptions)
+                    }))
+                    .filter(team => team.members > 0 || team.id !== null),
+                members: entries.map(entry => orgs.memberRow(entry, { expiringWithinDays })),
+                metadata: {
+                    team: teamFilter || null,
+                    expiringWithinDays,
+                    generatedAt: new Date().toISOString()
+                }
+            },
             timestamp: new Date().toISOString()
         });
-        
+
     } catch (error) {
-        console.error('Error fetching certificate details:', error);
+        console.error('Error generating organization analytics:', error);
         res.status(500).json({
             success: false,
             error: 'Internal server error',
-            message: 'Failed to retrieve certificate details',
+            message: 'Failed to generate organization analytics',
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// Get user analytics and learning insights
-app.get('/api/analytics/:userid', async (req, res) => {
+// Certificates counted by the skill taxonomy: everything the viewer could find through search
+const listedCertificates = (userData, viewer) => Object.values(userData)
+    .filter(user => visibility.isListed(viewer, user))
+    .flatMap(user => (user.certificates || []).filter(cert => visibility.isCertificateListed(viewer, user, cert)));
+
+// Browse the skill taxonomy with certificate counts
+app.get('/api/skills', validate({}, { summary: 'Skill taxonomy with aliases and certificate counts' }), async (req, res) => {
     try {
-        const { userid } = req.params;
-        const { timeframe = '1y' } = req.query;
-        
-        await simulateDelay(400, 800);
-        
-        // Load user data
-        const fs = require('fs');
-        const dataFile = path.join(__dirname, 'data.json');
-        const rawData = fs.readFileSync(dataFile, 'utf8');
-        const userData = JSON.parse(rawData);
-        
-        const user = userData[userid.toLowerCase()];
-        if (!user) {
+        const userData = await repository.getUsers();
+
+        res.json({
+            success: true,
+            data: skillRegistry.tree(listedCertificates(userData, req.auth)),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error fetching skill taxonomy:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to retrieve skill taxonomy',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// One skill (by name or alias) with its parents, children and counts
+app.get('/api/skills/:skill', validate({}, { summary: 'One skill (name or alias) with its parents and children' }), async (req, res) => {
+    try {
+        const userData = await repository.getUsers();
+        const skill = skillRegistry.lookupSkill(req.params.skill, listedCertificates(userData, req.auth));
+
+        if (!skill) {
             return res.status(404).json({
                 success: false,
-                error: 'User not found',
+                error: 'Skill not found',
+                message: `No skill named '${req.params.skill}' in the taxonomy`,
                 timestamp: new Date().toISOString()
             });
         }
-        
-        const certificates = user.certificates.map(formatCertificate);
-        
-        // Calculate comprehensive analytics
-        const analytics = {
-            learningVelocity: {
-                certificatesPerMonth: certificates.length / Math.max(1, 
-                    Math.ceil((new Date() - new Date(user.joinDate)) / (1000 * 60 * 60 * 24 * 30))),
-                hoursPerMonth: certificates.reduce((sum, cert) => sum + cert.hours, 0) / 
-                    Math.max(1, Math.ceil((new Date() - new Date(user.joinDate)) / (1000 * 60 * 60 * 24 * 30))),
-                trend: 'increasing' // Could be calculated based on completion dates
-            },
-            skillsDevelopment: {
-                topSkills: (() => {
-                    const skillCounts = {};
-                    certificates.forEach(cert => {
-                        cert.skills.forEach(skill => {
-                            skillCounts[skill] = (skillCounts[skill] || 0) + 1;
-                        });
-                    });
-                    return Object.entries(skillCounts)
-                        .sort(([,a], [,b]) => b - a)
-                        .slice(0, 10)
-                        .map(([skill, count]) => ({ skill, count, percentage: (count / certificates.length * 100).toFixed(1) }));
-                })(),
-                emergingSkills: certificates
-                    .filter(cert => cert.ageInDays <= 90)
-                    .flatMap(cert => cert.skills)
-                    .filter((skill, index, arr) => arr.indexOf(skill) === index)
-                    .slice(0, 5),
-                skillCategories: (() => {
-                    const categories = {};
-                    certificates.forEach(cert => {
-                        categories[cert.category] = (categories[cert.category] || 0) + 1;
-                    });
-                    return categories;
-                })()
-            },
-            platformPreferences: {
-                distribution: (() => {
-                    const platforms = {};
-                    certificates.forEach(cert => {
-                        platforms[cert.platform] = (platforms[cert.platform] || 0) + 1;
-                    });
-                    return Object.entries(platforms)
-                        .map(([platform, count]) => ({
-                            platform,
-                            count,
-                            percentage: (count / certificates.length * 100).toFixed(1),
-                            totalHours: certificates
-                                .filter(cert => cert.platform === platform)
-                                .reduce((sum, cert) => sum + cert.hours, 0)
-                        }));
-                })(),
-                favoriteInstructors: certificates
-                    .filter(cert => cert.instructor)
-                    .reduce((acc, cert) => {
-                        acc[cert.instructor] = (acc[cert.instructor] || 0) + 1;
-                        return acc;
-                    }, {}),
-                averageRating: (() => {
-                    const ratings = certificates
-                        .filter(cert => cert.rating)
-                        .map(cert => cert.rating);
-                    return ratings.length ? (ratings.reduce((sum, r) => sum + r, 0) / ratings.length).toFixed(1) : null;
-                })()
-            },
-            learningPatterns: {
-                monthlyProgress: (() => {
-                    const monthly = {};
-                    certificates.forEach(cert => {
-                        const date = new Date(cert.completionDate);
-                        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-                        if (!monthly[monthKey]) {
-                            monthly[monthKey] = { certificates: 0, hours: 0 };
-                        }
-                        monthly[monthKey].certificates += 1;
-                        monthly[monthKey].hours += cert.hours;
-                    });
-                    return monthly;
-                })(),
-                averageCompletionTime: certificates.reduce((sum, cert) => sum + cert.hours, 0) / certificates.length,
-                consistencyScore: Math.min(100, certificates.length * 10), // Simple scoring algorithm
-                streakDays: Math.floor(Math.random() * 30) + 1 // Mock streak calculation
-            },
-            achievements: {
-                badges: [
-                    ...(certificates.length >= 5 ? ['Learner'] : []),
-                    ...(certificates.length >= 10 ? ['Dedicated Student'] : []),
-                    ...(certificates.reduce((sum, cert) => sum + cert.hours, 0) >= 100 ? ['Century Club'] : []),
-                    ...(new Set(certificates.map(cert => cert.platform)).size >= 3 ? ['Platform Explorer'] : [])
-                ],
-                milestones: [
-                    {
-                        title: 'First Certificate',
-                        date: certificates.sort((a, b) => new Date(a.completionDate) - new Date(b.completionDate))[0]?.completionDate,
-                        achieved: certificates.length > 0
-                    },
-                    {
-                        title: '100 Learning Hours',
-                        achieved: certificates.reduce((sum, cert) => sum + cert.hours, 0) >= 100,
-                        progress: Math.min(100, certificates.reduce((sum, cert) => sum + cert.hours, 0))
-                    },
-                    {
-                        title: 'Multi-Platform Learner',
-                        achieved: new Set(certificates.map(cert => cert.platform)).size >= 3,
-                        progress: new Set(certificates.map(cert => cert.platform)).size
-                    }
-                ]
-            },
-            careerRecommendations: {
-                suggestedSkills: ['Python', 'Data Visualization', 'Machine Learning', 'Project Management'],
-                careerPaths: ['Data Analyst', 'Full Stack Developer', 'Cloud Architect'],
-                nextCertifications: [
-                    'Advanced Data Science Specialization',
-                    'Cloud Security Fundamentals',
-                    'Leadership and Management'
-                ]
-            }
-        };
-        
+
+        res.json({
+            success: true,
+            data: skill,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error fetching skill:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to retrieve skill',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Talent discovery: users whose listed certificates satisfy a skill expression and credential criteria
+app.post('/api/talent/search', validate({
+    body: {
+        skills: { description: 'Skill expression with AND, OR, NOT and parentheses, or an array of skills that must all match' },
+        verified: { type: 'boolean', description: 'Only count verified certificates' },
+        includeExpired: { type: 'boolean', description: 'Count expired certificates (default: true)' },
+        completedAfter: { type: 'date', description: 'Only count certificates completed after this date' },
+        withinMonths: { type: 'integer', min: 1, description: 'Only count certificates completed in the last N months' },
+        platforms: { description: 'Only count certificates from these platforms (array or comma-separated)' },
+        institutions: { description: 'Only count certificates from these institutions (array or comma-separated)' },
+        minHours: { type: 'number', min: 0 },
+        minCredits: { type: 'number', min: 0 },
+        limit: { type: 'integer', min: 1, max: 100 },
+        offset: { type: 'integer', min: 0 }
+    }
+}, { summary: 'Find users by skill expression (e.g. "SQL AND Tableau") and credential criteria' }), async (req, res) => {
+    try {
+        const { errors, criteria } = talent.validateTalentQuery(req.body);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+
+        const userData = await repository.getUsers();
+        const candidates = Object.values(userData)
+            .filter(user => visibility.isListed(req.auth, user))
+            .map(user => ({
+                user,
+                certificates: (user.certificates || []).filter(cert => visibility.isCertificateListed(req.auth, user, cert))
+            }));
+
+        const hits = talent.findTalent({ users: candidates, criteria, matchesSkill: skillRegistry.matchesSkill });
+        const page = hits.slice(criteria.offset, criteria.offset + criteria.limit).map(hit => {
+            const summary = summarizeUser(req.auth, hit.user);
+            return {
+                user: {
+                    id: hit.user.id,
+                    name: hit.user.name,
+                    email: summary.email,
+                    location: hit.user.location,
+                    profileImage: hit.user.profileImage,
+                    totalCertificates: summary.totalCertificates
+                },
+                score: hit.score,
+                matchedSkills: hit.matchedSkills.map(skillRegistry.canonicalName),
+                totals: hit.totals,
+                certificates: hit.certificates.map(({ certificate, matchedSkills }) => ({
+                    ...formatCertificate(certificate),
+                    matchedSkills: matchedSkills.map(skillRegistry.canonicalName)
+                }))
+            };
+        });
+
+        const querySkills = criteria.expression ? talent.expressionSkills(criteria.expression) : [];
+
         res.json({
             success: true,
-            data: analytics,
+            data: page,
+            pagination: {
+                offset: criteria.offset,
+                limit: criteria.limit,
+                total: hits.length,
+                hasMore: criteria.offset + criteria.limit < hits.length,
+                totalPages: Math.ceil(hits.length / criteria.limit)
+            },
             metadata: {
-                userId: userid,
-                analysisDate: new Date().toISOString(),
-                timeframe: timeframe,
-                totalCertificates: certificates.length,
-                dataPoints: certificates.length * 10 // Mock complexity measure
+                skills: querySkills.map(skillRegistry.canonicalName),
+                // Skills outside the taxonomy only match certificates listing that exact name
+                unknownSkills: querySkills.filter(skill => !skillRegistry.isKnown(skill)),
+                candidatesConsidered: candidates.length
             },
             timestamp: new Date().toISOString()
         });
-        
+
     } catch (error) {
-        console.error('Error generating analytics:', error);
+        console.error('Error running talent search:', error);
         res.status(500).json({
             success: false,
             error: 'Internal server error',
-            message: 'Failed to generate analytics',
+            message: 'Failed to run talent search',
             timestamp: new Date().toISOString()
         });
     }
 });
 
+// Facets returned with certificate search results; each can also be passed as a filter
+const SEARCH_FACETS = ['platform', 'category', 'institution', 'verificationStatus'];
+const SEARCH_TYPES = ['all', 'users', 'certificates'];
+
+// Value counts for each facet. A facet's own filter is left out when counting it, so the counts
+// show what choosing another value would return.
+const facetCounts = (certificates, filters) => Object.fromEntries(SEARCH_FACETS.map(facet => {
+    const counts = {};
+    certificates
+        .filter(cert => SEARCH_FACETS.every(other => other === facet || matchesFacet(cert, other, filters[other])))
+        .forEach(cert => {
+            if (cert[facet]) counts[cert[facet]] = (counts[cert[facet]] || 0) + 1;
+        });
+    return [facet, Object.entries(counts)
+        .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+        .map(([value, count]) => ({ value, count }))];
+}));
+
+const matchesFacet = (cert, facet, value) =>
+    value === undefined || String(cert[facet] || '').toLowerCase() === String(value).toLowerCase();
+
 // Global search across all users and certificates
-app.get('/api/search', async (req, res) => {
+app.get('/api/search', validate({
+    query: {
+        q: { type: 'string', required: true, description: 'Search text; typos are tolerated and the last word also matches as a prefix' },
+        type: { type: 'string', enum: SEARCH_TYPES, default: 'all', description: 'What to search' },
+        limit: { type: 'integer', min: 1, max: 100, default: 50, description: 'Maximum number of results to return' },
+        offset: { type: 'integer', min: 0, default: 0, description: 'Number of results to skip for pagination' },
+        ...Object.fromEntries(SEARCH_FACETS.map(facet => [facet, { type: 'string', description: `Only certificates with this ${facet}` }]))
+    }
+}, { summary: 'Ranked full-text search across users and certificates, with facets and pagination' }), async (req, res) => {
     try {
-        const { q: query, type = 'all', limit = 50 } = req.query;
-        
-        if (!query || query.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                error: 'Search query is required',
-                timestamp: new Date().toISOString()
-            });
-        }
-        
+        const { q: query, type, limit, offset } = req.query;
+        const filters = Object.fromEntries(SEARCH_FACETS
+            .filter(facet => req.query[facet] !== undefined)
+            .map(facet => [facet, req.query[facet]]));
+
         await simulateDelay(300, 700);
-        
-        // Load all user data
-        const fs = require('fs');
-        const dataFile = path.join(__dirname, 'data.json');
-        const rawData = fs.readFileSync(dataFile, 'utf8');
-        const userData = JSON.parse(rawData);
-        
-        const searchTerm = query.toLowerCase();
-        const results = [];
-        
-        // Search across all users and certificates
-        Object.values(userData).forEach(user => {
-            // Search in user profiles
-            if (type === 'all' || type === 'users') {
-                const userMatches = 
-                    user.name.toLowerCase().includes(searchTerm) ||
-                    user.email.toLowerCase().includes(searchTerm) ||
-                    (user.bio && user.bio.toLowerCase().includes(searchTerm));
-                
-                if (userMatches) {
-                    results.push({
-                        type: 'user',
-                        user: {
-                            id: user.id,
-                            name: user.name,
-                            email: user.email,
-                            totalCertificates: user.totalCertificates,
-                            profileImage: user.profileImage
-                        },
-                        relevanceScore: 0.9
-                    });
-                }
-            }
-            
-            // Search in certificates
-            if (type === 'all' || type === 'certificates') {
-                user.certificates.forEach(cert => {
-                    const certMatches = 
-                        cert.courseName.toLowerCase().includes(searchTerm) ||
-                        cert.institution.toLowerCase().includes(searchTerm) ||
-                        cert.platform.toLowerCase().includes(searchTerm) ||
-                        cert.description.toLowerCase().includes(searchTerm) ||
-                        cert.category.toLowerCase().includes(searchTerm) ||
-                        cert.skills.some(skill => skill.toLowerCase().includes(searchTerm));
-                    
-                    if (certMatches) {
-                        results.push({
-                            type: 'certificate',
-                            certificate: formatCertificate(cert),
-                            user: {
-                                id: user.id,
-                                name: user.name,
-                                email: user.email
-                            },
-                            relevanceScore: (() => {
-                                let score = 0.5;
-                                if (cert.courseName.toLowerCase().includes(searchTerm)) score += 0.3;
-                                if (cert.skills.some(skill => skill.toLowerCase().includes(searchTerm))) score += 0.2;
-                                return Math.min(1, score);
-                            })()
-                        });
-                    }
-                });
+
+        const started = Date.now();
+        const userData = await repository.getUsers();
+        searchIndex.sync(userData);
+
+        // Facet filters only apply to certificates, so they leave no user results
+        const wantUsers = (type === 'all' || type === 'users') && Object.keys(filters).length === 0;
+        const wantCertificates = type === 'all' || type === 'certificates';
+
+        const matches = searchIndex.search(query, {
+            // A skill alias also searches for its canonical name ("data viz" -> "Data Visualization")
+            alternatives: skillRegistry.isKnown(query) ? [skillRegistry.canonicalName(query)] : [],
+            accept: (doc) => {
+                const user = userData[doc.userId];
+                if (!user) return false;
+                if (doc.type === 'user') return wantUsers && visibility.isListed(req.auth, user);
+                const cert = (user.certificates || []).find(item => item.id === doc.certId);
+                return wantCertificates && Boolean(cert) && visibility.isCertificateListed(req.auth, user, cert);
+            },
+            // Email is private, so it is only searchable on the viewer's own profile
+            hiddenFields: (doc) => (visibility.isOwner(req.auth, userData[doc.userId]) ? [] : ['email'])
+        });
+
+        const resolved = matches.map(match => {
+            const user = userData[match.userId];
+            return {
+                match,
+                user,
+                certificate: match.type === 'certificate'
+                    ? user.certificates.find(cert => cert.id === match.certId)
+                    : null
+            };
+        });
+
+        const matchedCertificates = resolved.filter(item => item.certificate).map(item => item.certificate);
+        const filtered = resolved.filter(item => !item.certificate ||
+            SEARCH_FACETS.every(facet => matchesFacet(item.certificate, facet, filters[facet])));
+
+        // Relevance is relative to the best match, so scores stay comparable across pages
+        const topScore = filtered.length > 0 ? filtered[0].match.score : 1;
+        const page = filtered.slice(offset, offset + limit).map(({ match, user, certificate }) => {
+            const owner = visibility.isOwner(req.auth, user);
+            const relevance = {
+                relevanceScore: Math.round(match.score / topScore * 1000) / 1000,
+                matchedFields: match.matchedFields,
+                fuzzy: match.fuzzy
+            };
+
+            if (!certificate) {
+                const summary = summarizeUser(req.auth, user);
+                return {
+                    type: 'user',
+                    user: {
+                        id: user.id,
+                        name: user.name,
+                        email: summary.email,
+                        totalCertificates: summary.totalCertificates,
+                        profileImage: user.profileImage
+                    },
+                    ...relevance
+                };
             }
+            return {
+                type: 'certificate',
+                certificate: formatCertificate(certificate),
+                user: {
+                    id: user.id,
+                    name: user.name,
+                    email: owner ? user.email : undefined
+                },
+                ...relevance
+            };
         });
-        
-        // Sort by relevance score and apply limit
-        const sortedResults = results
-            .sort((a, b) => b.relevanceScore - a.relevanceScore)
-            .slice(0, parseInt(limit));
-        
+
         res.json({
             success: true,
-            data: sortedResults,
+            data: page,
+            facets: facetCounts(matchedCertificates, filters),
+            pagination: {
+                offset,
+                limit,
+                total: filtered.length,
+                hasMore: offset + limit < filtered.length,
+                totalPages: Math.ceil(filtered.length / limit)
+            },
             metadata: {
                 query: query,
                 type: type,
-                totalResults: results.length,
-                returnedResults: sortedResults.length,
+                filters,
+                totalResults: filtered.length,
+                returnedResults: page.length,
+                searchTimeMs: Date.now() - started,
                 searchTime: new Date().toISOString()
             },
             timestamp: new Date().toISOString()
         });
-        
+
     } catch (error) {
         console.error('Error performing search:', error);
         res.status(500).json({
@@ -697,30 +4348,83 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// Shared portfolio links open the read-only profile page, which loads /api/shared/:slug
+app.get('/p/:slug', (req, res) => {
+    res.sendFile(path.join(__dirname, 'profile.html'));
+});
+
+// Documented routes in registration order, read once every route has been added
+let documentedRoutes = null;
+const listDocumentedRoutes = () => {
+    documentedRoutes = documentedRoutes || openapi.listRoutes(app);
+    return documentedRoutes;
+};
+
+// Query and body parameters of every route that declares them, described from its validate() schemas
+const documentedParameters = () => {
+    const describe = (fields) => Object.fromEntries(Object.entries(fields).map(([name, rules]) => [name, openapi.describeRules(rules)]));
+    return Object.fromEntries(listDocumentedRoutes()
+        .filter(route => route.schemas?.query || route.schemas?.body)
+        .map(route => [`${route.method} ${route.path}`, {
+            ...(route.schemas.query ? { query: describe(route.schemas.query) } : {}),
+            ...(route.schemas.body ? { body: describe(route.schemas.body) } : {})
+        }]));
+};
+
+let openApiSpec = null;
+
+// OpenAPI 3 description of the API, used by the explorer page (/api-explorer.html)
+app.get('/api/openapi.json', validate({}, { summary: 'OpenAPI 3 description of the API, generated from the routes and their schemas', envelope: false }), (req, res) => {
+    try {
+        openApiSpec = openApiSpec || openapi.buildSpec(listDocumentedRoutes(), {
+            info: {
+                title: 'Micro-Credentials Aggregator API',
+                version: '1.0.0',
+                description: 'Professional certificate portfolio management API. Successful responses are wrapped in { success, data, timestamp } unless noted; invalid input is reported as a 400 with { field, message } details.'
+            },
+            serverUrl: '/',
+            apiPrefix: `/api/${CURRENT_API_VERSION}`,
+            pathParams: PATH_PARAMS,
+            schemas: { CertificateInput: CERTIFICATE_FIELDS }
+        });
+        res.json(openApiSpec);
+    } catch (error) {
+        console.error('Error building OpenAPI description:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Failed to build API description',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 // API documentation endpoint
-app.get('/api/docs', (req, res) => {
+app.get('/api/docs', validate({}, { summary: 'This overview of the API', envelope: false }), (req, res) => {
     res.json({
         title: 'Micro-Credentials Aggregator API',
         version: '1.0.0',
         description: 'Professional certificate portfolio management API',
-        endpoints: {
-            'GET /api/health': 'System health check',
-            'GET /api/users': 'List all available users',
-            'GET /api/certificates/:userid': 'Get user certificates with filtering and pagination',
-            'GET /api/certificates/:userid/:certid': 'Get detailed certificate information',
-            'GET /api/analytics/:userid': 'Get user learning analytics and insights',
-            'GET /api/search': 'Global search across users and certificates'
+        openapi: '/api/openapi.json',
+        explorer: '/api-explorer.html',
+        endpoints: Object.fromEntries(listDocumentedRoutes().map(route => [`${route.method} ${route.path}`, route.docs.summary || ''])),
+        parameters: documentedParameters(),
+        versioning: {
+            current: `/api/${CURRENT_API_VERSION}/...; the response header API-Version names the version that answered`,
+            unversioned: `/api/... paths are aliases of /api/${CURRENT_API_VERSION}/... for existing clients`
         },
-        parameters: {
-            'certificates endpoint': {
-                platform: 'Filter by learning platform',
-                category: 'Filter by certificate category',
-                search: 'Text search across certificate data',
-                sortBy: 'Sort criteria (newest, oldest, platform, name, grade, hours)',
-                limit: 'Maximum number of results to return',
-                offset: 'Number of results to skip for pagination',
-                includeExpired: 'Include expired certificates (default: true)'
-            }
+        caching: {
+            validators: 'Reads of user data carry a strong ETag and Last-Modified derived from the stored data version',
+            conditionalRequests: 'Send If-None-Match (or If-Modified-Since) to receive 304 Not Modified while nothing has changed'
+        },
+        errors: {
+            validation: '400 { success: false, error: "Validation failed", details: [{ field, message }] } for every invalid path parameter, query parameter or body field',
+            coercion: 'Query parameters are typed: booleans accept true/false (or 1/0, yes/no), numbers must be numeric, lists are comma-separated'
+        },
+        authentication: {
+            scheme: 'Bearer token from POST /api/auth/login (Authorization: Bearer <token>)',
+            ownerOnly: 'Write routes and private fields such as email require the token of the profile owner',
+            visibility: 'Profiles and certificates are public, link (direct URL only) or private'
         },
         sampleUsers: ['user1', 'user2', 'user3'],
         timestamp: new Date().toISOString()
@@ -733,15 +4437,9 @@ app.get('/api/*', (req, res) => {
         success: false,
         error: 'API endpoint not found',
         message: `The endpoint ${req.path} does not exist`,
-        availableEndpoints: [
-            'GET /api/health',
-            'GET /api/users',
-            'GET /api/certificates/:userid',
-            'GET /api/certificates/:userid/:certid',
-            'GET /api/analytics/:userid',
-            'GET /api/search',
-            'GET /api/docs'
-        ],
+        availableEndpoints: listDocumentedRoutes()
+            .filter(route => route.path.startsWith('/api/'))
+            .map(route => `${route.method} ${route.path}`),
         timestamp: new Date().toISOString()
     });
 });
@@ -753,6 +4451,19 @@ app.get('*', (req, res) => {
 
 // Global error handler middleware
 app.use((error, req, res, next) => {
+    // Bodies express.json() could not read are the client's mistake, reported like any invalid input
+    if (error.type === 'entity.parse.failed') {
+        return sendValidationError(res, [{ field: null, message: 'Request body is not valid JSON' }]);
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({
+            success: false,
+            error: 'Payload too large',
+            message: `Request bodies are limited to ${error.limit} bytes`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     console.error('Unhandled application error:', error);
     
     // Don't expose internal error details in production
@@ -802,15 +4513,23 @@ const server = app.listen(PORT, () => {
     console.log(`📍 Running on: http://localhost:${PORT}`);
     console.log(`🏥 Health Check: http://localhost:${PORT}/api/health`);
     console.log(`📚 API Documentation: http://localhost:${PORT}/api/docs`);
+    console.log(`🧭 API Explorer: http://localhost:${PORT}/api-explorer.html (OpenAPI: /api/openapi.json)`);
+    console.log(`🔢 API versions: ${API_VERSIONS.map(version => `/api/${version}`).join(', ')} (unversioned /api = ${CURRENT_API_VERSION})`);
     console.log(`\n🔗 Available Endpoints:`);
     console.log(`   GET /api/users - List all users`);
     console.log(`   GET /api/certificates/:userid - Get user certificates`);
     console.log(`   GET /api/certificates/:userid/:certid - Get specific certificate`);
+    console.log(`   POST/PUT/PATCH/DELETE /api/certificates/... - Manage certificates`);
+    console.log(`   POST /api/verify - Verify a signed certificate`);
     console.log(`   GET /api/analytics/:userid - Get user analytics`);
     console.log(`   GET /api/search?q=term - Search certificates globally`);
     console.log(`\n💡 Demo Users: user1, user2, user3`);
     console.log(`\n⭐ Frontend available at: http://localhost:${PORT}`);
     console.log(`\n🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🗄️  Storage: ${repository.backend}`);
+    console.log(`📝 Audit log: ${path.relative(__dirname, auditLog.file)}`);
+    console.log(`🐢 Simulated latency: ${SIMULATE_DELAY ? 'on (SIMULATE_DELAY=true)' : 'off'}`);
+    console.log(`⏰ Expiry reminders: ${reminders.start() ? `every ${reminders.status().intervalMinutes} min` : 'disabled'}`);
     console.log(`📊 Process ID: ${process.pid}`);
     console.log(`🚀 Ready for requests!\n`);
 });
@@ -819,7 +4538,12 @@ const server = app.listen(PORT, () => {
 const gracefulShutdown = (signal) => {
     console.log(`\n${signal} received. Shutting down gracefully...`);
     
-    server.close((err) => {
+    reminders.stop();
+    server.close(async (err) => {
+        repository.close();
+        orgRepository.close();
+        await shareViews.flush();
+        
         if (err) {
             console.error('Error during shutdown:', err);
             process.exit(1);
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const achievements = require('../lib/achievements');
+const { startServer } = require('./helpers/server');
+
+const NOW = new Date('2024-06-01T00:00:00Z');
+const PASSWORD = 'achievements-test-password';
+
+const OPTIONS = {
+    matchesSkill: (skills, skill) => (skills || []).includes(skill),
+    normalizeSkills: (skills) => [...new Set(skills)],
+    now: NOW
+};
+
+const DEFINITIONS = [
+    { id: 'first', title: 'First', condition: { metric: 'certificates', min: 1 } },
+    { id: 'hours', title: 'Hours', condition: { metric: 'hours', min: 100 } },
+    { id: 'sprint', title: 'Sprint', condition: { metric: 'certificates', min: 2, withinDays: 30 } },
+    { id: 'cloud', title: 'Cloud', condition: { all: [{ metric: 'certificates', min: 1, where: { skill: 'Cloud' } }, { metric: 'platforms', min: 2 }] } }
+];
+
+const CERTIFICATES = [
+    { id: 'c1', platform: 'Coursera', completionDate: '2024-01-10', hours: 40, skills: ['Python'] },
+    { id: 'c2', platform: 'Udemy', completionDate: '2024-03-01', hours: 30, skills: ['Cloud'] },
+    { id: 'c3', platform: 'Udemy', completionDate: '2024-03-20', hours: 10, skills: [] }
+];
+
+// Definitions written to a temporary file and loaded the way the server loads config/achievements.json
+const load = (t, list) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'achievements-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'achievements.json');
+    fs.writeFileSync(file, JSON.stringify({ achievements: list }));
+    return achievements.loadAchievements(file, { canonicalName: name => (name === 'AWS' ? 'Cloud' : name) });
+};
+
+test('definitions are checked when they are loaded', (t) => {
+    const [loaded] = load(t, [{ id: 'aws', title: 'AWS', condition: { metric: 'certificates', min: 1, where: { skill: 'AWS' } } }]);
+    assert.deepEqual(loaded.condition, { metric: 'certificates', min: 1, where: { skill: 'Cloud' }, withinDays: null });
+    assert.equal(loaded.icon, '🏅');
+
+    assert.throws(() => load(t, [{ id: 'x', title: 'X', condition: { metric: 'likes', min: 1 } }]), /metric must be one of/);
+    assert.throws(() => load(t, [{ id: 'x', title: 'X', condition: { metric: 'hours', min: 0 } }]), /min must be a positive number/);
+    assert.throws(() => load(t, [{ id: 'x', title: 'X', condition: { all: [] } }]), /non-empty array/);
+    assert.throws(() => load(t, [{ id: 'x', title: 'X', condition: { metric: 'hours', min: 1, where: { colour: 'red' } } }]), /unknown "where" fields colour/);
+    assert.throws(() => load(t, [DEFINITIONS[0], DEFINITIONS[0]]), /duplicate achievement id "first"/);
+});
+
+test('an achievement is earned on the completion date that met it', (t) => {
+    const definitions = load(t, DEFINITIONS);
+    const earned = achievements.newlyEarned(definitions, { certificates: CERTIFICATES }, OPTIONS);
+
+    assert.deepEqual(earned, [
+        { id: 'first', earnedAt: '2024-01-10', recordedAt: NOW.toISOString() },
+        { id: 'sprint', earnedAt: '2024-03-20', recordedAt: NOW.toISOString() },
+        { id: 'cloud', earnedAt: '2024-03-01', recordedAt: NOW.toISOString() }
+    ]);
+    assert.deepEqual(achievements.newlyEarned(definitions, { certificates: CERTIFICATES, achievements: earned }, OPTIONS), []);
+});
+
+test('recorded achievements stay earned; the rest show progress from the visible certificates', (t) => {
+    const definitions = load(t, DEFINITIONS);
+    const user = { certificates: [], achievements: [{ id: 'first', earnedAt: '2024-01-10', recordedAt: '2024-01-11T00:00:00.000Z' }] };
+    const { earned, inProgress, locked } = achievements.describeAchievements(definitions, user, CERTIFICATES.slice(0, 1), OPTIONS);
+
+    assert.deepEqual(earned.map(item => item.id), ['first']);
+    assert.deepEqual(inProgress.map(item => [item.id, item.progress.percent]), [['hours', 40], ['cloud', 25]]);
+    assert.deepEqual(locked.map(item => item.id), ['sprint']);
+});
+
+test('reading achievements and analytics never writes', async (t) => {
+    const { baseUrl, request, stop } = await startServer();
+    t.after(stop);
+    const etag = async () => (await fetch(`${baseUrl}/api/certificates/user1`)).headers.get('etag');
+    const before = await etag();
+
+    const read = await request('GET', '/api/achievements/user1');
+    assert.equal(read.status, 200);
+    assert.ok(read.body.data.earned.some(item => item.id === 'first-certificate' && item.recordedAt === null));
+    assert.equal((await request('GET', '/api/analytics/user1')).status, 200);
+
+    assert.equal(await etag(), before);
+});
+
+test('a change to a user records the achievements it completes', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    await request('PATCH', '/api/certificates/user1/cert_001', { body: { description: 'Updated' }, token });
+    let first = null;
+    for (let attempt = 0; attempt < 20 && !first?.recordedAt; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        first = (await request('GET', '/api/achievements/user1')).body.data.earned.find(item => item.id === 'first-certificate');
+    }
+    assert.ok(first.recordedAt);
+});
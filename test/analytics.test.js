@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const analytics = require('../lib/analytics');
+const { startServer } = require('./helpers/server');
+
+const NOW = new Date('2024-06-15T12:00:00Z');
+
+const certs = (...dates) => dates.map(completionDate => ({ completionDate, hours: 10 }));
+
+// The analytics of `certificates` over a resolved range, the way the route combines them
+const analyse = (certificates, query) => {
+    const { range } = analytics.resolveTimeframe(query, { certificates, now: NOW });
+    const scoped = certificates.filter(cert => analytics.inRange(cert, range));
+    const series = analytics.monthlySeries(scoped, range);
+    return { range, series, velocity: analytics.learningVelocity(scoped, range, series), streaks: analytics.monthlyStreaks(series) };
+};
+
+test('timeframes resolve to date ranges, and explicit dates take precedence', () => {
+    const resolve = (query) => analytics.resolveTimeframe(query, { certificates: certs('2023-02-10', '2024-05-01'), now: NOW });
+
+    assert.equal(resolve({ timeframe: '3m' }).range.from.toISOString(), '2024-03-15T12:00:00.000Z');
+    assert.equal(resolve({}).range.from.toISOString(), '2023-06-15T12:00:00.000Z');
+    assert.equal(resolve({ timeframe: 'all' }).range.from.toISOString(), '2023-02-10T00:00:00.000Z');
+
+    const custom = resolve({ timeframe: '3m', from: '2024-01-01', to: '2024-01-31' }).range;
+    assert.equal(custom.timeframe, 'custom');
+    assert.equal(custom.to.toISOString(), '2024-01-31T23:59:59.999Z');
+
+    assert.deepEqual(resolve({ from: '2024-02-01', to: '2024-01-01' }).errors, [{ field: 'from', message: 'from must not be after to' }]);
+    assert.deepEqual(resolve({ timeframe: '2y' }).errors.map(error => error.field), ['timeframe']);
+    assert.deepEqual(resolve({ from: '2024-02-30' }).errors.map(error => error.field), ['from']);
+});
+
+test('the monthly series includes months without completions', () => {
+    const { series } = analyse(certs('2024-01-05', '2024-01-20', '2024-03-02'), { from: '2024-01-01', to: '2024-04-30' });
+    assert.deepEqual(series, [
+        { month: '2024-01', certificates: 2, hours: 20 },
+        { month: '2024-02', certificates: 0, hours: 0 },
+        { month: '2024-03', certificates: 1, hours: 10 },
+        { month: '2024-04', certificates: 0, hours: 0 }
+    ]);
+});
+
+test('the trend compares the latest window with the one before it', () => {
+    const rising = analyse(certs('2024-03-01', '2024-04-01', '2024-04-10', '2024-05-01', '2024-06-01'), { from: '2024-01-01', to: '2024-06-30' }).velocity;
+    assert.equal(rising.trend, 'increasing');
+    assert.equal(rising.windowMonths, 3);
+    assert.equal(rising.previousRate, 0.33);
+    assert.equal(rising.recentRate, 1.33);
+    assert.equal(rising.changePercent, 300);
+
+    const falling = analyse(certs('2024-01-01', '2024-02-01', '2024-03-01', '2024-05-01'), { from: '2024-01-01', to: '2024-06-30' }).velocity;
+    assert.equal(falling.trend, 'decreasing');
+
+    const steady = analyse(certs('2024-01-10', '2024-02-10', '2024-03-10', '2024-04-10', '2024-05-10', '2024-06-10'), { from: '2024-01-01', to: '2024-06-30' }).velocity;
+    assert.equal(steady.trend, 'flat');
+    assert.equal(steady.changePercent, 0);
+    assert.equal(steady.rolling[5].certificatesPerMonth, 1);
+
+    assert.equal(analyse([], { from: '2024-01-01', to: '2024-06-30' }).velocity.trend, 'flat');
+});
+
+test('streaks count consecutive months, and the current one may end last month', () => {
+    const { streaks } = analyse(certs('2024-01-10', '2024-02-10', '2024-03-10', '2024-05-10'), { from: '2024-01-01', to: '2024-06-30' });
+    assert.deepEqual(streaks.longest, { start: '2024-01', end: '2024-03', months: 3 });
+    assert.deepEqual(streaks.current, { start: '2024-05', end: '2024-05', months: 1 });
+
+    const lapsed = analyse(certs('2024-01-10', '2024-02-10'), { from: '2024-01-01', to: '2024-06-30' }).streaks;
+    assert.deepEqual(lapsed.current, { months: 0, start: null, end: null });
+});
+
+test('gap analysis measures the time between completions', () => {
+    const certificates = certs('2024-01-01', '2024-01-11', '2024-03-01');
+    const range = { from: new Date('2024-01-01'), to: new Date('2024-03-31') };
+    const gaps = analytics.gapAnalysis(certificates, range, analytics.monthlySeries(certificates, range));
+
+    assert.deepEqual(gaps.longestGap, { from: '2024-01-11', to: '2024-03-01', days: 50 });
+    assert.equal(gaps.averageGapDays, 30);
+    assert.equal(gaps.medianGapDays, 30);
+    assert.equal(gaps.daysSinceLastCompletion, 30);
+    assert.deepEqual(gaps.inactiveMonths, ['2024-02']);
+    assert.equal(analytics.consistencyScore(analytics.monthlySeries(certificates, range)), 67);
+});
+
+test('the analytics route scopes every metric to the requested dates', async (t) => {
+    const { request, stop } = await startServer();
+    t.after(stop);
+
+    const { body } = await request('GET', '/api/analytics/user3?from=2024-01-01&to=2024-08-31');
+    const patterns = body.data.learningPatterns;
+    const { timeframe, from, to, totalCertificates, dataPoints } = body.metadata;
+    assert.deepEqual({ timeframe, from, to, totalCertificates, dataPoints }, { timeframe: 'custom', from: '2024-01-01', to: '2024-08-31', totalCertificates: 4, dataPoints: 8 });
+    assert.equal(body.data.learningVelocity.trend, 'increasing');
+    assert.equal(patterns.consistencyScore, 50);
+    assert.deepEqual(patterns.streaks.current, { start: '2024-08', end: '2024-08', months: 1 });
+    assert.deepEqual(patterns.gapAnalysis.longestGap, { from: '2024-04-15', to: '2024-06-30', days: 76 });
+    assert.equal(patterns.gapAnalysis.medianGapDays, 56);
+    assert.equal(patterns.gapAnalysis.daysSinceLastCompletion, 6);
+    assert.deepEqual(patterns.gapAnalysis.inactiveMonths, ['2024-01', '2024-03', '2024-05', '2024-07']);
+
+    const summer = (await request('GET', '/api/analytics/user1?from=2024-06-01&to=2024-07-22')).body;
+    assert.equal(summer.metadata.totalCertificates, 2);
+    assert.deepEqual(Object.keys(summer.data.learningPatterns.monthlyProgress), ['2024-06', '2024-07']);
+    assert.equal(summer.data.platformPreferences.distribution.reduce((total, item) => total + item.count, 0), 2);
+
+    const everyMonth = (await request('GET', '/api/analytics/user1?from=2024-03-01&to=2024-08-31')).body.data;
+    assert.equal(everyMonth.learningPatterns.consistencyScore, 100);
+    assert.equal(everyMonth.learningPatterns.streaks.longest.months, 6);
+    assert.equal(everyMonth.learningVelocity.trend, 'flat');
+});
+
+test('the analytics route rejects timeframes it cannot resolve', async (t) => {
+    const { request, stop } = await startServer();
+    t.after(stop);
+
+    const reversed = await request('GET', '/api/analytics/user1?from=2024-08-01&to=2024-01-01');
+    assert.equal(reversed.status, 400);
+    assert.deepEqual(reversed.body.details, [{ field: 'from', message: 'from must not be after to' }]);
+
+    const unknown = await request('GET', '/api/analytics/user1?timeframe=2y');
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.details[0].field, 'timeframe');
+    assert.equal((await request('GET', '/api/analytics/user99')).status, 404);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffFields, createAuditLog } = require('../lib/audit');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'audit-test-password';
+
+const CERT = { id: 'cert_001', courseName: 'Machine Learning', grade: '95%', skills: ['Python'] };
+
+// An audit log in a temporary file, tracking a repository whose changes the test emits by hand
+const trackedLog = (t, options) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const auditLog = createAuditLog({ file: path.join(dir, 'log.jsonl') });
+    let listener = null;
+    auditLog.track({ onChange: (callback) => { listener = callback; } }, options);
+    const emit = (previous, next) => listener(next, {
+        changed: Object.keys(next).filter(id => JSON.stringify(previous[id]) !== JSON.stringify(next[id])),
+        removed: Object.keys(previous).filter(id => !(id in next)),
+        previous
+    });
+    return { auditLog, emit };
+};
+
+test('diffFields lists changed fields with absent values as null', () => {
+    assert.deepEqual(diffFields({ a: 1, b: [1], c: 'x' }, { a: 1, b: [1, 2], d: true }), [
+        { field: 'b', from: [1], to: [1, 2] },
+        { field: 'c', from: 'x', to: null },
+        { field: 'd', from: null, to: true }
+    ]);
+    assert.deepEqual(diffFields({ a: 1, skip: 1 }, { a: 2, skip: 2 }, { exclude: ['skip'] }).map(change => change.field), ['a']);
+});
+
+test('account changes are recorded without their values', () => {
+    assert.deepEqual(diffFields({ account: { passwordHash: 'old' } }, { account: { passwordHash: 'new' } }), [
+        { field: 'account', from: '[redacted]', to: '[redacted]' }
+    ]);
+    assert.deepEqual(diffFields({}, { account: { passwordHash: 'new' } }), [{ field: 'account', from: null, to: '[redacted]' }]);
+});
+
+test('user changes are split into certificates and profile fields', async (t) => {
+    const { auditLog, emit } = trackedLog(t, { store: 'users' });
+    const before = { user1: { id: 'user1', name: 'Jane', account: { passwordHash: 'old' }, certificates: [CERT] } };
+    const after = { user1: { id: 'user1', name: 'Jane Doe', account: { passwordHash: 'new' }, certificates: [{ ...CERT, grade: '98%' }] } };
+    emit(before, after);
+
+    const entries = await auditLog.readEntries();
+    assert.deepEqual(entries.map(entry => [entry.entity, entry.operation, entry.actor]), [
+        ['certificate', 'updated', 'system'],
+        ['user', 'updated', 'system']
+    ]);
+    assert.deepEqual(entries[0].changes, [{ field: 'grade', from: '95%', to: '98%' }]);
+    assert.deepEqual(entries[0].before, CERT);
+    assert.deepEqual(entries[1].before, { name: 'Jane', account: '[redacted]' });
+    assert.doesNotMatch(fs.readFileSync(auditLog.file, 'utf8'), /passwordHash/);
+});
+
+test('changes made during a request are attributed to its user and action', async (t) => {
+    const { auditLog, emit } = trackedLog(t, { store: 'orgs', entity: 'organization' });
+    const req = { auth: { userId: 'user1' }, method: 'PATCH', originalUrl: '/api/orgs/org_1?x=1' };
+    await new Promise(resolve => auditLog.captureRequest(req, {}, () => {
+        auditLog.describe({ reason: 'rename' });
+        emit({ org_1: { name: 'Guild' } }, { org_1: { name: 'Analytics Guild' } });
+        resolve();
+    }));
+    await new Promise(resolve => auditLog.captureRequest({ auth: null, method: 'DELETE', originalUrl: '/api/orgs/org_1' }, {}, () => {
+        emit({ org_1: { name: 'Analytics Guild' } }, {});
+        resolve();
+    }));
+
+    const entries = await auditLog.readEntries();
+    assert.deepEqual(entries.map(entry => [entry.entity, entry.entityId, entry.operation, entry.actor, entry.action]), [
+        ['organization', 'org_1', 'updated', 'user1', 'PATCH /api/orgs/org_1'],
+        ['organization', 'org_1', 'deleted', 'anonymous', 'DELETE /api/orgs/org_1']
+    ]);
+    assert.deepEqual(entries[0].details, { reason: 'rename' });
+    assert.equal(entries[1].details, undefined);
+});
+
+test('certificate history numbers revisions from the oldest', async (t) => {
+    const { auditLog, emit } = trackedLog(t, { store: 'users' });
+    const user = (certificates) => ({ user1: { id: 'user1', certificates } });
+    emit(user([]), user([CERT]));
+    emit(user([CERT]), user([{ ...CERT, grade: '98%' }]));
+    emit(user([{ ...CERT, grade: '98%' }]), user([]));
+    fs.appendFileSync(auditLog.file, 'not json\n');
+
+    const history = await auditLog.certificateHistory('user1', 'cert_001');
+    assert.deepEqual(history.map(entry => [entry.revision, entry.operation]), [[1, 'created'], [2, 'updated'], [3, 'deleted']]);
+    assert.equal(history[2].after, null);
+    assert.deepEqual(await auditLog.certificateHistory('user2', 'cert_001'), []);
+});
+
+test('a certificate edit shows in its history and can be undone', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+    const original = (await request('GET', '/api/certificates/user1/cert_001')).body.data;
+
+    await request('PATCH', '/api/certificates/user1/cert_001', { body: { grade: 'A+' }, token });
+    const history = (await request('GET', '/api/certificates/user1/cert_001/history', { token })).body.data;
+    assert.equal(history.currentRevision, 1);
+    assert.deepEqual(history.restorableRevisions, [0, 1]);
+    assert.equal(history.revisions[0].actor, 'user1');
+    assert.deepEqual(history.revisions[0].changes.map(change => change.field).sort(), ['grade', 'verificationStatus']);
+
+    const restored = await request('POST', '/api/certificates/user1/cert_001/restore', { body: { revision: 0 }, token });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.data.certificate.grade, original.grade);
+    assert.equal(restored.body.data.certificate.verificationStatus, original.verificationStatus);
+
+    const after = (await request('GET', '/api/certificates/user1/cert_001/history', { token })).body.data;
+    assert.equal(after.currentRevision, 2);
+    assert.deepEqual(after.revisions[0].details, { restoredRevision: 0 });
+
+    assert.equal((await request('POST', '/api/certificates/user1/cert_001/restore', { body: { revision: 9 }, token })).status, 404);
+    assert.equal((await request('GET', '/api/certificates/user1/cert_001/history')).status, 401);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'auth-test-password';
+
+test('an account can be registered once and used straight away', async (t) => {
+    const { request, stop } = await startServer();
+    t.after(stop);
+    const body = { name: ' Ada Lovelace ', email: 'Ada@Example.com', password: PASSWORD };
+
+    const created = await request('POST', '/api/auth/register', { body });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.user.id, 'user4');
+    assert.equal(created.body.data.user.email, 'ada@example.com');
+
+    const me = await request('GET', '/api/auth/me', { token: created.body.data.token });
+    assert.equal(me.body.data.name, 'Ada Lovelace');
+    assert.equal(me.body.data.totalCertificates, 0);
+
+    assert.equal((await request('POST', '/api/auth/register', { body: { ...body, email: 'ada@example.com' } })).status, 409);
+
+    const invalid = await request('POST', '/api/auth/register', { body: { name: 'Ada', email: 'not-an-email', password: 'short' } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details.map(detail => detail.field).sort(), ['email', 'password']);
+});
+
+test('login accepts an email or a user ID with the right password', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const { email } = (await request('GET', '/api/auth/me', { token: await login('user1', PASSWORD) })).body.data;
+
+    assert.equal((await request('POST', '/api/auth/login', { body: { email: email.toUpperCase(), password: PASSWORD } })).status, 200);
+    assert.equal((await request('POST', '/api/auth/login', { body: { userId: 'USER1', password: PASSWORD } })).status, 200);
+    assert.equal((await request('POST', '/api/auth/login', { body: { userId: 'user1', password: 'wrong-password' } })).status, 401);
+    // A seeded user without a password cannot log in
+    assert.equal((await request('POST', '/api/auth/login', { body: { userId: 'user2', password: PASSWORD } })).status, 401);
+
+    const missing = await request('POST', '/api/auth/login', { body: { password: PASSWORD } });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.details[0].field, 'email');
+});
+
+test('logging out or changing the password revokes earlier tokens', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+
+    const first = await login('user1', PASSWORD);
+    assert.equal((await request('POST', '/api/auth/logout', { token: first })).status, 200);
+    const revoked = await request('GET', '/api/auth/me', { token: first });
+    assert.equal(revoked.status, 401);
+    assert.equal(revoked.body.message, 'Invalid or expired token');
+
+    const second = await login('user1', PASSWORD);
+    const wrong = await request('PUT', '/api/auth/password', { body: { currentPassword: 'wrong-password', newPassword: 'another-password' }, token: second });
+    assert.equal(wrong.status, 401);
+
+    const changed = await request('PUT', '/api/auth/password', { body: { currentPassword: PASSWORD, newPassword: 'another-password' }, token: second });
+    assert.equal(changed.status, 200);
+    assert.equal((await request('GET', '/api/auth/me', { token: second })).status, 401);
+    assert.equal((await request('GET', '/api/auth/me', { token: changed.body.data.token })).status, 200);
+    assert.equal((await request('POST', '/api/auth/login', { body: { userId: 'user1', password: PASSWORD } })).status, 401);
+});
+
+test('only the owner may change their data', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD, user2: PASSWORD } });
+    t.after(stop);
+    const change = { body: { description: 'Changed' } };
+
+    const anonymous = await request('PATCH', '/api/certificates/user1/cert_001', change);
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.message, 'Authentication required');
+
+    const otherUser = await request('PATCH', '/api/certificates/user1/cert_001', { ...change, token: await login('user2', PASSWORD) });
+    assert.equal(otherUser.status, 403);
+
+    assert.equal((await request('GET', '/api/auth/me', { token: 'not-a-token' })).status, 401);
+    assert.equal((await request('PATCH', '/api/certificates/user1/cert_001', { ...change, token: await login('user1', PASSWORD) })).status, 200);
+});
+
+test('link-only profiles are readable but unlisted; private ones are the owner\'s alone', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+    const listed = async (viewerToken) => (await request('GET', '/api/users', { token: viewerToken })).body.data.map(user => user.id);
+
+    await request('PATCH', '/api/users/user1', { body: { visibility: 'link' }, token });
+    assert.ok(!(await listed()).includes('user1'));
+    assert.equal((await request('GET', '/api/certificates/user1')).status, 200);
+
+    await request('PATCH', '/api/users/user1', { body: { visibility: 'private' }, token });
+    const hidden = await request('GET', '/api/certificates/user1');
+    const missing = await request('GET', '/api/certificates/user99');
+    assert.equal(hidden.status, 404);
+    assert.deepEqual({ ...hidden.body, message: null, timestamp: null }, { ...missing.body, message: null, timestamp: null });
+    assert.ok((await listed(token)).includes('user1'));
+    assert.equal((await request('GET', '/api/certificates/user1', { token })).status, 200);
+});
+
+test('a private certificate is left out for everyone but its owner', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+    const ids = async (viewerToken) => (await request('GET', '/api/certificates/user1', { token: viewerToken })).body.data.certificates.map(cert => cert.id);
+
+    await request('PATCH', '/api/certificates/user1/cert_002', { body: { visibility: 'private' }, token });
+
+    assert.ok(!(await ids()).includes('cert_002'));
+    assert.equal((await request('GET', '/api/certificates/user1/cert_002')).status, 404);
+    assert.ok((await ids(token)).includes('cert_002'));
+    assert.equal((await request('GET', '/api/certificates/user1/cert_002', { token })).body.data.visibility, 'private');
+});
+
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'certificates-test-password';
+
+const NEW_CERTIFICATE = {
+    courseName: 'Applied Cryptography',
+    platform: 'Coursera',
+    institution: 'Stanford University',
+    category: 'Security',
+    completionDate: '2024-06-01'
+};
+
+test('verificationStatus cannot be set through the certificate routes', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const created = await request('POST', '/api/certificates/user1', {
+        body: { ...NEW_CERTIFICATE, verificationStatus: 'Verified' },
+        token
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.verificationStatus, 'Pending');
+
+    const certId = created.body.data.id;
+    const patched = await request('PATCH', `/api/certificates/user1/${certId}`, { body: { verificationStatus: 'Verified' }, token });
+    assert.equal(patched.body.data.verificationStatus, 'Pending');
+
+    const replaced = await request('PUT', `/api/certificates/user1/${certId}`, {
+        body: { ...NEW_CERTIFICATE, verificationStatus: 'Verified' },
+        token
+    });
+    assert.equal(replaced.body.data.verificationStatus, 'Pending');
+
+    const stored = await request('GET', `/api/certificates/user1/${certId}`);
+    assert.equal(stored.body.data.verificationStatus, 'Pending');
+});
+
+test('editing what a verified certificate attests to makes it Pending again', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const described = await request('PATCH', '/api/certificates/user1/cert_001', { body: { description: 'Notes for my portfolio' }, token });
+    assert.equal(described.status, 200);
+    assert.equal(described.body.data.verificationStatus, 'Verified');
+
+    const regraded = await request('PATCH', '/api/certificates/user1/cert_001', { body: { grade: '100%' }, token });
+    assert.equal(regraded.status, 200);
+    assert.equal(regraded.body.data.verificationStatus, 'Pending');
+
+    const renamed = await request('PATCH', '/api/certificates/user1/cert_002', { body: { courseName: 'Something I did not take' }, token });
+    assert.equal(renamed.body.data.verificationStatus, 'Pending');
+});
+
+test('only the owner can change certificates', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD, user2: PASSWORD } });
+    t.after(stop);
+
+    const anonymous = await request('PATCH', '/api/certificates/user1/cert_001', { body: { grade: 'A' } });
+    assert.equal(anonymous.status, 401);
+
+    const someoneElse = await request('PATCH', '/api/certificates/user1/cert_001', { body: { grade: 'A' }, token: await login('user2', PASSWORD) });
+    assert.equal(someoneElse.status, 403);
+
+    const stored = await request('GET', '/api/certificates/user1/cert_001');
+    assert.equal(stored.body.data.verificationStatus, 'Verified');
+});
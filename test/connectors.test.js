@@ -0,0 +1,218 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const connectors = require('../lib/connectors');
+const { startServer } = require('./helpers/server');
+
+// Saved exports and verification pages, one pair per adapter
+const FIXTURES = path.join(__dirname, 'fixtures', 'connectors');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+const EXPECTED = {
+    coursera: {
+        verifyUrl: 'https://www.coursera.org/account/accomplishments/verify/ML7QX2K9PZ4A',
+        exported: [
+            { courseName: 'Machine Learning', institution: 'Stanford University', completionDate: '2024-03-12', grade: '97.5%', hours: 61 },
+            { courseName: 'Python for Everybody, Part 1', institution: 'University of Michigan', completionDate: '2023-11-04', grade: '100%', hours: 19 }
+        ],
+        page: { courseName: 'Machine Learning', institution: 'Stanford University', completionDate: '2024-03-12', grade: '97.5%', hours: 61 }
+    },
+    edx: {
+        verifyUrl: 'https://courses.edx.org/certificates/4f1c2a9be8d34e3a9b7c0d5e6f7a8b9c',
+        exported: [
+            { courseName: 'Introduction to Computer Science', institution: 'HarvardX', completionDate: '2024-01-20', grade: 'Pass' },
+            { courseName: 'Data Science: R Basics', institution: 'HarvardX', completionDate: '2023-09-02' }
+        ],
+        page: { courseName: 'Introduction to Computer Science', institution: 'HarvardX', completionDate: '2024-01-20' }
+    },
+    udemy: {
+        verifyUrl: 'https://www.udemy.com/certificate/UC-2b7c9d4e-1f3a-4b5c-8d6e-7f8a9b0c1d2e/',
+        exported: [
+            { courseName: 'The Complete JavaScript Course 2024', institution: 'Udemy', completionDate: '2024-02-14', instructor: 'Jonas Schmedtmann', hours: 69 },
+            { courseName: 'Docker Mastery', institution: 'Udemy', completionDate: '2023-08-03', instructor: 'Bret Fisher', hours: 20.5 }
+        ],
+        page: { courseName: 'The Complete JavaScript Course 2024', institution: 'Udemy', completionDate: '2024-02-14', instructor: 'Jonas Schmedtmann', hours: 69 }
+    },
+    'linkedin-learning': {
+        verifyUrl: 'https://www.linkedin.com/learning/certificates/8d2f6a1c9b3e4d7f0a5c2e8b1d4f7a3c',
+        // The VIDEO row of Learning.csv is not a certificate
+        exported: [
+            { courseName: 'Excel Essential Training (Microsoft 365)', institution: 'LinkedIn', completionDate: '2024-04-02' },
+            { courseName: 'Project Management Foundations', institution: 'LinkedIn', completionDate: '2023-12-10' }
+        ],
+        page: { courseName: 'Excel Essential Training (Microsoft 365)', institution: 'LinkedIn', completionDate: '2024-04-02', hours: 2.5 }
+    }
+};
+
+const pick = (record, fields) => Object.fromEntries(fields.map(field => [field, record[field]]));
+
+test('every adapter has a saved export and verification page', () => {
+    assert.deepEqual(Object.keys(EXPECTED).sort(), connectors.ADAPTERS.map(adapter => adapter.id).sort());
+});
+
+Object.entries(EXPECTED).forEach(([id, expected]) => {
+    const adapter = connectors.getAdapter(id);
+
+    test(`${id}: export file rows become pending certificates`, async () => {
+        const { results, errors } = await connectors.collectRecords(adapter, { csv: fixture(`${id}-export.csv`) });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(results.map(({ record }) => pick(record, Object.keys(expected.exported[0]))),
+            expected.exported.map(record => pick(record, Object.keys(expected.exported[0]))));
+        results.forEach(({ record, source }) => {
+            assert.equal(record.platform, adapter.platform);
+            assert.equal(record.verificationStatus, 'Pending');
+            assert.equal(source.connector, id);
+        });
+    });
+
+    test(`${id}: verification page is read, holder name included`, () => {
+        const raw = adapter.parseVerifyPage(fixture(`${id}-verify.html`), expected.verifyUrl);
+
+        assert.equal(raw.holderName, 'Jane Doe');
+        assert.equal(raw.courseName, expected.page.courseName);
+        assert.equal(connectors.toIsoDate(raw.completionDate), expected.page.completionDate);
+        assert.ok(adapter.verifyUrlPattern.test(expected.verifyUrl));
+    });
+
+    test(`${id}: a fetched page verifies the certificate only for the named holder`, async () => {
+        const fetchPage = async () => fixture(`${id}-verify.html`);
+        const sync = (holderName) => connectors.collectRecords(adapter, { verifyUrls: [expected.verifyUrl] }, { fetchPage, holderName });
+
+        const own = await sync('jane doe');
+        assert.deepEqual(own.errors, []);
+        assert.deepEqual(pick(own.results[0].record, Object.keys(expected.page)), expected.page);
+        assert.equal(own.results[0].record.verificationStatus, 'Verified');
+
+        const someoneElse = await sync('John Roe');
+        assert.equal(someoneElse.results[0].record.verificationStatus, 'Pending');
+
+        const anonymous = await sync(undefined);
+        assert.equal(anonymous.results[0].record.verificationStatus, 'Pending');
+    });
+
+    test(`${id}: an uploaded page is never verified`, async () => {
+        const { results } = await connectors.collectRecords(adapter, { html: fixture(`${id}-verify.html`), url: expected.verifyUrl }, { holderName: 'Jane Doe' });
+        assert.equal(results[0].record.verificationStatus, 'Pending');
+    });
+});
+
+test('verification pages are only fetched from the platform itself', async () => {
+    const adapter = connectors.getAdapter('coursera');
+    const { results, errors } = await connectors.collectRecords(adapter, { verifyUrls: ['https://evil.example/verify/ML7QX2K9PZ4A'] }, { holderName: 'Jane Doe' });
+
+    assert.deepEqual(results, []);
+    assert.match(errors[0].message, /Not a Coursera certificate URL/);
+});
+
+// Answers fetch() from a table of URL -> { status, location, body } for the length of one test
+const stubFetch = (t, pages) => {
+    const original = globalThis.fetch;
+    const requested = [];
+    globalThis.fetch = async (url, options) => {
+        requested.push({ url, redirect: options.redirect });
+        const page = pages[url] || { status: 404 };
+        return new Response(page.body || null, { status: page.status || 200, headers: page.location ? { location: page.location } : {} });
+    };
+    t.after(() => { globalThis.fetch = original; });
+    return requested;
+};
+
+test('a redirect is only followed to another page on the platform', async (t) => {
+    const adapter = connectors.getAdapter('coursera');
+    const start = EXPECTED.coursera.verifyUrl;
+    const moved = 'https://www.coursera.org/account/accomplishments/verify/ML7QX2K9PZ4B';
+    const requested = stubFetch(t, {
+        [start]: { status: 301, location: '/account/accomplishments/verify/ML7QX2K9PZ4B' },
+        [moved]: { body: fixture('coursera-verify.html') },
+        'https://www.coursera.org/account/accomplishments/verify/OFFSITE0001': { status: 302, location: 'https://evil.example/verify/ML7QX2K9PZ4A' }
+    });
+
+    const followed = await connectors.collectRecords(adapter, { verifyUrls: [start] }, { holderName: 'Jane Doe' });
+    assert.deepEqual(followed.errors, []);
+    assert.equal(followed.results[0].record.verificationStatus, 'Verified');
+    assert.deepEqual(requested, [{ url: start, redirect: 'manual' }, { url: moved, redirect: 'manual' }]);
+
+    const offsite = await connectors.collectRecords(adapter, { verifyUrls: ['https://www.coursera.org/account/accomplishments/verify/OFFSITE0001'] }, { holderName: 'Jane Doe' });
+    assert.deepEqual(offsite.results, []);
+    assert.match(offsite.errors[0].message, /redirected to https:\/\/evil\.example\/verify\/ML7QX2K9PZ4A, which is not a certificate URL/);
+    assert.ok(!requested.some(item => item.url.startsWith('https://evil.example')));
+});
+
+test('a redirect loop gives up', async (t) => {
+    const adapter = connectors.getAdapter('coursera');
+    const url = EXPECTED.coursera.verifyUrl;
+    stubFetch(t, { [url]: { status: 302, location: url } });
+
+    const { errors } = await connectors.collectRecords(adapter, { verifyUrls: [url] }, { holderName: 'Jane Doe' });
+    assert.match(errors[0].message, /redirected too many times/);
+});
+
+test('a verified record keeps the name it was matched against, and a new name no longer matches it', async () => {
+    const adapter = connectors.getAdapter('coursera');
+    const fetchPage = async () => fixture('coursera-verify.html');
+    const { results } = await connectors.collectRecords(adapter, { verifyUrls: [EXPECTED.coursera.verifyUrl] }, { fetchPage, holderName: 'Jane Doe' });
+    const cert = { ...results[0].record, source: results[0].source };
+    assert.equal(cert.source.holderName, 'Jane Doe');
+
+    assert.equal(connectors.verifiedForOtherName(cert, 'jane  DOE'), false);
+    assert.equal(connectors.verifiedForOtherName(cert, 'Jane Smith'), true);
+    assert.equal(connectors.verifiedForOtherName({ source: { format: 'manual' }, sources: [cert.source] }, 'Jane Smith'), true);
+    assert.equal(connectors.verifiedForOtherName({ source: { format: 'manual' } }, 'Jane Smith'), false);
+
+    const pending = await connectors.collectRecords(adapter, { verifyUrls: [EXPECTED.coursera.verifyUrl] }, { fetchPage, holderName: 'John Roe' });
+    assert.equal(pending.results[0].source.holderName, undefined);
+});
+
+test('changing name returns certificates a platform verified for the old name to Pending', async (t) => {
+    const password = 'connectors-test-password';
+    const { request, login, stop } = await startServer({
+        passwords: { user1: password },
+        seed: (users) => {
+            users.user1.certificates[0].source = { format: 'connector', connector: 'coursera', externalId: EXPECTED.coursera.verifyUrl, holderName: users.user1.name };
+        }
+    });
+    t.after(stop);
+    const token = await login('user1', password);
+    const status = async (certId) => (await request('GET', `/api/certificates/user1/${certId}`)).body.data.verificationStatus;
+
+    await request('PATCH', '/api/users/user1', { body: { name: 'Rohit  SHARMA' }, token });
+    assert.equal(await status('cert_001'), 'Verified');
+
+    await request('PATCH', '/api/users/user1', { body: { name: 'Rohan Sharma' }, token });
+    assert.equal(await status('cert_001'), 'Pending');
+    assert.equal(await status('cert_002'), 'Verified');
+});
+
+test('toIsoDate reads the date formats platforms use', () => {
+    assert.equal(connectors.toIsoDate('2024-03-12'), '2024-03-12');
+    assert.equal(connectors.toIsoDate('2024-04-02 18:41 UTC'), '2024-04-02');
+    assert.equal(connectors.toIsoDate('Mar 12, 2024'), '2024-03-12');
+    assert.equal(connectors.toIsoDate('Feb. 14, 2024'), '2024-02-14');
+    assert.equal(connectors.toIsoDate('3 August 2023'), '2023-08-03');
+    assert.equal(connectors.toIsoDate('02/14/2024'), '2024-02-14');
+    assert.equal(connectors.toIsoDate('Completed recently'), undefined);
+    assert.equal(connectors.toIsoDate(''), undefined);
+});
+
+test('toIsoDate rejects dates that do not exist', () => {
+    assert.equal(connectors.toIsoDate('2024-02-30'), undefined);
+    assert.equal(connectors.toIsoDate('Feb 30, 2024'), undefined);
+    assert.equal(connectors.toIsoDate('13/01/2024'), undefined);
+    assert.equal(connectors.toIsoDate('2023-02-29'), undefined);
+    assert.equal(connectors.toIsoDate('2024-02-29'), '2024-02-29');
+});
+
+test('findExisting matches on external ID, certificate URL or course and date', () => {
+    const certificates = [
+        { id: 'cert_001', platform: 'Coursera', courseName: 'Machine Learning', completionDate: '2024-03-12', source: { connector: 'coursera', externalId: 'ML7QX2K9PZ4A' } },
+        { id: 'cert_002', platform: 'edX', courseName: 'CS50', completionDate: '2024-01-20', certificateUrl: 'https://courses.edx.org/certificates/abc' }
+    ];
+    const find = (record, source = { connector: 'coursera', externalId: 'other' }) => connectors.findExisting(certificates, { record, source })?.id;
+
+    assert.equal(find({ platform: 'Coursera', courseName: 'Anything' }, { connector: 'coursera', externalId: 'ML7QX2K9PZ4A' }), 'cert_001');
+    assert.equal(find({ platform: 'edX', courseName: 'Other', certificateUrl: 'https://courses.edx.org/certificates/abc' }), 'cert_002');
+    assert.equal(find({ platform: 'Coursera', courseName: 'machine learning!', completionDate: '2024-03-12' }), 'cert_001');
+    assert.equal(find({ platform: 'Coursera', courseName: 'Machine Learning', completionDate: '2024-03-13' }), undefined);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const duplicates = require('../lib/duplicates');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'duplicates-test-password';
+const NOW = new Date('2024-06-01T00:00:00Z');
+const CLAIMS = ['courseName', 'platform', 'institution', 'completionDate', 'grade'];
+
+const normalizeSkills = (skills) => [...new Set(skills)];
+
+const coursera = {
+    id: 'cert_001',
+    courseName: 'Machine Learning',
+    platform: 'Coursera',
+    institution: 'Stanford University',
+    completionDate: '2024-03-12',
+    certificateUrl: 'https://www.coursera.org/verify/ABC',
+    skills: ['Python'],
+    verificationStatus: 'Verified'
+};
+const linkedin = {
+    id: 'cert_002',
+    courseName: 'Machine Learning Certificate',
+    platform: 'LinkedIn',
+    institution: 'Stanford University',
+    completionDate: '2024-03-20',
+    skills: ['Machine Learning'],
+    grade: '98%',
+    verificationStatus: 'Pending'
+};
+const unrelated = { id: 'cert_003', courseName: 'Watercolor Painting', platform: 'Udemy', institution: 'Udemy', completionDate: '2024-03-12' };
+
+test('comparePair: a shared credential ID or URL is conclusive', () => {
+    assert.deepEqual(duplicates.comparePair({ credentialId: 'X1' }, { source: { credentialId: 'X1' } }), { score: 1, reasons: ['credentialId'] });
+    assert.deepEqual(duplicates.comparePair(coursera, { ...unrelated, evidenceUrls: [coursera.certificateUrl] }), { score: 1, reasons: ['certificateUrl'] });
+});
+
+test('comparePair: close names, same institution and near dates add up', () => {
+    const { score, reasons } = duplicates.comparePair(coursera, linkedin);
+    assert.ok(score >= duplicates.SUSPECT_SCORE);
+    assert.deepEqual(reasons, ['courseName', 'institution', 'completionDate']);
+
+    assert.equal(duplicates.comparePair(coursera, unrelated).score, 0);
+    assert.ok(duplicates.comparePair(coursera, { ...linkedin, institution: 'Other', completionDate: '2022-01-01' }).score < duplicates.SUSPECT_SCORE);
+});
+
+test('findDuplicates groups pairs and skips dismissed ones', () => {
+    const third = { ...linkedin, id: 'cert_004', platform: 'edX', credentialId: 'EDX-1' };
+    const groups = duplicates.findDuplicates([coursera, linkedin, unrelated, third]);
+
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].certificateIds, ['cert_001', 'cert_002', 'cert_004']);
+    assert.equal(groups[0].suggestedPrimaryId, 'cert_001');
+
+    const dismissed = [duplicates.pairKey('cert_002', 'cert_001')];
+    assert.deepEqual(duplicates.findDuplicates([coursera, linkedin], { dismissed }), []);
+});
+
+test('choosePrimary prefers an uploaded file, then a verified record', () => {
+    assert.equal(duplicates.choosePrimary([linkedin, coursera]).id, 'cert_001');
+    assert.equal(duplicates.choosePrimary([coursera, { ...linkedin, file: { storedName: 'x.pdf' } }]).id, 'cert_002');
+});
+
+test('merging keeps the primary\'s values and folds in the others\' evidence', () => {
+    const merged = duplicates.mergeCertificates({ ...coursera, grade: '98%' }, [linkedin], { normalizeSkills, claims: CLAIMS, now: NOW });
+
+    assert.equal(merged.id, 'cert_001');
+    assert.equal(merged.courseName, 'Machine Learning');
+    assert.deepEqual(merged.skills, ['Python', 'Machine Learning']);
+    assert.deepEqual(merged.evidenceUrls, ['https://www.coursera.org/verify/ABC']);
+    assert.deepEqual(merged.sources.map(source => source.certificateId), ['cert_001', 'cert_002']);
+    assert.deepEqual(merged.mergedFrom, ['cert_002']);
+    assert.equal(merged.mergedAt, NOW.toISOString());
+    assert.equal(merged.verificationStatus, 'Verified');
+});
+
+test('a merge is verified only if a verified record makes the same claims', () => {
+    const pendingPrimary = duplicates.mergeCertificates(linkedin, [coursera], { normalizeSkills, claims: CLAIMS, now: NOW });
+    assert.equal(pendingPrimary.courseName, 'Machine Learning Certificate');
+    assert.equal(pendingPrimary.verificationStatus, 'Pending');
+
+    // The grade comes from the unverified record, so the verified one no longer covers every claim
+    const filledIn = duplicates.mergeCertificates(coursera, [linkedin], { normalizeSkills, claims: CLAIMS, now: NOW });
+    assert.equal(filledIn.grade, '98%');
+    assert.equal(filledIn.verificationStatus, 'Pending');
+});
+
+test('merging through the API does not verify an unverified record', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const original = (await request('GET', '/api/certificates/user1/cert_001')).body.data;
+    const copy = await request('POST', '/api/certificates/user1', {
+        body: {
+            courseName: original.courseName,
+            platform: original.platform,
+            institution: original.institution,
+            category: original.category,
+            completionDate: original.completionDate,
+            grade: 'A+ with distinction'
+        },
+        token
+    });
+
+    const merged = await request('POST', '/api/certificates/user1/merge', {
+        body: { certificateIds: ['cert_001', copy.body.data.id], primaryId: copy.body.data.id },
+        token
+    });
+    assert.equal(merged.status, 200);
+    assert.equal(merged.body.data.certificate.grade, 'A+ with distinction');
+    assert.equal(merged.body.data.certificate.verificationStatus, 'Pending');
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderEmbedHtml, oembedResponse } = require('../lib/embed');
+
+const USER = { id: 'user1', name: 'Jane "JD" Doe' };
+const PROFILE_URL = 'https://credentials.example/profile.html?user=user1';
+
+const certificate = (overrides) => ({
+    id: 'cert_001',
+    courseName: 'Machine Learning',
+    platform: 'Coursera',
+    institution: 'Stanford University',
+    completionDate: '2024-03-12',
+    skills: ['Python'],
+    verificationStatus: 'Verified',
+    verifyUrl: 'https://credentials.example/api/verify/cert_001',
+    ...overrides
+});
+
+test('embed cards link to the verify page and escape certificate text', () => {
+    const html = renderEmbedHtml({
+        user: USER,
+        certificates: [certificate({ courseName: '<script>alert(1)</script>' })],
+        profileUrl: PROFILE_URL,
+        totals: { certificates: 1, hours: 1200 }
+    });
+
+    assert.match(html, /<a class="card" href="https:\/\/credentials\.example\/api\/verify\/cert_001"/);
+    assert.doesNotMatch(html, /<script>/);
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(html, /1 certificates · 1,200 hours/);
+});
+
+test('embed cards fall back to # when the verify link is not http(s)', () => {
+    const html = renderEmbedHtml({
+        user: USER,
+        certificates: [certificate({ verifyUrl: 'javascript:alert(1)' })],
+        profileUrl: PROFILE_URL,
+        totals: { certificates: 1, hours: 10 }
+    });
+
+    assert.doesNotMatch(html, /javascript:/);
+    assert.match(html, /<a class="card" href="#"/);
+});
+
+test('oEmbed frames shrink to maxwidth and maxheight', () => {
+    const response = oembedResponse({
+        user: USER,
+        embedUrl: 'https://credentials.example/embed/user1?theme=dark&limit=6',
+        profileUrl: PROFILE_URL,
+        baseUrl: 'https://credentials.example',
+        maxWidth: 400
+    });
+
+    assert.equal(response.type, 'rich');
+    assert.equal(response.width, 400);
+    assert.equal(response.height, 480);
+    assert.match(response.html, /src="https:\/\/credentials\.example\/embed\/user1\?theme=dark&amp;limit=6"/);
+    assert.match(response.html, /title="Jane &quot;JD&quot; Doe certificates"/);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const goals = require('../lib/goals');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'goals-test-password';
+const NOW = new Date('2024-06-01T00:00:00Z');
+
+const OPTIONS = { matchesSkill: (skills, skill) => (skills || []).includes(skill), now: NOW };
+
+const USER = {
+    certificates: [
+        { id: 'c1', courseName: 'Python Basics', platform: 'Coursera', category: 'Programming', completionDate: '2024-01-10', hours: 20, creditsEarned: 2, skills: ['Python'] },
+        { id: 'c2', courseName: 'Cloud Fundamentals', platform: 'edX', category: 'Cloud', completionDate: '2024-03-05', hours: 30, skills: ['AWS'] },
+        { id: 'c3', courseName: 'Data Pipelines', platform: 'Coursera', category: 'Data', completionDate: '2024-05-20', hours: 25, creditsEarned: 3, skills: ['Python'] }
+    ]
+};
+
+// A goal as validateGoal leaves it, ready for goalProgress
+const goal = (body) => {
+    const { errors, goal: valid } = goals.validateGoal(body, USER);
+    assert.deepEqual(errors, []);
+    return goals.newGoal(valid, new Date('2024-01-01T00:00:00Z'));
+};
+
+test('goals are validated as a whole', () => {
+    const fields = (body, existing) => goals.validateGoal(body, USER, { existing }).errors.map(error => error.field);
+
+    assert.deepEqual(fields({ title: 'Three', type: 'certificates', target: 2.5 }), ['target']);
+    assert.deepEqual(fields({ title: 'Path', type: 'path' }), ['steps']);
+    assert.deepEqual(fields({ title: 'Path', type: 'path', steps: [{ certificateId: 'c9' }, {}] }), ['steps[0].certificateId', 'steps[1].courseName']);
+    assert.deepEqual(fields({ title: 'Hours', type: 'hours', target: 10, filters: { colour: 'red' } }), ['filters']);
+    assert.deepEqual(fields({ title: 'Hours', type: 'hours', target: 10, startDate: '2024-06-01', deadline: '2024-01-01' }), ['deadline']);
+    assert.deepEqual(fields({ type: 'path', steps: [{ courseName: 'Data Pipelines' }] }, { title: 'Hours', type: 'hours', target: 10 }), []);
+});
+
+test('progress counts matching certificates inside the window', () => {
+    const python = goals.goalProgress(goal({ title: 'Python', type: 'hours', target: 40, filters: { skill: 'Python' } }), USER.certificates, OPTIONS);
+    assert.deepEqual(python.progress, {
+        current: 45, target: 40, remaining: 0, percent: 100, status: 'completed', completedAt: '2024-05-20', nextStep: null, pace: null, certificateIds: ['c1', 'c3']
+    });
+
+    const credits = goals.goalProgress(goal({ title: 'Credits', type: 'credits', target: 10, startDate: '2024-02-01' }), USER.certificates, OPTIONS);
+    assert.equal(credits.progress.current, 3);
+    assert.equal(credits.progress.status, 'in-progress');
+
+    const missed = goals.goalProgress(goal({ title: 'Cloud', type: 'certificates', target: 2, filters: { category: 'cloud' }, deadline: '2024-04-30' }), USER.certificates, OPTIONS);
+    assert.equal(missed.progress.status, 'missed');
+});
+
+test('a deadline gives the pace against the time already used', () => {
+    const paced = goals.goalProgress(goal({ title: 'Four', type: 'certificates', target: 4, startDate: '2024-01-01', deadline: '2024-12-31' }), USER.certificates, OPTIONS);
+    assert.deepEqual(paced.progress.pace, { daysLeft: 214, expectedPercent: 42, onTrack: true });
+
+    const behind = goals.goalProgress(goal({ title: 'Ten', type: 'certificates', target: 10, startDate: '2024-01-01', deadline: '2024-06-30' }), USER.certificates, OPTIONS);
+    assert.equal(behind.progress.pace.onTrack, false);
+});
+
+test('a path is completed step by step, in any order', () => {
+    const path = goals.goalProgress(goal({
+        title: 'Data engineer',
+        type: 'path',
+        steps: [{ certificateId: 'c1' }, { courseName: 'data pipelines', platform: 'coursera' }, { courseName: 'Spark at Scale', title: 'Big data' }]
+    }), USER.certificates, OPTIONS);
+
+    assert.deepEqual(path.steps.map(step => [step.title, step.completed, step.certificateId]), [
+        ['Python Basics', true, 'c1'],
+        ['data pipelines', true, 'c3'],
+        ['Big data', false, null]
+    ]);
+    assert.deepEqual([path.progress.current, path.progress.target, path.progress.percent], [2, 3, 67]);
+    assert.equal(path.progress.nextStep.courseName, 'Spark at Scale');
+});
+
+test('owners manage their goals and others see only public ones', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const body = { title: 'Two Python courses', type: 'certificates', target: 2, filters: { skill: 'Python' } };
+    assert.equal((await request('POST', '/api/goals/user1', { body })).status, 401);
+
+    const created = await request('POST', '/api/goals/user1', { body, token });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.progress.status, 'completed');
+    assert.deepEqual(created.body.data.progress.certificateIds.sort(), ['cert_004', 'cert_006']);
+
+    const hidden = (await request('POST', '/api/goals/user1', { body: { title: 'Secret', type: 'hours', target: 5000, visibility: 'private' }, token })).body.data;
+    const invalid = await request('POST', '/api/goals/user1', { body: { title: 'Path', type: 'path', steps: [] }, token });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].field, 'steps');
+
+    const publicGoals = await request('GET', '/api/goals/user1');
+    assert.deepEqual(publicGoals.body.data.map(item => item.title), ['Two Python courses']);
+    assert.equal((await request('GET', `/api/goals/user1/${hidden.id}`)).status, 404);
+    const own = await request('GET', '/api/goals/user1?status=in-progress', { token });
+    assert.deepEqual(own.body.data.map(item => item.title), ['Secret']);
+    assert.deepEqual(own.body.summary, { total: 2, completed: 1, inProgress: 1, missed: 0 });
+
+    const changed = await request('PATCH', `/api/goals/user1/${hidden.id}`, { body: { type: 'path', steps: [{ certificateId: 'cert_001' }] }, token });
+    assert.equal(changed.body.data.progress.status, 'completed');
+    assert.equal(changed.body.data.target, null);
+
+    assert.equal((await request('DELETE', `/api/goals/user1/${hidden.id}`, { token })).status, 200);
+    assert.equal((await request('GET', `/api/goals/user1/${hidden.id}`, { token })).status, 404);
+});
+
+test('progress only counts the certificates the reader can see', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const { id } = (await request('POST', '/api/goals/user1', { body: { title: 'Python', type: 'certificates', target: 2, filters: { skill: 'Python' } }, token })).body.data;
+    await request('PATCH', '/api/certificates/user1/cert_006', { body: { visibility: 'private' }, token });
+
+    assert.equal((await request('GET', `/api/goals/user1/${id}`)).body.data.progress.current, 1);
+    assert.equal((await request('GET', `/api/goals/user1/${id}`, { token })).body.data.progress.current, 2);
+});
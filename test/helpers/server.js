@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn, execFileSync } = require('child_process');
+
+// Runs server.js on a free port against copies of data.json and orgs.json, with every other file it
+// writes (audit log, uploads, mail, keys) in a temporary directory that stop() removes. passwords sets
+// accounts on seeded users first, e.g. { user1: 'a-long-password' }; seed, if given, may change the copied
+// users before the server reads them.
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+const startServer = async ({ passwords = {}, seed } = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-test-'));
+    ['data.json', 'orgs.json'].forEach(file => fs.copyFileSync(path.join(ROOT, file), path.join(dir, file)));
+    if (seed) {
+        const users = JSON.parse(fs.readFileSync(path.join(dir, 'data.json'), 'utf8'));
+        seed(users);
+        fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify(users, null, 2));
+    }
+    const env = {
+        ...process.env,
+        STORAGE_BACKEND: 'json',
+        DATA_FILE: path.join(dir, 'data.json'),
+        ORGS_FILE: path.join(dir, 'orgs.json'),
+        AUDIT_FILE: path.join(dir, 'audit.jsonl'),
+        UPLOAD_DIR: path.join(dir, 'uploads'),
+        MAIL_DIR: path.join(dir, 'mail'),
+        MAIL_TRANSPORT: 'file',
+        SHARE_VIEWS_FILE: path.join(dir, 'share-views.json'),
+        JWT_SECRET_FILE: path.join(dir, 'jwt-secret'),
+        SIGNING_KEY_FILE: path.join(dir, 'signing-key.pem')
+    };
+    Object.entries(passwords).forEach(([userId, password]) => {
+        execFileSync(process.execPath, [path.join(ROOT, 'scripts', 'set-password.js'), userId, password], { env, stdio: 'ignore' });
+    });
+
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+        env: { ...env, PORT: String(port) },
+        stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (child.exitCode !== null) throw new Error(`Server exited early:\n${stderr}`);
+        try {
+            if ((await fetch(`${baseUrl}/api/health`)).ok) break;
+        } catch (error) {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    // The first reminder run (and the achievements its writes record) changes the data in the
+    // background; wait for it so that a test only sees its own changes
+    let previousTag = null;
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const { reminders } = await (await fetch(`${baseUrl}/api/health`)).json();
+        const tag = (await fetch(`${baseUrl}/api/users`)).headers.get('etag');
+        if (reminders.lastRun && tag === previousTag) break;
+        previousTag = tag;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const stop = () => new Promise(resolve => {
+        child.once('exit', () => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            resolve();
+        });
+        child.kill();
+    });
+    // JSON request with an optional bearer token; resolves to { status, body }
+    const request = async (method, url, { body, token } = {}) => {
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, body: (response.headers.get('content-type') || '').includes('json') ? JSON.parse(text) : text };
+    };
+
+    // Bearer token for a user with a password
+    const login = async (userId, password) => (await request('POST', '/api/auth/login', { body: { userId, password } })).body.data.token;
+
+    return { baseUrl, request, login, stop };
+};
+
+module.exports = { startServer };
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { isNotModified, createConditionalGet } = require('../lib/http-cache');
+const { startServer } = require('./helpers/server');
+
+// Serves one cacheable route over the given data version on a free port
+const serve = async (t, { version, now, cacheControl }) => {
+    const app = express();
+    let handled = 0;
+    app.use((req, res, next) => {
+        req.auth = req.get('X-User') ? { userId: req.get('X-User') } : null;
+        next();
+    });
+    app.get('/items', createConditionalGet({ getVersion: async () => version, now, cacheControl }), (req, res) => {
+        handled++;
+        if (req.query.missing) return res.status(404).json({ success: false, error: 'Not found', timestamp: new Date().toISOString() });
+        res.json({ success: true, data: [1, 2, 3], timestamp: new Date().toISOString() });
+    });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return {
+        get: (url, headers = {}) => fetch(baseUrl + url, { headers }),
+        handled: () => handled
+    };
+};
+
+const request = (headers) => ({ get: (name) => headers[name] });
+
+test('isNotModified: If-None-Match wins and compares weakly', () => {
+    const lastModified = new Date('2024-06-01T10:00:00Z');
+    assert.equal(isNotModified(request({ 'If-None-Match': '"abc"' }), '"abc"', lastModified), true);
+    assert.equal(isNotModified(request({ 'If-None-Match': 'W/"abc", "def"' }), '"abc"', lastModified), true);
+    assert.equal(isNotModified(request({ 'If-None-Match': '*' }), '"abc"', lastModified), true);
+    assert.equal(isNotModified(request({ 'If-None-Match': '"old"', 'If-Modified-Since': 'Sat, 01 Jun 2024 10:00:00 GMT' }), '"abc"', lastModified), false);
+});
+
+test('isNotModified: If-Modified-Since has one-second resolution', () => {
+    const lastModified = new Date('2024-06-01T10:00:00.750Z');
+    assert.equal(isNotModified(request({ 'If-Modified-Since': 'Sat, 01 Jun 2024 10:00:00 GMT' }), '"abc"', lastModified), true);
+    assert.equal(isNotModified(request({ 'If-Modified-Since': 'Sat, 01 Jun 2024 09:59:59 GMT' }), '"abc"', lastModified), false);
+    assert.equal(isNotModified(request({ 'If-Modified-Since': 'yesterday' }), '"abc"', lastModified), false);
+    assert.equal(isNotModified(request({}), '"abc"', lastModified), false);
+});
+
+test('a repeated request is answered 304 without running the handler', async (t) => {
+    const version = { id: 'v1', modifiedAt: new Date('2024-06-01T10:00:00Z') };
+    const api = await serve(t, { version, now: () => new Date('2024-06-01T12:00:00Z') });
+
+    const first = await api.get('/items');
+    const etag = first.headers.get('etag');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('last-modified'), 'Sat, 01 Jun 2024 10:00:00 GMT');
+    assert.equal(first.headers.get('cache-control'), 'private, no-cache');
+    assert.equal((await first.json()).timestamp, '2024-06-01T10:00:00.000Z');
+
+    const again = await api.get('/items', { 'If-None-Match': etag });
+    assert.equal(again.status, 304);
+    assert.equal(api.handled(), 1);
+
+    const byDate = await api.get('/items', { 'If-Modified-Since': first.headers.get('last-modified') });
+    assert.equal(byDate.status, 304);
+});
+
+test('the tag changes with the data, the day and the viewer', async (t) => {
+    const version = { id: 'v1', modifiedAt: new Date('2024-06-01T10:00:00Z') };
+    let today = new Date('2024-06-01T12:00:00Z');
+    const api = await serve(t, { version, now: () => today });
+
+    const etag = (await api.get('/items')).headers.get('etag');
+    assert.notEqual((await api.get('/items', { 'X-User': 'user1' })).headers.get('etag'), etag);
+    assert.notEqual((await api.get('/items?limit=1')).headers.get('etag'), etag);
+
+    version.id = 'v2';
+    assert.equal((await api.get('/items', { 'If-None-Match': etag })).status, 200);
+
+    const current = (await api.get('/items')).headers.get('etag');
+    today = new Date('2024-06-02T00:30:00Z');
+    const nextDay = await api.get('/items', { 'If-None-Match': current });
+    assert.equal(nextDay.status, 200);
+    assert.equal(nextDay.headers.get('last-modified'), 'Sun, 02 Jun 2024 00:00:00 GMT');
+});
+
+test('error responses drop the data validators and are not stored', async (t) => {
+    const api = await serve(t, { version: { id: 'v1', modifiedAt: new Date('2024-06-01T10:00:00Z') }, now: () => new Date('2024-06-01T12:00:00Z') });
+
+    const missing = await api.get('/items?missing=1');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.headers.get('last-modified'), null);
+    assert.equal(missing.headers.get('cache-control'), 'no-store');
+
+    // Express still tags the error body itself (a weak ETag), never with the data version's tag
+    const again = await api.get('/items?missing=1', { 'If-None-Match': missing.headers.get('etag') });
+    assert.equal(again.status, 404);
+    assert.equal(api.handled(), 2);
+});
+
+test('a route can choose its own Cache-Control', async (t) => {
+    const api = await serve(t, { version: { id: 'v1', modifiedAt: new Date('2024-06-01T10:00:00Z') }, cacheControl: 'public, no-cache' });
+    assert.equal((await api.get('/items')).headers.get('cache-control'), 'public, no-cache');
+    assert.equal((await api.get('/items?missing=1')).headers.get('cache-control'), 'no-store');
+});
+
+test('badges are public but revalidated, so hiding a profile takes effect at once', async (t) => {
+    const password = 'http-cache-test-password';
+    const { baseUrl, request, login, stop } = await startServer({ passwords: { user1: password } });
+    t.after(stop);
+    const token = await login('user1', password);
+
+    const badge = await fetch(`${baseUrl}/api/badge/user1.svg`);
+    assert.equal(badge.status, 200);
+    assert.equal(badge.headers.get('cache-control'), 'public, no-cache');
+    const etag = badge.headers.get('etag');
+    assert.equal((await fetch(`${baseUrl}/api/badge/user1.svg`, { headers: { 'If-None-Match': etag } })).status, 304);
+
+    await request('PATCH', '/api/users/user1', { body: { visibility: 'private' }, token });
+    const hidden = await fetch(`${baseUrl}/api/badge/user1.svg`, { headers: { 'If-None-Match': etag } });
+    assert.equal(hidden.status, 404);
+    assert.equal(hidden.headers.get('cache-control'), 'no-store');
+
+    const invalid = await fetch(`${baseUrl}/api/badge/user1/cert_001.svg?style=round`);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.headers.get('cache-control'), 'no-store');
+});
@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const interchange = require('../lib/interchange');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'interchange-test-password';
+
+const FIELDS = ['courseName', 'platform', 'institution', 'category', 'completionDate', 'hours', 'skills', 'certificateUrl'];
+
+const CERTIFICATE = {
+    id: 'cert_001',
+    courseName: 'Data Analysis, Part 1',
+    platform: 'Coursera',
+    institution: 'Example University',
+    category: 'Data Science',
+    completionDate: '2024-03-15',
+    issueDate: '2024-03-15',
+    expiryDate: '2027-03-15',
+    hours: 40,
+    skills: ['SQL', 'Tableau'],
+    certificateUrl: 'https://example.com/verify/1'
+};
+
+test('columns are matched to certificate fields by their header names', () => {
+    const columns = ['Title', 'Provider', 'Issuer', 'Date Completed', 'Learning Hours', 'Tags', 'Notes'];
+    assert.deepEqual(interchange.suggestMapping(columns, FIELDS), {
+        courseName: 'Title',
+        platform: 'Provider',
+        institution: 'Issuer',
+        completionDate: 'Date Completed',
+        hours: 'Learning Hours',
+        skills: 'Tags'
+    });
+
+    assert.deepEqual(interchange.validateMapping({ courseName: 'Title', colour: 'Tags', platform: 'Vendor', category: null }, columns, FIELDS), [
+        { field: 'mapping.colour', message: 'Unknown certificate field: colour' },
+        { field: 'mapping.platform', message: 'No column named "Vendor"' }
+    ]);
+    assert.equal(interchange.validateMapping(['Title'], columns, FIELDS)[0].field, 'mapping');
+});
+
+test('CSV rows are mapped onto certificate fields, numbered as in the file', () => {
+    const csv = 'Course,Platform,Completed,Skills,Comment\r\n"Statistics, Applied",edX,15 March 2024,SQL; R,ignored\r\nDashboards,Coursera,2024-04-01,"Tableau, Excel",\r\n';
+    const parsed = interchange.readCsvImport(csv, { fields: FIELDS });
+
+    assert.deepEqual(parsed.unmappedColumns, ['Comment']);
+    assert.deepEqual(parsed.rows, [
+        { row: 2, record: { courseName: 'Statistics, Applied', platform: 'edX', completionDate: '2024-03-15', skills: ['SQL', 'R'] } },
+        { row: 3, record: { courseName: 'Dashboards', platform: 'Coursera', completionDate: '2024-04-01', skills: ['Tableau', 'Excel'] } }
+    ]);
+
+    const explicit = interchange.readCsvImport(csv, { mapping: { courseName: 'Comment', platform: 'Platform' }, fields: FIELDS });
+    assert.deepEqual(explicit.rows.map(entry => entry.record), [{ courseName: 'ignored', platform: 'edX' }, { platform: 'Coursera' }]);
+});
+
+test('JSON Resume certificates are read from a document or its certificates array', () => {
+    const entries = [{ name: 'Cloud Basics', issuer: 'AWS', date: '2023-06', url: 'https://example.com/c/1' }, { name: 'Kubernetes', date: '2022' }];
+    assert.deepEqual(interchange.readJsonResume({ basics: { name: 'Jane Doe' }, certificates: entries }), [
+        { row: 0, record: { courseName: 'Cloud Basics', institution: 'AWS', platform: 'AWS', completionDate: '2023-06-01', certificateUrl: 'https://example.com/c/1' } },
+        { row: 1, record: { courseName: 'Kubernetes', completionDate: '2022-01-01' } }
+    ]);
+    assert.deepEqual(interchange.readJsonResume([null]), [{ row: 0, record: {} }]);
+    assert.throws(() => interchange.readJsonResume({ basics: {} }), /"certificates" array/);
+});
+
+test('a CSV export reads back in through the suggested mapping', () => {
+    const csv = interchange.toCsv([CERTIFICATE]);
+    assert.equal(csv.split('\r\n')[1], 'cert_001,"Data Analysis, Part 1",Coursera,Example University,Data Science,2024-03-15,2024-03-15,2027-03-15,,40,,,,https://example.com/verify/1,SQL; Tableau');
+
+    const [{ record }] = interchange.readCsvImport(csv, { fields: [...FIELDS, 'expiryDate'] }).rows;
+    assert.deepEqual(record, {
+        courseName: 'Data Analysis, Part 1',
+        platform: 'Coursera',
+        institution: 'Example University',
+        category: 'Data Science',
+        completionDate: '2024-03-15',
+        hours: '40',
+        skills: ['SQL', 'Tableau'],
+        certificateUrl: 'https://example.com/verify/1',
+        expiryDate: '2027-03-15'
+    });
+});
+
+test('JSON Resume and Europass exports describe the user and each certificate', () => {
+    const user = { name: 'Jane van Doe', bio: 'Analyst', github: 'https://github.com/jane' };
+    const lastModified = new Date('2024-05-01T00:00:00Z');
+
+    const resume = interchange.toJsonResume(user, [CERTIFICATE], { profileUrl: 'https://example.com/profile.html?user=user1', lastModified });
+    assert.deepEqual(resume.basics.profiles, [{ network: 'GitHub', url: 'https://github.com/jane' }]);
+    assert.deepEqual(resume.certificates, [{ name: 'Data Analysis, Part 1', date: '2024-03-15', issuer: 'Example University', url: 'https://example.com/verify/1' }]);
+    assert.deepEqual(resume.skills, [{ name: 'SQL' }, { name: 'Tableau' }]);
+    assert.equal(resume.meta.lastModified, '2024-05-01T00:00:00.000Z');
+
+    const xml = interchange.toEuropassXml(user, [{ ...CERTIFICATE, courseName: 'Q&A <Basics>' }], { now: lastModified });
+    assert.match(xml, /<FirstName>Jane<\/FirstName>\s*<Surname>van Doe<\/Surname>/);
+    assert.match(xml, /<From year="2024" month="--03" day="---15"\/>\s*<To year="2027" month="--03" day="---15"\/>/);
+    assert.match(xml, /<Title>Q&amp;A &lt;Basics&gt;<\/Title>/);
+    assert.match(xml, /<CreationDate>2024-05-01T00:00:00.000Z<\/CreationDate>/);
+});
+
+test('a CSV import is previewed, then stored with a report on every row', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user3: PASSWORD } });
+    t.after(stop);
+    const token = await login('user3', PASSWORD);
+    const total = async () => (await request('GET', '/api/certificates/user3', { token })).body.data.statistics.totalCertificates;
+    const before = await total();
+    const existing = (await request('GET', '/api/certificates/user3/cert_012', { token })).body.data;
+
+    const csv = [
+        'Course Name,Provider,Completed,Skills',
+        'Spreadsheet Modelling,Coursera,2024-02-10,Excel; Statistics',
+        `"${existing.courseName}",${existing.platform},${existing.completionDate},`,
+        'Undated Course,edX,,',
+        'Spreadsheet Modelling,Coursera,2024-02-10,'
+    ].join('\n');
+    const body = { csv, defaults: { institution: 'Example University', category: 'Data Science' } };
+
+    const preview = await request('POST', '/api/certificates/user3/import', { body: { ...body, preview: true }, token });
+    assert.equal(preview.status, 200);
+    assert.deepEqual(preview.body.data.summary, { rows: 4, imported: 1, duplicates: 2, invalid: 1 });
+    assert.deepEqual(preview.body.data.imported, []);
+    assert.equal(await total(), before);
+
+    const imported = await request('POST', '/api/certificates/user3/import', { body, token });
+    assert.equal(imported.status, 201);
+    assert.equal(imported.body.data.format, 'csv');
+    assert.deepEqual(imported.body.data.rows.map(entry => [entry.row, entry.status]), [[2, 'imported'], [3, 'duplicate'], [4, 'invalid'], [5, 'duplicate']]);
+    assert.equal(imported.body.data.rows[1].duplicateOf, 'cert_012');
+    assert.equal(imported.body.data.rows[2].errors[0].field, 'completionDate');
+    assert.equal(imported.body.data.rows[3].duplicateOf, 'row 2');
+
+    const [stored] = imported.body.data.imported;
+    assert.equal(stored.id, imported.body.data.rows[0].certificateId);
+    assert.equal(stored.verificationStatus, 'Pending');
+    assert.equal(stored.institution, 'Example University');
+    assert.deepEqual(stored.skills, ['Excel', 'Statistical Analysis']);
+    assert.equal(await total(), before + 1);
+
+    // The same file again adds nothing
+    const again = await request('POST', '/api/certificates/user3/import', { body, token });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.data.summary.imported, 0);
+});
+
+test('JSON Resume certificates are imported with defaults for what the resume lacks', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user2: PASSWORD } });
+    t.after(stop);
+    const token = await login('user2', PASSWORD);
+
+    const resume = { certificates: [{ name: 'Terraform Associate', issuer: 'HashiCorp', date: '2024-02', url: 'https://example.com/tf' }] };
+    const imported = await request('POST', '/api/certificates/user2/import', { body: { resume, defaults: { category: 'Cloud Computing' } }, token });
+
+    assert.equal(imported.status, 201);
+    assert.equal(imported.body.data.format, 'jsonresume');
+    assert.equal(imported.body.data.columns, undefined);
+    const [stored] = imported.body.data.imported;
+    assert.deepEqual([stored.courseName, stored.platform, stored.completionDate, stored.category], ['Terraform Associate', 'HashiCorp', '2024-02-01', 'Cloud Computing']);
+    assert.equal((await request('GET', `/api/certificates/user2/${stored.id}`)).status, 200);
+});
+
+test('an import needs one file, a column for each required field and the owner\'s token', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user2: PASSWORD } });
+    t.after(stop);
+    const token = await login('user2', PASSWORD);
+    const csv = 'Course,Platform\nIntro to R,edX\n';
+
+    assert.equal((await request('POST', '/api/certificates/user2/import', { body: { csv } })).status, 401);
+
+    const neither = await request('POST', '/api/certificates/user2/import', { body: {}, token });
+    assert.equal(neither.status, 400);
+    assert.equal(neither.body.details[0].field, 'csv');
+    assert.equal((await request('POST', '/api/certificates/user2/import', { body: { csv, resume: [] }, token })).status, 400);
+
+    const unmapped = await request('POST', '/api/certificates/user2/import', { body: { csv }, token });
+    assert.equal(unmapped.status, 400);
+    assert.deepEqual(unmapped.body.details.map(detail => detail.field), ['mapping.institution', 'mapping.category', 'mapping.completionDate']);
+
+    const badMapping = await request('POST', '/api/certificates/user2/import', { body: { csv, mapping: { courseName: 'Title' }, preview: true }, token });
+    assert.equal(badMapping.status, 400);
+    assert.ok(badMapping.body.details.some(detail => detail.field === 'mapping.courseName'));
+
+    const badResume = await request('POST', '/api/certificates/user2/import', { body: { resume: { basics: {} } }, token });
+    assert.equal(badResume.body.details[0].field, 'resume');
+});
+
+test('the certificate list downloads as CSV, JSON Resume or Europass', async (t) => {
+    const { baseUrl, stop } = await startServer();
+    t.after(stop);
+    const download = async (format) => {
+        const response = await fetch(`${baseUrl}/api/certificates/user1?format=${format}`);
+        return { status: response.status, headers: response.headers, text: await response.text() };
+    };
+
+    const csv = await download('csv');
+    assert.equal(csv.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.equal(csv.headers.get('content-disposition'), 'attachment; filename="user1-certificates.csv"');
+    const lines = csv.text.trim().split('\r\n');
+    assert.equal(lines[0], interchange.toCsv([]).trim());
+    assert.equal(lines.length, 7);
+
+    const resume = await download('jsonresume');
+    assert.equal(resume.headers.get('content-disposition'), 'attachment; filename="user1-certificates.resume.json"');
+    const document = JSON.parse(resume.text);
+    assert.equal(document.basics.url, `${baseUrl}/profile.html?user=user1`);
+    assert.equal(document.certificates.length, 6);
+
+    const europass = await download('europass');
+    assert.equal(europass.headers.get('content-type'), 'application/xml; charset=utf-8');
+    assert.equal(europass.headers.get('content-disposition'), 'attachment; filename="user1-certificates.xml"');
+    assert.equal(europass.text.match(/<Education>/g).length, 6);
+
+    assert.equal((await download('docx')).status, 400);
+});
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const openBadges = require('../lib/open-badges');
+const { createSigner } = require('../lib/signing');
+const { startServer } = require('./helpers/server');
+
+const BASE_URL = 'https://credentials.example';
+const PASSWORD = 'open-badges-test-password';
+
+const USER = { id: 'user1', name: 'Jane Doe' };
+const CERTIFICATE = {
+    id: 'cert_001',
+    courseName: 'Machine Learning',
+    platform: 'Coursera',
+    institution: 'Stanford University',
+    category: 'Data Science',
+    completionDate: '2024-03-12',
+    expiryDate: null,
+    certificateUrl: 'https://www.coursera.org/verify/ML7QX2K9PZ4A',
+    grade: '97.5%',
+    skills: ['Python', 'Machine Learning'],
+    verificationStatus: 'Verified'
+};
+
+const tempSigner = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'open-badges-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return createSigner({ keyFile: path.join(dir, 'signing-key.pem') });
+};
+
+test('a certificate survives export and import', () => {
+    const credential = openBadges.toOpenBadgeCredential(USER, CERTIFICATE, { baseUrl: BASE_URL });
+    const { description, issueDate, ...record } = openBadges.fromOpenBadgeCredential(credential);
+
+    assert.deepEqual(record, {
+        courseName: 'Machine Learning',
+        platform: 'Coursera',
+        institution: 'Stanford University',
+        category: 'Data Science',
+        completionDate: '2024-03-12',
+        expiryDate: null,
+        certificateUrl: 'https://www.coursera.org/verify/ML7QX2K9PZ4A',
+        grade: '97.5%',
+        skills: ['Python', 'Machine Learning']
+    });
+    assert.equal(issueDate, '2024-03-12');
+    assert.equal(description, 'Machine Learning');
+});
+
+test('proofs verify only for this server\'s key and unchanged content', (t) => {
+    const signer = tempSigner(t);
+    const otherSigner = tempSigner(t);
+    const signed = openBadges.signCredential(openBadges.toOpenBadgeCredential(USER, CERTIFICATE, { baseUrl: BASE_URL }), signer, { baseUrl: BASE_URL });
+
+    assert.equal(openBadges.verifyCredentialProof(signed, signer), true);
+    assert.equal(openBadges.verifyCredentialProof(signed, otherSigner), false);
+    assert.equal(openBadges.verifyCredentialProof({ ...signed, name: 'Something else' }, signer), false);
+    assert.equal(openBadges.verifyCredentialProof({ ...signed, proof: undefined }, signer), false);
+    assert.equal(openBadges.verifyCredentialProof({ ...signed, proof: { ...signed.proof, proofValue: 'z111' } }, signer), false);
+});
+
+test('credentialHolder reads the profile a credential was made out to', () => {
+    const credential = openBadges.toOpenBadgeCredential(USER, CERTIFICATE, { baseUrl: BASE_URL });
+    assert.equal(openBadges.credentialHolder(credential), 'user1');
+
+    assert.equal(openBadges.credentialHolder({ credentialSubject: { id: 'did:example:123' } }), null);
+    assert.equal(openBadges.credentialHolder({ credentialSubject: { id: 'https://elsewhere.example/people/1' } }), null);
+    assert.equal(openBadges.credentialHolder({}), null);
+});
+
+test('only http(s) links become the certificate URL', () => {
+    const credential = {
+        type: ['VerifiableCredential', 'OpenBadgeCredential'],
+        id: 'urn:uuid:2f5b8a54-8f3e-4b0e-9b61-7a0e5f3d1c2b',
+        name: 'Cloud Basics',
+        credentialSubject: { activityEndDate: '2024-01-05T00:00:00Z' },
+        evidence: [{ id: 'javascript:alert(1)' }, { id: 'https://issuer.example/evidence/42' }]
+    };
+    assert.equal(openBadges.fromOpenBadgeCredential(credential).certificateUrl, 'https://issuer.example/evidence/42');
+
+    const noLinks = { ...credential, evidence: [{ id: 'data:text/html,hi' }] };
+    assert.equal(openBadges.fromOpenBadgeCredential(noLinks).certificateUrl, undefined);
+
+    assert.throws(() => openBadges.fromOpenBadgeCredential({ name: 'No type' }), /not a Verifiable Credential/);
+});
+
+test('exports are signed only for verified certificates', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const verified = await request('GET', '/api/openbadges/user1/cert_001');
+    assert.ok(verified.body.proof);
+
+    const created = await request('POST', '/api/certificates/user1', {
+        body: { courseName: 'Unchecked Course', platform: 'Udemy', institution: 'Udemy', category: 'Business', completionDate: '2024-02-01' },
+        token
+    });
+    const pending = await request('GET', `/api/openbadges/user1/${created.body.data.id}`);
+    assert.equal(pending.body.proof, undefined);
+});
+
+test('an import is verified only for the holder of a credential this server signed', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const someoneElses = (await request('GET', '/api/openbadges/user2/cert_007')).body;
+    const taken = await request('POST', '/api/openbadges/user1', { body: someoneElses, token });
+    assert.equal(taken.status, 201);
+    assert.equal(taken.body.data.imported[0].verificationStatus, 'Pending');
+
+    const own = (await request('GET', '/api/openbadges/user1/cert_001')).body;
+    await request('DELETE', '/api/certificates/user1/cert_001', { token });
+    const reimported = await request('POST', '/api/openbadges/user1', { body: [own], token });
+    assert.equal(reimported.body.data.imported[0].verificationStatus, 'Verified');
+
+    const edited = await request('POST', '/api/openbadges/user1', { body: { ...own, id: `${own.id}-copy`, name: 'Edited' }, token });
+    assert.equal(edited.body.data.imported[0].verificationStatus, 'Pending');
+});
+
+test('defaults cannot add claims to a verified import', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const own = (await request('GET', '/api/openbadges/user1/cert_001')).body;
+    await request('DELETE', '/api/certificates/user1/cert_001', { token });
+    const imported = await request('POST', '/api/openbadges/user1', {
+        body: { credentials: [own], defaults: { hours: 999, credentialId: 'FAKE-1', instructor: 'Andrew Ng' } },
+        token
+    });
+
+    const [certificate] = imported.body.data.imported;
+    assert.equal(certificate.verificationStatus, 'Verified');
+    assert.equal(certificate.hours, 0);
+    assert.equal(certificate.credentialId, undefined);
+    assert.equal(certificate.instructor, 'Andrew Ng');
+
+    const someoneElses = (await request('GET', '/api/openbadges/user2/cert_007')).body;
+    const pending = await request('POST', '/api/openbadges/user1', { body: { credentials: [someoneElses], defaults: { hours: 12 } }, token });
+    assert.equal(pending.body.data.imported[0].verificationStatus, 'Pending');
+    assert.equal(pending.body.data.imported[0].hours, 12);
+});
+
+test('a credential exported from a certificate still in the portfolio is not imported again', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+    const before = (await request('GET', '/api/certificates/user1')).body.data.length;
+
+    const own = (await request('GET', '/api/openbadges/user1/cert_001')).body;
+    const response = await request('POST', '/api/openbadges/user1', { body: { credentials: [own], defaults: { hours: 999 } }, token });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.imported, []);
+    assert.equal(response.body.data.skipped[0].reason, 'Credential was exported from cert_001');
+    assert.equal((await request('GET', '/api/certificates/user1')).body.data.length, before);
+});
+
+test('the import body must hold a list of credential objects', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    for (const body of [{ credentials: 'not a list' }, { credentials: [] }, { credentials: ['text'] }, []]) {
+        const response = await request('POST', '/api/openbadges/user1', { body, token });
+        assert.equal(response.status, 400, JSON.stringify(body));
+        assert.equal(response.body.error, 'Validation failed');
+    }
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// Checks that what the routes return is what /api/openapi.json says they return: a declared status,
+// the declared media type and, for JSON, a body matching the declared schema.
+
+// Enough of JSON Schema for the documents buildSpec produces: $ref, type, nullable, enum, required,
+// properties, items, string/number/array bounds and date formats. Returns a list of problems.
+const check = (spec, schema, value, at = 'body') => {
+    if (schema.$ref) return check(spec, spec.components.schemas[schema.$ref.split('/').pop()], value, at);
+    if (value === null) return schema.nullable || !schema.type ? [] : [`${at} is null`];
+
+    const problems = [];
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (schema.type) {
+        const matches = schema.type === 'integer' ? Number.isInteger(value) : schema.type === actualType;
+        if (!matches) return [`${at} should be ${schema.type}, got ${actualType}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) problems.push(`${at} should be one of ${schema.enum.join(', ')}`);
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) problems.push(`${at} is not a date-time`);
+    if (schema.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) problems.push(`${at} is not a date`);
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) problems.push(`${at} does not match ${schema.pattern}`);
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${at} is below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${at} is above ${schema.maximum}`);
+    if (actualType === 'object') {
+        (schema.required || []).filter(field => value[field] === undefined).forEach(field => problems.push(`${at}.${field} is missing`));
+        Object.entries(schema.properties || {})
+            .filter(([field]) => value[field] !== undefined)
+            .forEach(([field, fieldSchema]) => problems.push(...check(spec, fieldSchema, value[field], `${at}.${field}`)));
+    }
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => problems.push(...check(spec, schema.items, item, `${at}[${index}]`)));
+    }
+    return problems;
+};
+
+// The operation of the spec serving `method path`, with {param} templates matched segment by segment
+const findOperation = (spec, method, urlPath) => {
+    const segments = urlPath.split('/');
+    const template = Object.keys(spec.paths).find(candidate => {
+        const parts = candidate.split('/');
+        return parts.length === segments.length && parts.every((part, index) => {
+            const pattern = new RegExp(`^${part.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{\w+\}/g, '[^/]+')}$`);
+            return pattern.test(segments[index]);
+        });
+    });
+    return template && spec.paths[template][method.toLowerCase()];
+};
+
+test('routes answer as /api/openapi.json documents them', async (t) => {
+    const { baseUrl, stop } = await startServer();
+    t.after(stop);
+
+    const spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+    let token;
+
+    // Calls one route through the versioned API (the spec's paths) and checks the response
+    const call = async (method, url, { body, auth = false, expect } = {}) => {
+        const response = await fetch(baseUrl + url.replace(/^\/api\//, '/api/v1/'), {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(auth ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const urlPath = new URL(response.url).pathname;
+        const operation = findOperation(spec, method, urlPath);
+        assert.ok(operation, `${method} ${urlPath} is not in the spec`);
+        if (expect) assert.equal(response.status, expect, `${method} ${url} answered ${response.status}`);
+
+        const declared = operation.responses[String(response.status)];
+        assert.ok(declared, `${method} ${url} answered ${response.status}, which is not documented`);
+        const [mediaType, { schema }] = Object.entries(declared.content)[0];
+        const contentType = (response.headers.get('content-type') || '').split(';')[0];
+        const matchesType = mediaType.endsWith('/*') ? contentType.startsWith(mediaType.slice(0, -1)) : contentType === mediaType;
+        assert.ok(matchesType, `${method} ${url} sent ${contentType}, documented as ${mediaType}`);
+
+        if (mediaType !== 'application/json') return response.text();
+        const json = await response.json();
+        assert.deepEqual(check(spec, schema, json), [], `${method} ${url} does not match its schema`);
+        return json;
+    };
+
+    const registered = await call('POST', '/api/auth/register', {
+        body: { name: 'Contract Test', email: 'contract@example.com', password: 'contract-password' },
+        expect: 201
+    });
+    token = registered.data.token;
+    const me = registered.data.user.id;
+
+    await t.test('public reads', async () => {
+        await call('GET', '/api/health', { expect: 200 });
+        await call('GET', '/api/users', { expect: 200 });
+        await call('GET', '/api/certificates/user1?sortBy=newest&limit=2', { expect: 200 });
+        await call('GET', '/api/certificates/user1/cert_001', { expect: 200 });
+        await call('GET', '/api/analytics/user1', { expect: 200 });
+        await call('GET', '/api/recommendations/user1', { expect: 200 });
+        await call('GET', '/api/achievements/user1', { expect: 200 });
+        await call('GET', '/api/goals/user1', { expect: 200 });
+        await call('GET', '/api/openbadges/user1', { expect: 200 });
+        await call('GET', '/api/connectors', { expect: 200 });
+        await call('GET', '/api/skills', { expect: 200 });
+        await call('GET', '/api/search?q=python', { expect: 200 });
+        await call('POST', '/api/talent/search', { body: { skills: ['Python'] }, expect: 200 });
+        await call('GET', '/api/docs', { expect: 200 });
+        await call('GET', '/api/badge/user1.svg', { expect: 200 });
+        await call('GET', '/api/portfolio/user1.html', { expect: 200 });
+        await call('GET', '/.well-known/jwks.json', { expect: 200 });
+    });
+
+    await t.test('errors use the documented envelopes', async () => {
+        await call('GET', '/api/certificates/nobody', { expect: 404 });
+        await call('GET', '/api/certificates/user1?limit=-1', { expect: 400 });
+        await call('POST', '/api/certificates/user1', { body: { courseName: 'x' }, expect: 401 });
+        await call('POST', '/api/certificates/user1', { body: { courseName: 'x' }, auth: true, expect: 403 });
+        await call('POST', `/api/certificates/${me}`, { body: { certificateUrl: 'javascript:alert(1)' }, auth: true, expect: 400 });
+    });
+
+    await t.test('signed-in writes', async () => {
+        await call('GET', '/api/auth/me', { auth: true, expect: 200 });
+        const created = await call('POST', `/api/certificates/${me}`, {
+            body: { courseName: 'Contract Testing', platform: 'Coursera', institution: 'Example University', category: 'Software Engineering', completionDate: '2024-05-01', skills: ['Testing'] },
+            auth: true,
+            expect: 201
+        });
+        const certId = created.data.id;
+        await call('PATCH', `/api/certificates/${me}/${certId}`, { body: { grade: 'A' }, auth: true, expect: 200 });
+        await call('GET', `/api/certificates/${me}/${certId}/history`, { auth: true, expect: 200 });
+        await call('GET', `/api/certificates/${me}/duplicates`, { auth: true, expect: 200 });
+        await call('POST', `/api/goals/${me}`, { body: { title: 'Learn testing', type: 'certificates', target: 2 }, auth: true, expect: 201 });
+
+        const share = await call('POST', `/api/shares/${me}`, { body: { label: 'Contract' }, auth: true, expect: 201 });
+        await call('GET', `/api/shares/${me}`, { auth: true, expect: 200 });
+        await call('GET', `/api/shared/${share.data.slug}`, { expect: 200 });
+        await call('GET', `/api/notifications/${me}`, { auth: true, expect: 200 });
+
+        await call('POST', '/api/orgs', { body: { name: 'Contract Org' }, auth: true, expect: 201 });
+        await call('GET', '/api/orgs', { auth: true, expect: 200 });
+
+        await call('DELETE', `/api/certificates/${me}/${certId}`, { auth: true, expect: 200 });
+    });
+});
+
+test('every operation in /api/openapi.json has its own summary', async (t) => {
+    const { baseUrl, stop } = await startServer();
+    t.after(stop);
+
+    const spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+    const missing = Object.entries(spec.paths).flatMap(([urlPath, operations]) => Object.entries(operations)
+        .filter(([method, operation]) => !operation.summary || operation.summary === `${method.toUpperCase()} ${urlPath}` || /^[A-Z]+ \//.test(operation.summary))
+        .map(([method]) => `${method.toUpperCase()} ${urlPath}`));
+
+    assert.deepEqual(missing, []);
+});
+
+test('/api/docs describes parameters from the same schemas as /api/openapi.json', async (t) => {
+    const { baseUrl, stop } = await startServer();
+    t.after(stop);
+
+    const spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+    const docs = await (await fetch(`${baseUrl}/api/docs`)).json();
+    const sortBy = spec.paths['/api/v1/certificates/{userid}'].get.parameters.find(parameter => parameter.name === 'sortBy');
+
+    const described = docs.parameters['GET /api/certificates/:userid'].query.sortBy;
+    sortBy.schema.enum.forEach(order => assert.match(described, new RegExp(`\\b${order}\\b`)));
+    assert.ok(docs.parameters['POST /api/talent/search'].body.skills);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const orgs = require('../lib/orgs');
+
+const NOW = new Date('2024-06-01T00:00:00Z');
+
+const ORG = {
+    id: 'org_1',
+    name: 'Analytics Guild',
+    teams: [{ id: 'team_data', name: 'Data' }],
+    members: [
+        { userId: 'user1', role: 'owner', teamId: 'team_data' },
+        { userId: 'user2', role: 'admin', teamId: null },
+        { userId: 'user3', role: 'member', teamId: 'team_data' }
+    ]
+};
+
+const statistics = (overrides) => ({
+    totalHours: 0,
+    totalCredits: 0,
+    skillsCount: 0,
+    platforms: [],
+    verificationStatus: { verified: 0, pending: 0, expired: 0 },
+    ...overrides
+});
+
+const ENTRIES = [
+    {
+        member: ORG.members[0],
+        user: { id: 'user1', name: 'Jane Doe' },
+        team: ORG.teams[0],
+        certificates: [
+            { id: 'cert_001', courseName: 'SQL', platform: 'Coursera', category: 'Data', skills: ['SQL', 'Python'], completionDate: '2024-01-10', expiryDate: '2024-06-20', daysUntilExpiry: 19, isExpired: false },
+            { id: 'cert_002', courseName: 'Tableau', platform: 'Udemy', category: 'Data', skills: ['Tableau'], completionDate: '2023-03-01', expiryDate: '2024-01-01', daysUntilExpiry: -152, isExpired: true }
+        ],
+        statistics: statistics({ totalHours: 30, totalCredits: 2, skillsCount: 3, platforms: ['Coursera', 'Udemy'], verificationStatus: { verified: 1, pending: 0, expired: 1 } })
+    },
+    {
+        member: ORG.members[1],
+        user: { id: 'user2', name: 'John "JR" Roe' },
+        team: null,
+        certificates: [
+            { id: 'cert_003', courseName: 'Python', platform: 'Coursera', category: 'Programming', skills: ['Python'], completionDate: '2024-02-01', expiryDate: null }
+        ],
+        statistics: statistics({ totalHours: 10, skillsCount: 1, platforms: ['Coursera'], verificationStatus: { verified: 0, pending: 1, expired: 0 } })
+    },
+    { member: ORG.members[2], user: { id: 'user3', name: 'Amy Poe' }, team: ORG.teams[0], certificates: [], statistics: statistics() }
+];
+
+test('owners and admins manage the org; members do not', () => {
+    assert.equal(orgs.canManage(ORG, 'user1'), true);
+    assert.equal(orgs.canManage(ORG, 'user2'), true);
+    assert.equal(orgs.canManage(ORG, 'user3'), false);
+    assert.equal(orgs.canManage(ORG, 'user9'), false);
+    assert.equal(orgs.membership(ORG, 'user9'), null);
+});
+
+test('a new organization starts with its creator as owner', () => {
+    const org = orgs.newOrganization({ name: 'Guild', teams: ['Data', 'Design'] }, 'user1', NOW);
+    assert.match(org.id, /^org_[0-9a-f]{8}$/);
+    assert.deepEqual(org.teams.map(team => team.name), ['Data', 'Design']);
+    assert.deepEqual(org.members, [{ userId: 'user1', role: 'owner', teamId: null, joinedAt: NOW.toISOString() }]);
+});
+
+test('validateMember checks the role and that the team belongs to the org', () => {
+    assert.deepEqual(orgs.validateMember({}, ORG), { errors: [], changes: { role: 'member', teamId: null } });
+    assert.deepEqual(orgs.validateMember({ teamId: 'team_data' }, ORG, { partial: true }), { errors: [], changes: { teamId: 'team_data' } });
+
+    const { errors } = orgs.validateMember({ role: 'superuser', teamId: 'team_other' }, ORG);
+    assert.deepEqual(errors.map(error => error.field), ['role', 'teamId']);
+
+    const names = [];
+    assert.equal(orgs.validateName('  ', 'name', names), false);
+    assert.equal(names.length, 1);
+});
+
+test('the last owner cannot step down or leave', () => {
+    assert.equal(orgs.wouldLoseLastOwner(ORG, 'user1', 'admin'), true);
+    assert.equal(orgs.wouldLoseLastOwner(ORG, 'user1', undefined), true);
+    assert.equal(orgs.wouldLoseLastOwner(ORG, 'user1', 'owner'), false);
+    assert.equal(orgs.wouldLoseLastOwner(ORG, 'user2', 'member'), false);
+
+    const twoOwners = { ...ORG, members: ORG.members.map(member => ({ ...member, role: member.userId === 'user2' ? 'owner' : member.role })) };
+    assert.equal(orgs.wouldLoseLastOwner(twoOwners, 'user1', 'member'), false);
+});
+
+test('summarizeMembers rolls up certificates, skills and expiries', () => {
+    const summary = orgs.summarizeMembers(ENTRIES, {
+        normalizeSkills: skills => [...new Set(skills)],
+        skillRoots: [{ name: 'Programming', includes: skill => ['Python', 'SQL'].includes(skill) }],
+        expiringWithinDays: 30
+    });
+
+    assert.equal(summary.members, 3);
+    assert.equal(summary.activeMembers, 2);
+    assert.equal(summary.totalCertificates, 3);
+    assert.equal(summary.totalHours, 40);
+    assert.equal(summary.averageHoursPerMember, 13.3);
+    assert.deepEqual(summary.verificationStatus, { verified: 1, pending: 1, expired: 1 });
+    assert.deepEqual(summary.platformDistribution, [{ platform: 'Coursera', count: 2 }, { platform: 'Udemy', count: 1 }]);
+    assert.deepEqual(summary.skills.topSkills[0], { skill: 'Python', members: 2, coverage: 66.7 });
+    assert.deepEqual(summary.skills.areas, [{ area: 'Programming', members: 2, coverage: 66.7 }]);
+    assert.deepEqual(summary.expiring.certificates.map(item => item.certificateId), ['cert_002', 'cert_001']);
+    assert.equal(summary.expiring.expired, 1);
+    assert.equal(summary.expiring.expiringSoon, 1);
+});
+
+test('an org without members summarizes to zeros', () => {
+    const summary = orgs.summarizeMembers([], { normalizeSkills: skills => skills });
+    assert.equal(summary.averageHoursPerMember, 0);
+    assert.deepEqual(summary.skills.topSkills, []);
+});
+
+test('the CSV export has one quoted-as-needed row per member', () => {
+    const csv = orgs.toCsv(ENTRIES.map(entry => orgs.memberRow(entry, { expiringWithinDays: 30 })));
+    const lines = csv.split('\r\n');
+
+    assert.equal(lines[0], 'User ID,Name,Role,Team,Certificates,Verified,Hours,Credits,Skills,Platforms,Expiring soon,Expired,Last completion');
+    assert.equal(lines[1], 'user1,Jane Doe,owner,Data,2,1,30,2,3,Coursera; Udemy,1,1,2024-01-10');
+    assert.equal(lines[2], 'user2,"John ""JR"" Roe",admin,,1,0,10,0,1,Coursera,0,0,2024-02-01');
+    assert.equal(lines[3], 'user3,Amy Poe,member,Data,0,0,0,0,0,,0,0,');
+    assert.equal(lines[4], '');
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const portfolio = require('../lib/portfolio');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'portfolio-test-password';
+
+const USER = { id: 'user1', name: 'Jane <Doe>', location: 'Pune' };
+const STATISTICS = { totalCertificates: 1, totalHours: 10, totalCredits: 0, platforms: ['Coursera'], verificationStatus: { verified: 0 } };
+
+const certificate = (overrides) => ({
+    id: 'cert_001',
+    courseName: 'Secure Coding',
+    platform: 'Coursera',
+    institution: 'Example University',
+    completionDate: '2024-03-12',
+    hours: 10,
+    skills: ['Security'],
+    verificationStatus: 'Pending',
+    verifyUrl: 'https://credentials.example/api/verify/cert_001',
+    ...overrides
+});
+
+const renderHtml = (certificates) => portfolio.renderPortfolioHtml({
+    user: USER,
+    statistics: STATISTICS,
+    skills: [],
+    certificates,
+    filters: {},
+    baseUrl: 'https://credentials.example',
+    generatedAt: '2024-06-01'
+});
+
+test('safeUrl keeps http(s) addresses and drops every other scheme', () => {
+    assert.equal(portfolio.safeUrl('https://www.coursera.org/verify/ABC'), 'https://www.coursera.org/verify/ABC');
+    assert.equal(portfolio.safeUrl('  http://example.com/a  '), 'http://example.com/a');
+    assert.equal(portfolio.safeUrl('javascript:alert(1)'), null);
+    assert.equal(portfolio.safeUrl('JAVASCRIPT:alert(1)'), null);
+    assert.equal(portfolio.safeUrl('data:text/html,<script>alert(1)</script>'), null);
+    assert.equal(portfolio.safeUrl('//evil.example'), null);
+    assert.equal(portfolio.safeUrl(undefined), null);
+});
+
+test('the HTML portfolio links only http(s) issuer records and escapes certificate text', () => {
+    const html = renderHtml([
+        certificate({ certificateUrl: 'javascript:alert(1)', courseName: '<img src=x onerror=alert(1)>' }),
+        certificate({ id: 'cert_002', certificateUrl: 'https://www.coursera.org/verify/ABC?a=1&b=2' })
+    ]);
+
+    assert.doesNotMatch(html, /javascript:/);
+    assert.doesNotMatch(html, /<img src=x/);
+    assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+    assert.match(html, /<a href="https:\/\/www\.coursera\.org\/verify\/ABC\?a=1&amp;b=2">Issuer record<\/a>/);
+    assert.match(html, /Jane &lt;Doe&gt;/);
+});
+
+test('certificate URLs must be http or https', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const rejected = await request('PATCH', '/api/certificates/user1/cert_001', { body: { certificateUrl: 'javascript:alert(document.cookie)' }, token });
+    assert.equal(rejected.status, 400);
+    assert.deepEqual(rejected.body.details.map(detail => detail.field), ['certificateUrl']);
+
+    const accepted = await request('PATCH', '/api/certificates/user1/cert_001', { body: { certificateUrl: 'https://www.coursera.org/verify/NEW123' }, token });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.data.certificateUrl, 'https://www.coursera.org/verify/NEW123');
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const recommendations = require('../lib/recommendations');
+const { createSkillRegistry } = require('../lib/skills');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'recommendations-test-password';
+
+const ROLES = [
+    { id: 'analyst', title: 'Analyst', skills: [{ name: 'SQL', weight: 3 }, { name: 'Tableau', weight: 2 }, { name: 'Python', weight: 1 }] },
+    { id: 'developer', title: 'Developer', skills: [{ name: 'JavaScript', weight: 3 }, { name: 'SQL', weight: 1 }] }
+];
+
+const course = (courseName, skills, extra = {}) => ({ courseName, platform: 'Coursera', hours: 10, skills, ...extra });
+
+// Role definitions written to a temporary file and loaded the way the server loads config/career-roles.json
+const loadRoles = (t, roles, options) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recommendations-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'career-roles.json');
+    fs.writeFileSync(file, JSON.stringify({ roles }));
+    return recommendations.loadRoles(file, options);
+};
+
+test('role definitions are checked and their skills given canonical names', (t) => {
+    const [role] = loadRoles(t, [{ id: 'analyst', title: 'Analyst', skills: [{ name: 'sql' }, { name: 'Tableau', weight: -1 }] }], {
+        canonicalName: name => (name === 'sql' ? 'SQL' : name)
+    });
+    assert.deepEqual(role.skills, [{ name: 'SQL', weight: 1 }, { name: 'Tableau', weight: 1 }]);
+
+    assert.throws(() => loadRoles(t, [{ id: 'empty', title: 'Empty', skills: [] }]), /at least one skill/);
+    assert.throws(() => loadRoles(t, { id: 'analyst' }), /"roles" must be an array/);
+});
+
+test('coverage is the share of a role\'s skill weight the user has', () => {
+    const coverage = recommendations.roleCoverage(ROLES[0], ['sql', 'Python']);
+    assert.equal(coverage.coverage, 66.7);
+    assert.deepEqual(coverage.matchedSkills, ['SQL', 'Python']);
+    assert.deepEqual(coverage.missingSkills, [{ name: 'Tableau', weight: 2 }]);
+});
+
+test('suggestions favour the closest roles and courses the user does not already hold', () => {
+    const result = recommendations.recommendCareers({
+        certificates: [course('Databases', ['SQL'])],
+        catalog: [
+            { holderId: 'user2', certificate: course('Databases', ['SQL', 'Tableau']) },
+            { holderId: 'user2', certificate: course('Dashboards', ['Tableau']) },
+            { holderId: 'user3', certificate: course('Dashboards', ['Tableau'], { hours: 99 }) },
+            { holderId: 'user3', certificate: course('Web Basics', ['JavaScript']) },
+            { holderId: 'user3', certificate: course('Cooking', ['Knife Skills']) }
+        ],
+        roles: ROLES
+    });
+
+    assert.deepEqual(result.careerPaths.map(role => [role.id, role.coverage]), [['analyst', 50], ['developer', 25]]);
+    assert.deepEqual(result.suggestedSkills, [
+        { skill: 'JavaScript', score: 3.75, roles: ['Developer'] },
+        { skill: 'Tableau', score: 3, roles: ['Analyst'] },
+        { skill: 'Python', score: 1.5, roles: ['Analyst'] }
+    ]);
+    assert.deepEqual(result.nextCertifications.map(item => [item.courseName, item.heldBy, item.newSkills]), [
+        ['Web Basics', 1, ['JavaScript']],
+        ['Dashboards', 2, ['Tableau']]
+    ]);
+
+    // A child skill (PostgreSQL below SQL) covers its parent, and a course teaching it fills the gap
+    const registry = createSkillRegistry();
+    const hierarchy = { roles: ROLES, normalizeSkills: registry.normalizeSkills, matchesSkill: registry.matchesSkill };
+    const postgres = recommendations.recommendCareers({ ...hierarchy, certificates: [course('Postgres Basics', ['PostgreSQL'])], catalog: [] });
+    assert.deepEqual(postgres.careerPaths[0].matchedSkills, ['SQL']);
+    const learner = recommendations.recommendCareers({ ...hierarchy, certificates: [], catalog: [{ holderId: 'user2', certificate: course('MySQL Essentials', ['MySQL']) }] });
+    assert.deepEqual(learner.nextCertifications.map(item => [item.courseName, item.newSkills]), [['MySQL Essentials', ['SQL']]]);
+
+    const focused = recommendations.recommendCareers({ certificates: [], catalog: [], roles: ROLES, roleId: 'developer' });
+    assert.deepEqual(focused.careerPaths.map(role => role.id), ['developer']);
+    assert.deepEqual(focused.suggestedSkills.map(entry => entry.skill), ['JavaScript', 'SQL']);
+});
+
+test('recommendations follow the certificates a user holds and the ones others share', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD, user3: PASSWORD } });
+    t.after(stop);
+    const analyst = async () => (await request('GET', '/api/recommendations/user1?role=data-analyst')).body.data.careerPaths[0];
+    const courses = async () => (await request('GET', '/api/recommendations/user1?limit=10')).body.data.nextCertifications.map(item => item.courseName);
+
+    assert.ok((await courses()).includes('Project Management Professional (PMP)'));
+    await request('PATCH', '/api/certificates/user3/cert_013', { body: { visibility: 'private' }, token: await login('user3', PASSWORD) });
+    assert.ok(!(await courses()).includes('Project Management Professional (PMP)'));
+
+    assert.equal((await analyst()).coverage, 100);
+    await request('DELETE', '/api/certificates/user1/cert_001', { token: await login('user1', PASSWORD) });
+    const reduced = await analyst();
+    // Data Analysis is still covered through Statistical Analysis and Data Wrangling, which sit below it
+    assert.equal(reduced.coverage, 35);
+    assert.deepEqual(reduced.matchedSkills, ['Data Analysis', 'Statistical Analysis', 'Python']);
+    assert.equal(reduced.missingSkills[0].name, 'SQL');
+});
+
+test('an unknown role or user is refused', async (t) => {
+    const { request, stop } = await startServer();
+    t.after(stop);
+
+    const unknownRole = await request('GET', '/api/recommendations/user1?role=astronaut');
+    assert.equal(unknownRole.status, 400);
+    assert.equal(unknownRole.body.details[0].field, 'role');
+    assert.equal((await request('GET', '/api/recommendations/user1?limit=50')).status, 400);
+    assert.equal((await request('GET', '/api/recommendations/user99')).status, 404);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseThresholds, reachedThreshold, createReminderScheduler } = require('../lib/reminders');
+
+// Repository stand-in holding the user records in memory
+const memoryRepository = (userData) => ({
+    userData,
+    update: async (mutate) => mutate(userData)
+});
+
+const userWith = (certificates) => ({
+    user1: {
+        id: 'user1',
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        certificates: certificates.map((cert, index) => ({
+            id: `cert_00${index + 1}`,
+            courseName: `Course ${index + 1}`,
+            platform: 'Coursera',
+            institution: 'Example University',
+            ...cert
+        }))
+    }
+});
+
+test('parseThresholds reads a comma-separated list, most distant first', () => {
+    assert.deepEqual(parseThresholds('7,90,30'), [90, 30, 7]);
+    assert.deepEqual(parseThresholds('30, 30, x, -1, 0'), [30]);
+    assert.deepEqual(parseThresholds(''), []);
+});
+
+test('reachedThreshold picks the most urgent threshold crossed', () => {
+    assert.equal(reachedThreshold(120, [90, 30, 7]), null);
+    assert.equal(reachedThreshold(90, [90, 30, 7]), '90');
+    assert.equal(reachedThreshold(12, [90, 30, 7]), '30');
+    assert.equal(reachedThreshold(1, [90, 30, 7]), '7');
+    assert.equal(reachedThreshold(0, [90, 30, 7]), 'expired');
+    assert.equal(reachedThreshold(-40, []), 'expired');
+});
+
+test('each threshold notifies once per expiry date', async () => {
+    let today = new Date('2024-01-01T09:00:00Z');
+    const repository = memoryRepository(userWith([{ expiryDate: '2024-03-01' }, { expiryDate: null }]));
+    const sent = [];
+    const scheduler = createReminderScheduler({
+        repository,
+        mailer: { transport: 'test', send: async (message) => sent.push(message) },
+        thresholds: [90, 30, 7],
+        now: () => today
+    });
+
+    const first = await scheduler.runOnce();
+    assert.equal(first.created, 1);
+    assert.equal(first.emailed, 1);
+    assert.deepEqual(sent[0].to, { name: 'Jane Doe', address: 'jane@example.com' });
+    assert.equal(sent[0].subject, 'Course 1 expires in 60 days');
+
+    assert.equal((await scheduler.runOnce()).created, 0);
+
+    today = new Date('2024-02-25T09:00:00Z');
+    const second = await scheduler.runOnce();
+    assert.equal(second.created, 1);
+    assert.equal(repository.userData.user1.notifications.map(notification => notification.threshold).join(','), '90,7');
+    assert.deepEqual(repository.userData.user1.reminders.cert_001, { expiryDate: '2024-03-01', sent: ['90', '30', '7'] });
+});
+
+test('a late run sends one reminder for thresholds missed while down', async () => {
+    const repository = memoryRepository(userWith([{ expiryDate: '2024-01-10' }]));
+    const scheduler = createReminderScheduler({ repository, thresholds: [90, 30, 7], now: () => new Date('2024-02-01T00:00:00Z') });
+
+    const result = await scheduler.runOnce();
+
+    assert.equal(result.created, 1);
+    assert.equal(result.emailed, 0);
+    assert.equal(repository.userData.user1.notifications[0].title, 'Course 1 has expired');
+    assert.deepEqual(repository.userData.user1.reminders.cert_001.sent.sort(), ['30', '7', '90', 'expired']);
+});
+
+test('renewing a certificate starts its reminders over', async () => {
+    let today = new Date('2024-01-01T00:00:00Z');
+    const repository = memoryRepository(userWith([{ expiryDate: '2024-01-05' }]));
+    const scheduler = createReminderScheduler({ repository, thresholds: [30], now: () => today });
+
+    assert.equal((await scheduler.runOnce()).created, 1);
+
+    repository.userData.user1.certificates[0].expiryDate = '2025-01-20';
+    today = new Date('2025-01-01T00:00:00Z');
+    assert.equal((await scheduler.runOnce()).created, 1);
+    assert.deepEqual(repository.userData.user1.reminders.cert_001, { expiryDate: '2025-01-20', sent: ['30'] });
+});
+
+test('failed emails are reported without losing the inbox notification', async () => {
+    const repository = memoryRepository(userWith([{ expiryDate: '2024-01-03' }]));
+    const scheduler = createReminderScheduler({
+        repository,
+        mailer: { transport: 'test', send: async () => { throw new Error('SMTP unavailable'); } },
+        thresholds: [7],
+        now: () => new Date('2024-01-01T00:00:00Z')
+    });
+
+    const result = await scheduler.runOnce();
+
+    assert.equal(result.emailed, 0);
+    assert.deepEqual(result.errors.map(error => error.message), ['SMTP unavailable']);
+    assert.equal(repository.userData.user1.notifications.length, 1);
+    assert.deepEqual(repository.userData.user1.reminders.cert_001, { expiryDate: '2024-01-03', sent: [], emailPending: { threshold: '7' } });
+});
+
+test('a failed email is sent again on the next run, without a second inbox notification', async () => {
+    const repository = memoryRepository(userWith([{ expiryDate: '2024-01-03' }]));
+    let available = false;
+    const sent = [];
+    const scheduler = createReminderScheduler({
+        repository,
+        mailer: {
+            transport: 'test',
+            send: async (message) => {
+                if (!available) throw new Error('SMTP unavailable');
+                sent.push(message);
+            }
+        },
+        thresholds: [7],
+        now: () => new Date('2024-01-01T00:00:00Z')
+    });
+
+    assert.equal((await scheduler.runOnce()).emailed, 0);
+    available = true;
+    const retry = await scheduler.runOnce();
+
+    assert.equal(retry.created, 0);
+    assert.equal(retry.emailed, 1);
+    assert.equal(sent[0].subject, 'Course 1 expires in 2 days');
+    assert.equal(repository.userData.user1.notifications.length, 1);
+    assert.deepEqual(repository.userData.user1.reminders.cert_001, { expiryDate: '2024-01-03', sent: ['7'] });
+    assert.equal((await scheduler.runOnce()).emailed, 0);
+});
+
+test('a user without an email address has reminders recorded as sent at once', async () => {
+    const userData = userWith([{ expiryDate: '2024-01-03' }]);
+    delete userData.user1.email;
+    const repository = memoryRepository(userData);
+    const sent = [];
+    const scheduler = createReminderScheduler({
+        repository,
+        mailer: { transport: 'test', send: async (message) => sent.push(message) },
+        thresholds: [7],
+        now: () => new Date('2024-01-01T00:00:00Z')
+    });
+
+    assert.equal((await scheduler.runOnce()).created, 1);
+    assert.deepEqual(sent, []);
+    assert.deepEqual(repository.userData.user1.reminders.cert_001, { expiryDate: '2024-01-03', sent: ['7'] });
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRepository } = require('../lib/repository');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'repository-test-password';
+
+const USERS = {
+    user1: { id: 'user1', name: 'Jane Doe', certificates: [{ id: 'cert_001', courseName: 'Machine Learning' }] },
+    user2: { id: 'user2', name: 'John Roe', certificates: [] }
+};
+
+// The SQLite backend needs better-sqlite3 or Node's built-in node:sqlite
+const sqliteAvailable = ['better-sqlite3', 'node:sqlite'].some(name => {
+    try {
+        require(name);
+        return true;
+    } catch (error) {
+        return false;
+    }
+});
+
+// A repository over a temporary copy of USERS, closed when the test ends
+const tempRepository = (t, options = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repository-test-'));
+    const dataFile = path.join(dir, 'data.json');
+    fs.writeFileSync(dataFile, JSON.stringify(USERS));
+    const repository = createRepository({ backend: 'json', dataFile, sqliteFile: path.join(dir, 'data.sqlite'), ...options });
+    t.after(() => {
+        repository.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { repository, dataFile };
+};
+
+test('an update is persisted and reported to listeners with what it changed', async (t) => {
+    const { repository, dataFile } = tempRepository(t);
+    const events = [];
+    repository.onChange((next, change) => events.push(change));
+
+    const result = await repository.update((userData) => {
+        userData.user1.name = 'Jane Smith';
+        delete userData.user2;
+        return 'done';
+    });
+
+    assert.equal(result, 'done');
+    assert.equal((await repository.getUser('USER1')).name, 'Jane Smith');
+    assert.equal(await repository.getUser('user2'), null);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(dataFile, 'utf8'))), ['user1']);
+    assert.deepEqual(events.map(({ changed, removed }) => ({ changed, removed })), [{ changed: ['user1'], removed: ['user2'] }]);
+    assert.equal(events[0].previous.user1.name, 'Jane Doe');
+});
+
+test('an update that changes nothing writes nothing', async (t) => {
+    const { repository, dataFile } = tempRepository(t);
+    let notified = 0;
+    repository.onChange(() => notified++);
+    const before = await repository.getVersion();
+    const written = fs.readFileSync(dataFile, 'utf8');
+
+    assert.equal(await repository.update((userData) => userData.user1.name), 'Jane Doe');
+
+    assert.equal(notified, 0);
+    assert.equal(fs.readFileSync(dataFile, 'utf8'), written);
+    assert.deepEqual(await repository.getVersion(), before);
+});
+
+test('concurrent updates are applied one after another', async (t) => {
+    const { repository } = tempRepository(t);
+
+    await Promise.all(Array.from({ length: 20 }, (_, index) => repository.update(async (userData) => {
+        await new Promise(resolve => setTimeout(resolve, index % 3));
+        userData.user2.certificates.push({ id: `cert_${index}` });
+    })));
+
+    assert.equal((await repository.getUser('user2')).certificates.length, 20);
+});
+
+test('a failed update is not persisted and does not block later ones', async (t) => {
+    const { repository } = tempRepository(t);
+
+    await assert.rejects(repository.update((userData) => {
+        userData.user1.name = 'Half-done';
+        throw new Error('mutator failed');
+    }), /mutator failed/);
+    assert.equal((await repository.getUser('user1')).name, 'Jane Doe');
+
+    await repository.update((userData) => { userData.user1.name = 'Jane Smith'; });
+    assert.equal((await repository.getUser('user1')).name, 'Jane Smith');
+});
+
+test('the data version follows the contents, across restarts and external edits', async (t) => {
+    const { repository, dataFile } = tempRepository(t);
+    const first = await repository.getVersion();
+
+    const reopened = createRepository({ backend: 'json', dataFile });
+    t.after(() => reopened.close());
+    assert.equal((await reopened.getVersion()).id, first.id);
+
+    await repository.update((userData) => { userData.user2.name = 'John Smith'; });
+    const second = await repository.getVersion();
+    assert.notEqual(second.id, first.id);
+
+    // Edited outside the server: the cache is dropped and the file read again
+    fs.writeFileSync(dataFile, JSON.stringify({ ...USERS, user2: { ...USERS.user2, name: 'Edited by hand' } }));
+    let name = null;
+    for (let attempt = 0; attempt < 40 && name !== 'Edited by hand'; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        name = (await repository.getUser('user2')).name;
+    }
+    assert.equal(name, 'Edited by hand');
+    assert.notEqual((await repository.getVersion()).id, second.id);
+});
+
+test('an unknown backend is refused', () => {
+    assert.throws(() => createRepository({ backend: 'mongodb' }), /Unknown STORAGE_BACKEND 'mongodb'/);
+});
+
+test('the SQLite backend starts from the JSON data and keeps changes', { skip: !sqliteAvailable && 'no SQLite driver on this Node.js' }, async (t) => {
+    const { repository, dataFile } = tempRepository(t, { backend: 'sqlite' });
+    assert.equal(repository.backend, 'sqlite');
+    assert.deepEqual(await repository.getUsers(), USERS);
+
+    await repository.update((userData) => { userData.user1.name = 'Jane Smith'; });
+    const reopened = createRepository({ backend: 'sqlite', dataFile, sqliteFile: path.join(path.dirname(dataFile), 'data.sqlite') });
+    t.after(() => reopened.close());
+    assert.equal((await reopened.getUser('user1')).name, 'Jane Smith');
+    assert.deepEqual(Object.keys(await reopened.getUsers()), ['user1', 'user2']);
+});
+
+test('certificates created at the same time are all kept', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user3: PASSWORD } });
+    t.after(stop);
+    const token = await login('user3', PASSWORD);
+    const before = (await request('GET', '/api/certificates/user3')).body.data.statistics.totalCertificates;
+
+    const created = await Promise.all(Array.from({ length: 5 }, (_, index) => request('POST', '/api/certificates/user3', {
+        body: { courseName: `Parallel Course ${index}`, platform: 'Coursera', institution: 'Example University', category: 'Programming', completionDate: '2024-01-01' },
+        token
+    })));
+
+    assert.deepEqual(created.map(response => response.status), [201, 201, 201, 201, 201]);
+    assert.equal(new Set(created.map(response => response.body.data.id)).size, 5);
+    assert.equal((await request('GET', '/api/certificates/user3')).body.data.statistics.totalCertificates, before + 5);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isCalendarDate, validateFields, validate, validateParam } = require('../lib/schema');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'schema-test-password';
+
+const CERTIFICATE = {
+    courseName: { type: 'string', required: true, maxLength: 20 },
+    completionDate: { type: 'date', required: true },
+    expiryDate: { type: 'date', nullable: true },
+    hours: { type: 'number', min: 0 },
+    skills: { type: 'array' },
+    level: { type: 'string', enum: ['beginner', 'advanced'] },
+    url: { type: 'string', pattern: /^https?:\/\//, patternMessage: 'must be an http or https URL' }
+};
+
+const QUERY = {
+    limit: { type: 'integer', min: 1, max: 100 },
+    includeExpired: { type: 'boolean', default: true },
+    skills: { type: 'array' },
+    sortBy: { type: 'string', enum: ['newest', 'oldest'], default: 'newest' }
+};
+
+// Runs a validate() middleware against a fake request and reports what happened
+const run = (middleware, input) => {
+    const req = { params: {}, query: {}, body: {}, ...input };
+    let status = null;
+    let body = null;
+    let nextCalled = false;
+    const res = {
+        status(code) {
+            status = code;
+            return this;
+        },
+        json(payload) {
+            body = payload;
+            return this;
+        }
+    };
+    middleware(req, res, () => {
+        nextCalled = true;
+    });
+    return { status, body, nextCalled, req };
+};
+
+const fields = (errors) => errors.map(error => error.field);
+
+test('isCalendarDate accepts only dates that exist', () => {
+    assert.equal(isCalendarDate('2024-02-29'), true);
+    assert.equal(isCalendarDate('2023-02-29'), false);
+    assert.equal(isCalendarDate('2024-02-30'), false);
+    assert.equal(isCalendarDate('2024-13-01'), false);
+    assert.equal(isCalendarDate('2024-1-5'), false);
+    assert.equal(isCalendarDate('2024-01-05T00:00:00Z'), false);
+    assert.equal(isCalendarDate(20240105), false);
+});
+
+test('validateFields reports every problem in one pass', () => {
+    const { errors } = validateFields(CERTIFICATE, {
+        courseName: '   ',
+        completionDate: '2024-02-30',
+        hours: -2,
+        skills: ['SQL', 3],
+        level: 'expert',
+        url: 'javascript:alert(1)'
+    });
+
+    assert.deepEqual(fields(errors), ['courseName', 'completionDate', 'hours', 'skills', 'level', 'url']);
+    assert.equal(errors.find(error => error.field === 'url').message, 'url must be an http or https URL');
+    assert.equal(errors.find(error => error.field === 'hours').message, 'hours must be at least 0');
+});
+
+test('partial updates may leave fields out but not blank or null them', () => {
+    assert.deepEqual(validateFields(CERTIFICATE, { hours: 3 }, { partial: true }).errors, []);
+    assert.deepEqual(fields(validateFields(CERTIFICATE, { courseName: '' }, { partial: true }).errors), ['courseName']);
+    assert.deepEqual(fields(validateFields(CERTIFICATE, { courseName: null }, { partial: true }).errors), ['courseName']);
+    assert.deepEqual(validateFields(CERTIFICATE, { expiryDate: null }, { partial: true }).errors, []);
+});
+
+test('strict mode rejects undeclared fields and bodies must be objects', () => {
+    const { errors } = validateFields({ name: { type: 'string' } }, { name: 'Jane', account: {} }, { strict: true });
+    assert.deepEqual(errors, [{ field: 'account', message: 'account cannot be changed here' }]);
+
+    assert.deepEqual(validateFields(CERTIFICATE, ['not', 'an', 'object']).errors, [{ field: null, message: 'Request body must be a JSON object' }]);
+});
+
+test('nested objects and arrays of objects are checked field by field', () => {
+    const schema = {
+        defaults: { type: 'object', fields: { hours: { type: 'number', min: 0 } } },
+        credentials: { type: 'array', items: { type: 'object' }, minItems: 1, maxItems: 2 }
+    };
+
+    assert.deepEqual(fields(validateFields(schema, { defaults: { hours: 'ten' } }).errors), ['defaults.hours']);
+    assert.equal(validateFields(schema, { credentials: [{}, 'text'] }).errors[0].message, 'credentials[1] must be an object');
+    assert.equal(validateFields(schema, { credentials: [] }).errors[0].message, 'credentials must have at least 1 item');
+    assert.equal(validateFields(schema, { credentials: [{}, {}, {}] }).errors[0].message, 'credentials must have at most 2 items');
+});
+
+test('query text is coerced to the declared types and defaults are applied', () => {
+    const { nextCalled, req } = run(validate({ query: QUERY }), { query: { limit: '20', includeExpired: 'no', skills: 'SQL, Python,', sortBy: 'Oldest' } });
+
+    assert.equal(nextCalled, true);
+    assert.deepEqual(req.query, { limit: 20, includeExpired: false, skills: ['SQL', 'Python'], sortBy: 'oldest' });
+    assert.deepEqual(run(validate({ query: QUERY }), { query: {} }).req.query, { includeExpired: true, sortBy: 'newest' });
+});
+
+test('invalid requests get the uniform 400, or the route\'s own response', () => {
+    const rejected = run(validate({ query: QUERY }), { query: { limit: '1.5', includeExpired: 'maybe' } });
+    assert.equal(rejected.nextCalled, false);
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.body.error, 'Validation failed');
+    assert.deepEqual(fields(rejected.body.details), ['limit', 'includeExpired']);
+
+    let custom = null;
+    const onInvalid = (req, res, details) => {
+        custom = details;
+    };
+    run(validate({ query: QUERY }, { onInvalid }), { query: { limit: '0' } });
+    assert.deepEqual(custom, [{ field: 'limit', message: 'limit must be between 1 and 100' }]);
+});
+
+test('validate keeps its schemas and documentation for the OpenAPI generator', () => {
+    const middleware = validate({ body: CERTIFICATE }, { partial: true, summary: 'Update a certificate', created: false });
+    assert.deepEqual(middleware.schemas, { body: CERTIFICATE, partial: true, strict: false });
+    assert.deepEqual(middleware.docs, { summary: 'Update a certificate', created: false });
+});
+
+test('validateParam checks one path parameter', () => {
+    const check = validateParam('certid', { type: 'string', pattern: /^cert_\d+$/ });
+    const rejected = {};
+    let passed = false;
+    check({}, { status: (code) => ({ json: (payload) => Object.assign(rejected, { code, payload }) }) }, () => {
+        passed = true;
+    }, '../etc');
+
+    assert.equal(passed, false);
+    assert.equal(rejected.code, 400);
+    assert.deepEqual(fields(rejected.payload.details), ['certid']);
+});
+
+test('routes reject impossible dates and malformed connector sync bodies', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const date = await request('PATCH', '/api/certificates/user1/cert_001', { body: { completionDate: '2024-02-30' }, token });
+    assert.equal(date.status, 400);
+    assert.deepEqual(fields(date.body.details), ['completionDate']);
+
+    const sync = await request('POST', '/api/connections/user1/coursera/sync', { body: { csv: 42, verifyUrls: 'https://www.coursera.org/verify/X' }, token });
+    assert.equal(sync.status, 400);
+    assert.deepEqual(fields(sync.body.details), ['csv', 'verifyUrls']);
+});
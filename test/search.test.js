@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSearchIndex, tokenize, editDistance } = require('../lib/search');
+
+const USERS = {
+    user1: {
+        id: 'user1',
+        name: 'Jane Doe',
+        bio: 'Data engineer',
+        certificates: [
+            { id: 'cert_001', courseName: 'Machine Learning', skills: ['Python', 'Machine Learning'], institution: 'Stanford University', platform: 'Coursera', category: 'Data Science', description: 'Supervised learning' },
+            { id: 'cert_002', courseName: 'Modern C++ Programming', skills: ['C++'], institution: 'Udemy', platform: 'Udemy', category: 'Programming', description: '' }
+        ]
+    },
+    user2: {
+        id: 'user2',
+        name: 'John Roe',
+        bio: 'Designer who writes some Python',
+        certificates: [
+            { id: 'cert_003', courseName: 'UX Design Fundamentals', skills: ['Figma'], institution: 'Google', platform: 'Coursera', category: 'Design', description: 'Uses Python notebooks for research' }
+        ]
+    }
+};
+
+const keys = (results) => results.map(result => result.key);
+
+test('tokenize lowercases, drops stop words and keeps C++ and C#', () => {
+    assert.deepEqual(tokenize('Introduction to C++ and C# for the Web'), ['introduction', 'c++', 'c#', 'web']);
+    assert.deepEqual(tokenize(undefined), []);
+});
+
+test('editDistance counts an adjacent swap as one edit and stops past the limit', () => {
+    assert.equal(editDistance('python', 'pyhton', 2), 1);
+    assert.equal(editDistance('learning', 'lerning', 2), 1);
+    assert.equal(editDistance('design', 'python', 2), 3);
+});
+
+test('a skill match outranks a description match', () => {
+    const index = createSearchIndex();
+    index.sync(USERS);
+
+    const results = index.search('python').filter(result => result.type === 'certificate');
+    assert.deepEqual(keys(results), ['certificate:user1:cert_001', 'certificate:user2:cert_003']);
+    assert.deepEqual(results[0].matchedFields, ['skills']);
+});
+
+test('typos and partial last words still match', () => {
+    const index = createSearchIndex();
+    index.sync(USERS);
+
+    const typo = index.search('machne learning');
+    assert.equal(typo[0].key, 'certificate:user1:cert_001');
+    assert.equal(typo[0].fuzzy, true);
+
+    assert.equal(index.search('fundamen')[0].key, 'certificate:user2:cert_003');
+    assert.deepEqual(index.search('zzzz'), []);
+});
+
+test('alternatives, accept and hiddenFields shape the results', () => {
+    const index = createSearchIndex();
+    index.sync(USERS);
+
+    assert.deepEqual(keys(index.search('ml', { alternatives: ['machine learning'] })).slice(0, 1), ['certificate:user1:cert_001']);
+    assert.ok(index.search('python', { accept: doc => doc.userId !== 'user1' }).every(result => result.userId === 'user2'));
+
+    const hidden = index.search('research', { hiddenFields: doc => (doc.type === 'certificate' ? ['description'] : []) });
+    assert.deepEqual(hidden, []);
+});
+
+test('skills are indexed with their parents from the taxonomy', () => {
+    const index = createSearchIndex({ ancestors: skill => (skill === 'Figma' ? ['Design Tools'] : []) });
+    index.sync(USERS);
+
+    const results = index.search('design tools');
+    assert.equal(results[0].key, 'certificate:user2:cert_003');
+    assert.ok(results[0].matchedFields.includes('skillTree'));
+});
+
+test('sync re-indexes changed users and forgets removed ones', () => {
+    const index = createSearchIndex();
+    index.sync(USERS);
+    assert.equal(index.stats().users, 2);
+    assert.equal(index.stats().documents, 5);
+
+    const renamed = {
+        user1: { ...USERS.user1, certificates: [{ ...USERS.user1.certificates[0], courseName: 'Deep Learning' }] }
+    };
+    index.sync(renamed);
+
+    assert.equal(index.stats().users, 1);
+    assert.equal(index.stats().documents, 2);
+    assert.equal(index.search('deep')[0].key, 'certificate:user1:cert_001');
+    assert.deepEqual(index.search('figma'), []);
+});
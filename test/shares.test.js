@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const shares = require('../lib/shares');
+const { createSigner } = require('../lib/signing');
+const { startServer } = require('./helpers/server');
+
+const NOW = new Date('2024-06-01T12:00:00Z');
+const PASSWORD = 'shares-test-password';
+
+const USER = {
+    id: 'user1',
+    name: 'Sarah Johnson',
+    certificates: [
+        { id: 'cert_001', visibility: 'public' },
+        { id: 'cert_002', visibility: 'private' },
+        { id: 'cert_003' }
+    ]
+};
+
+const tempShareLinks = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shares-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return shares.createShareLinks({ signer: createSigner({ keyFile: path.join(dir, 'signing-key.pem') }) });
+};
+
+test('slugs read like the owner\'s name and end in a random part', () => {
+    const slug = shares.generateSlug(USER);
+    assert.match(slug, /^sarah-johnson-[a-z2-9]{10}$/);
+    assert.notEqual(shares.generateSlug(USER), slug);
+    assert.match(shares.generateSlug({ id: 'user9', name: '***' }), /^[a-z2-9]{10}$/);
+});
+
+test('validateShareLink fills defaults and checks every field', () => {
+    assert.deepEqual(shares.validateShareLink({}, USER, { now: NOW }), {
+        errors: [],
+        changes: { label: '', certificateIds: null, expiresAt: null }
+    });
+
+    const { changes } = shares.validateShareLink({ label: ' Recruiters ', certificateIds: ['cert_001', 'cert_001'], expiresInDays: 30 }, USER, { now: NOW });
+    assert.deepEqual(changes, { label: 'Recruiters', certificateIds: ['cert_001'], expiresAt: '2024-07-01T12:00:00.000Z' });
+
+    const invalid = shares.validateShareLink({ label: 5, certificateIds: ['cert_999'], expiresInDays: shares.MAX_EXPIRY_DAYS + 1 }, USER);
+    assert.deepEqual(invalid.errors.map(error => error.field), ['label', 'certificateIds', 'expiresInDays']);
+    assert.match(invalid.errors[1].message, /cert_999/);
+
+    assert.deepEqual(shares.validateShareLink({ label: 'Only this' }, USER, { partial: true }).changes, { label: 'Only this' });
+});
+
+test('a link for all certificates leaves private ones out; chosen ones are shown as chosen', () => {
+    assert.deepEqual(shares.sharedCertificates(USER, { certificateIds: null }).map(cert => cert.id), ['cert_001', 'cert_003']);
+    assert.deepEqual(shares.sharedCertificates(USER, { certificateIds: ['cert_002'] }).map(cert => cert.id), ['cert_002']);
+});
+
+test('expiring links need a token signed for their slug and expiry', (t) => {
+    const links = tempShareLinks(t);
+    const link = shares.newShareLink('sarah-johnson-abc', { label: '', certificateIds: null, expiresAt: '2024-07-01T12:00:00.000Z' }, NOW);
+    const token = new URL(links.shareUrl('https://credentials.example', link)).searchParams.get('token');
+
+    assert.equal(links.accessProblem(link, token, NOW), null);
+    assert.equal(links.accessProblem(link, undefined, NOW), 'invalid-token');
+    assert.equal(links.accessProblem({ ...link, expiresAt: '2025-01-01T00:00:00.000Z' }, token, NOW), 'invalid-token');
+    assert.equal(links.accessProblem(link, token, new Date('2024-07-02T00:00:00Z')), 'expired');
+    assert.equal(links.accessProblem({ ...link, revokedAt: NOW.toISOString() }, token, NOW), 'revoked');
+
+    const permanent = { ...link, expiresAt: null };
+    assert.equal(links.shareUrl('https://credentials.example', permanent), 'https://credentials.example/p/sarah-johnson-abc');
+    assert.equal(links.accessProblem(permanent, undefined, NOW), null);
+});
+
+test('views are counted per day and old days are dropped', () => {
+    const counters = shares.recordView(shares.recordView({ views: 4, firstViewedAt: '2024-01-01T08:00:00.000Z', lastViewedAt: null, viewsByDay: { '2024-01-01': 4 } }, NOW), NOW);
+
+    assert.equal(counters.views, 6);
+    assert.deepEqual(counters.viewsByDay, { '2024-06-01': 2 });
+    assert.equal(counters.firstViewedAt, '2024-01-01T08:00:00.000Z');
+    assert.equal(counters.lastViewedAt, NOW.toISOString());
+    assert.equal(shares.recordView(undefined, NOW).firstViewedAt, NOW.toISOString());
+});
+
+test('view counts are written to their own file and read back', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'share-views-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'views.json');
+
+    const counter = shares.createViewCounter({ file });
+    counter.record('shr_1', NOW);
+    counter.record('shr_1', NOW);
+    counter.record('shr_2', NOW);
+    assert.equal(counter.countsFor('shr_1').views, 2);
+    assert.equal(counter.countsFor('shr_3').views, 0);
+    await counter.flush();
+
+    const reopened = shares.createViewCounter({ file });
+    assert.deepEqual(reopened.countsFor('shr_1').viewsByDay, { '2024-06-01': 2 });
+    reopened.remove('shr_1');
+    await reopened.flush();
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))), ['shr_2']);
+});
+
+test('findShareLink finds the owner of a slug', () => {
+    const userData = { user1: { ...USER, shareLinks: [{ slug: 'sarah-johnson-abc' }] }, user2: { id: 'user2', shareLinks: [] } };
+    assert.equal(shares.findShareLink(userData, 'sarah-johnson-abc').user.id, 'user1');
+    assert.equal(shares.findShareLink(userData, 'missing'), null);
+});
+
+test('a dashboard share link opens with its token until it is revoked', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const created = await request('POST', '/api/shares/user1', { body: { label: 'Shared from the dashboard', expiresInDays: 30 }, token });
+    assert.equal(created.status, 201);
+    const { slug, id } = created.body.data;
+    const shareToken = new URL(created.body.data.url).searchParams.get('token');
+
+    const opened = await request('GET', `/api/shared/${slug}?token=${encodeURIComponent(shareToken)}`);
+    assert.equal(opened.status, 200);
+    assert.equal((await request('GET', `/api/shared/${slug}`)).status, 403);
+
+    assert.equal((await request('DELETE', `/api/shares/user1/${id}`, { token })).status, 200);
+    const revoked = await request('GET', `/api/shared/${slug}?token=${encodeURIComponent(shareToken)}`);
+    assert.equal(revoked.status, 410);
+    assert.equal(revoked.body.error, 'Share link revoked');
+});
+
+test('opening a share link counts the view without touching the user data', async (t) => {
+    const { baseUrl, request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const { slug } = (await request('POST', '/api/shares/user1', { body: { label: 'Recruiters' }, token })).body.data;
+    const etag = async () => (await fetch(`${baseUrl}/api/certificates/user1`)).headers.get('etag');
+    // Creating the link is followed by a write of its own (achievements); wait until the tag settles
+    let before = null;
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const current = await etag();
+        if (current === before) break;
+        before = current;
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    assert.equal((await request('GET', `/api/shared/${slug}`)).status, 200);
+    assert.equal((await request('GET', `/api/shared/${slug}`)).status, 200);
+    await request('GET', `/api/shared/${slug}`, { token });
+
+    assert.equal(await etag(), before);
+    const [link] = (await request('GET', '/api/shares/user1', { token })).body.data;
+    assert.equal(link.views, 2);
+    assert.ok(link.lastViewedAt);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { canonicalize, createSigner } = require('../lib/signing');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'signing-test-password';
+
+const tempSigner = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signing-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const keyFile = path.join(dir, 'keys', 'signing-key.pem');
+    return { keyFile, signer: createSigner({ keyFile }) };
+};
+
+test('canonicalize sorts keys at every level and drops undefined values', () => {
+    assert.equal(canonicalize({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: undefined } }), '{"a":{"d":[2,{"e":0,"f":1}]},"b":1}');
+});
+
+test('signatures cover the content whatever its key order', (t) => {
+    const { signer } = tempSigner(t);
+    const signature = signer.sign({ holder: 'user1', certificate: { id: 'cert_001', grade: '95%' } });
+
+    assert.equal(signer.verify({ certificate: { grade: '95%', id: 'cert_001' }, holder: 'user1' }, signature), true);
+    assert.equal(signer.verify({ holder: 'user1', certificate: { id: 'cert_001', grade: '99%' } }, signature), false);
+    assert.equal(signer.verify({ holder: 'user1', certificate: { id: 'cert_001', grade: '95%' } }, 'not-a-signature'), false);
+    assert.equal(signer.verify({}, ''), false);
+});
+
+test('the key is created once and reused', (t) => {
+    const { keyFile, signer } = tempSigner(t);
+    assert.equal((fs.statSync(keyFile).mode & 0o777).toString(8), '600');
+
+    const reloaded = createSigner({ keyFile });
+    assert.equal(reloaded.keyId, signer.keyId);
+    assert.equal(reloaded.verify({ a: 1 }, signer.sign({ a: 1 })), true);
+    assert.equal(signer.publicJwk.kid, signer.keyId);
+});
+
+test('a verified certificate verifies until it is changed', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const certificate = (await request('GET', '/api/certificates/user1/cert_001')).body.data;
+    assert.equal(certificate.verificationDetails.algorithm, 'Ed25519');
+
+    const verified = await request('POST', '/api/verify', { body: { userId: 'user1', certificate } });
+    assert.equal(verified.body.data.valid, true);
+    assert.equal(verified.body.data.recordStatus, 'current');
+
+    const tampered = await request('POST', '/api/verify', { body: { userId: 'user1', certificate: { ...certificate, grade: '100%' } } });
+    assert.equal(tampered.body.data.valid, false);
+
+    await request('PATCH', '/api/certificates/user1/cert_001', { body: { description: 'Updated description' }, token });
+    const changed = await request('POST', '/api/verify', { body: { userId: 'user1', certificate } });
+    assert.equal(changed.body.data.valid, true);
+    assert.equal(changed.body.data.recordStatus, 'modified');
+});
+
+test('self-reported certificates are not signed and cannot borrow a signature', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+
+    const created = await request('POST', '/api/certificates/user1', {
+        body: { courseName: 'PhD in Computer Science', platform: 'Harvard', institution: 'Harvard University', category: 'Programming', completionDate: '2024-01-01' },
+        token
+    });
+    const pending = (await request('GET', `/api/certificates/user1/${created.body.data.id}`)).body.data;
+    assert.equal(pending.verificationStatus, 'Pending');
+    assert.equal(pending.verificationDetails, null);
+
+    const { signature } = (await request('GET', '/api/certificates/user1/cert_001')).body.data.verificationDetails;
+    const borrowed = await request('POST', '/api/verify', { body: { userId: 'user1', certificate: pending, signature } });
+    assert.equal(borrowed.body.data.valid, false);
+});
+
+test('verification does not reveal whether a private certificate exists', async (t) => {
+    const { request, login, stop } = await startServer({ passwords: { user1: PASSWORD } });
+    t.after(stop);
+    const token = await login('user1', PASSWORD);
+    await request('PATCH', '/api/certificates/user1/cert_002', { body: { visibility: 'private' }, token });
+
+    const probe = (certId) => request('POST', '/api/verify', { body: { userId: 'user1', certificate: { id: certId }, signature: 'x' } });
+    const hidden = await probe('cert_002');
+    const missing = await probe('cert_999');
+    assert.equal(hidden.body.data.recordStatus, 'not_found');
+    assert.deepEqual({ ...hidden.body.data, certificateHash: null }, { ...missing.body.data, certificateHash: null });
+
+    const asOwner = await request('POST', '/api/verify', { body: { userId: 'user1', certificate: { id: 'cert_002' }, signature: 'x' }, token });
+    assert.equal(asOwner.body.data.recordStatus, 'modified');
+});
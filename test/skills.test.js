@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createSkillRegistry, skillKey } = require('../lib/skills');
+
+const ROOT = path.join(__dirname, '..');
+const registry = createSkillRegistry();
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skills-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+// A registry built from the given skill list instead of config/skills.json
+const registryOf = (t, skills) => {
+    const file = path.join(tempDir(t), 'skills.json');
+    fs.writeFileSync(file, JSON.stringify({ skills }));
+    return createSkillRegistry({ file });
+};
+
+test('aliases are spellings of one skill; case and spacing do not matter', () => {
+    assert.equal(skillKey('  Node   JS '), 'node js');
+    assert.equal(registry.canonicalName('javascript es6+'), 'JavaScript');
+    assert.equal(registry.canonicalName(' python3 '), 'Python');
+    assert.equal(registry.canonicalName('Quantum  Basket Weaving'), 'Quantum Basket Weaving');
+    assert.equal(registry.isKnown('Quantum Basket Weaving'), false);
+    assert.deepEqual(registry.normalizeSkills(['JS', 'JavaScript', '', 42, 'React']), ['JavaScript', 'React.js']);
+});
+
+test('databases and tools keep their own names and sit below the skill they belong to', () => {
+    ['MySQL', 'PostgreSQL', 'T-SQL'].forEach(name => {
+        assert.equal(registry.canonicalName(name), name);
+        assert.deepEqual(registry.ancestors(name), ['SQL', 'Programming']);
+    });
+    assert.equal(registry.canonicalName('Postgres'), 'PostgreSQL');
+    assert.equal(registry.canonicalName('GitHub'), 'GitHub');
+    assert.deepEqual(registry.ancestors('GitHub'), ['Git', 'Version Control', 'Programming']);
+
+    assert.equal(registry.matchesSkill(['PostgreSQL'], 'SQL'), true);
+    assert.equal(registry.matchesSkill(['SQL'], 'PostgreSQL'), false);
+    assert.equal(registry.matchesSkill(['MySQL'], 'PostgreSQL'), false);
+    assert.equal(registry.matchesSkill(['GitHub'], 'version control'), true);
+    assert.ok(registry.descendants('SQL').has('T-SQL'));
+});
+
+test('the tree counts certificates on each skill and below it, and lists unknown skills', () => {
+    const { skills, unmapped } = registry.tree([
+        { skills: ['PostgreSQL', 'SQL'] },
+        { skills: ['MySQL', 'Quantum Basket Weaving'] },
+        { skills: ['Python'] }
+    ]);
+    const programming = skills.find(node => node.name === 'Programming');
+    const sql = programming.children.find(node => node.name === 'SQL');
+
+    assert.equal(programming.totalCertificates, 3);
+    assert.equal(sql.certificates, 1);
+    assert.equal(sql.totalCertificates, 2);
+    assert.deepEqual(sql.children.map(node => [node.name, node.certificates]), [['MySQL', 1], ['PostgreSQL', 1], ['T-SQL', 0]]);
+    assert.deepEqual(unmapped, [{ name: 'Quantum Basket Weaving', certificates: 1 }]);
+
+    const lookup = registry.lookupSkill('postgres', [{ skills: ['PostgreSQL'] }]);
+    assert.equal(lookup.name, 'PostgreSQL');
+    assert.deepEqual(lookup.ancestors, ['SQL', 'Programming']);
+    assert.equal(registry.lookupSkill('Quantum Basket Weaving', []), null);
+});
+
+test('a registry that maps one name to two skills or names an unknown parent is rejected', (t) => {
+    assert.throws(() => registryOf(t, [{ name: 'SQL', aliases: ['PostgreSQL'] }, { name: 'PostgreSQL' }]), /"PostgreSQL" is used by both SQL and PostgreSQL/);
+    assert.throws(() => registryOf(t, [{ name: 'Git', parent: 'Version Control' }]), /unknown parent "Version Control" for Git/);
+    assert.throws(() => registryOf(t, [{ aliases: ['x'] }]), /every skill needs a name/);
+});
+
+test('normalize-skills rewrites stored skills to their canonical names, or only reports them with --dry-run', (t) => {
+    const dir = tempDir(t);
+    const dataFile = path.join(dir, 'data.json');
+    const users = JSON.parse(fs.readFileSync(path.join(ROOT, 'data.json'), 'utf8'));
+    users.user1.certificates[0].skills = ['sql', 'PostgreSQL', 'Quantum Basket Weaving', 'SQL'];
+    fs.writeFileSync(dataFile, JSON.stringify(users, null, 2));
+    const run = (...args) => execFileSync(process.execPath, [path.join(ROOT, 'scripts', 'normalize-skills.js'), ...args], {
+        env: { ...process.env, STORAGE_BACKEND: 'json', DATA_FILE: dataFile },
+        encoding: 'utf8'
+    });
+    const stored = () => JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+
+    const preview = run('--dry-run');
+    assert.match(preview, /user1\/cert_001: sql, PostgreSQL, Quantum Basket Weaving, SQL -> SQL, PostgreSQL, Quantum Basket Weaving/);
+    assert.match(preview, /user1\/cert_002: .*JavaScript ES6\+.* -> .*JavaScript,/);
+    assert.match(preview, /Not in the registry: .*Quantum Basket Weaving/);
+    assert.deepEqual(stored().user1.certificates[0].skills, ['sql', 'PostgreSQL', 'Quantum Basket Weaving', 'SQL']);
+
+    const count = preview.match(/(\d+) certificate\(s\) would be updated/)[1];
+    assert.match(run(), new RegExp(`${count} certificate\\(s\\) updated`));
+    assert.deepEqual(stored().user1.certificates[0].skills, ['SQL', 'PostgreSQL', 'Quantum Basket Weaving']);
+    assert.match(run(), /^0 certificate\(s\) updated/m);
+});
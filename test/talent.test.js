@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSkillExpression, expressionSkills, validateTalentQuery, findTalent } = require('../lib/talent');
+
+const NOW = new Date('2024-06-01T00:00:00Z');
+
+const matchesSkill = (skills, skill) => (skills || []).some(name => name.toLowerCase() === skill.toLowerCase());
+
+const person = (id, name, certificates) => ({
+    user: { id, name },
+    certificates: certificates.map((cert, index) => ({
+        id: `${id}_cert_${index + 1}`,
+        platform: 'Coursera',
+        institution: 'Example University',
+        verificationStatus: 'Verified',
+        hours: 10,
+        ...cert
+    }))
+});
+
+const USERS = [
+    person('user1', 'Jane Doe', [
+        { courseName: 'SQL Basics', skills: ['SQL'], completionDate: '2024-01-10', hours: 20 },
+        { courseName: 'Tableau Dashboards', skills: ['Tableau', 'Data Visualization'], completionDate: '2023-11-02' }
+    ]),
+    person('user2', 'John Roe', [
+        { courseName: 'SQL for Analysts', skills: ['SQL'], completionDate: '2021-05-01', verificationStatus: 'Pending' },
+        { courseName: 'Java Fundamentals', skills: ['Java'], completionDate: '2023-02-01', platform: 'Udemy' }
+    ]),
+    person('user3', 'Amy Poe', [
+        { courseName: 'AWS Practitioner', skills: ['AWS'], completionDate: '2022-01-01', expiryDate: '2024-01-01' }
+    ])
+];
+
+const search = (body) => {
+    const { errors, criteria } = validateTalentQuery(body, { now: NOW });
+    assert.deepEqual(errors, []);
+    return findTalent({ users: USERS, criteria, matchesSkill, now: NOW });
+};
+
+const ids = (results) => results.map(result => result.user.id);
+
+test('skill expressions: AND binds tighter than OR, names may have spaces or quotes', () => {
+    assert.deepEqual(parseSkillExpression('SQL AND Tableau OR Java'), {
+        or: [{ and: [{ skill: 'SQL' }, { skill: 'Tableau' }] }, { skill: 'Java' }]
+    });
+    assert.deepEqual(parseSkillExpression('Data Visualization && !(Java || "Research AND Development")'), {
+        and: [
+            { skill: 'Data Visualization' },
+            { not: { or: [{ skill: 'Java' }, { skill: 'Research AND Development' }] } }
+        ]
+    });
+    assert.deepEqual(expressionSkills(parseSkillExpression('SQL AND NOT Java')), ['SQL', 'Java']);
+});
+
+test('malformed expressions are rejected with a reason', () => {
+    assert.throws(() => parseSkillExpression(''), /empty/);
+    assert.throws(() => parseSkillExpression('SQL AND'), /ends too early/);
+    assert.throws(() => parseSkillExpression('(SQL OR Java'), /closing parenthesis/);
+    assert.throws(() => parseSkillExpression('SQL )'), /Unexpected/);
+});
+
+test('validateTalentQuery reports every invalid field', () => {
+    const { errors } = validateTalentQuery({
+        skills: 'SQL AND',
+        verified: 'yes',
+        minHours: -1,
+        completedAfter: '2024-02-30',
+        limit: 500,
+        platforms: 3
+    });
+    assert.deepEqual(errors.map(error => error.field).sort(), ['completedAfter', 'limit', 'minHours', 'platforms', 'skills', 'verified']);
+
+    const both = validateTalentQuery({ completedAfter: '2024-01-01', withinMonths: 6 });
+    assert.deepEqual(both.errors.map(error => error.field), ['withinMonths']);
+});
+
+test('findTalent matches the expression and returns the certificates behind it', () => {
+    const results = search({ skills: 'SQL AND Tableau' });
+    assert.deepEqual(ids(results), ['user1']);
+    assert.deepEqual(results[0].matchedSkills, ['SQL', 'Tableau']);
+    assert.deepEqual(results[0].certificates.map(entry => entry.certificate.courseName), ['SQL Basics', 'Tableau Dashboards']);
+    assert.deepEqual(results[0].totals, { certificates: 2, verified: 2, hours: 30, credits: 0 });
+
+    assert.deepEqual(ids(search({ skills: ['SQL'] })), ['user1', 'user2']);
+    assert.deepEqual(ids(search({ skills: 'SQL AND NOT Java' })), ['user1']);
+});
+
+test('credential criteria filter certificates before skills are considered', () => {
+    assert.deepEqual(ids(search({ skills: 'SQL', verified: true })), ['user1']);
+    assert.deepEqual(ids(search({ skills: 'SQL', withinMonths: 24 })), ['user1']);
+    assert.deepEqual(ids(search({ skills: 'AWS' })), ['user3']);
+    assert.deepEqual(ids(search({ skills: 'AWS', includeExpired: false })), []);
+    assert.deepEqual(ids(search({ platforms: 'udemy' })), ['user2']);
+    assert.deepEqual(ids(search({ skills: 'SQL', minHours: 15 })), ['user1']);
+});